@@ -0,0 +1,29 @@
+/**
+ * Create a staff user account
+ * Run with: node database/create-user.js <username> <password> <role> ["Display Name"]
+ * Roles: intake_clerk, extraction_reviewer, clinician, funding_analyst, compliance_officer, admin
+ */
+
+const db = require('../src/config/database');
+const authService = require('../src/services/authService');
+const { ALL_ROLES, isValidRole } = require('../src/config/roles');
+
+const [username, password, role, displayName] = process.argv.slice(2);
+
+if (!username || !password || !isValidRole(role)) {
+    console.error('Usage: node database/create-user.js <username> <password> <role> ["Display Name"]');
+    console.error('Roles: ' + ALL_ROLES.join(', '));
+    process.exit(1);
+}
+
+db.once('open', async () => {
+    try {
+        const user = await authService.createUser({ username, password, role, display_name: displayName });
+        console.log(`User created: ${user.username} (${user.role}, id ${user.id})`);
+    } catch (err) {
+        console.error('Error creating user: ' + err.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+});
@@ -0,0 +1,56 @@
+/**
+ * Database migrations
+ * Run with: node database/migrate.js <command>
+ *   up [version]   apply pending migrations (optionally only through <version>)
+ *   down [steps]   revert the last <steps> applied migrations (default 1)
+ *   status         list migrations and whether each is applied
+ */
+
+const db = require('../src/config/database');
+const migrator = require('./migrator');
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+const commands = {
+    async up() {
+        const applied = await migrator.migrateUp({ to: arg });
+        if (applied.length === 0) {
+            console.log('Database is up to date.');
+        }
+        applied.forEach(m => console.log(`Applied ${m.version}_${m.name}`));
+    },
+
+    async down() {
+        const steps = arg ? parseInt(arg) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('down expects a positive number of steps');
+        }
+        const reverted = await migrator.migrateDown({ steps });
+        if (reverted.length === 0) {
+            console.log('No applied migrations to revert.');
+        }
+        reverted.forEach(m => console.log(`Reverted ${m.version}_${m.name}`));
+    },
+
+    async status() {
+        const status = await migrator.getStatus();
+        status.forEach(m => {
+            const state = m.missing ? 'MISSING FILE' : (m.applied_at ? `applied ${m.applied_at}` : 'pending');
+            console.log(`${m.version}_${m.name}`.padEnd(40) + state);
+        });
+        const pending = status.filter(m => !m.applied_at).length;
+        console.log(`\n${pending} pending migration(s).`);
+    }
+};
+
+if (!commands[command]) {
+    console.error('Usage: node database/migrate.js <up [version] | down [steps] | status>');
+    process.exit(1);
+}
+
+commands[command]()
+    .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
@@ -0,0 +1,119 @@
+/**
+ * Initial schema - intake batches, patients, visits, journal and documents.
+ * Uses IF NOT EXISTS so databases created before migrations existed adopt it cleanly.
+ */
+
+// Chart columns were added to patients after the first release
+const PATIENT_CHART_COLUMNS = [
+    'surgery_history_json TEXT',
+    'problem_list_json TEXT',
+    'medications_json TEXT',
+    'allergies_json TEXT',
+    'chart_summary TEXT',
+    'chart_updated_at TEXT'
+];
+
+async function up(db) {
+    // Intake Batches table
+    await db.run(`CREATE TABLE IF NOT EXISTS intake_batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        batch_name TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Patients table (with intake fields)
+    await db.run(`CREATE TABLE IF NOT EXISTS patients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        date_of_birth TEXT,
+        age INTEGER,
+        gender TEXT,
+        contact TEXT,
+        email TEXT,
+        address TEXT,
+        source_file_id TEXT,
+        intake_batch_id INTEGER,
+        scanned_by TEXT,
+        intake_notes TEXT,
+        has_unknown_fields INTEGER DEFAULT 0,
+        intake_checklist TEXT,
+        surgery_history_json TEXT,
+        problem_list_json TEXT,
+        medications_json TEXT,
+        allergies_json TEXT,
+        chart_summary TEXT,
+        chart_updated_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT,
+        FOREIGN KEY (intake_batch_id) REFERENCES intake_batches(id)
+    )`);
+    for (const col of PATIENT_CHART_COLUMNS) {
+        await db.addColumnIfMissing('patients', col);
+    }
+
+    // Visits table
+    await db.run(`CREATE TABLE IF NOT EXISTS visits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        visit_date TEXT NOT NULL,
+        chief_complaint TEXT,
+        vitals_json TEXT,
+        assessment TEXT,
+        diagnosis TEXT,
+        plan TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+    )`);
+
+    // Journal entries table (update log for each patient)
+    await db.run(`CREATE TABLE IF NOT EXISTS journal_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        entry_date TEXT DEFAULT CURRENT_TIMESTAMP,
+        entry_type TEXT DEFAULT 'note',
+        title TEXT,
+        content TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+    )`);
+
+    // Patient documents table
+    await db.run(`CREATE TABLE IF NOT EXISTS patient_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        original_filename TEXT NOT NULL,
+        stored_path TEXT NOT NULL,
+        file_hash TEXT,
+        text_path TEXT,
+        status TEXT DEFAULT 'uploaded',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+    )`);
+
+    // Document extractions table (AI extracted data)
+    await db.run(`CREATE TABLE IF NOT EXISTS document_extractions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        extracted_json TEXT,
+        summary TEXT,
+        confidence REAL,
+        model TEXT,
+        needs_review INTEGER DEFAULT 0,
+        reviewed_at TEXT,
+        merged_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (document_id) REFERENCES patient_documents(id)
+    )`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS document_extractions');
+    await db.run('DROP TABLE IF EXISTS patient_documents');
+    await db.run('DROP TABLE IF EXISTS journal_entries');
+    await db.run('DROP TABLE IF EXISTS visits');
+    await db.run('DROP TABLE IF EXISTS patients');
+    await db.run('DROP TABLE IF EXISTS intake_batches');
+}
+
+module.exports = { up, down };
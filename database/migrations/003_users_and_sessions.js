@@ -0,0 +1,39 @@
+/**
+ * Staff accounts and login sessions
+ */
+
+async function up(db) {
+    // Users table (staff accounts)
+    await db.run(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        display_name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'intake_clerk',
+        is_active INTEGER DEFAULT 1,
+        last_login_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    // Accounts created before roles existed
+    await db.addColumnIfMissing('users', `role TEXT NOT NULL DEFAULT 'intake_clerk'`);
+
+    // User sessions table (only a hash of each token is stored)
+    await db.run(`CREATE TABLE IF NOT EXISTS user_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        ip_address TEXT,
+        user_agent TEXT,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS user_sessions');
+    await db.run('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * PHI access audit log (append-only - updates and deletes are rejected by triggers)
+ */
+
+async function up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        occurred_at TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        actor_user_id INTEGER,
+        actor_role TEXT,
+        action TEXT NOT NULL,
+        patient_id INTEGER,
+        resource_type TEXT,
+        resource_id TEXT,
+        ip_address TEXT,
+        outcome TEXT NOT NULL,
+        detail TEXT
+    )`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_patient_id ON audit_log(patient_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at)`);
+    await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+    await db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+}
+
+async function down(db) {
+    await db.run('DROP TRIGGER IF EXISTS audit_log_no_delete');
+    await db.run('DROP TRIGGER IF EXISTS audit_log_no_update');
+    await db.run('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+/**
+ * Columns the processing pipeline writes but the original schema never had:
+ * error_message / doc_type / doc_date on documents and validation_json on extractions.
+ */
+
+const DOCUMENT_COLUMNS = ['error_message TEXT', 'doc_type TEXT', 'doc_date TEXT'];
+
+async function up(db) {
+    for (const col of DOCUMENT_COLUMNS) {
+        await db.addColumnIfMissing('patient_documents', col);
+    }
+    await db.addColumnIfMissing('document_extractions', 'validation_json TEXT');
+}
+
+async function down(db) {
+    await db.dropColumnIfExists('document_extractions', 'validation_json');
+    for (const col of DOCUMENT_COLUMNS) {
+        await db.dropColumnIfExists('patient_documents', col.split(' ')[0]);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * Chart merge history - one row per document merge with the chart before/after
+ * and exactly which items it added, so a single merge can be reverted.
+ */
+
+async function up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS chart_merges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        document_id INTEGER,
+        merge_type TEXT NOT NULL,
+        merged_by TEXT,
+        merged_at TEXT NOT NULL,
+        before_json TEXT NOT NULL,
+        after_json TEXT NOT NULL,
+        diff_json TEXT NOT NULL,
+        summary_addition TEXT,
+        reverted_at TEXT,
+        reverted_by TEXT,
+        FOREIGN KEY (patient_id) REFERENCES patients(id),
+        FOREIGN KEY (document_id) REFERENCES patient_documents(id)
+    )`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_chart_merges_patient_id ON chart_merges(patient_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_chart_merges_document_id ON chart_merges(document_id)`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS chart_merges');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,186 @@
+/**
+ * Move chart data out of the JSON columns on patients into one table per section
+ * (chart_procedures, chart_problems, chart_medications, chart_allergies), each row
+ * with status, dates and provenance. Existing JSON is backfilled, then the columns dropped.
+ */
+
+const JSON_COLUMNS = ['surgery_history_json', 'problem_list_json', 'medications_json', 'allergies_json'];
+
+const PROVENANCE = `
+        source_document_id INTEGER,
+        chart_merge_id INTEGER,
+        merged_by TEXT,
+        merged_at TEXT,
+        details_json TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT,
+        FOREIGN KEY (patient_id) REFERENCES patients(id),
+        FOREIGN KEY (source_document_id) REFERENCES patient_documents(id),
+        FOREIGN KEY (chart_merge_id) REFERENCES chart_merges(id)`;
+
+const TABLES = {
+    chart_procedures: `name TEXT NOT NULL, performed_date TEXT, surgeon TEXT, status TEXT NOT NULL DEFAULT 'completed',`,
+    chart_problems: `name TEXT NOT NULL, onset_date TEXT, resolved_date TEXT, status TEXT NOT NULL DEFAULT 'active',`,
+    chart_medications: `name TEXT NOT NULL, dose TEXT, route TEXT, frequency TEXT, start_date TEXT, end_date TEXT,
+        status TEXT NOT NULL DEFAULT 'active',`,
+    chart_allergies: `substance TEXT NOT NULL, reaction TEXT, severity TEXT, onset_date TEXT, status TEXT NOT NULL DEFAULT 'active',`
+};
+
+const parseArray = (value) => {
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Same normalisation chartItemService applies to new items (copied so this migration never changes)
+const normalizeDate = (value) => {
+    if (!value) return null;
+    const str = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+    const us = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    const parsed = new Date(str);
+    if (!isNaN(parsed.getTime()) && /\d{4}/.test(str)) {
+        return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+    }
+    return str;
+};
+
+// Split an item into known columns and leftover details
+const splitItem = (item, columns) => {
+    const rest = { ...item };
+    const values = {};
+    for (const column of columns) {
+        values[column] = rest[column] != null ? rest[column] : null;
+        delete rest[column];
+    }
+    const sourceDocumentId = rest.source_document_id != null ? parseInt(rest.source_document_id) || null : null;
+    delete rest.source_document_id;
+    return { values, sourceDocumentId, details: Object.keys(rest).length ? JSON.stringify(rest) : null };
+};
+
+const insert = (db, table, patient, values, sourceDocumentId, details) => {
+    const row = {
+        patient_id: patient.id,
+        ...values,
+        source_document_id: sourceDocumentId,
+        merged_at: patient.chart_updated_at || null,
+        details_json: details,
+        created_at: patient.chart_updated_at || new Date().toISOString()
+    };
+    const columns = Object.keys(row);
+    return db.run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(col => row[col]));
+};
+
+async function backfill(db) {
+    const patients = await db.all(`SELECT id, chart_updated_at, ${JSON_COLUMNS.join(', ')} FROM patients`);
+
+    for (const patient of patients) {
+        // Surgeries become one row per procedure
+        for (const surgery of parseArray(patient.surgery_history_json)) {
+            const { procedures, procedure, date, ...rest } = surgery || {};
+            const names = Array.isArray(procedures) ? procedures : (procedure ? [procedure] : []);
+            for (const name of names) {
+                const item = { ...rest, name: typeof name === 'string' ? name : name.procedure || name.name };
+                if (!item.name) continue;
+                const { values, sourceDocumentId, details } = splitItem(item, ['name', 'surgeon']);
+                await insert(db, 'chart_procedures', patient,
+                    { ...values, performed_date: normalizeDate(date) }, sourceDocumentId, details);
+            }
+        }
+
+        for (const problem of parseArray(patient.problem_list_json)) {
+            const item = typeof problem === 'string' ? { name: problem } : { ...problem, name: problem.name || problem.diagnosis };
+            delete item.diagnosis;
+            if (!item.name) continue;
+            const { values, sourceDocumentId, details } = splitItem(item, ['name']);
+            await insert(db, 'chart_problems', patient, values, sourceDocumentId, details);
+        }
+
+        for (const med of parseArray(patient.medications_json)) {
+            const item = typeof med === 'string' ? { name: med } : { ...med, name: med.name || med.med_name };
+            delete item.med_name;
+            if (!item.name) continue;
+            const { values, sourceDocumentId, details } = splitItem(item, ['name', 'dose', 'route', 'frequency']);
+            await insert(db, 'chart_medications', patient, values, sourceDocumentId, details);
+        }
+
+        for (const allergy of parseArray(patient.allergies_json)) {
+            const item = typeof allergy === 'string' ? { substance: allergy } : { ...allergy };
+            if (!item.substance) continue;
+            const { values, sourceDocumentId, details } = splitItem(item, ['substance', 'reaction', 'severity']);
+            await insert(db, 'chart_allergies', patient, values, sourceDocumentId, details);
+        }
+    }
+}
+
+async function up(db) {
+    for (const [table, columns] of Object.entries(TABLES)) {
+        await db.run(`CREATE TABLE IF NOT EXISTS ${table} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        ${columns}${PROVENANCE}
+    )`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_patient_id ON ${table}(patient_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_chart_merge_id ON ${table}(chart_merge_id)`);
+    }
+
+    if (await db.hasColumn('patients', 'surgery_history_json')) {
+        await backfill(db);
+    }
+    for (const column of JSON_COLUMNS) {
+        await db.dropColumnIfExists('patients', column);
+    }
+}
+
+// Rebuild the JSON columns from the tables, then drop the tables
+async function down(db) {
+    for (const column of JSON_COLUMNS) {
+        await db.addColumnIfMissing('patients', `${column} TEXT`);
+    }
+
+    const withDetails = (row, item) => {
+        let details = {};
+        try { details = JSON.parse(row.details_json) || {}; } catch (e) {}
+        const source = row.source_document_id != null ? { source_document_id: String(row.source_document_id) } : {};
+        return { ...details, ...item, ...source };
+    };
+    const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v != null));
+
+    const patients = await db.all('SELECT id FROM patients');
+    for (const patient of patients) {
+        const procedures = await db.all('SELECT * FROM chart_procedures WHERE patient_id = ? ORDER BY id', [patient.id]);
+        const surgeries = [];
+        for (const row of procedures) {
+            const group = surgeries.find(s => s.date === row.performed_date && s.surgeon === row.surgeon &&
+                s.source_document_id === (row.source_document_id != null ? String(row.source_document_id) : undefined));
+            if (group) {
+                group.procedures.push(row.name);
+            } else {
+                surgeries.push(withDetails(row, { date: row.performed_date, procedures: [row.name], surgeon: row.surgeon }));
+            }
+        }
+
+        const problems = (await db.all('SELECT * FROM chart_problems WHERE patient_id = ? ORDER BY id', [patient.id]))
+            .map(row => row.details_json || row.source_document_id ? withDetails(row, compact({ name: row.name })) : row.name);
+        const meds = (await db.all('SELECT * FROM chart_medications WHERE patient_id = ? ORDER BY id', [patient.id]))
+            .map(row => withDetails(row, compact({ name: row.name, dose: row.dose, route: row.route, frequency: row.frequency })));
+        const allergies = (await db.all('SELECT * FROM chart_allergies WHERE patient_id = ? ORDER BY id', [patient.id]))
+            .map(row => withDetails(row, compact({ substance: row.substance, reaction: row.reaction, severity: row.severity })));
+
+        await db.run(`UPDATE patients SET surgery_history_json = ?, problem_list_json = ?, medications_json = ?, allergies_json = ?
+                      WHERE id = ?`, [
+            JSON.stringify(surgeries), JSON.stringify(problems), JSON.stringify(meds), JSON.stringify(allergies), patient.id
+        ]);
+    }
+
+    for (const table of Object.keys(TABLES)) {
+        await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+/**
+ * Background job queue - document processing runs as a job instead of inside
+ * the HTTP request. Jobs survive restarts; a job left 'running' by a crash is
+ * re-queued when the worker starts.
+ */
+
+async function up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        document_id INTEGER,
+        patient_id INTEGER,
+        payload_json TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        stage TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        run_after TEXT NOT NULL,
+        last_error TEXT,
+        result_json TEXT,
+        created_by TEXT,
+        created_by_user_id INTEGER,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (document_id) REFERENCES patient_documents(id),
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+    )`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_document_id ON jobs(document_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_patient_id ON jobs(patient_id)`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS jobs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Medical record number on patients, so documents can be cross-checked against
+ * the patient they were filed under.
+ */
+
+async function up(db) {
+    await db.addColumnIfMissing('patients', 'mrn TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_patients_mrn ON patients(mrn)');
+}
+
+async function down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_patients_mrn');
+    await db.dropColumnIfExists('patients', 'mrn');
+}
+
+module.exports = { up, down };
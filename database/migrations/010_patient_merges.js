@@ -0,0 +1,31 @@
+/**
+ * Patient record merges - a merged duplicate stays as a tombstone row pointing at
+ * the patient it was merged into, and patient_merges records what moved.
+ */
+
+async function up(db) {
+    await db.addColumnIfMissing('patients', 'merged_into_id INTEGER');
+    await db.addColumnIfMissing('patients', 'merged_at TEXT');
+    await db.run(`CREATE TABLE IF NOT EXISTS patient_merges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_patient_id INTEGER NOT NULL,
+        target_patient_id INTEGER NOT NULL,
+        chart_merge_id INTEGER,
+        merged_by TEXT,
+        merged_at TEXT NOT NULL,
+        moved_json TEXT NOT NULL,
+        FOREIGN KEY (source_patient_id) REFERENCES patients(id),
+        FOREIGN KEY (target_patient_id) REFERENCES patients(id),
+        FOREIGN KEY (chart_merge_id) REFERENCES chart_merges(id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_patient_merges_source ON patient_merges(source_patient_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_patient_merges_target ON patient_merges(target_patient_id)');
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS patient_merges');
+    await db.dropColumnIfExists('patients', 'merged_at');
+    await db.dropColumnIfExists('patients', 'merged_into_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+/**
+ * Indexes for server-side patient search, sorting and pagination.
+ */
+
+const INDEXES = {
+    idx_patients_name: 'patients(LOWER(name), id)',
+    idx_patients_created_at: 'patients(created_at, id)',
+    idx_patients_date_of_birth: 'patients(date_of_birth)',
+    idx_patients_intake_batch_id: 'patients(intake_batch_id)',
+    idx_patient_documents_patient_status: 'patient_documents(patient_id, status)'
+};
+
+async function up(db) {
+    for (const [name, on] of Object.entries(INDEXES)) {
+        await db.run(`CREATE INDEX IF NOT EXISTS ${name} ON ${on}`);
+    }
+}
+
+async function down(db) {
+    for (const name of Object.keys(INDEXES)) {
+        await db.run(`DROP INDEX IF EXISTS ${name}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,90 @@
+/**
+ * Full-text search index (FTS5) over document text, extraction summaries, journal
+ * entries and visit notes. Rows are keyed by (kind, source_id) - for 'document' and
+ * 'extraction' the source is the document. Triggers keep the database-held content in
+ * sync; document text lives in files and is indexed by searchService when a document
+ * is processed. Existing content is backfilled.
+ */
+
+const fs = require('fs');
+
+const VISIT_BODY = (row) => `COALESCE(${row}.chief_complaint, '') || char(10) || COALESCE(${row}.assessment, '') || char(10) ||
+            COALESCE(${row}.diagnosis, '') || char(10) || COALESCE(${row}.plan, '')`;
+const DOCUMENT_TITLE = (row) => `(SELECT original_filename FROM patient_documents WHERE id = ${row}.document_id)`;
+
+const TRIGGERS = {
+    search_journal_insert: `AFTER INSERT ON journal_entries BEGIN
+        INSERT INTO search_index (kind, source_id, title, body) VALUES ('journal', NEW.id, NEW.title, NEW.content);
+    END`,
+    search_journal_update: `AFTER UPDATE OF title, content ON journal_entries BEGIN
+        DELETE FROM search_index WHERE kind = 'journal' AND source_id = OLD.id;
+        INSERT INTO search_index (kind, source_id, title, body) VALUES ('journal', NEW.id, NEW.title, NEW.content);
+    END`,
+    search_journal_delete: `AFTER DELETE ON journal_entries BEGIN
+        DELETE FROM search_index WHERE kind = 'journal' AND source_id = OLD.id;
+    END`,
+    search_visit_insert: `AFTER INSERT ON visits BEGIN
+        INSERT INTO search_index (kind, source_id, title, body) VALUES ('visit', NEW.id, 'Visit ' || NEW.visit_date, ${VISIT_BODY('NEW')});
+    END`,
+    search_visit_update: `AFTER UPDATE OF visit_date, chief_complaint, assessment, diagnosis, plan ON visits BEGIN
+        DELETE FROM search_index WHERE kind = 'visit' AND source_id = OLD.id;
+        INSERT INTO search_index (kind, source_id, title, body) VALUES ('visit', NEW.id, 'Visit ' || NEW.visit_date, ${VISIT_BODY('NEW')});
+    END`,
+    search_visit_delete: `AFTER DELETE ON visits BEGIN
+        DELETE FROM search_index WHERE kind = 'visit' AND source_id = OLD.id;
+    END`,
+    search_extraction_insert: `AFTER INSERT ON document_extractions WHEN NEW.summary IS NOT NULL BEGIN
+        DELETE FROM search_index WHERE kind = 'extraction' AND source_id = NEW.document_id;
+        INSERT INTO search_index (kind, source_id, title, body) VALUES ('extraction', NEW.document_id, ${DOCUMENT_TITLE('NEW')}, NEW.summary);
+    END`,
+    search_extraction_update: `AFTER UPDATE OF summary ON document_extractions BEGIN
+        DELETE FROM search_index WHERE kind = 'extraction' AND source_id = OLD.document_id;
+        INSERT INTO search_index (kind, source_id, title, body)
+            SELECT 'extraction', NEW.document_id, ${DOCUMENT_TITLE('NEW')}, NEW.summary WHERE NEW.summary IS NOT NULL;
+    END`,
+    search_extraction_delete: `AFTER DELETE ON document_extractions BEGIN
+        DELETE FROM search_index WHERE kind = 'extraction' AND source_id = OLD.document_id;
+    END`,
+    search_document_delete: `AFTER DELETE ON patient_documents BEGIN
+        DELETE FROM search_index WHERE kind IN ('document', 'extraction') AND source_id = OLD.id;
+    END`
+};
+
+async function up(db) {
+    await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        kind UNINDEXED,
+        source_id UNINDEXED,
+        title,
+        body,
+        tokenize = 'porter unicode61'
+    )`);
+    for (const [name, body] of Object.entries(TRIGGERS)) {
+        await db.run(`CREATE TRIGGER IF NOT EXISTS ${name} ${body}`);
+    }
+
+    // Backfill
+    await db.run('DELETE FROM search_index');
+    await db.run(`INSERT INTO search_index (kind, source_id, title, body)
+                  SELECT 'journal', id, title, content FROM journal_entries`);
+    await db.run(`INSERT INTO search_index (kind, source_id, title, body)
+                  SELECT 'visit', id, 'Visit ' || visit_date, ${VISIT_BODY('visits')} FROM visits`);
+    await db.run(`INSERT INTO search_index (kind, source_id, title, body)
+                  SELECT 'extraction', e.document_id, d.original_filename, e.summary
+                  FROM document_extractions e JOIN patient_documents d ON d.id = e.document_id
+                  WHERE e.summary IS NOT NULL AND e.id = (SELECT MAX(id) FROM document_extractions WHERE document_id = e.document_id)`);
+    const documents = await db.all('SELECT id, original_filename, text_path FROM patient_documents WHERE text_path IS NOT NULL');
+    for (const document of documents) {
+        if (!fs.existsSync(document.text_path)) continue;
+        await db.run(`INSERT INTO search_index (kind, source_id, title, body) VALUES ('document', ?, ?, ?)`,
+            [document.id, document.original_filename, fs.readFileSync(document.text_path, 'utf-8')]);
+    }
+}
+
+async function down(db) {
+    for (const name of Object.keys(TRIGGERS)) {
+        await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+    }
+    await db.run('DROP TABLE IF EXISTS search_index');
+}
+
+module.exports = { up, down };
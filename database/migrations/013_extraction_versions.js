@@ -0,0 +1,34 @@
+/**
+ * Extraction history - every processing run is kept as a numbered version of the
+ * document's extraction (with the pipeline and schema that produced it), and
+ * patient_documents.current_extraction_id points at the one in use.
+ */
+
+async function up(db) {
+    await db.addColumnIfMissing('document_extractions', 'version INTEGER');
+    await db.addColumnIfMissing('document_extractions', 'pipeline TEXT');
+    await db.addColumnIfMissing('document_extractions', 'schema_version TEXT');
+    await db.addColumnIfMissing('patient_documents', 'current_extraction_id INTEGER');
+
+    await db.run(`UPDATE document_extractions SET version = (
+                      SELECT COUNT(*) FROM document_extractions e
+                      WHERE e.document_id = document_extractions.document_id AND e.id <= document_extractions.id
+                  ) WHERE version IS NULL`);
+    await db.run(`UPDATE document_extractions SET schema_version = json_extract(extracted_json, '$.schemaVersion')
+                  WHERE schema_version IS NULL AND json_valid(extracted_json)`);
+    await db.run(`UPDATE patient_documents SET current_extraction_id = (
+                      SELECT MAX(id) FROM document_extractions WHERE document_id = patient_documents.id
+                  ) WHERE current_extraction_id IS NULL`);
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_document_extractions_document_version
+                  ON document_extractions(document_id, version)`);
+}
+
+async function down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_document_extractions_document_version');
+    await db.dropColumnIfExists('patient_documents', 'current_extraction_id');
+    await db.dropColumnIfExists('document_extractions', 'schema_version');
+    await db.dropColumnIfExists('document_extractions', 'pipeline');
+    await db.dropColumnIfExists('document_extractions', 'version');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+/**
+ * Reviewer corrections to individual extracted items (accept / reject / edit), keyed
+ * by document, section and normalized item text so they are re-applied when the
+ * document is processed again. One correction per item - a later decision replaces it.
+ */
+
+async function up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS extraction_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        extraction_id INTEGER,
+        section TEXT NOT NULL,
+        item_key TEXT NOT NULL,
+        extracted_value TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('accept', 'reject', 'edit')),
+        corrected_value TEXT,
+        reason TEXT,
+        reviewer TEXT NOT NULL,
+        reviewer_user_id INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (document_id) REFERENCES patient_documents(id),
+        FOREIGN KEY (extraction_id) REFERENCES document_extractions(id),
+        UNIQUE (document_id, section, item_key)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_extraction_corrections_updated ON extraction_corrections(updated_at)');
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS extraction_corrections');
+}
+
+module.exports = { up, down };
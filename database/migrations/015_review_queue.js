@@ -0,0 +1,30 @@
+/**
+ * Review queue - when a document entered its current status (how long it has been
+ * waiting for review) and which reviewer has claimed it.
+ */
+
+async function up(db) {
+    await db.addColumnIfMissing('patient_documents', 'status_changed_at TEXT');
+    await db.addColumnIfMissing('patient_documents', 'assigned_to TEXT');
+    await db.addColumnIfMissing('patient_documents', 'assigned_user_id INTEGER');
+    await db.addColumnIfMissing('patient_documents', 'assigned_at TEXT');
+
+    // Best guess for existing documents: when their current extraction was saved
+    await db.run(`UPDATE patient_documents SET status_changed_at = COALESCE(
+                      (SELECT created_at FROM document_extractions WHERE id = patient_documents.current_extraction_id),
+                      created_at)
+                  WHERE status_changed_at IS NULL`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_patient_documents_status_changed ON patient_documents(status, status_changed_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_patient_documents_assigned_to ON patient_documents(assigned_to)');
+}
+
+async function down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_patient_documents_assigned_to');
+    await db.run('DROP INDEX IF EXISTS idx_patient_documents_status_changed');
+    await db.dropColumnIfExists('patient_documents', 'assigned_at');
+    await db.dropColumnIfExists('patient_documents', 'assigned_user_id');
+    await db.dropColumnIfExists('patient_documents', 'assigned_to');
+    await db.dropColumnIfExists('patient_documents', 'status_changed_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * How reviewers resolved chart conflicts found when merging a document. Critical
+ * conflicts also need a second, different reviewer to confirm (confirmed_by).
+ * Keyed by a fingerprint of the conflict, so a resolution still applies when the
+ * document is processed again and produces the same conflict.
+ */
+
+async function up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS conflict_resolutions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER NOT NULL,
+        conflict_key TEXT NOT NULL,
+        conflict_type TEXT NOT NULL,
+        field TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        conflict_json TEXT NOT NULL,
+        resolution TEXT NOT NULL CHECK (resolution IN ('keep_existing', 'accept_incoming', 'keep_both', 'discard')),
+        rationale TEXT NOT NULL,
+        resolved_by TEXT NOT NULL,
+        resolved_by_user_id INTEGER,
+        resolved_at TEXT NOT NULL,
+        confirmed_by TEXT,
+        confirmed_by_user_id INTEGER,
+        confirmed_at TEXT,
+        confirmation_note TEXT,
+        FOREIGN KEY (document_id) REFERENCES patient_documents(id),
+        UNIQUE (document_id, conflict_key)
+    )`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS conflict_resolutions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Local medication aliases - brand names, misspellings and OCR variants seen in this
+ * clinic's paper, mapped to a generic name (and optionally a drug class). They add to,
+ * and override, the bundled dictionary in medicationAliasService.
+ */
+
+async function up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS medication_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alias TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        generic_name TEXT NOT NULL,
+        drug_class TEXT,
+        note TEXT,
+        created_by TEXT NOT NULL,
+        created_by_user_id INTEGER,
+        created_at TEXT NOT NULL
+    )`);
+}
+
+async function down(db) {
+    await db.run('DROP TABLE IF EXISTS medication_aliases');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+/**
+ * The chart conflicts found when a document was merged, kept with the merge - once a
+ * document is in the chart, recomputing them against the chart it changed hides them.
+ */
+
+async function up(db) {
+    await db.addColumnIfMissing('chart_merges', 'conflicts_json TEXT');
+}
+
+async function down(db) {
+    await db.dropColumnIfExists('chart_merges', 'conflicts_json');
+}
+
+module.exports = { up, down };
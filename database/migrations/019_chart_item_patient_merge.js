@@ -0,0 +1,23 @@
+/**
+ * Chart items a patient merge moved onto the surviving chart record that merge in
+ * patient_merge_id, and keep chart_merge_id pointing at the document merge that first
+ * charted them - so reverting or reassigning that document still finds them.
+ */
+
+const TABLES = ['chart_procedures', 'chart_problems', 'chart_medications', 'chart_allergies'];
+
+async function up(db) {
+    for (const table of TABLES) {
+        await db.addColumnIfMissing(table, 'patient_merge_id INTEGER REFERENCES patient_merges(id)');
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_patient_merge_id ON ${table}(patient_merge_id)`);
+    }
+}
+
+async function down(db) {
+    for (const table of TABLES) {
+        await db.run(`DROP INDEX IF EXISTS idx_${table}_patient_merge_id`);
+        await db.dropColumnIfExists(table, 'patient_merge_id');
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,133 @@
+/**
+ * Migration runner
+ *
+ * Migrations live in database/migrations as NNN_description.js and export
+ * async up(db) / down(db), where db is src/config/dbHelpers. Each step runs in
+ * its own transaction and is recorded in schema_migrations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dbHelpers = require('../src/config/dbHelpers');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Read migration modules from disk, ordered by version
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort()
+        .map(file => {
+            const [, version, name] = file.match(MIGRATION_FILE);
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version, name, file, up: migration.up, down: migration.down };
+        });
+};
+
+const ensureMigrationsTable = () => {
+    return dbHelpers.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+};
+
+const getAppliedMigrations = async () => {
+    await ensureMigrationsTable();
+    return dbHelpers.all('SELECT * FROM schema_migrations ORDER BY version');
+};
+
+// Every known migration with its applied_at (null when pending)
+const getStatus = async () => {
+    const applied = await getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const migrations = loadMigrations();
+
+    const status = migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied_at: appliedByVersion.get(m.version)?.applied_at || null
+    }));
+
+    // Applied in the database but the file is gone - usually a branch mix-up
+    const known = new Set(migrations.map(m => m.version));
+    const missing = applied
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, applied_at: row.applied_at, missing: true }));
+
+    return [...status, ...missing].sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const getPendingMigrations = async () => {
+    const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+    return loadMigrations().filter(m => !applied.has(m.version));
+};
+
+// Run one migration step inside a transaction
+const runStep = async (migration, direction) => {
+    await dbHelpers.exec('BEGIN IMMEDIATE');
+    try {
+        await migration[direction](dbHelpers);
+        if (direction === 'up') {
+            await dbHelpers.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+        } else {
+            await dbHelpers.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+        await dbHelpers.exec('COMMIT');
+    } catch (err) {
+        await dbHelpers.exec('ROLLBACK').catch(() => {});
+        err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+        throw err;
+    }
+};
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} options - { to } stop after this version (inclusive)
+ * @returns {Array} migrations applied
+ */
+const migrateUp = async ({ to } = {}) => {
+    const pending = await getPendingMigrations();
+    const applied = [];
+    for (const migration of pending) {
+        if (to && migration.version > to) break;
+        await runStep(migration, 'up');
+        applied.push(migration);
+    }
+    return applied;
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} options - { steps } how many to revert (default 1)
+ * @returns {Array} migrations reverted
+ */
+const migrateDown = async ({ steps = 1 } = {}) => {
+    const applied = await getAppliedMigrations();
+    const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+    const reverted = [];
+
+    for (const row of applied.reverse().slice(0, steps)) {
+        const migration = byVersion.get(row.version);
+        if (!migration) {
+            throw new Error(`Cannot revert ${row.version}_${row.name}: migration file not found`);
+        }
+        await runStep(migration, 'down');
+        reverted.push(migration);
+    }
+    return reverted;
+};
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    getPendingMigrations,
+    migrateUp,
+    migrateDown,
+    MIGRATIONS_DIR
+};
@@ -3,13 +3,17 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const path = require('path');
 const routes = require('./routes/index');
+const authRoutes = require('./routes/authRoutes');
+const { authenticate } = require('./middleware/auth');
+const { bindRequestContext } = require('./middleware/requestContext');
+const migrator = require('../database/migrator');
+const jobQueue = require('./services/jobQueueService');
+const authService = require('./services/authService');
+const { processDocumentJob } = require('./services/documentProcessingService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Access code for the clinic
-const VALID_ACCESS_CODE = '200882';
-
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -18,28 +22,11 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Access code verification endpoint
-app.post('/api/verify-access', (req, res) => {
-    const { code } = req.body;
-    if (code === VALID_ACCESS_CODE) {
-        res.json({ success: true });
-    } else {
-        res.status(401).json({ success: false, message: 'Invalid access code' });
-    }
-});
-
-// Access code middleware for protected routes
-const checkAccessCode = (req, res, next) => {
-    const accessCode = req.headers['x-access-code'];
-    if (accessCode === VALID_ACCESS_CODE) {
-        next();
-    } else {
-        res.status(401).json({ message: 'Access denied. Invalid access code.' });
-    }
-};
+// Sign-in / sign-out (login is the only unauthenticated API route)
+app.use('/api/auth', authRoutes);
 
-// API Routes (protected)
-app.use('/api', checkAccessCode, routes);
+// API Routes (protected - requires a valid session; the request context attributes audit entries)
+app.use('/api', authenticate, bindRequestContext, routes);
 
 // Serve frontend
 app.get('/', (req, res) => {
@@ -52,8 +39,27 @@ app.use((err, req, res, next) => {
     res.status(500).json({ message: 'Something went wrong!', error: err.message });
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`API available at http://localhost:${PORT}/api`);
-});
+// Start the job worker and server (only once the schema is current)
+migrator.getPendingMigrations()
+    .then((pending) => {
+        if (pending.length > 0) {
+            console.error(`Refusing to start: ${pending.length} pending migration(s):`);
+            pending.forEach(m => console.error(`  ${m.version}_${m.name}`));
+            console.error('Run `npm run migrate` and start again.');
+            process.exit(1);
+        }
+
+        authService.startSessionPurge();
+        jobQueue.registerHandler(jobQueue.JOB_TYPES.PROCESS_DOCUMENT, processDocumentJob);
+        return jobQueue.start();
+    })
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+            console.log(`API available at http://localhost:${PORT}/api`);
+        });
+    })
+    .catch((err) => {
+        console.error('Could not start: ' + err.message);
+        process.exit(1);
+    });
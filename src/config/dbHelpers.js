@@ -0,0 +1,104 @@
+/**
+ * Promise wrappers around the shared sqlite3 connection (see database.js for how
+ * transactions get a connection of their own)
+ */
+
+const db = require('./database');
+
+// Run a write statement - resolves { lastID, changes }
+const run = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+};
+
+// Fetch a single row (or undefined)
+const get = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// Fetch all rows
+const all = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows || []);
+        });
+    });
+};
+
+// Execute one or more statements without parameters
+const exec = (sql) => {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+            if (err) return reject(err);
+            resolve();
+        });
+    });
+};
+
+// Transactions share one dedicated connection, so they are queued and run one at a time
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run work() inside BEGIN IMMEDIATE ... COMMIT on the transaction connection, rolling
+ * back if it throws. Statements work() issues join the transaction; statements from
+ * anywhere else stay on the shared connection and wait for the commit.
+ * Not re-entrant: work() must not call withTransaction itself.
+ */
+const withTransaction = (work) => {
+    const result = transactionQueue.then(() => db.runInTransactionScope(async () => {
+        await exec('BEGIN IMMEDIATE');
+        try {
+            const value = await work();
+            await exec('COMMIT');
+            return value;
+        } catch (err) {
+            await exec('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    }));
+    transactionQueue = result.catch(() => {});
+    return result;
+};
+
+// Check whether a table has a column
+const hasColumn = async (table, column) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+};
+
+// ALTER TABLE ... ADD COLUMN, skipped when the column already exists
+const addColumnIfMissing = async (table, columnDef) => {
+    const column = columnDef.trim().split(/\s+/)[0];
+    if (await hasColumn(table, column)) return false;
+    await run(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`);
+    return true;
+};
+
+// ALTER TABLE ... DROP COLUMN, skipped when the column is already gone
+const dropColumnIfExists = async (table, column) => {
+    if (!(await hasColumn(table, column))) return false;
+    await run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+};
+
+module.exports = {
+    db,
+    run,
+    get,
+    all,
+    exec,
+    withTransaction,
+    hasColumn,
+    addColumnIfMissing,
+    dropColumnIfExists
+};
@@ -0,0 +1,39 @@
+/**
+ * Staff roles and the role groups used by route authorization
+ */
+
+const ROLES = {
+    INTAKE_CLERK: 'intake_clerk',
+    EXTRACTION_REVIEWER: 'extraction_reviewer',
+    CLINICIAN: 'clinician',
+    FUNDING_ANALYST: 'funding_analyst',
+    COMPLIANCE_OFFICER: 'compliance_officer',
+    ADMIN: 'admin'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Everyone who works with identifiable patient charts
+// (funding analysts only see de-identified reports, compliance only sees the audit trail)
+const CHART_READERS = [ROLES.INTAKE_CLERK, ROLES.EXTRACTION_REVIEWER, ROLES.CLINICIAN, ROLES.ADMIN];
+
+// Can register patients, edit demographics and upload paper
+const INTAKE_STAFF = [ROLES.INTAKE_CLERK, ROLES.CLINICIAN, ROLES.ADMIN];
+
+// Can write clinical content (visits, report corrections)
+const CLINICAL_STAFF = [ROLES.CLINICIAN, ROLES.ADMIN];
+
+// Can run extraction and review its output
+const EXTRACTION_STAFF = [ROLES.INTAKE_CLERK, ROLES.EXTRACTION_REVIEWER, ROLES.ADMIN];
+
+const isValidRole = (role) => ALL_ROLES.includes(role);
+
+module.exports = {
+    ROLES,
+    ALL_ROLES,
+    CHART_READERS,
+    INTAKE_STAFF,
+    CLINICAL_STAFF,
+    EXTRACTION_STAFF,
+    isValidRole
+};
@@ -0,0 +1,40 @@
+const auditService = require('../services/auditService');
+
+// GET /api/audit?patient_id=&actor=&action=&from=&to=&format=json|csv
+const getAuditLog = async (req, res) => {
+    try {
+        const { patient_id, actor, action, from, to, limit, format = 'json' } = req.query;
+
+        if (from && isNaN(Date.parse(from))) {
+            return res.status(400).json({ message: 'from must be an ISO date or timestamp' });
+        }
+        if (to && isNaN(Date.parse(to))) {
+            return res.status(400).json({ message: 'to must be an ISO date or timestamp' });
+        }
+
+        const entries = await auditService.queryAuditLog({ patient_id, actor, action, from, to, limit });
+
+        // Exporting the audit trail is itself an audited action
+        await auditService.record({
+            action: 'audit.export',
+            resource_type: 'audit_log',
+            patient_id: patient_id || null,
+            detail: `${entries.length} entries (${format})`
+        });
+
+        if (format === 'csv') {
+            const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(auditService.toCSV(entries));
+        }
+
+        res.status(200).json(entries);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving audit log', error: error.message });
+    }
+};
+
+module.exports = {
+    getAuditLog
+};
@@ -0,0 +1,47 @@
+const authService = require('../services/authService');
+const audit = require('../services/auditService');
+
+const login = async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (!username || !password) {
+            return res.status(400).json({ message: 'username and password are required' });
+        }
+
+        const session = await authService.login(username, password, {
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+        if (!session) {
+            await audit.record({
+                action: 'auth.login', actor: username.trim().toLowerCase(), ip: req.ip,
+                outcome: audit.OUTCOMES.FAILURE, detail: 'Invalid credentials'
+            });
+            return res.status(401).json({ message: 'Invalid username or password' });
+        }
+        await audit.record({ action: 'auth.login', user: session.user, ip: req.ip });
+        res.status(200).json(session);
+    } catch (error) {
+        res.status(500).json({ message: 'Error signing in', error: error.message });
+    }
+};
+
+const logout = async (req, res) => {
+    try {
+        await authService.logout(req.sessionToken);
+        await audit.record({ action: 'auth.logout', user: req.user, ip: req.ip });
+        res.status(204).send();
+    } catch (error) {
+        res.status(500).json({ message: 'Error signing out', error: error.message });
+    }
+};
+
+const getCurrentUser = (req, res) => {
+    res.status(200).json(req.user);
+};
+
+module.exports = {
+    login,
+    logout,
+    getCurrentUser
+};
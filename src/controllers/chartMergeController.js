@@ -0,0 +1,60 @@
+const chartMergeService = require('../services/chartMergeService');
+const documentService = require('../services/documentService');
+
+// List merge history (filter by patient_id and/or document_id)
+const getMergeHistory = async (req, res) => {
+    try {
+        const { patient_id, document_id } = req.query;
+        if (!patient_id && !document_id) {
+            return res.status(400).json({ message: 'patient_id or document_id is required' });
+        }
+        const merges = await chartMergeService.getMergeHistory({ patient_id, document_id });
+        res.status(200).json(merges);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving merge history', error: error.message });
+    }
+};
+
+// Get a single merge with its before/after diff
+const getMerge = async (req, res) => {
+    try {
+        const merge = await chartMergeService.getMergeById(req.params.id);
+        if (!merge) {
+            return res.status(404).json({ message: 'Chart merge not found' });
+        }
+        res.status(200).json(merge);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving chart merge', error: error.message });
+    }
+};
+
+// Undo the items one merge contributed to the chart
+const revertMerge = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const merge = await chartMergeService.getMergeById(id);
+        if (!merge) {
+            return res.status(404).json({ message: 'Chart merge not found' });
+        }
+        if (merge.reverted_at) {
+            return res.status(409).json({ message: `Chart merge already reverted at ${merge.reverted_at}` });
+        }
+
+        const result = await chartMergeService.revertMerge(id);
+
+        // Once none of its merges are in effect, the document goes back for review
+        if (result.document_id && await chartMergeService.countActiveMerges(result.document_id) === 0) {
+            await documentService.updateDocumentStatus(result.document_id, 'needs_review');
+        }
+
+        res.status(200).json({ message: 'Chart merge reverted', ...result });
+    } catch (error) {
+        res.status(500).json({ message: 'Error reverting chart merge', error: error.message });
+    }
+};
+
+module.exports = {
+    getMergeHistory,
+    getMerge,
+    revertMerge
+};
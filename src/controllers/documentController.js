@@ -2,7 +2,14 @@ const documentService = require('../services/documentService');
 const processingPipeline = require('../services/processingPipeline');
 const safeExtraction = require('../services/safeExtractionPipeline');
 const patientService = require('../services/patientService');
-const ReportGeneratorService = require('../services/reportGeneratorService');
+const documentReassignment = require('../services/documentReassignmentService');
+const jobQueue = require('../services/jobQueueService');
+const extractionProviders = require('../services/extractionProviders');
+const evidence = require('../services/evidenceService');
+const extractionVersions = require('../services/extractionVersionService');
+const extractionCorrections = require('../services/extractionCorrectionService');
+const conflictResolutions = require('../services/conflictResolutionService');
+const chartMerges = require('../services/chartMergeService');
 const path = require('path');
 const fs = require('fs');
 
@@ -64,7 +71,8 @@ const getDocument = async (req, res) => {
     }
 };
 
-// Process a document using SAFE two-pass pipeline
+// Queue a document for the SAFE two-pass pipeline - it runs as a background job;
+// follow progress with GET /api/jobs/events?document_id=
 const processDocument = async (req, res) => {
     const { documentId } = req.params;
     
@@ -74,157 +82,23 @@ const processDocument = async (req, res) => {
             return res.status(404).json({ message: 'Document not found' });
         }
 
-        // Update status to processing
-        await documentService.updateDocumentStatus(documentId, 'processing');
-
-        // Run the SAFE processing pipeline (two-pass with invariants)
-        console.log('[ProcessDocument] Starting safe extraction pipeline...');
-        const result = await safeExtraction.processDocumentSafe(document);
-        
-        // Prepare extraction data for storage
-        const extractionData = {
-            schemaVersion: result.schemaVersion,
-            pass1: result.pass1,
-            pass2: result.pass2,
-            model: result.model,
-            confidence: result.confidence,
-            validation: result.validation,
-            reviewReasons: result.reviewReasons
-        };
-        
-        // Prepare validation data
-        const validationData = {
-            invariants: result.validation,
-            confidence: result.confidence,
-            reviewReasons: result.reviewReasons,
-            canMerge: result.canMerge,
-            needsReview: result.needsReview
-        };
-        
-        // Save extraction with validation data
-        await documentService.saveExtractionWithValidation(
-            documentId,
-            result.model || 'unknown',
-            JSON.stringify(extractionData),
-            result.pass2?.summary || null,
-            result.confidence.score,
-            JSON.stringify(validationData)
-        );
-
-        // Update document status
-        const docType = result.pass2?.doc?.doc_type || null;
-        const docDate = result.pass2?.doc?.doc_date || result.pass2?.surgery?.date || null;
-        await documentService.updateDocumentStatus(
-            documentId, 
-            result.status, 
-            result.error || null, 
-            result.textPath, 
-            docType, 
-            docDate
-        );
-
-        // CRITICAL: Only merge if canMerge is true AND not needs_review
-        let mergeResult = null;
-        if (result.canMerge && !result.needsReview && result.pass2) {
-            console.log('[ProcessDocument] Merging into patient chart...');
-            const chartData = safeExtraction.convertToChartFormat(result.pass2, documentId);
-            mergeResult = await patientService.mergeExtractionIntoChart(
-                document.patient_id, 
-                chartData,
-                { doc_type: docType, doc_date: docDate, source_document_id: documentId }
-            );
-            console.log('[ProcessDocument] Chart merge result:', mergeResult);
-            
-            // Update status to 'merged' after successful merge
-            await documentService.updateDocumentStatus(documentId, 'merged');
-        } else if (result.needsReview) {
-            console.log('[ProcessDocument] Document needs review, NOT merging into chart');
-            console.log('[ProcessDocument] Review reasons:', result.reviewReasons);
-        }
-
-        // AUTO-GENERATE PATIENT REPORTS (if extraction successful)
-        let generatedReports = [];
-        if (result.pass2 && result.confidence.score >= 0.6) {
-            try {
-                console.log('[ProcessDocument] Auto-generating patient reports...');
-                const reports = ReportGeneratorService.generateReports(
-                    result.pass2,
-                    documentId,
-                    document.patient_id
-                );
-                
-                // Also generate the comprehensive document_render report
-                // Build document object with required fields for the report generator
-                const docForReport = {
-                    id: documentId,
-                    patient_id: document.patient_id,
-                    original_filename: document.original_filename,
-                    stored_path: document.stored_path,
-                    text_path: result.textPath,
-                    status: result.status,
-                    created_at: document.created_at
-                };
-                const docRenderReport = ReportGeneratorService.generateDocumentRenderReport(
-                    docForReport,
-                    result.pass2,
-                    result.validation
-                );
-                if (docRenderReport) {
-                    reports.push(docRenderReport);
-                }
-                
-                if (reports.length > 0) {
-                    // Save reports to database
-                    const db = require('../config/database');
-                    const stmt = db.prepare(`
-                        INSERT INTO patient_reports 
-                        (patient_id, document_id, report_type, title, subtitle, report_json, confidence, status)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                    `);
-                    
-                    for (const report of reports) {
-                        stmt.run(
-                            report.patient_id,
-                            report.document_id,
-                            report.report_type,
-                            report.title,
-                            report.subtitle,
-                            report.report_json,
-                            report.confidence,
-                            report.status
-                        );
-                    }
-                    stmt.finalize();
-                    generatedReports = reports;
-                    console.log(`[ProcessDocument] Generated ${reports.length} patient reports (incl. document_render)`);
-                }
-            } catch (err) {
-                console.error('[ProcessDocument] Error generating reports:', err.message);
-                // Don't fail the whole request if report generation fails
-            }
+        const eventsUrl = `/api/jobs/events?document_id=${document.id}`;
+        const active = await jobQueue.getActiveJob(jobQueue.JOB_TYPES.PROCESS_DOCUMENT, document.id);
+        if (active) {
+            return res.status(202).json({ message: 'Document is already queued for processing', job: active, events_url: eventsUrl });
         }
 
-        // Return detailed response
-        res.status(200).json({
-            message: result.needsReview 
-                ? 'Document processed but needs review before chart update' 
-                : 'Document processed successfully',
-            status: result.status,
-            extraction: result.pass2,
-            confidence: result.confidence,
-            canMerge: result.canMerge,
-            needsReview: result.needsReview,
-            reviewReasons: result.reviewReasons,
-            validation: result.validation,
-            merged: mergeResult ? true : false,
-            reportsGenerated: generatedReports.length,
-            model: result.model
+        // Status first - the worker may pick the job up straight away
+        await documentService.updateDocumentStatus(documentId, 'queued');
+        const job = await jobQueue.enqueue(jobQueue.JOB_TYPES.PROCESS_DOCUMENT, {
+            document_id: document.id,
+            patient_id: document.patient_id
         });
 
+        res.status(202).json({ message: 'Document queued for processing', job, events_url: eventsUrl });
     } catch (error) {
         console.error('[ProcessDocument] Error:', error);
-        await documentService.updateDocumentStatus(documentId, 'error', error.message);
-        res.status(500).json({ message: 'Error processing document', error: error.message });
+        res.status(500).json({ message: 'Error queueing document for processing', error: error.message });
     }
 };
 
@@ -255,9 +129,9 @@ const approveAndMerge = async (req, res) => {
             return res.status(400).json({ message: 'Invalid extraction data' });
         }
         
-        // Merge into patient chart
+        // Merge into patient chart, with the reviewer's item corrections applied
         const pass2 = extractionData.pass2 || extractionData;
-        const chartData = safeExtraction.convertToChartFormat(pass2, documentId);
+        const { chart: chartData, applied } = await extractionCorrections.reviewedChartData(pass2, documentId);
         const mergeResult = await patientService.mergeExtractionIntoChart(
             document.patient_id, 
             chartData,
@@ -269,16 +143,33 @@ const approveAndMerge = async (req, res) => {
             }
         );
         
+        // Sections held back by unresolved conflicts keep the document in review until they're resolved
+        const unresolved = Object.keys(mergeResult.held_back || {}).filter(category => mergeResult.held_back[category] === 'conflict');
+        if (unresolved.length > 0) {
+            await documentService.updateDocumentStatus(documentId, 'needs_review');
+            return res.status(200).json({
+                message: `Document partly merged - ${unresolved.join(', ')} held back until their chart conflicts are resolved`,
+                merged: false,
+                held_back: mergeResult.held_back,
+                corrections_applied: applied.length,
+                mergeResult
+            });
+        }
+        
         // Update status to merged
         await documentService.updateDocumentStatus(documentId, 'merged');
         
         res.status(200).json({
             message: 'Document approved and merged into chart',
             merged: true,
+            corrections_applied: applied.length,
             mergeResult
         });
         
     } catch (error) {
+        if (/need sign-off/.test(error.message)) {
+            return res.status(409).json({ message: error.message, merged: false });
+        }
         console.error('[ApproveAndMerge] Error:', error);
         res.status(500).json({ message: 'Error approving document', error: error.message });
     }
@@ -298,6 +189,188 @@ const getExtraction = async (req, res) => {
     }
 };
 
+// List every extraction run of a document, newest first
+const listExtractionVersions = async (req, res) => {
+    try {
+        const versions = await extractionVersions.listVersions(req.params.documentId);
+        if (!versions) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(versions);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving extraction versions', error: error.message });
+    }
+};
+
+// Get one extraction version
+const getExtractionVersion = async (req, res) => {
+    try {
+        const version = parseInt(req.params.version);
+        if (isNaN(version)) {
+            return res.status(400).json({ message: 'version must be a number' });
+        }
+        const extraction = await extractionVersions.getVersion(req.params.documentId, version);
+        if (!extraction) {
+            return res.status(404).json({ message: 'Extraction version not found' });
+        }
+        res.status(200).json(extraction);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving extraction version', error: error.message });
+    }
+};
+
+// Field-by-field diff of two extraction versions (?from=&to=, default: the current one against the one before)
+const diffExtractionVersions = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if ([from, to].some(v => v != null && isNaN(parseInt(v)))) {
+            return res.status(400).json({ message: 'from and to must be version numbers' });
+        }
+        const diff = await extractionVersions.diffVersions(req.params.documentId, { from, to });
+        if (!diff) {
+            return res.status(404).json({ message: 'Extraction version not found' });
+        }
+        res.status(200).json(diff);
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error comparing extraction versions', error: error.message });
+    }
+};
+
+// Extracted items of the current extraction with the reviewer correction applying to each
+const getCorrections = async (req, res) => {
+    try {
+        const corrections = await extractionCorrections.listCorrections(req.params.documentId);
+        if (!corrections) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(corrections);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving corrections', error: error.message });
+    }
+};
+
+// Accept, reject or edit extracted items before merge
+// Body: { section, item, action, value, reason } or { corrections: [...] }
+const saveCorrections = async (req, res) => {
+    try {
+        const entries = Array.isArray(req.body.corrections) ? req.body.corrections : [req.body];
+        const result = await extractionCorrections.saveCorrections(req.params.documentId, entries);
+        if (!result) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (/already merged/.test(error.message)) {
+            return res.status(409).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error saving corrections', error: error.message });
+    }
+};
+
+// Withdraw a correction
+const deleteCorrection = async (req, res) => {
+    try {
+        const { documentId, correctionId } = req.params;
+        const correction = await extractionCorrections.deleteCorrection(documentId, correctionId);
+        if (!correction) {
+            return res.status(404).json({ message: 'Correction not found' });
+        }
+        res.status(200).json({ message: 'Correction withdrawn', correction });
+    } catch (error) {
+        res.status(500).json({ message: 'Error withdrawing correction', error: error.message });
+    }
+};
+
+// GET /api/extraction-corrections?section=&action=&model=&from=&to=&format=json|csv - labelled dataset export
+const exportCorrections = async (req, res) => {
+    try {
+        const { section, action, model, from, to, format = 'json' } = req.query;
+        if (section && !extractionCorrections.SECTIONS.includes(section)) {
+            return res.status(400).json({ message: `section must be one of ${extractionCorrections.SECTIONS.join(', ')}` });
+        }
+        if (action && !extractionCorrections.ACTIONS.includes(action)) {
+            return res.status(400).json({ message: `action must be one of ${extractionCorrections.ACTIONS.join(', ')}` });
+        }
+        if ([from, to].some(date => date && isNaN(Date.parse(date)))) {
+            return res.status(400).json({ message: 'from and to must be ISO dates or timestamps' });
+        }
+
+        const rows = await extractionCorrections.exportCorrections({ section, action, model, from, to });
+        if (format === 'csv') {
+            const filename = `extraction-corrections-${new Date().toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(extractionCorrections.toCSV(rows));
+        }
+        res.status(200).json(rows);
+    } catch (error) {
+        res.status(500).json({ message: 'Error exporting corrections', error: error.message });
+    }
+};
+
+// Highlighted source text for an evidence span (?start=&end= character offsets into the stored text)
+const getDocumentSource = async (req, res) => {
+    try {
+        const { documentId } = req.params;
+        const start = parseInt(req.query.start);
+        const end = parseInt(req.query.end);
+        if (isNaN(start) || isNaN(end) || start < 0 || end < start) {
+            return res.status(400).json({ message: 'start and end character offsets are required' });
+        }
+        const document = await documentService.getDocumentById(documentId);
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        const source = evidence.getSourceContext(document.text_path, { start, end, snippet: req.query.snippet });
+        if (!source) {
+            return res.status(404).json({ message: 'Document text not available - process the document first' });
+        }
+        res.status(200).json({ document_id: document.id, original_filename: document.original_filename, ...source });
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving document source', error: error.message });
+    }
+};
+
+// Move a misfiled document (with its extraction, reports and chart contributions) to another patient
+const reassignDocument = async (req, res) => {
+    const { documentId } = req.params;
+    const { patient_id: targetPatientId, reason } = req.body || {};
+
+    try {
+        if (!targetPatientId) {
+            return res.status(400).json({ message: 'patient_id of the patient to move the document to is required' });
+        }
+        const document = await documentService.getDocumentById(documentId);
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        if (String(document.patient_id) === String(targetPatientId)) {
+            return res.status(400).json({ message: `Document already belongs to patient ${targetPatientId}` });
+        }
+
+        // A running extraction would write its results to the old patient
+        const active = await jobQueue.getActiveJob(jobQueue.JOB_TYPES.PROCESS_DOCUMENT, document.id);
+        if (active) {
+            return res.status(409).json({ message: 'Document is being processed - reassign it once the job has finished', job: active });
+        }
+
+        const result = await documentReassignment.reassignDocument(document.id, targetPatientId, { reason });
+        res.status(200).json({ message: `Document moved to patient ${result.to_patient_id}`, ...result });
+    } catch (error) {
+        if (/^Patient \d+ not found$/.test(error.message)) {
+            return res.status(404).json({ message: error.message });
+        }
+        console.error('[ReassignDocument] Error:', error);
+        res.status(500).json({ message: 'Error reassigning document', error: error.message });
+    }
+};
+
 // Delete a document
 const deleteDocument = async (req, res) => {
     try {
@@ -318,39 +391,44 @@ const deleteDocument = async (req, res) => {
     }
 };
 
-// Check LLM (OpenAI) health status
+// Check the configured extraction provider (OpenAI, local OpenAI-compatible server or stub)
 const checkLLMHealth = async (req, res) => {
-    const { isLLMAvailable } = require('../services/processingPipeline');
+    const { provider, model, configured } = extractionProviders.describeProvider();
+    const instructions = 'Set EXTRACTION_PROVIDER (openai with OPENAI_API_KEY, openai-compatible with EXTRACTION_BASE_URL, or stub) and optionally EXTRACTION_MODEL';
+    
+    if (!configured) {
+        return res.status(200).json({
+            status: 'offline',
+            provider,
+            model,
+            models: [],
+            hasRecommendedModel: false,
+            message: `Extraction provider "${provider}" is not configured`,
+            instructions
+        });
+    }
     
     try {
-        const available = await isLLMAvailable();
-        
-        if (available) {
-            res.status(200).json({
-                status: 'online',
-                provider: 'OpenAI',
-                models: ['gpt-4o-mini', 'gpt-3.5-turbo'],
-                hasRecommendedModel: true,
-                message: 'OpenAI API is available'
-            });
-        } else {
-            res.status(200).json({
-                status: 'offline',
-                provider: 'OpenAI',
-                models: [],
-                hasRecommendedModel: false,
-                message: 'OpenAI API unavailable. Check API key.',
-                instructions: 'Verify OPENAI_API_KEY environment variable'
-            });
-        }
+        // The only place the provider is contacted without a document to extract
+        const health = await extractionProviders.getProvider().healthCheck();
+        res.status(200).json({
+            status: health.ok ? 'online' : 'offline',
+            provider,
+            model,
+            models: health.models,
+            hasRecommendedModel: health.ok && health.models.includes(model),
+            message: health.ok ? `${provider} is available` : health.message,
+            ...(health.ok ? {} : { instructions })
+        });
     } catch (error) {
         res.status(200).json({
             status: 'error',
-            provider: 'OpenAI',
+            provider,
+            model,
             models: [],
             hasRecommendedModel: false,
             message: error.message,
-            instructions: 'Verify OPENAI_API_KEY environment variable'
+            instructions
         });
     }
 };
@@ -387,9 +465,9 @@ const selectiveMerge = async (req, res) => {
             allergies: merge?.allergies !== false
         };
         
-        // Convert to chart format
+        // Convert to chart format, with the reviewer's item corrections applied
         const pass2 = extractionData.pass2 || extractionData;
-        const chartData = safeExtraction.convertToChartFormat(pass2, documentId);
+        const { chart: chartData, applied } = await extractionCorrections.reviewedChartData(pass2, documentId);
         
         // Run selective merge
         const mergeResult = await patientService.selectiveMergeIntoChart(
@@ -403,6 +481,19 @@ const selectiveMerge = async (req, res) => {
             }
         );
         
+        // Nothing applied (all deselected, duplicates or blocked by conflicts) - leave the document pending
+        if (mergeResult.merge_summary.sections_applied.length === 0) {
+            return res.status(409).json({
+                message: mergeResult.merge_summary.sections_blocked.length > 0
+                    ? `Nothing merged: ${mergeResult.merge_summary.sections_blocked.join(', ')} blocked by conflicts`
+                    : 'Nothing merged: no new items in the selected sections',
+                merged: false,
+                merge_config: mergeConfig,
+                merge_summary: mergeResult.merge_summary,
+                conflicts: mergeResult.conflicts
+            });
+        }
+        
         // Update status to merged
         await documentService.updateDocumentStatus(documentId, 'merged');
         
@@ -410,15 +501,59 @@ const selectiveMerge = async (req, res) => {
             message: 'Selective merge completed',
             merged: true,
             merge_config: mergeConfig,
+            corrections_applied: applied.length,
+            merge_id: mergeResult.merge_id,
             merge_summary: mergeResult.merge_summary
         });
         
     } catch (error) {
+        if (/need sign-off/.test(error.message)) {
+            return res.status(409).json({ message: error.message, merged: false });
+        }
         console.error('[SelectiveMerge] Error:', error);
         res.status(500).json({ message: 'Error performing selective merge', error: error.message });
     }
 };
 
+// Map conflict resolution errors to status codes
+const sendResolutionError = (res, error, action) => {
+    if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({ message: error.message });
+    }
+    if (/already merged|second reviewer|not been resolved/.test(error.message)) {
+        return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: `Error ${action} conflict`, error: error.message });
+};
+
+// First sign-off: resolve a conflict (body: { resolution, rationale })
+const resolveConflict = async (req, res) => {
+    try {
+        const { documentId, conflictKey } = req.params;
+        const conflict = await conflictResolutions.resolveConflict(documentId, conflictKey, req.body || {});
+        if (!conflict) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(conflict);
+    } catch (error) {
+        sendResolutionError(res, error, 'resolving');
+    }
+};
+
+// Second sign-off: a different reviewer confirms the resolution (body: { note })
+const confirmConflictResolution = async (req, res) => {
+    try {
+        const { documentId, conflictKey } = req.params;
+        const conflict = await conflictResolutions.confirmResolution(documentId, conflictKey, req.body || {});
+        if (!conflict) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(conflict);
+    } catch (error) {
+        sendResolutionError(res, error, 'confirming');
+    }
+};
+
 // ========== v2: Get conflicts for a document ==========
 const getConflicts = async (req, res) => {
     const { documentId } = req.params;
@@ -448,17 +583,28 @@ const getConflicts = async (req, res) => {
             return res.status(404).json({ message: 'Patient not found' });
         }
         
-        // Convert extraction to chart format for comparison
+        // Convert extraction to chart format for comparison - corrected items are what would be merged
         const pass2 = extractionData.pass2 || extractionData;
-        const chartData = safeExtraction.convertToChartFormat(pass2, documentId);
+        const { chart: chartData } = await extractionCorrections.reviewedChartData(pass2, documentId);
         
-        // Run conflict detection
-        const conflictResult = safeExtraction.detectConflicts(chartData, patient);
+        // Run conflict detection, with how reviewers have resolved each conflict so far. A merged
+        // document shows what was found when it was merged - the chart it changed would hide it.
+        const recorded = document.status === 'merged' ? await chartMerges.getMergeConflicts(documentId) : null;
+        const conflictResult = recorded
+            ? {
+                hasConflicts: recorded.length > 0,
+                hasCritical: recorded.some(c => c.severity === 'critical'),
+                conflicts: recorded,
+                recorded_at_merge: true
+            }
+            : safeExtraction.detectConflicts(chartData, patient);
+        const signOff = await conflictResolutions.annotateConflicts(documentId, conflictResult.conflicts);
         
         res.status(200).json({
             document_id: parseInt(documentId),
             patient_id: document.patient_id,
-            ...conflictResult
+            ...conflictResult,
+            ...signOff
         });
         
     } catch (error) {
@@ -497,8 +643,19 @@ module.exports = {
     approveAndMerge,
     selectiveMerge,
     getConflicts,
+    resolveConflict,
+    confirmConflictResolution,
     getDocumentReports,
     getExtraction,
+    listExtractionVersions,
+    getExtractionVersion,
+    diffExtractionVersions,
+    getCorrections,
+    saveCorrections,
+    deleteCorrection,
+    exportCorrections,
+    getDocumentSource,
+    reassignDocument,
     deleteDocument,
     checkLLMHealth
 };
@@ -0,0 +1,79 @@
+const jobQueue = require('../services/jobQueueService');
+
+// Keep proxies from closing an idle event stream
+const HEARTBEAT_MS = 25000;
+
+// List jobs (filter by document_id, patient_id and/or status)
+const getJobs = async (req, res) => {
+    try {
+        const { document_id, patient_id, status, limit } = req.query;
+        const jobs = await jobQueue.listJobs({ document_id, patient_id, status, limit });
+        res.status(200).json(jobs);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving jobs', error: error.message });
+    }
+};
+
+// Get a single job (status, stage, attempts, result)
+const getJob = async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+        res.status(200).json(job);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving job', error: error.message });
+    }
+};
+
+// Server-Sent Events stream of job status/stage changes for a document or patient
+const streamJobEvents = async (req, res) => {
+    const documentId = parseInt(req.query.document_id) || null;
+    const patientId = parseInt(req.query.patient_id) || null;
+    if (!documentId && !patientId) {
+        return res.status(400).json({ message: 'document_id or patient_id is required' });
+    }
+
+    let activeJobs;
+    try {
+        activeJobs = await jobQueue.listJobs({ document_id: documentId, patient_id: patientId });
+    } catch (error) {
+        return res.status(500).json({ message: 'Error opening job event stream', error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const send = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+    const matches = (job) => (!documentId || job.document_id === documentId) &&
+        (!patientId || job.patient_id === patientId);
+
+    // Jobs already in flight first, so a client that connects late still sees them
+    activeJobs
+        .filter(job => job.status === jobQueue.JOB_STATUS.QUEUED || job.status === jobQueue.JOB_STATUS.RUNNING)
+        .reverse()
+        .forEach(send);
+
+    const listener = (job) => {
+        if (matches(job)) send(job);
+    };
+    jobQueue.events.on('job', listener);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        jobQueue.events.off('job', listener);
+    });
+};
+
+module.exports = {
+    getJobs,
+    getJob,
+    streamJobEvents
+};
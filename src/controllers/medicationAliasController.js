@@ -0,0 +1,60 @@
+const medicationAliases = require('../services/medicationAliasService');
+
+// Local aliases (and the bundled dictionary with ?builtin=true)
+const getAliases = async (req, res) => {
+    try {
+        const result = await medicationAliases.listAliases(req.query);
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving medication aliases', error: error.message });
+    }
+};
+
+// How a medication name resolves to a generic
+const lookupAlias = async (req, res) => {
+    try {
+        const result = await medicationAliases.lookup(req.query.name);
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error looking up medication alias', error: error.message });
+    }
+};
+
+// Add a local alias
+const createAlias = async (req, res) => {
+    try {
+        const alias = await medicationAliases.addAlias(req.body);
+        res.status(201).json(alias);
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (/already exists/.test(error.message)) {
+            return res.status(409).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error creating medication alias', error: error.message });
+    }
+};
+
+// Remove a local alias
+const deleteAlias = async (req, res) => {
+    try {
+        const alias = await medicationAliases.deleteAlias(req.params.aliasId);
+        if (!alias) {
+            return res.status(404).json({ message: 'Medication alias not found' });
+        }
+        res.status(200).json(alias);
+    } catch (error) {
+        res.status(500).json({ message: 'Error deleting medication alias', error: error.message });
+    }
+};
+
+module.exports = {
+    getAliases,
+    lookupAlias,
+    createAlias,
+    deleteAlias
+};
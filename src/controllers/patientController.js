@@ -1,4 +1,6 @@
 const patientService = require('../services/patientService');
+const patientMerges = require('../services/patientMergeService');
+const { SECTION_TABLES } = require('../services/chartItemService');
 
 const addPatient = async (req, res) => {
     try {
@@ -10,12 +12,15 @@ const addPatient = async (req, res) => {
     }
 };
 
+// Search / list patients - filters, sort and cursor pagination come from the query string
 const getAllPatients = async (req, res) => {
     try {
-        const { batch_id } = req.query;
-        const patients = await patientService.getAllPatients(batch_id);
-        res.status(200).json(patients);
+        const result = await patientService.searchPatients(req.query);
+        res.status(200).json(result);
     } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Error retrieving patients', error: error.message });
     }
 };
@@ -65,11 +70,110 @@ const deletePatient = async (req, res) => {
     }
 };
 
+// Get the patient's chart - one entry per procedure, problem, medication and allergy
+const getPatientChart = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const chart = await patientService.getPatientWithChart(id);
+        if (!chart) {
+            return res.status(404).json({ message: 'Patient not found' });
+        }
+        res.status(200).json({
+            patient_id: chart.id,
+            chart_summary: chart.chart_summary,
+            chart_updated_at: chart.chart_updated_at,
+            surgeries: chart.surgeries,
+            procedures: chart.procedures,
+            problems: chart.problems,
+            medications: chart.medications,
+            allergies: chart.allergies
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving chart', error: error.message });
+    }
+};
+
+// Update a chart item's status or dates (e.g. discontinue a medication, resolve a problem)
+const updateChartItem = async (req, res) => {
+    try {
+        const { id, section, itemId } = req.params;
+        if (!SECTION_TABLES[section]) {
+            return res.status(400).json({ message: `Unknown chart section: ${section}` });
+        }
+        const item = await patientService.updateChartItem(id, section, itemId, req.body || {});
+        if (!item) {
+            return res.status(404).json({ message: 'Chart item not found' });
+        }
+        res.status(200).json(item);
+    } catch (error) {
+        if (error.message.startsWith('Invalid status')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error updating chart item', error: error.message });
+    }
+};
+
+// Source document text around the evidence span a chart item was extracted from
+const getChartItemSource = async (req, res) => {
+    try {
+        const { id, section, itemId } = req.params;
+        if (!SECTION_TABLES[section]) {
+            return res.status(400).json({ message: `Unknown chart section: ${section}` });
+        }
+        const result = await patientService.getChartItemSource(id, section, itemId);
+        if (!result) {
+            return res.status(404).json({ message: 'Chart item not found' });
+        }
+        if (!result.source) {
+            return res.status(404).json({
+                message: result.item.evidence_span
+                    ? 'Source text for this item is no longer available'
+                    : 'No source evidence recorded for this item',
+                document_id: result.document_id
+            });
+        }
+        const { item, source, ...rest } = result;
+        res.status(200).json({ ...rest, item_id: item.id, ...source });
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving chart item source', error: error.message });
+    }
+};
+
+// Merge a duplicate patient record into another (?preview=true shows what would move without merging)
+const mergePatient = async (req, res) => {
+    const { id, targetId } = req.params;
+    const preview = req.query.preview === 'true' || req.body?.preview === true;
+
+    try {
+        if (preview) {
+            return res.status(200).json(await patientMerges.previewPatientMerge(id, targetId));
+        }
+        const result = await patientMerges.mergePatientInto(id, targetId);
+        res.status(200).json({ message: `Patient ${result.source.id} merged into patient ${result.target.id}`, ...result });
+    } catch (error) {
+        if (/^Patient \d+ not found$/.test(error.message)) {
+            return res.status(404).json({ message: error.message });
+        }
+        if (error.message === 'A patient cannot be merged into itself') {
+            return res.status(400).json({ message: error.message });
+        }
+        if (/already merged|being processed/.test(error.message)) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error('[MergePatient] Error:', error);
+        res.status(500).json({ message: 'Error merging patients', error: error.message });
+    }
+};
+
 module.exports = {
     addPatient,
     getAllPatients,
     getPatientById,
     checkDuplicates,
     updatePatient,
-    deletePatient
+    deletePatient,
+    getPatientChart,
+    updateChartItem,
+    getChartItemSource,
+    mergePatient
 };
@@ -0,0 +1,52 @@
+const reviewQueue = require('../services/reviewQueueService');
+
+// Documents waiting on a reviewer across all patients, with SLA and assignment
+const getReviewQueue = async (req, res) => {
+    try {
+        const result = await reviewQueue.getReviewQueue(req.query);
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error retrieving review queue', error: error.message });
+    }
+};
+
+// Claim a document for the signed-in reviewer
+const claimDocument = async (req, res) => {
+    try {
+        const result = await reviewQueue.claimDocument(req.params.documentId);
+        if (!result) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        if (/already claimed|not waiting for review/.test(error.message)) {
+            return res.status(409).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error claiming document', error: error.message });
+    }
+};
+
+// Release a claimed document back to the queue
+const releaseDocument = async (req, res) => {
+    try {
+        const result = await reviewQueue.releaseDocument(req.params.documentId);
+        if (!result) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        if (/can release/.test(error.message)) {
+            return res.status(403).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error releasing document', error: error.message });
+    }
+};
+
+module.exports = {
+    getReviewQueue,
+    claimDocument,
+    releaseDocument
+};
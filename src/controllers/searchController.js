@@ -0,0 +1,22 @@
+const searchService = require('../services/searchService');
+
+// Full-text search across document text, extraction summaries, journal entries and visits
+const search = async (req, res) => {
+    try {
+        const { q, patient_id, limit } = req.query;
+        if (!q || !String(q).trim()) {
+            return res.status(400).json({ message: 'q is required' });
+        }
+        const result = await searchService.search(q, { patient_id, limit });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.message.startsWith('Invalid search')) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Error searching', error: error.message });
+    }
+};
+
+module.exports = {
+    search
+};
@@ -0,0 +1,59 @@
+const authService = require('../services/authService');
+const { ALL_ROLES, isValidRole } = require('../config/roles');
+
+const getAllUsers = async (req, res) => {
+    try {
+        const users = await authService.getAllUsers();
+        res.status(200).json(users);
+    } catch (error) {
+        res.status(500).json({ message: 'Error retrieving users', error: error.message });
+    }
+};
+
+const createUser = async (req, res) => {
+    try {
+        const { username, password, display_name, role } = req.body;
+        if (!username || !password || !role) {
+            return res.status(400).json({ message: 'username, password and role are required' });
+        }
+        if (!isValidRole(role)) {
+            return res.status(400).json({ message: `Invalid role. Valid roles: ${ALL_ROLES.join(', ')}` });
+        }
+        const user = await authService.createUser({ username, password, display_name, role });
+        res.status(201).json(user);
+    } catch (error) {
+        if (error.message.includes('UNIQUE')) {
+            return res.status(409).json({ message: 'Username already exists' });
+        }
+        res.status(500).json({ message: 'Error creating user', error: error.message });
+    }
+};
+
+const updateUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { display_name, role, is_active, password } = req.body;
+        if (role !== undefined && !isValidRole(role)) {
+            return res.status(400).json({ message: `Invalid role. Valid roles: ${ALL_ROLES.join(', ')}` });
+        }
+        const existing = await authService.getUserById(id);
+        if (!existing) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const user = await authService.updateUser(id, { display_name, role, is_active, password });
+        res.status(200).json(user);
+    } catch (error) {
+        res.status(500).json({ message: 'Error updating user', error: error.message });
+    }
+};
+
+const getRoles = (req, res) => {
+    res.status(200).json(ALL_ROLES);
+};
+
+module.exports = {
+    getAllUsers,
+    createUser,
+    updateUser,
+    getRoles
+};
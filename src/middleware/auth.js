@@ -0,0 +1,64 @@
+const authService = require('../services/authService');
+const audit = require('../services/auditService');
+
+// Pull the session token from "Authorization: Bearer <token>".
+// EventSource can't set headers, so event-stream requests may pass ?access_token= instead.
+const getTokenFromRequest = (req) => {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+
+    const wantsEventStream = (req.headers['accept'] || '').includes('text/event-stream');
+    return wantsEventStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+};
+
+// Session middleware for protected routes - puts the signed-in user on req.user
+const authenticate = async (req, res, next) => {
+    const token = getTokenFromRequest(req);
+    if (!token) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+        const user = await authService.getSessionUser(token);
+        if (!user) {
+            return res.status(401).json({ message: 'Session expired or invalid. Please sign in again.' });
+        }
+        req.user = user;
+        req.sessionToken = token;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: 'Error verifying session', error: error.message });
+    }
+};
+
+// Role gate for a route - use after authenticate, e.g. requireRole(ROLES.ADMIN)
+const requireRole = (...allowedRoles) => {
+    const roles = allowedRoles.flat();
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+        if (!roles.includes(req.user.role)) {
+            audit.record({
+                action: 'access.denied',
+                user: req.user,
+                ip: req.ip,
+                outcome: audit.OUTCOMES.DENIED,
+                detail: `${req.method} ${req.originalUrl}`
+            });
+            return res.status(403).json({
+                message: `Forbidden: this action requires one of the following roles: ${roles.join(', ')}. Your role is ${req.user.role}.`,
+                required_roles: roles,
+                role: req.user.role
+            });
+        }
+        next();
+    };
+};
+
+module.exports = {
+    authenticate,
+    requireRole,
+    getTokenFromRequest
+};
@@ -0,0 +1,27 @@
+const patientMerges = require('../services/patientMergeService');
+
+/**
+ * Redirect requests for a merged (tombstoned) patient to the patient it was merged into.
+ * Reads get a 301 to the same path under the surviving ID; writes are refused with 409
+ * so nothing lands on the tombstone by accident. Mount on '/patients/:id'.
+ */
+const redirectMergedPatient = async (req, res, next) => {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id)) return next();
+
+    try {
+        const currentId = await patientMerges.resolvePatientId(id);
+        if (currentId == null || String(currentId) === id) return next();
+
+        const message = `Patient ${id} was merged into patient ${currentId}`;
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            const location = req.originalUrl.replace(new RegExp(`/patients/${id}(?=/|\\?|$)`), `/patients/${currentId}`);
+            return res.redirect(301, location);
+        }
+        res.status(409).json({ message, merged_into_id: currentId });
+    } catch (error) {
+        res.status(500).json({ message: 'Error resolving patient', error: error.message });
+    }
+};
+
+module.exports = { redirectMergedPatient };
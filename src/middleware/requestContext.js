@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the signed-in user and client IP through async service calls,
+// so services can attribute work (e.g. audit entries) without threading req everywhere.
+const requestContextStorage = new AsyncLocalStorage();
+
+// Use after authenticate
+const bindRequestContext = (req, res, next) => {
+    const context = {
+        user: req.user || null,
+        ip: req.ip || null
+    };
+    requestContextStorage.run(context, () => next());
+};
+
+// Run fn with an explicit context - for background work done on a user's behalf (e.g. queued jobs)
+const runWithContext = (context, fn) => requestContextStorage.run(context, fn);
+
+// Returns the current request's context, or null outside a request (CLI, background work)
+const getRequestContext = () => requestContextStorage.getStore() || null;
+
+module.exports = {
+    bindRequestContext,
+    runWithContext,
+    getRequestContext
+};
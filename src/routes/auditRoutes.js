@@ -0,0 +1,11 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+// GET /api/audit - Query / export the PHI access audit trail
+router.get('/', requireRole(ROLES.COMPLIANCE_OFFICER, ROLES.ADMIN), auditController.getAuditLog);
+
+module.exports = router;
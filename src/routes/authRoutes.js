@@ -0,0 +1,16 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchange username/password for a session token
+router.post('/login', authController.login);
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', authenticate, authController.logout);
+
+// GET /api/auth/me - Current signed-in user
+router.get('/me', authenticate, authController.getCurrentUser);
+
+module.exports = router;
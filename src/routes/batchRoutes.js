@@ -1,9 +1,11 @@
 const express = require('express');
 const batchController = require('../controllers/batchController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES, CHART_READERS } = require('../config/roles');
 
 const router = express.Router();
 
-router.get('/', batchController.getAllBatches);
-router.post('/', batchController.createBatch);
+router.get('/', requireRole(CHART_READERS), batchController.getAllBatches);
+router.post('/', requireRole(ROLES.INTAKE_CLERK, ROLES.ADMIN), batchController.createBatch);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const chartMergeController = require('../controllers/chartMergeController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES, CHART_READERS } = require('../config/roles');
+
+const router = express.Router();
+
+// Reverting a merge is a chart correction - same people who can approve one or edit clinical content
+const MERGE_REVERTERS = [ROLES.EXTRACTION_REVIEWER, ROLES.CLINICIAN, ROLES.ADMIN];
+
+// GET /api/chart-merges?patient_id=&document_id= - Merge history
+router.get('/', requireRole(CHART_READERS), chartMergeController.getMergeHistory);
+
+// GET /api/chart-merges/:id - One merge with before/after diff
+router.get('/:id', requireRole(CHART_READERS), chartMergeController.getMerge);
+
+// POST /api/chart-merges/:id/revert - Undo exactly the items this merge added
+router.post('/:id/revert', requireRole(MERGE_REVERTERS), chartMergeController.revertMerge);
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const documentController = require('../controllers/documentController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES, CHART_READERS, INTAKE_STAFF, EXTRACTION_STAFF } = require('../config/roles');
+const { auditRoute, getPatientIdForDocument } = require('../services/auditService');
 
 const router = express.Router();
 
@@ -31,20 +34,44 @@ const upload = multer({
 });
 
 // Routes for patient documents
-router.post('/patients/:id/documents', upload.single('file'), documentController.uploadDocument);
-router.get('/patients/:id/documents', documentController.getPatientDocuments);
+router.post('/patients/:id/documents', requireRole(INTAKE_STAFF), upload.single('file'), documentController.uploadDocument);
+router.get('/patients/:id/documents', requireRole(CHART_READERS), documentController.getPatientDocuments);
 
 // Routes for document processing
-router.post('/documents/:documentId/process', documentController.processDocument);
-router.post('/documents/:documentId/approve', documentController.approveAndMerge);
-router.post('/documents/:documentId/merge', documentController.selectiveMerge);
-router.get('/documents/:documentId', documentController.getDocument);
-router.get('/documents/:documentId/extraction', documentController.getExtraction);
-router.get('/documents/:documentId/conflicts', documentController.getConflicts);
-router.get('/documents/:documentId/reports', documentController.getDocumentReports);
-router.delete('/documents/:documentId', documentController.deleteDocument);
+router.post('/documents/:documentId/process', requireRole(EXTRACTION_STAFF), documentController.processDocument);
+router.post('/documents/:documentId/approve', requireRole(ROLES.EXTRACTION_REVIEWER), documentController.approveAndMerge);
+router.post('/documents/:documentId/merge', requireRole(ROLES.EXTRACTION_REVIEWER), documentController.selectiveMerge);
+// Moving a document backs its merges out of a chart - same people who can revert a merge
+router.post('/documents/:documentId/reassign', requireRole([ROLES.EXTRACTION_REVIEWER, ROLES.CLINICIAN, ROLES.ADMIN]),
+    documentController.reassignDocument);
+router.get('/documents/:documentId', requireRole(CHART_READERS), documentController.getDocument);
+router.get('/documents/:documentId/extraction', requireRole(CHART_READERS), documentController.getExtraction);
+router.get('/documents/:documentId/extractions', requireRole(CHART_READERS), documentController.listExtractionVersions);
+router.get('/documents/:documentId/extractions/diff', requireRole(CHART_READERS), documentController.diffExtractionVersions);
+router.get('/documents/:documentId/extractions/:version', requireRole(CHART_READERS), documentController.getExtractionVersion);
+router.get('/documents/:documentId/corrections', requireRole(CHART_READERS), documentController.getCorrections);
+router.post('/documents/:documentId/corrections', requireRole(ROLES.EXTRACTION_REVIEWER), documentController.saveCorrections);
+router.delete('/documents/:documentId/corrections/:correctionId', requireRole(ROLES.EXTRACTION_REVIEWER),
+    documentController.deleteCorrection);
+// Reviewer corrections as a labelled dataset for measuring extractor accuracy
+router.get('/extraction-corrections', requireRole(ROLES.ADMIN), documentController.exportCorrections);
+router.get('/documents/:documentId/source', requireRole(CHART_READERS), documentController.getDocumentSource);
+router.get('/documents/:documentId/conflicts', requireRole(CHART_READERS), documentController.getConflicts);
+// Dual sign-off: one reviewer resolves a conflict, a different one confirms it (required for critical conflicts)
+const CONFLICT_REVIEWERS = [ROLES.EXTRACTION_REVIEWER, ROLES.CLINICIAN, ROLES.ADMIN];
+router.post('/documents/:documentId/conflicts/:conflictKey/resolve', requireRole(CONFLICT_REVIEWERS),
+    documentController.resolveConflict);
+router.post('/documents/:documentId/conflicts/:conflictKey/confirm', requireRole(CONFLICT_REVIEWERS),
+    documentController.confirmConflictResolution);
+router.get('/documents/:documentId/reports', requireRole(CHART_READERS),
+    auditRoute('report.list', 'patient_report', {
+        resolvePatientId: (req) => getPatientIdForDocument(req.params.documentId),
+        resourceParam: 'documentId'
+    }),
+    documentController.getDocumentReports);
+router.delete('/documents/:documentId', requireRole(ROLES.ADMIN), documentController.deleteDocument);
 
-// Ollama health check endpoint
-router.get('/llm/health', documentController.checkLLMHealth);
+// Extraction provider health check endpoint
+router.get('/llm/health', requireRole(CHART_READERS), documentController.checkLLMHealth);
 
 module.exports = router;
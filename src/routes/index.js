@@ -4,14 +4,36 @@ const batchRoutes = require('./batchRoutes');
 const visitRoutes = require('./visitRoutes');
 const journalRoutes = require('./journalRoutes');
 const documentRoutes = require('./documentRoutes');
+const patientReportRoutes = require('./patientReportRoutes');
+const reportRoutes = require('./reportRoutes');
+const userRoutes = require('./userRoutes');
+const auditRoutes = require('./auditRoutes');
+const chartMergeRoutes = require('./chartMergeRoutes');
+const jobRoutes = require('./jobRoutes');
+const searchRoutes = require('./searchRoutes');
+const reviewQueueRoutes = require('./reviewQueueRoutes');
+const medicationAliasRoutes = require('./medicationAliasRoutes');
+const { redirectMergedPatient } = require('../middleware/mergedPatient');
 
 const router = express.Router();
 
+// Merged patients' old IDs point at the patient they were merged into
+router.use('/patients/:id', redirectMergedPatient);
+
 // Mount routes
 router.use('/patients', patientRoutes);
 router.use('/batches', batchRoutes);
+router.use('/reports', reportRoutes);
+router.use('/users', userRoutes);
+router.use('/audit', auditRoutes);
+router.use('/chart-merges', chartMergeRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/search', searchRoutes);
+router.use('/review-queue', reviewQueueRoutes);
+router.use('/medication-aliases', medicationAliasRoutes);
 router.use('/', visitRoutes);
 router.use('/', journalRoutes);
 router.use('/', documentRoutes);
+router.use('/', patientReportRoutes);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const { requireRole } = require('../middleware/auth');
+const { CHART_READERS } = require('../config/roles');
+
+const router = express.Router();
+
+// GET /api/jobs?document_id=&patient_id=&status= - Background jobs, newest first
+router.get('/', requireRole(CHART_READERS), jobController.getJobs);
+
+// GET /api/jobs/events?document_id=|patient_id= - Live job progress (Server-Sent Events)
+router.get('/events', requireRole(CHART_READERS), jobController.streamJobEvents);
+
+// GET /api/jobs/:id - One job
+router.get('/:id', requireRole(CHART_READERS), jobController.getJob);
+
+module.exports = router;
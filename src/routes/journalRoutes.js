@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const journalController = require('../controllers/journalController');
+const { requireRole } = require('../middleware/auth');
+const { CHART_READERS, CLINICAL_STAFF } = require('../config/roles');
 
 // GET /patients/:patientId/journal - Get all journal entries
-router.get('/patients/:patientId/journal', journalController.getEntries);
+router.get('/patients/:patientId/journal', requireRole(CHART_READERS), journalController.getEntries);
 
 // POST /patients/:patientId/journal - Add new journal entry
-router.post('/patients/:patientId/journal', journalController.addEntry);
+router.post('/patients/:patientId/journal', requireRole(CHART_READERS), journalController.addEntry);
 
 // DELETE /journal/:entryId - Delete a journal entry
-router.delete('/journal/:entryId', journalController.deleteEntry);
+router.delete('/journal/:entryId', requireRole(CLINICAL_STAFF), journalController.deleteEntry);
 
 // GET /patients/:patientId/timeline - Get combined timeline (visits + journal)
-router.get('/patients/:patientId/timeline', journalController.getTimeline);
+router.get('/patients/:patientId/timeline', requireRole(CHART_READERS), journalController.getTimeline);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const medicationAliasController = require('../controllers/medicationAliasController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES, CHART_READERS } = require('../config/roles');
+
+const router = express.Router();
+
+// GET /api/medication-aliases?builtin=true
+router.get('/', requireRole(CHART_READERS), medicationAliasController.getAliases);
+// GET /api/medication-aliases/lookup?name=Lovenox
+router.get('/lookup', requireRole(CHART_READERS), medicationAliasController.lookupAlias);
+// Local aliases are maintained by admins
+router.post('/', requireRole(ROLES.ADMIN), medicationAliasController.createAlias);
+router.delete('/:aliasId', requireRole(ROLES.ADMIN), medicationAliasController.deleteAlias);
+
+module.exports = router;
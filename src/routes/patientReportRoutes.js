@@ -2,20 +2,37 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const ReportGeneratorService = require('../services/reportGeneratorService');
+const { requireRole } = require('../middleware/auth');
+const { ROLES, CHART_READERS } = require('../config/roles');
+
+const { auditRoute, getPatientIdForDocument } = require('../services/auditService');
+
+// Reviewers and clinicians can generate and correct report cards
+const REPORT_EDITORS = [ROLES.EXTRACTION_REVIEWER, ROLES.CLINICIAN, ROLES.ADMIN];
+
+// Patient lookups for the audit trail
+const patientForDocument = (req) => getPatientIdForDocument(req.params.id);
+const patientForReport = (req) => new Promise((resolve) => {
+    db.get('SELECT patient_id FROM patient_reports WHERE id = ?', [req.params.reportId], (err, row) => {
+        resolve(err || !row ? null : row.patient_id);
+    });
+});
 
 /**
  * Generate document_render report for a document
  * POST /api/documents/:id/generate-document-report
  * Creates a comprehensive report showing the document like PDF + extracted sections + graphs
  */
-router.post('/documents/:id/generate-document-report', (req, res) => {
+router.post('/documents/:id/generate-document-report', requireRole(REPORT_EDITORS),
+    auditRoute('report.generate_document_report', 'document', { resolvePatientId: patientForDocument, resourceParam: 'id' }),
+    (req, res) => {
     const documentId = parseInt(req.params.id);
 
     // Get document with extraction and validation data
     db.get(
         `SELECT pd.*, de.extracted_json, de.validation_json, de.confidence
          FROM patient_documents pd
-         LEFT JOIN document_extractions de ON de.document_id = pd.id
+         LEFT JOIN document_extractions de ON de.id = pd.current_extraction_id
          WHERE pd.id = ?
          ORDER BY de.created_at DESC
          LIMIT 1`,
@@ -110,14 +127,16 @@ router.post('/documents/:id/generate-document-report', (req, res) => {
  * IDEMPOTENT: Uses upsert by (patient_id, document_id, report_type)
  * Returns created_count, updated_count, skipped_count, report_ids
  */
-router.post('/documents/:id/generate-reports', (req, res) => {
+router.post('/documents/:id/generate-reports', requireRole(REPORT_EDITORS),
+    auditRoute('report.generate', 'document', { resolvePatientId: patientForDocument, resourceParam: 'id' }),
+    (req, res) => {
     const documentId = parseInt(req.params.id);
 
     // Get document and latest extraction
     db.get(
         `SELECT pd.*, de.extracted_json, de.confidence, de.validation_json, pd.patient_id
          FROM patient_documents pd
-         LEFT JOIN document_extractions de ON de.document_id = pd.id
+         LEFT JOIN document_extractions de ON de.id = pd.current_extraction_id
          WHERE pd.id = ?
          ORDER BY de.created_at DESC
          LIMIT 1`,
@@ -271,7 +290,9 @@ router.post('/documents/:id/generate-reports', (req, res) => {
  * List all reports for a patient
  * GET /api/patients/:id/reports
  */
-router.get('/patients/:id/reports', (req, res) => {
+router.get('/patients/:id/reports', requireRole(CHART_READERS),
+    auditRoute('report.list', 'patient_report', { resolvePatientId: (req) => req.params.id }),
+    (req, res) => {
     const patientId = parseInt(req.params.id);
 
     db.all(
@@ -294,7 +315,9 @@ router.get('/patients/:id/reports', (req, res) => {
  * Get single report with full JSON
  * GET /api/patient-reports/:reportId
  */
-router.get('/patient-reports/:reportId', (req, res) => {
+router.get('/patient-reports/:reportId', requireRole(CHART_READERS),
+    auditRoute('report.read', 'patient_report', { resolvePatientId: patientForReport, resourceParam: 'reportId' }),
+    (req, res) => {
     const reportId = parseInt(req.params.reportId);
 
     db.get(
@@ -324,7 +347,9 @@ router.get('/patient-reports/:reportId', (req, res) => {
  * Delete a report
  * DELETE /api/patient-reports/:reportId
  */
-router.delete('/patient-reports/:reportId', (req, res) => {
+router.delete('/patient-reports/:reportId', requireRole(ROLES.ADMIN),
+    auditRoute('report.delete', 'patient_report', { resolvePatientId: patientForReport, resourceParam: 'reportId' }),
+    (req, res) => {
     const reportId = parseInt(req.params.reportId);
 
     db.run('DELETE FROM patient_reports WHERE id = ?', [reportId], function(err) {
@@ -342,7 +367,9 @@ router.delete('/patient-reports/:reportId', (req, res) => {
  * Update report status
  * PUT /api/patient-reports/:reportId/status
  */
-router.put('/patient-reports/:reportId/status', (req, res) => {
+router.put('/patient-reports/:reportId/status', requireRole(REPORT_EDITORS),
+    auditRoute('report.update_status', 'patient_report', { resolvePatientId: patientForReport, resourceParam: 'reportId' }),
+    (req, res) => {
     const reportId = parseInt(req.params.reportId);
     const { status } = req.body;
 
@@ -370,7 +397,9 @@ router.put('/patient-reports/:reportId/status', (req, res) => {
  * Mark report as reviewed
  * POST /api/patient-reports/:reportId/mark-reviewed
  */
-router.post('/patient-reports/:reportId/mark-reviewed', (req, res) => {
+router.post('/patient-reports/:reportId/mark-reviewed', requireRole(REPORT_EDITORS),
+    auditRoute('report.mark_reviewed', 'patient_report', { resolvePatientId: patientForReport, resourceParam: 'reportId' }),
+    (req, res) => {
     const reportId = parseInt(req.params.reportId);
     const { reviewer_notes } = req.body;
 
@@ -397,7 +426,9 @@ router.post('/patient-reports/:reportId/mark-reviewed', (req, res) => {
  * Edit report JSON (for corrections)
  * POST /api/patient-reports/:reportId/edit
  */
-router.post('/patient-reports/:reportId/edit', (req, res) => {
+router.post('/patient-reports/:reportId/edit', requireRole(REPORT_EDITORS),
+    auditRoute('report.edit', 'patient_report', { resolvePatientId: patientForReport, resourceParam: 'reportId' }),
+    (req, res) => {
     const reportId = parseInt(req.params.reportId);
     const { report_json, title, subtitle } = req.body;
 
@@ -450,14 +481,16 @@ router.post('/patient-reports/:reportId/edit', (req, res) => {
  * Get document with PDF URL for viewing
  * GET /api/documents/:id/view
  */
-router.get('/documents/:id/view', (req, res) => {
+router.get('/documents/:id/view', requireRole(CHART_READERS),
+    auditRoute('document.view', 'document', { resolvePatientId: patientForDocument, resourceParam: 'id' }),
+    (req, res) => {
     const documentId = parseInt(req.params.id);
 
     db.get(
         `SELECT pd.*, de.extracted_json, de.validation_json, de.confidence, de.summary,
                 pr.id as report_id, pr.report_json as document_report_json, pr.status as report_status
          FROM patient_documents pd
-         LEFT JOIN document_extractions de ON de.document_id = pd.id
+         LEFT JOIN document_extractions de ON de.id = pd.current_extraction_id
          LEFT JOIN patient_reports pr ON pr.document_id = pd.id AND pr.report_type = 'document_render'
          WHERE pd.id = ?
          ORDER BY de.created_at DESC
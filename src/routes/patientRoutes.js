@@ -1,13 +1,19 @@
 const express = require('express');
 const patientController = require('../controllers/patientController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES, CHART_READERS, INTAKE_STAFF, CLINICAL_STAFF } = require('../config/roles');
 
 const router = express.Router();
 
-router.post('/check-duplicates', patientController.checkDuplicates);
-router.post('/', patientController.addPatient);
-router.get('/', patientController.getAllPatients);
-router.get('/:id', patientController.getPatientById);
-router.put('/:id', patientController.updatePatient);
-router.delete('/:id', patientController.deletePatient);
+router.post('/check-duplicates', requireRole(INTAKE_STAFF), patientController.checkDuplicates);
+router.post('/', requireRole(INTAKE_STAFF), patientController.addPatient);
+router.get('/', requireRole(CHART_READERS), patientController.getAllPatients);
+router.get('/:id', requireRole(CHART_READERS), patientController.getPatientById);
+router.put('/:id', requireRole(INTAKE_STAFF), patientController.updatePatient);
+router.delete('/:id', requireRole(ROLES.ADMIN), patientController.deletePatient);
+router.get('/:id/chart', requireRole(CHART_READERS), patientController.getPatientChart);
+router.get('/:id/chart/:section/:itemId/source', requireRole(CHART_READERS), patientController.getChartItemSource);
+router.patch('/:id/chart/:section/:itemId', requireRole(CLINICAL_STAFF), patientController.updateChartItem);
+router.post('/:id/merge-into/:targetId', requireRole(ROLES.ADMIN), patientController.mergePatient);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const reportController = require('../controllers/reportController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+// Funding reports are de-identified aggregates - analysts and admins only
+router.get('/funding/quarterly', requireRole(ROLES.FUNDING_ANALYST, ROLES.ADMIN), reportController.generateQuarterlyReport);
+router.get('/funding/config', requireRole(ROLES.FUNDING_ANALYST, ROLES.ADMIN), reportController.getReportConfig);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const reviewQueueController = require('../controllers/reviewQueueController');
+const { requireRole } = require('../middleware/auth');
+const { CHART_READERS, EXTRACTION_STAFF } = require('../config/roles');
+
+const router = express.Router();
+
+// GET /api/review-queue?status=&batch_id=&confidence=&severity=&min_age_hours=&max_age_hours=&sla=&assignee=&limit=&offset=
+router.get('/', requireRole(CHART_READERS), reviewQueueController.getReviewQueue);
+// Claim / release a document so two reviewers don't work the same one
+router.post('/:documentId/claim', requireRole(EXTRACTION_STAFF), reviewQueueController.claimDocument);
+router.post('/:documentId/release', requireRole(EXTRACTION_STAFF), reviewQueueController.releaseDocument);
+
+module.exports = router;
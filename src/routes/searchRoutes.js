@@ -0,0 +1,11 @@
+const express = require('express');
+const searchController = require('../controllers/searchController');
+const { requireRole } = require('../middleware/auth');
+const { CHART_READERS } = require('../config/roles');
+
+const router = express.Router();
+
+// GET /api/search?q=&patient_id=&limit= - Ranked hits with snippets, grouped by patient
+router.get('/', requireRole(CHART_READERS), searchController.search);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const userController = require('../controllers/userController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+// User administration is admin-only
+router.use(requireRole(ROLES.ADMIN));
+
+router.get('/', userController.getAllUsers);
+router.get('/roles', userController.getRoles);
+router.post('/', userController.createUser);
+router.put('/:id', userController.updateUser);
+
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require('express');
 const visitController = require('../controllers/visitController');
+const { requireRole } = require('../middleware/auth');
+const { CHART_READERS, CLINICAL_STAFF } = require('../config/roles');
 
 const router = express.Router();
 
 // GET /api/patients/:id/visits - Get all visits for a patient
-router.get('/patients/:id/visits', visitController.getPatientVisits);
+router.get('/patients/:id/visits', requireRole(CHART_READERS), visitController.getPatientVisits);
 
 // POST /api/patients/:id/visits - Add a visit for a patient
-router.post('/patients/:id/visits', visitController.addVisit);
+router.post('/patients/:id/visits', requireRole(CLINICAL_STAFF), visitController.addVisit);
 
 // DELETE /api/visits/:visitId - Delete a visit
-router.delete('/visits/:visitId', visitController.deleteVisit);
+router.delete('/visits/:visitId', requireRole(CLINICAL_STAFF), visitController.deleteVisit);
 
 module.exports = router;
@@ -0,0 +1,242 @@
+/**
+ * Audit Service
+ *
+ * Append-only PHI access log. Every read or write of patient data through the
+ * patient, document, visit and journal services (and the patient report routes)
+ * is recorded with actor, action, patient, resource, time, IP and outcome.
+ */
+
+const db = require('../config/database');
+const { getRequestContext } = require('../middleware/requestContext');
+
+const OUTCOMES = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    DENIED: 'denied'
+};
+
+const CSV_COLUMNS = [
+    'id', 'occurred_at', 'actor', 'actor_user_id', 'actor_role', 'action', 'outcome',
+    'patient_id', 'resource_type', 'resource_id', 'ip_address', 'detail'
+];
+
+/**
+ * Write one audit entry. Actor and IP default to the current request context.
+ * Never rejects - a failed audit write is logged, not surfaced to the caller.
+ */
+function record(entry) {
+    const context = getRequestContext();
+    const user = entry.user || context?.user || null;
+
+    const row = {
+        occurred_at: new Date().toISOString(),
+        actor: entry.actor || user?.username || 'system',
+        actor_user_id: user?.id || null,
+        actor_role: user?.role || null,
+        action: entry.action,
+        patient_id: entry.patient_id != null ? parseInt(entry.patient_id) || null : null,
+        resource_type: entry.resource_type || null,
+        resource_id: entry.resource_id != null ? String(entry.resource_id) : null,
+        ip_address: entry.ip || context?.ip || null,
+        outcome: entry.outcome || OUTCOMES.SUCCESS,
+        detail: entry.detail || null
+    };
+
+    return new Promise((resolve) => {
+        const sql = `INSERT INTO audit_log (occurred_at, actor, actor_user_id, actor_role, action, patient_id,
+                     resource_type, resource_id, ip_address, outcome, detail)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        db.run(sql, [
+            row.occurred_at, row.actor, row.actor_user_id, row.actor_role, row.action, row.patient_id,
+            row.resource_type, row.resource_id, row.ip_address, row.outcome, row.detail
+        ], function (err) {
+            if (err) {
+                console.error('[Audit] Failed to write audit entry:', err.message, row);
+                return resolve(null);
+            }
+            resolve({ id: this.lastID, ...row });
+        });
+    });
+}
+
+/**
+ * Look up the patient a document belongs to (for entries keyed by document)
+ */
+function getPatientIdForDocument(documentId) {
+    return new Promise((resolve) => {
+        db.get('SELECT patient_id FROM patient_documents WHERE id = ?', [documentId], (err, row) => {
+            resolve(err || !row ? null : row.patient_id);
+        });
+    });
+}
+
+/**
+ * Wrap a service's functions so every call is audited.
+ *
+ * specs maps function name → {
+ *   action, resource_type,
+ *   describe(args)          - optional, runs BEFORE the call (use when the call deletes what it describes)
+ *   describeResult(result, args) - optional, runs after a successful call
+ * }
+ * Each describe function returns (or resolves to) { patient_id, resource_id, detail }.
+ * Functions without a spec are passed through unchanged.
+ */
+function instrument(service, specs) {
+    const wrapped = { ...service };
+
+    for (const [name, spec] of Object.entries(specs)) {
+        const fn = service[name];
+        if (typeof fn !== 'function') {
+            throw new Error(`Cannot audit unknown service function: ${name}`);
+        }
+
+        wrapped[name] = async function (...args) {
+            let described = {};
+            if (spec.describe) {
+                try {
+                    described = (await spec.describe(args)) || {};
+                } catch (e) {
+                    described = {};
+                }
+            }
+
+            let result;
+            try {
+                result = await fn.apply(this, args);
+            } catch (err) {
+                await record({
+                    action: spec.action,
+                    resource_type: spec.resource_type,
+                    ...described,
+                    outcome: OUTCOMES.FAILURE,
+                    detail: err.message
+                });
+                throw err;
+            }
+
+            if (spec.describeResult) {
+                try {
+                    described = { ...described, ...((await spec.describeResult(result, args)) || {}) };
+                } catch (e) {
+                    // Keep whatever was described before the call
+                }
+            }
+
+            await record({
+                action: spec.action,
+                resource_type: spec.resource_type,
+                ...described,
+                outcome: OUTCOMES.SUCCESS
+            });
+            return result;
+        };
+    }
+
+    return wrapped;
+}
+
+/**
+ * Express middleware that audits a route handler once the response is sent.
+ * Outcome is derived from the status code. resolvePatientId(req) may be async.
+ */
+function auditRoute(action, resourceType, { resolvePatientId, resourceParam } = {}) {
+    return (req, res, next) => {
+        // Resolve before the handler runs - the handler may delete what we need to look up
+        const patientIdPromise = resolvePatientId
+            ? Promise.resolve(resolvePatientId(req)).catch(() => null)
+            : Promise.resolve(null);
+
+        res.on('finish', async () => {
+            const outcome = res.statusCode === 403
+                ? OUTCOMES.DENIED
+                : (res.statusCode < 400 ? OUTCOMES.SUCCESS : OUTCOMES.FAILURE);
+
+            await record({
+                action,
+                resource_type: resourceType,
+                resource_id: resourceParam ? req.params[resourceParam] : null,
+                patient_id: await patientIdPromise,
+                user: req.user,
+                ip: req.ip,
+                outcome,
+                detail: outcome === OUTCOMES.SUCCESS ? null : `HTTP ${res.statusCode}`
+            });
+        });
+        next();
+    };
+}
+
+/**
+ * Query the audit log
+ * @param {Object} filters - { patient_id, actor, action, from, to, limit }
+ */
+function queryAuditLog(filters = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = [];
+        const params = [];
+
+        if (filters.patient_id) {
+            conditions.push('patient_id = ?');
+            params.push(filters.patient_id);
+        }
+        if (filters.actor) {
+            conditions.push('actor = ?');
+            params.push(filters.actor.toLowerCase());
+        }
+        if (filters.action) {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+        if (filters.from) {
+            conditions.push('occurred_at >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            // A bare date means "through the end of that day"
+            conditions.push('occurred_at <= ?');
+            params.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? filters.to + 'T23:59:59.999Z' : filters.to);
+        }
+
+        let sql = 'SELECT * FROM audit_log';
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += ' ORDER BY occurred_at DESC, id DESC';
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(parseInt(filters.limit));
+        }
+
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+}
+
+/**
+ * Render audit rows as CSV
+ */
+function toCSV(rows) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(CSV_COLUMNS.map(col => escape(row[col])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    record,
+    instrument,
+    auditRoute,
+    queryAuditLog,
+    toCSV,
+    getPatientIdForDocument,
+    OUTCOMES
+};
@@ -0,0 +1,246 @@
+const db = require('../config/database');
+const crypto = require('crypto');
+const { ROLES, isValidRole } = require('../config/roles');
+
+// Sessions expire after this many hours (override with SESSION_TTL_HOURS)
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+
+const SCRYPT_KEYLEN = 64;
+
+// How often expired and revoked sessions are cleared out (override with SESSION_PURGE_INTERVAL_MINUTES)
+const SESSION_PURGE_INTERVAL_MINUTES = parseFloat(process.env.SESSION_PURGE_INTERVAL_MINUTES) || 60;
+
+// Checked in place of a real hash when the username is unknown, so a failed login
+// takes as long whether or not the account exists
+const DUMMY_PASSWORD_HASH = `${'0'.repeat(32)}:${'0'.repeat(SCRYPT_KEYLEN * 2)}`;
+
+// Hash a password with a random salt (stored as "salt:hash")
+const hashPassword = (password) => {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+            if (err) return reject(err);
+            resolve(`${salt}:${derived.toString('hex')}`);
+        });
+    });
+};
+
+// Compare a password against a stored "salt:hash" value
+const verifyPassword = (password, storedHash) => {
+    return new Promise((resolve, reject) => {
+        const [salt, hash] = (storedHash || '').split(':');
+        if (!salt || !hash) return resolve(false);
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+            if (err) return reject(err);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+        });
+    });
+};
+
+// Tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Strip secrets before a user row leaves this module
+const toPublicUser = (row) => {
+    if (!row) return null;
+    const { password_hash, ...user } = row;
+    return user;
+};
+
+// Create a new user account
+const createUser = async ({ username, password, display_name, role = ROLES.INTAKE_CLERK }) => {
+    if (!username || !password) {
+        throw new Error('username and password are required');
+    }
+    if (!isValidRole(role)) {
+        throw new Error(`Invalid role: ${role}`);
+    }
+    const passwordHash = await hashPassword(password);
+    const normalizedUsername = username.trim().toLowerCase();
+    return new Promise((resolve, reject) => {
+        const sql = `INSERT INTO users (username, display_name, password_hash, role) VALUES (?, ?, ?, ?)`;
+        db.run(sql, [normalizedUsername, display_name || username, passwordHash, role], function (err) {
+            if (err) return reject(err);
+            resolve({ id: this.lastID, username: normalizedUsername, display_name: display_name || username, role });
+        });
+    });
+};
+
+// Get all users (without password hashes)
+const getAllUsers = () => {
+    return new Promise((resolve, reject) => {
+        const sql = `SELECT id, username, display_name, role, is_active, last_login_at, created_at
+                     FROM users ORDER BY username`;
+        db.all(sql, [], (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+};
+
+// Get user by ID (without password hash)
+const getUserById = (id) => {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+            if (err) return reject(err);
+            resolve(toPublicUser(row));
+        });
+    });
+};
+
+// Update role, display name, active flag and/or password
+const updateUser = async (id, { display_name, role, is_active, password }) => {
+    if (role !== undefined && !isValidRole(role)) {
+        throw new Error(`Invalid role: ${role}`);
+    }
+
+    const updates = [];
+    const params = [];
+    if (display_name !== undefined) {
+        updates.push('display_name = ?');
+        params.push(display_name);
+    }
+    if (role !== undefined) {
+        updates.push('role = ?');
+        params.push(role);
+    }
+    if (is_active !== undefined) {
+        updates.push('is_active = ?');
+        params.push(is_active ? 1 : 0);
+    }
+    if (password) {
+        updates.push('password_hash = ?');
+        params.push(await hashPassword(password));
+    }
+    if (updates.length === 0) {
+        return getUserById(id);
+    }
+
+    params.push(id);
+    await new Promise((resolve, reject) => {
+        db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params, (err) => {
+            if (err) return reject(err);
+            resolve();
+        });
+    });
+
+    // Deactivating a user or changing their password ends their open sessions
+    if (is_active === false || is_active === 0 || password) {
+        await new Promise((resolve, reject) => {
+            const sql = `UPDATE user_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`;
+            db.run(sql, [new Date().toISOString(), id], (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    }
+
+    return getUserById(id);
+};
+
+// Get user by username (includes password hash - internal use only)
+const getUserByUsername = (username) => {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM users WHERE username = ?', [(username || '').trim().toLowerCase()], (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// Verify credentials and open a new session
+const login = async (username, password, { ip, userAgent } = {}) => {
+    const user = await getUserByUsername(username);
+    const valid = await verifyPassword(password || '', user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !user.is_active || !valid) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    await new Promise((resolve, reject) => {
+        const sql = `INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`;
+        db.run(sql, [user.id, hashToken(token), ip || null, userAgent || null, expiresAt, now.toISOString()], (err) => {
+            if (err) return reject(err);
+            resolve();
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        db.run('UPDATE users SET last_login_at = ? WHERE id = ?', [now.toISOString(), user.id], (err) => {
+            if (err) return reject(err);
+            resolve();
+        });
+    });
+
+    return { token, expires_at: expiresAt, user: toPublicUser(user) };
+};
+
+// Revoke a session token
+const logout = (token) => {
+    return new Promise((resolve, reject) => {
+        const sql = `UPDATE user_sessions SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL`;
+        db.run(sql, [new Date().toISOString(), hashToken(token)], function (err) {
+            if (err) return reject(err);
+            resolve({ revoked: this.changes > 0 });
+        });
+    });
+};
+
+// Resolve a session token to its (active, unexpired) user
+const getSessionUser = (token) => {
+    return new Promise((resolve, reject) => {
+        const sql = `SELECT u.*, s.id as session_id, s.expires_at
+                     FROM user_sessions s
+                     JOIN users u ON u.id = s.user_id
+                     WHERE s.token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > ? AND u.is_active = 1`;
+        db.get(sql, [hashToken(token), new Date().toISOString()], (err, row) => {
+            if (err) return reject(err);
+            resolve(toPublicUser(row));
+        });
+    });
+};
+
+// Remove expired and revoked sessions
+const purgeExpiredSessions = () => {
+    return new Promise((resolve, reject) => {
+        const sql = `DELETE FROM user_sessions WHERE expires_at <= ? OR revoked_at IS NOT NULL`;
+        db.run(sql, [new Date().toISOString()], function (err) {
+            if (err) return reject(err);
+            resolve({ purged: this.changes });
+        });
+    });
+};
+
+let purgeTimer = null;
+
+// Purge sessions now and then on an interval (called once at server start)
+const startSessionPurge = () => {
+    if (purgeTimer) return;
+    const purge = () => purgeExpiredSessions()
+        .then(({ purged }) => {
+            if (purged > 0) console.log(`[Auth] Purged ${purged} expired or revoked session(s)`);
+        })
+        .catch(err => console.error('[Auth] Session purge failed:', err.message));
+    purge();
+    purgeTimer = setInterval(purge, SESSION_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    purgeTimer.unref();
+};
+
+module.exports = {
+    createUser,
+    getAllUsers,
+    getUserById,
+    getUserByUsername,
+    updateUser,
+    login,
+    logout,
+    getSessionUser,
+    purgeExpiredSessions,
+    startSessionPurge,
+    hashPassword,
+    verifyPassword,
+    SESSION_TTL_HOURS
+};
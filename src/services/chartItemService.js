@@ -0,0 +1,225 @@
+/**
+ * Chart Item Service
+ *
+ * Storage for chart items - one row per procedure, problem, medication and
+ * allergy in chart_procedures / chart_problems / chart_medications / chart_allergies.
+ * Items are plain objects using the column names below; any other fields an
+ * extraction produced (evidence, indication, ...) round-trip through details_json.
+ */
+
+const { run, all, get } = require('../config/dbHelpers');
+
+const ITEM_STATUS = {
+    ACTIVE: 'active',
+    RESOLVED: 'resolved',
+    DISCONTINUED: 'discontinued',
+    INACTIVE: 'inactive',
+    COMPLETED: 'completed'
+};
+
+// Per-section table, the columns an item maps onto, and which of them hold dates
+const SECTION_TABLES = {
+    procedures: {
+        table: 'chart_procedures',
+        columns: ['name', 'performed_date', 'surgeon', 'status'],
+        dateColumns: ['performed_date'],
+        defaultStatus: ITEM_STATUS.COMPLETED,
+        statuses: [ITEM_STATUS.COMPLETED],
+        // Older items used `procedure` / `date`
+        aliases: { procedure: 'name', date: 'performed_date' }
+    },
+    problems: {
+        table: 'chart_problems',
+        columns: ['name', 'onset_date', 'resolved_date', 'status'],
+        dateColumns: ['onset_date', 'resolved_date'],
+        defaultStatus: ITEM_STATUS.ACTIVE,
+        statuses: [ITEM_STATUS.ACTIVE, ITEM_STATUS.RESOLVED],
+        aliases: { diagnosis: 'name' },
+        fromString: (value) => ({ name: value })
+    },
+    medications: {
+        table: 'chart_medications',
+        columns: ['name', 'dose', 'route', 'frequency', 'start_date', 'end_date', 'status'],
+        dateColumns: ['start_date', 'end_date'],
+        defaultStatus: ITEM_STATUS.ACTIVE,
+        statuses: [ITEM_STATUS.ACTIVE, ITEM_STATUS.DISCONTINUED],
+        aliases: { med_name: 'name' },
+        fromString: (value) => ({ name: value })
+    },
+    allergies: {
+        table: 'chart_allergies',
+        columns: ['substance', 'reaction', 'severity', 'onset_date', 'status'],
+        dateColumns: ['onset_date'],
+        defaultStatus: ITEM_STATUS.ACTIVE,
+        statuses: [ITEM_STATUS.ACTIVE, ITEM_STATUS.INACTIVE],
+        aliases: {},
+        fromString: (value) => ({ substance: value })
+    }
+};
+
+// Provenance columns every chart table carries
+const PROVENANCE_COLUMNS = ['source_document_id', 'chart_merge_id', 'merged_by', 'merged_at', 'patient_merge_id'];
+
+/**
+ * Normalise a date to YYYY-MM-DD where it can be parsed, so date range queries work.
+ * Unparseable values are kept as written.
+ */
+const normalizeDate = (value) => {
+    if (!value) return null;
+    const str = String(value).trim();
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+
+    const us = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+
+    const parsed = new Date(str);
+    if (!isNaN(parsed.getTime()) && /\d{4}/.test(str)) {
+        const month = String(parsed.getMonth() + 1).padStart(2, '0');
+        const day = String(parsed.getDate()).padStart(2, '0');
+        return `${parsed.getFullYear()}-${month}-${day}`;
+    }
+    return str;
+};
+
+// Convert an extracted/chart item (string or object) into column values + details
+const toRow = (section, item) => {
+    const config = SECTION_TABLES[section];
+    const source = typeof item === 'string' ? config.fromString(item) : { ...item };
+
+    for (const [alias, column] of Object.entries(config.aliases)) {
+        if (source[column] == null && source[alias] != null) {
+            source[column] = source[alias];
+        }
+        delete source[alias];
+    }
+
+    const row = {};
+    for (const column of config.columns) {
+        row[column] = source[column] != null ? source[column] : null;
+        delete source[column];
+    }
+    for (const column of config.dateColumns) {
+        row[column] = normalizeDate(row[column]);
+    }
+    row.status = row.status || config.defaultStatus;
+    row.source_document_id = source.source_document_id != null ? parseInt(source.source_document_id) || null : null;
+
+    // Anything left over that isn't storage bookkeeping is kept as details
+    for (const key of ['id', 'patient_id', 'details', ...PROVENANCE_COLUMNS, 'created_at', 'updated_at']) {
+        delete source[key];
+    }
+    row.details_json = Object.keys(source).length > 0 ? JSON.stringify(source) : null;
+    return row;
+};
+
+// Convert a stored row back into an item object
+const toItem = (row) => {
+    const { details_json, ...item } = row;
+    let details = {};
+    try { details = JSON.parse(details_json) || {}; } catch (e) {}
+    return { ...details, ...item };
+};
+
+// Load all chart items for a patient, grouped by section
+const loadChartItems = async (patientId) => {
+    const sections = {};
+    for (const [section, { table }] of Object.entries(SECTION_TABLES)) {
+        const rows = await all(`SELECT * FROM ${table} WHERE patient_id = ? ORDER BY id`, [patientId]);
+        sections[section] = rows.map(toItem);
+    }
+    return sections;
+};
+
+/**
+ * Insert one chart item
+ * @param {Object} provenance - { chart_merge_id, merged_by, merged_at, patient_merge_id }
+ */
+const insertItem = async (patientId, section, item, provenance = {}) => {
+    const { table } = SECTION_TABLES[section];
+    const row = toRow(section, item);
+    const now = new Date().toISOString();
+
+    const values = {
+        patient_id: patientId,
+        ...row,
+        chart_merge_id: provenance.chart_merge_id || null,
+        merged_by: provenance.merged_by || null,
+        merged_at: provenance.merged_at || null,
+        patient_merge_id: provenance.patient_merge_id || null,
+        created_at: now,
+        updated_at: now
+    };
+    const columns = Object.keys(values);
+    const result = await run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(col => values[col])
+    );
+    return { id: result.lastID, ...toItem(values) };
+};
+
+// Delete chart items by id
+const deleteItems = async (section, ids) => {
+    if (!ids.length) return 0;
+    const { table } = SECTION_TABLES[section];
+    const result = await run(`DELETE FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    return result.changes;
+};
+
+// Items a given chart merge added, per section - for a patient merge's chart merge, the items it moved over
+const getItemsByMerge = async (mergeId) => {
+    const sections = {};
+    for (const [section, { table }] of Object.entries(SECTION_TABLES)) {
+        const rows = await all(`SELECT * FROM ${table}
+                                WHERE chart_merge_id = ? OR patient_merge_id IN (SELECT id FROM patient_merges WHERE chart_merge_id = ?)
+                                ORDER BY id`, [mergeId, mergeId]);
+        sections[section] = rows.map(toItem);
+    }
+    return sections;
+};
+
+const getItem = async (section, itemId) => {
+    const row = await get(`SELECT * FROM ${SECTION_TABLES[section].table} WHERE id = ?`, [itemId]);
+    return row ? toItem(row) : null;
+};
+
+/**
+ * Update the status / date columns of one chart item
+ * @param {Object} changes - any of the section's columns (name fields included)
+ * @returns {Object|null} updated item, or null if it doesn't exist
+ */
+const updateItem = async (section, itemId, changes) => {
+    const config = SECTION_TABLES[section];
+    if (changes.status !== undefined && !config.statuses.includes(changes.status)) {
+        throw new Error(`Invalid status for ${section}: ${changes.status} (expected ${config.statuses.join(', ')})`);
+    }
+
+    const updates = [];
+    const params = [];
+    for (const column of config.columns) {
+        if (changes[column] === undefined) continue;
+        updates.push(`${column} = ?`);
+        params.push(config.dateColumns.includes(column) ? normalizeDate(changes[column]) : changes[column]);
+    }
+    if (updates.length === 0) {
+        return getItem(section, itemId);
+    }
+
+    updates.push('updated_at = ?');
+    params.push(new Date().toISOString(), itemId);
+    const result = await run(`UPDATE ${config.table} SET ${updates.join(', ')} WHERE id = ?`, params);
+    return result.changes > 0 ? getItem(section, itemId) : null;
+};
+
+module.exports = {
+    loadChartItems,
+    insertItem,
+    deleteItems,
+    getItemsByMerge,
+    getItem,
+    updateItem,
+    normalizeDate,
+    toRow,
+    SECTION_TABLES,
+    ITEM_STATUS
+};
@@ -0,0 +1,418 @@
+/**
+ * Chart Merge Service
+ *
+ * Every change a document makes to a patient chart goes through applyMerge(),
+ * which runs inside a transaction and records a chart_merges row with the chart
+ * before and after plus the items added. Added chart item rows point back at the
+ * merge (chart_merge_id), so revertMerge() removes exactly those items and puts back
+ * the ones the merge removed.
+ */
+
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const { getRequestContext } = require('../middleware/requestContext');
+const audit = require('./auditService');
+const chartItems = require('./chartItemService');
+const medicationAliases = require('./medicationAliasService');
+const sigParser = require('./medicationSigParser');
+
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const itemName = (item, field) => typeof item === 'string' ? item : item[field];
+
+const SIG_FIELDS = ['dose', 'route', 'frequency'];
+
+const isStopped = (item) => typeof item === 'object' && !!item.status && item.status !== 'active';
+
+// Generic name plus normalized dose, route and frequency ('' where unknown), and whether it was stopped
+const medicationKey = (med) => {
+    const name = medicationAliases.canonicalName(itemName(med, 'name'));
+    if (!name) return '';
+    const sig = sigParser.normalizedSig(med);
+    return [name, ...SIG_FIELDS.map(field => sig[field] || ''), isStopped(med) ? 'stopped' : ''].join('|');
+};
+
+// The same drug where neither side states a different dose, route or frequency - an
+// incoming "Lisinopril" is already covered by "Lisinopril 10 mg PO daily" on the chart,
+// but "Warfarin 7.5 mg" is not by "Warfarin 5 mg", nor anything active by a stopped one
+const sameMedication = (existing, incoming) => {
+    if (isStopped(existing) !== isStopped(incoming)) return false;
+    if (medicationAliases.canonicalName(itemName(existing, 'name')) !== medicationAliases.canonicalName(itemName(incoming, 'name'))) {
+        return false;
+    }
+    const was = sigParser.normalizedSig(existing);
+    const now = sigParser.normalizedSig(incoming);
+    return SIG_FIELDS.every(field => !was[field] || !now[field] || was[field] === now[field]);
+};
+
+// Chart sections, the dedupe key for an item in each and, where items can match without
+// equal keys, how to tell they're the same
+const CHART_SECTIONS = {
+    procedures: {
+        key: (p) => `${chartItems.normalizeDate(p.performed_date || p.date) || 'unknown'}-${normalizeKey(p.name || p.procedure)}`
+    },
+    problems: {
+        key: (dx) => normalizeKey(typeof dx === 'string' ? dx : dx.name || dx.diagnosis)
+    },
+    medications: {
+        // "Lovenox" on the chart and "Enoxaparin" in a document are the same item
+        key: medicationKey,
+        matches: sameMedication
+    },
+    allergies: {
+        key: (allergy) => normalizeKey(itemName(allergy, 'substance'))
+    }
+};
+
+const MERGE_TYPES = {
+    AUTO: 'auto',
+    APPROVED: 'approved',
+    SELECTIVE: 'selective',
+    PATIENT_MERGE: 'patient_merge'
+};
+
+const itemKey = (section, item) => CHART_SECTIONS[section].key(item);
+
+// Whether an item is already among items - same key, or a match for the section
+const isDuplicate = (section, items, item) => {
+    const key = itemKey(section, item);
+    const { matches } = CHART_SECTIONS[section];
+    return items.some(other => itemKey(section, other) === key || (matches && matches(other, item)));
+};
+
+// Pick just the chart sections out of a patient-with-chart object
+const chartSections = (chart) => {
+    const sections = {};
+    for (const section of Object.keys(CHART_SECTIONS)) {
+        sections[section] = chart[section] || [];
+    }
+    return sections;
+};
+
+/**
+ * Flatten chart-format extraction data (convertToChartFormat output, or the older
+ * { surgery: { procedures } } shape) into items per chart section.
+ */
+const toSectionItems = (chartData) => {
+    const items = { procedures: [], problems: [], medications: [], allergies: [] };
+
+    const surgeries = chartData.surgeries
+        || (chartData.surgery?.procedures ? [{ ...chartData.surgery, source_document_id: chartData.source_document_id }] : []);
+    for (const surgery of surgeries) {
+        const { procedures, procedure, date, has_surgery, procedure_evidence_spans = [], evidence_span, ...rest } = surgery;
+        const names = procedures || (procedure ? [procedure] : []);
+        names.forEach((proc, i) => {
+            const name = typeof proc === 'string' ? proc : proc.procedure || proc.name;
+            const span = procedure_evidence_spans[i] || (procedure ? evidence_span : null);
+            if (name) items.procedures.push({ ...rest, name, performed_date: date || null, ...(span ? { evidence_span: span } : {}) });
+        });
+    }
+
+    const diagnoses = Array.isArray(chartData.diagnoses)
+        ? chartData.diagnoses
+        : [...(chartData.diagnoses?.preop || []), ...(chartData.diagnoses?.postop || [])];
+    items.problems = diagnoses.map(dx => typeof dx === 'string' ? { name: dx } : { ...dx, name: dx.name || JSON.stringify(dx) });
+
+    items.medications = (chartData.medications || []).map(med => typeof med === 'string' ? { name: med } : { ...med });
+    items.allergies = (chartData.allergies || []).map(allergy => typeof allergy === 'string' ? { substance: allergy } : { ...allergy });
+    return items;
+};
+
+// Group procedure rows into the surgeries shape ({ date, procedures, surgeon }) the UI and conflict checks use
+const groupSurgeries = (procedures) => {
+    const surgeries = [];
+    for (const proc of procedures) {
+        const group = surgeries.find(s => s.date === proc.performed_date && s.surgeon === proc.surgeon &&
+            s.source_document_id === proc.source_document_id);
+        if (group) {
+            group.procedures.push(proc.name);
+            group.procedure_ids.push(proc.id);
+        } else {
+            surgeries.push({
+                date: proc.performed_date,
+                procedures: [proc.name],
+                surgeon: proc.surgeon,
+                source_document_id: proc.source_document_id,
+                procedure_ids: [proc.id]
+            });
+        }
+    }
+    return surgeries;
+};
+
+// Load a patient row with its chart items (null if missing)
+const loadChart = async (patientId) => {
+    const patient = await get(`SELECT p.*, b.batch_name
+                               FROM patients p
+                               LEFT JOIN intake_batches b ON p.intake_batch_id = b.id
+                               WHERE p.id = ?`, [patientId]);
+    if (!patient) return null;
+
+    const sections = await chartItems.loadChartItems(patientId);
+    return { ...patient, ...sections, surgeries: groupSurgeries(sections.procedures) };
+};
+
+// Items present in `after` but not `before` (and vice versa), per section, matched by key
+const diffChart = (before, after) => {
+    const diff = {};
+    for (const section of Object.keys(CHART_SECTIONS)) {
+        const beforeKeys = new Set((before[section] || []).map(item => itemKey(section, item)));
+        const afterKeys = new Set((after[section] || []).map(item => itemKey(section, item)));
+        diff[section] = {
+            added: (after[section] || []).filter(item => !beforeKeys.has(itemKey(section, item))),
+            removed: (before[section] || []).filter(item => !afterKeys.has(itemKey(section, item)))
+        };
+    }
+    return diff;
+};
+
+const hasChanges = (diff) => Object.values(diff).some(d => d.added.length > 0 || d.removed.length > 0);
+
+const currentActor = () => getRequestContext()?.user?.username || 'system';
+
+const touchChart = (patientId, chartSummary, now) => {
+    return run('UPDATE patients SET chart_summary = ?, chart_updated_at = ?, updated_at = ? WHERE id = ?',
+        [chartSummary, now, now, patientId]);
+};
+
+// Strip stored-row bookkeeping so snapshots only hold clinical content
+const snapshotItem = (item) => {
+    const { patient_id, chart_merge_id, merged_by, merged_at, patient_merge_id, created_at, updated_at, ...rest } = item;
+    return rest;
+};
+
+const snapshot = (sections) => {
+    const result = {};
+    for (const section of Object.keys(CHART_SECTIONS)) {
+        result[section] = (sections[section] || []).map(snapshotItem);
+    }
+    return result;
+};
+
+// Whether a merge of the document still in effect already appended this summary text
+const hasSummaryAddition = async (documentId, summaryAddition) => {
+    if (documentId == null) return false;
+    const row = await get(`SELECT 1 FROM chart_merges
+                           WHERE document_id = ? AND reverted_at IS NULL AND summary_addition = ? LIMIT 1`, [documentId, summaryAddition]);
+    return !!row;
+};
+
+/**
+ * Apply a merge inside the caller's transaction (see applyMerge). With patient_merge_id
+ * (a patient merge moving the duplicate's chart over) added items keep the chart merge
+ * that first charted them and are stamped with the patient merge instead.
+ */
+const writeMerge = async (patientId, { document_id = null, merge_type = MERGE_TYPES.AUTO, patient_merge_id = null } = {}, buildMerge) => {
+    const current = await loadChart(patientId);
+    if (!current) {
+        throw new Error('Patient not found');
+    }
+    await medicationAliases.load();
+
+    const before = chartSections(current);
+    const { chart, summary_addition, conflicts = null, ...extra } = await buildMerge(current);
+    const after = chartSections({ ...before, ...chart });
+    const diff = diffChart(before, after);
+    // A document merged in parts (selective, then approved) appends its summary once
+    const summaryAddition = summary_addition && !(await hasSummaryAddition(document_id, summary_addition)) ? summary_addition : '';
+
+    if (!hasChanges(diff) && !summaryAddition) {
+        return { merge_id: null, merged_at: null, diff, chart: after, conflicts, ...extra };
+    }
+
+    const now = new Date().toISOString();
+    const actor = currentActor();
+    await touchChart(patientId, (current.chart_summary || '') + summaryAddition, now);
+
+    const inserted = await run(`INSERT INTO chart_merges (patient_id, document_id, merge_type, merged_by, merged_at,
+                                before_json, after_json, diff_json, summary_addition, conflicts_json)
+                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+        patientId, document_id, merge_type, actor, now,
+        JSON.stringify(snapshot(before)), JSON.stringify(snapshot(after)), JSON.stringify(diff), summaryAddition || null,
+        conflicts ? JSON.stringify(conflicts) : null
+    ]);
+    const mergeId = inserted.lastID;
+
+    const provenance = { chart_merge_id: mergeId, merged_by: actor, merged_at: now };
+    for (const section of Object.keys(CHART_SECTIONS)) {
+        for (const item of diff[section].added) {
+            const itemProvenance = patient_merge_id
+                ? { chart_merge_id: item.chart_merge_id, merged_by: item.merged_by, merged_at: item.merged_at, patient_merge_id }
+                : provenance;
+            await chartItems.insertItem(patientId, section, { source_document_id: document_id, ...item }, itemProvenance);
+        }
+        await chartItems.deleteItems(section, diff[section].removed.map(item => item.id).filter(Boolean));
+    }
+
+    return { merge_id: mergeId, merged_at: now, diff, chart: await chartItems.loadChartItems(patientId), conflicts, ...extra };
+};
+
+/**
+ * Apply a merge to a patient chart in a single transaction.
+ * buildMerge(chart) receives the current patient-with-chart (read inside the
+ * transaction) and returns { chart, summary_addition, conflicts, ...extra } where chart
+ * holds the new procedures/problems/medications/allergies arrays. New items (no id)
+ * are inserted; existing items missing from the result are deleted. conflicts (the
+ * chart conflicts the merge was planned against) are stored with the merge record.
+ * @param {number} patientId
+ * @param {Object} options - { document_id, merge_type }
+ * @param {Function} buildMerge
+ * @returns {Object} { merge_id, merged_at, diff, chart, ...extra } - merge_id is null when nothing changed
+ */
+const applyMerge = (patientId, options, buildMerge) => withTransaction(() => writeMerge(patientId, options, buildMerge));
+
+// Parse the JSON columns of a chart_merges row
+const toMergeRecord = (row) => {
+    if (!row) return null;
+    const { before_json, after_json, diff_json, conflicts_json, ...merge } = row;
+    return {
+        ...merge,
+        before: JSON.parse(before_json),
+        after: JSON.parse(after_json),
+        diff: JSON.parse(diff_json),
+        conflicts: conflicts_json ? JSON.parse(conflicts_json) : null
+    };
+};
+
+// Get one merge record
+const getMergeById = async (mergeId) => {
+    return toMergeRecord(await get('SELECT * FROM chart_merges WHERE id = ?', [mergeId]));
+};
+
+// Merge history for a patient (optionally one document), newest first
+const getMergeHistory = async ({ patient_id, document_id } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (patient_id) {
+        conditions.push('patient_id = ?');
+        params.push(patient_id);
+    }
+    if (document_id) {
+        conditions.push('document_id = ?');
+        params.push(document_id);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await all(`SELECT * FROM chart_merges ${where} ORDER BY merged_at DESC, id DESC`, params);
+    return rows.map(toMergeRecord);
+};
+
+/**
+ * Undo one merge inside the caller's transaction (see revertMerge).
+ * @returns {Object|null} { merge_id, patient_id, document_id, removed, restored, reverted_at } or null if not found
+ */
+const undoMerge = async (mergeId) => {
+    const merge = await getMergeById(mergeId);
+    if (!merge) return null;
+    if (merge.reverted_at) {
+        throw new Error(`Merge ${mergeId} was already reverted at ${merge.reverted_at}`);
+    }
+
+    const current = await loadChart(merge.patient_id);
+    if (!current) {
+        throw new Error('Patient not found');
+    }
+
+    const removed = await chartItems.getItemsByMerge(mergeId);
+    for (const [section, items] of Object.entries(removed)) {
+        await chartItems.deleteItems(section, items.map(item => item.id));
+    }
+
+    // Put back the items the merge took out (replaced doses, superseded allergies...) as
+    // they were before it, keeping the merge that originally added each one
+    const chart = await chartItems.loadChartItems(merge.patient_id);
+    const restored = {};
+    for (const section of Object.keys(CHART_SECTIONS)) {
+        restored[section] = [];
+        const before = new Map((merge.before[section] || []).map(item => [item.id, item]));
+        for (const row of merge.diff[section]?.removed || []) {
+            const item = before.get(row.id) || snapshotItem(row);
+            if (isDuplicate(section, chart[section], item)) continue;
+            const provenance = {
+                chart_merge_id: row.chart_merge_id, merged_by: row.merged_by, merged_at: row.merged_at, patient_merge_id: row.patient_merge_id
+            };
+            const inserted = await chartItems.insertItem(merge.patient_id, section, item, provenance);
+            chart[section].push(inserted);
+            restored[section].push(inserted);
+        }
+    }
+
+    let chartSummary = current.chart_summary || '';
+    if (merge.summary_addition) {
+        const at = chartSummary.lastIndexOf(merge.summary_addition);
+        if (at !== -1) {
+            chartSummary = chartSummary.slice(0, at) + chartSummary.slice(at + merge.summary_addition.length);
+        }
+    }
+
+    const now = new Date().toISOString();
+    await touchChart(merge.patient_id, chartSummary, now);
+    await run('UPDATE chart_merges SET reverted_at = ?, reverted_by = ? WHERE id = ?', [now, currentActor(), mergeId]);
+
+    return {
+        merge_id: merge.id,
+        patient_id: merge.patient_id,
+        document_id: merge.document_id,
+        removed: snapshot(removed),
+        restored: snapshot(restored),
+        reverted_at: now
+    };
+};
+
+/**
+ * Undo one merge: delete the chart items it added and the summary text it appended, and
+ * put back the items it removed. Items added by other merges are untouched.
+ * @returns {Object|null} { merge_id, patient_id, document_id, removed, restored, reverted_at } or null if not found
+ */
+const revertMerge = (mergeId) => withTransaction(() => undoMerge(mergeId));
+
+// Chart conflicts recorded by the latest merge of a document still in effect (null if none)
+const getMergeConflicts = async (documentId) => {
+    const row = await get(`SELECT conflicts_json FROM chart_merges
+                           WHERE document_id = ? AND reverted_at IS NULL AND conflicts_json IS NOT NULL
+                           ORDER BY id DESC LIMIT 1`, [documentId]);
+    return row ? JSON.parse(row.conflicts_json) : null;
+};
+
+// Count merges of a document that are still in effect
+const countActiveMerges = async (documentId) => {
+    const row = await get('SELECT COUNT(*) as count FROM chart_merges WHERE document_id = ? AND reverted_at IS NULL', [documentId]);
+    return row.count;
+};
+
+module.exports = audit.instrument({
+    applyMerge,
+    writeMerge,
+    revertMerge,
+    undoMerge,
+    getMergeById,
+    getMergeHistory,
+    countActiveMerges,
+    getMergeConflicts,
+    loadChart,
+    diffChart,
+    itemKey,
+    isDuplicate,
+    toSectionItems,
+    CHART_SECTIONS,
+    MERGE_TYPES
+}, {
+    // applyMerge is audited by the patientService merge that calls it;
+    // writeMerge and undoMerge by the operation whose transaction they run in
+    revertMerge: {
+        action: 'chart.revert', resource_type: 'chart_merge',
+        describe: ([mergeId]) => ({ resource_id: mergeId }),
+        describeResult: (result) => result ? {
+            patient_id: result.patient_id,
+            detail: `reverted merge of document ${result.document_id}`
+        } : { detail: 'merge not found' }
+    },
+    getMergeById: {
+        action: 'chart_merge.read', resource_type: 'chart_merge',
+        describe: ([mergeId]) => ({ resource_id: mergeId }),
+        describeResult: (merge) => ({ patient_id: merge?.patient_id })
+    },
+    getMergeHistory: {
+        action: 'chart_merge.list', resource_type: 'chart_merge',
+        describe: ([filters]) => ({ patient_id: filters?.patient_id }),
+        describeResult: (rows) => ({ detail: `${rows.length} merges` })
+    }
+});
@@ -0,0 +1,371 @@
+/**
+ * Conflict Resolution Service
+ *
+ * Chart conflicts found when merging a document (safeExtraction.detectConflicts) are
+ * resolved by a reviewer - keep the chart's value, accept the document's, keep both or
+ * discard the document's - with a written rationale. Critical conflicts need a second,
+ * different reviewer to confirm before the document can be merged. Resolutions are
+ * stored against a fingerprint of the conflict (type, field and both values) and are
+ * read by the chart merges in patientService, so they also hold after re-processing.
+ */
+
+const crypto = require('crypto');
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const { getRequestContext } = require('../middleware/requestContext');
+const audit = require('./auditService');
+const chartMerges = require('./chartMergeService');
+const chartItems = require('./chartItemService');
+const safeExtraction = require('./safeExtractionPipeline');
+const documentService = require('./documentService');
+const extractionCorrections = require('./extractionCorrectionService');
+
+const RESOLUTIONS = ['keep_existing', 'accept_incoming', 'keep_both', 'discard'];
+
+const SIGN_OFF = {
+    UNRESOLVED: 'unresolved',
+    AWAITING_CONFIRMATION: 'awaiting_confirmation',
+    RESOLVED: 'resolved',
+    CONFIRMED: 'confirmed'
+};
+
+// err.code of the errors assertSignedOff and assertReviewed throw, for callers that
+// send the document to review instead of failing
+const CONFLICT_ERRORS = {
+    SIGN_OFF_REQUIRED: 'CONFLICT_SIGN_OFF_REQUIRED',
+    REVIEW_REQUIRED: 'CONFLICT_REVIEW_REQUIRED'
+};
+
+const conflictError = (code, message) => Object.assign(new Error(message), { code });
+
+// Merge categories (as in selectiveMerge) each conflicting field holds back
+const CONFLICT_CATEGORIES = {
+    allergies: ['allergies'],
+    medications: ['medications'],
+    surgery_date: ['procedures'],
+    mrn: ['procedures', 'diagnoses', 'medications', 'allergies']
+};
+// Conflict types that hold back something other than their field's categories.
+// A new allergy clashing with an active medication is charted anyway - it's the
+// medication that needs review.
+const TYPE_CATEGORIES = {
+    allergy_drug: []
+};
+
+const categoriesOf = (conflict) => TYPE_CATEGORIES[conflict.type] || CONFLICT_CATEGORIES[conflict.field] || [];
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const isNkda = (allergy) => /\bnkda\b|no known (drug )?allergies/i.test(typeof allergy === 'string' ? allergy : allergy.substance || '');
+
+/**
+ * Stable ID for a conflict: its type, field and the values on both sides
+ */
+const conflictKey = (conflict) => {
+    const values = JSON.stringify([conflict.existing ?? null, conflict.incoming ?? null]).toLowerCase();
+    const hash = crypto.createHash('sha1').update(values).digest('hex').slice(0, 12);
+    return `${conflict.type}:${conflict.field}:${hash}`;
+};
+
+const toResolution = (row) => ({
+    id: row.id,
+    conflict_key: row.conflict_key,
+    resolution: row.resolution,
+    rationale: row.rationale,
+    resolved_by: row.resolved_by,
+    resolved_at: row.resolved_at,
+    confirmed_by: row.confirmed_by,
+    confirmed_at: row.confirmed_at,
+    confirmation_note: row.confirmation_note
+});
+
+const signOffStatus = (conflict, resolution) => {
+    if (!resolution) return SIGN_OFF.UNRESOLVED;
+    if (resolution.confirmed_at) return SIGN_OFF.CONFIRMED;
+    return conflict.severity === 'critical' ? SIGN_OFF.AWAITING_CONFIRMATION : SIGN_OFF.RESOLVED;
+};
+
+const isSettled = (status) => status === SIGN_OFF.RESOLVED || status === SIGN_OFF.CONFIRMED;
+
+// Resolutions of a document by conflict key
+const loadResolutions = async (documentId) => {
+    if (!documentId) return new Map();
+    const rows = await all('SELECT * FROM conflict_resolutions WHERE document_id = ?', [documentId]);
+    return new Map(rows.map(row => [row.conflict_key, toResolution(row)]));
+};
+
+/**
+ * What the resolutions mean for a merge of these conflicts.
+ * @returns {Object} {
+ *   unresolved: conflicts of any severity with no settled resolution,
+ *   pending: critical conflicts still missing a resolution or its confirmation,
+ *   blocked: { category: reason } for categories the merge must leave alone
+ *     ('conflict' while unresolved, else the resolution that held them back),
+ *   accepted: conflicts resolved in favour of the document }
+ */
+const planResolutions = (conflicts, resolutions = new Map()) => {
+    const plan = { unresolved: [], pending: [], blocked: {}, accepted: [] };
+    const block = (conflict, reason) => {
+        for (const category of categoriesOf(conflict)) {
+            // An unresolved conflict wins over a resolution of another conflict in the same category
+            if (plan.blocked[category] !== 'conflict') plan.blocked[category] = reason;
+        }
+    };
+    for (const conflict of conflicts) {
+        const resolution = resolutions.get(conflictKey(conflict));
+        if (!isSettled(signOffStatus(conflict, resolution))) {
+            plan.unresolved.push(conflict);
+            if (conflict.severity === 'critical') plan.pending.push(conflict);
+            block(conflict, 'conflict');
+            continue;
+        }
+        if (resolution.resolution === 'keep_existing' || resolution.resolution === 'discard') {
+            block(conflict, resolution.resolution);
+        } else if (resolution.resolution === 'accept_incoming') {
+            plan.accepted.push(conflict);
+        }
+    }
+    return plan;
+};
+
+// Throw if a merge would go ahead without the sign-offs critical conflicts need
+const assertSignedOff = (plan) => {
+    if (plan.pending.length > 0) {
+        throw conflictError(CONFLICT_ERRORS.SIGN_OFF_REQUIRED,
+            `Critical conflicts need sign-off by two reviewers before merge: ${plan.pending.map(c => c.message).join('; ')}`);
+    }
+};
+
+// Throw if an automatic merge would go ahead past any unresolved conflict - warnings
+// included - so the document goes to a reviewer instead
+const assertReviewed = (plan) => {
+    if (plan.unresolved.length > 0) {
+        throw conflictError(CONFLICT_ERRORS.REVIEW_REQUIRED,
+            `Chart conflicts need review before automatic merge: ${plan.unresolved.map(c => c.message).join('; ')}`);
+    }
+};
+
+/**
+ * The chart sections with the values the document replaces taken out, for conflicts
+ * resolved with accept_incoming. Only categories the merge writes count - merging(category)
+ * - so a held-back category keeps its chart items until the document's can replace them.
+ * For an MRN conflict the document's MRN is returned.
+ * Dose changes are applied with the merged list instead (replaceChangedDoses).
+ * @returns {Object} { sections: { allergies?, procedures? } (only those that changed), mrn }
+ */
+const withoutSuperseded = (chart, accepted, merging = () => true) => {
+    let allergies = chart.allergies || [];
+    let procedures = chart.procedures || [];
+    let mrn = null;
+    for (const conflict of accepted) {
+        if (conflict.type === 'mrn_mismatch') {
+            mrn = conflict.incoming;
+        } else if (!categoriesOf(conflict).every(merging)) {
+            continue;
+        } else if (conflict.type === 'nkda_vs_allergy') {
+            allergies = allergies.filter(allergy => !isNkda(allergy));
+        } else if (conflict.type === 'allergy_vs_nkda') {
+            const replaced = new Set((conflict.existing || []).map(normalize));
+            allergies = allergies.filter(allergy => !replaced.has(normalize(allergy.substance)));
+        } else if (conflict.type === 'date_mismatch') {
+            // The same procedure recorded under the chart's date gives way to the document's date
+            const names = (conflict.procedures || []).map(normalize);
+            const chartDate = chartItems.normalizeDate(conflict.existing);
+            procedures = procedures.filter(proc => {
+                if (chartItems.normalizeDate(proc.performed_date) !== chartDate) return true;
+                const name = normalize(proc.name);
+                return !names.some(n => n.includes(name) || name.includes(n));
+            });
+        }
+    }
+    // Only sections something was taken out of
+    const sections = {};
+    if (allergies.length !== (chart.allergies || []).length) sections.allergies = allergies;
+    if (procedures.length !== (chart.procedures || []).length) sections.procedures = procedures;
+    return { sections, mrn };
+};
+
+/**
+ * Medications a merge writes, with dose changes resolved accept_incoming applied: the
+ * chart's entry is taken out only when the document's new dose, route or frequency is
+ * on the list in its place, so the two always change together. Call it with the merged
+ * list of a merge that writes medications.
+ * @returns {Array} medications (the same array when nothing was replaced)
+ */
+const replaceChangedDoses = (medications, accepted) => {
+    let result = medications;
+    for (const conflict of accepted.filter(c => c.type === 'dose_change')) {
+        const replaced = conflict.existing_evidence?.chart_item_id;
+        if (replaced == null) continue;
+        const rest = result.filter(med => med.id !== replaced);
+        if (rest.length < result.length && chartMerges.isDuplicate('medications', rest, conflict.incoming)) result = rest;
+    }
+    return result;
+};
+
+// Conflicts between a document's (corrected) extraction and its patient's current chart.
+// For a merged document, the conflicts recorded when it was merged - recomputed against
+// the chart it changed, its own items would hide them.
+const currentConflicts = async (documentId) => {
+    const document = await get('SELECT id, patient_id, status FROM patient_documents WHERE id = ?', [documentId]);
+    if (!document) return null;
+    if (document.status === 'merged') {
+        const recorded = await chartMerges.getMergeConflicts(documentId);
+        if (recorded) return { document, conflicts: recorded };
+    }
+    const extraction = await documentService.getExtraction(documentId);
+    let data = null;
+    try {
+        data = extraction ? JSON.parse(extraction.extracted_json) : null;
+    } catch (e) {
+        data = null;
+    }
+    const patient = await chartMerges.loadChart(document.patient_id);
+    if (!data || !patient) return { document, conflicts: [] };
+
+    const { chart } = await extractionCorrections.reviewedChartData(data.pass2 || data, documentId);
+    return { document, conflicts: safeExtraction.detectConflicts(chart, patient).conflicts };
+};
+
+/**
+ * Attach each conflict's key, resolution and sign-off status (for getConflicts)
+ * @returns {Object} { conflicts, sign_off_required, stale_resolutions }
+ */
+const annotateConflicts = async (documentId, conflicts) => {
+    const resolutions = await loadResolutions(documentId);
+    const annotated = conflicts.map(conflict => {
+        const key = conflictKey(conflict);
+        const resolution = resolutions.get(key) || null;
+        return { ...conflict, conflict_key: key, resolution, sign_off: signOffStatus(conflict, resolution) };
+    });
+    const keys = new Set(annotated.map(conflict => conflict.conflict_key));
+    return {
+        conflicts: annotated,
+        sign_off_required: annotated.some(c => c.severity === 'critical' && !isSettled(c.sign_off)),
+        // Resolutions of conflicts this extraction no longer produces
+        stale_resolutions: [...resolutions.values()].filter(resolution => !keys.has(resolution.conflict_key))
+    };
+};
+
+const currentUser = () => getRequestContext()?.user || null;
+
+const sameUser = (user, name, userId) => (user?.id && userId ? user.id === userId : user?.username === name);
+
+// Load the document's conflict with this key, refusing documents that are already merged
+const findConflict = async (documentId, key) => {
+    const current = await currentConflicts(documentId);
+    if (!current) return null;
+    if (current.document.status === 'merged') {
+        throw new Error(`Document ${documentId} is already merged into the chart`);
+    }
+    const conflict = current.conflicts.find(c => conflictKey(c) === key);
+    if (!conflict) {
+        throw new Error(`Invalid conflict: ${key} is not a current conflict of document ${documentId}`);
+    }
+    return conflict;
+};
+
+/**
+ * First sign-off: record how a conflict is resolved. Resolving again replaces the
+ * earlier resolution and clears its confirmation.
+ * @param {Object} input - { resolution: keep_existing|accept_incoming|keep_both|discard, rationale }
+ * @returns {Object|null} the annotated conflict, or null if the document doesn't exist
+ */
+const resolveConflict = async (documentId, key, { resolution, rationale } = {}) => {
+    if (!RESOLUTIONS.includes(resolution)) {
+        throw new Error(`Invalid resolution: must be one of ${RESOLUTIONS.join(', ')}`);
+    }
+    if (!rationale || !String(rationale).trim()) {
+        throw new Error('Invalid resolution: a rationale is required');
+    }
+    return withTransaction(async () => {
+        const conflict = await findConflict(documentId, key);
+        if (!conflict) return null;
+
+        const user = currentUser();
+        const now = new Date().toISOString();
+        await run(`INSERT INTO conflict_resolutions
+                   (document_id, conflict_key, conflict_type, field, severity, conflict_json, resolution, rationale,
+                    resolved_by, resolved_by_user_id, resolved_at)
+                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                   ON CONFLICT (document_id, conflict_key) DO UPDATE SET
+                       conflict_json = excluded.conflict_json,
+                       severity = excluded.severity,
+                       resolution = excluded.resolution,
+                       rationale = excluded.rationale,
+                       resolved_by = excluded.resolved_by,
+                       resolved_by_user_id = excluded.resolved_by_user_id,
+                       resolved_at = excluded.resolved_at,
+                       confirmed_by = NULL,
+                       confirmed_by_user_id = NULL,
+                       confirmed_at = NULL,
+                       confirmation_note = NULL`, [
+            documentId, key, conflict.type, conflict.field, conflict.severity, JSON.stringify(conflict),
+            resolution, String(rationale).trim(), user?.username || 'system', user?.id || null, now
+        ]);
+        return (await annotateConflicts(documentId, [conflict])).conflicts[0];
+    });
+};
+
+/**
+ * Second sign-off: a different reviewer confirms a resolution
+ * @param {Object} input - { note }
+ * @returns {Object|null} the annotated conflict, or null if the document doesn't exist
+ */
+const confirmResolution = async (documentId, key, { note = null } = {}) => {
+    return withTransaction(async () => {
+        const conflict = await findConflict(documentId, key);
+        if (!conflict) return null;
+        const row = await get('SELECT * FROM conflict_resolutions WHERE document_id = ? AND conflict_key = ?', [documentId, key]);
+        if (!row) {
+            throw new Error(`Conflict ${key} has not been resolved yet - it needs a resolution before it can be confirmed`);
+        }
+
+        const user = currentUser();
+        if (sameUser(user, row.resolved_by, row.resolved_by_user_id)) {
+            throw new Error(`Confirmation must come from a second reviewer - ${row.resolved_by} resolved this conflict`);
+        }
+        if (!row.confirmed_at) {
+            await run(`UPDATE conflict_resolutions SET confirmed_by = ?, confirmed_by_user_id = ?, confirmed_at = ?, confirmation_note = ?
+                       WHERE id = ?`, [user?.username || 'system', user?.id || null, new Date().toISOString(),
+                note ? String(note).trim() || null : null, row.id]);
+        }
+        return (await annotateConflicts(documentId, [conflict])).conflicts[0];
+    });
+};
+
+const describeConflict = async ([documentId, key]) => ({
+    patient_id: await audit.getPatientIdForDocument(documentId),
+    resource_id: documentId,
+    detail: key
+});
+
+module.exports = audit.instrument({
+    conflictKey,
+    loadResolutions,
+    planResolutions,
+    assertSignedOff,
+    assertReviewed,
+    withoutSuperseded,
+    replaceChangedDoses,
+    annotateConflicts,
+    resolveConflict,
+    confirmResolution,
+    RESOLUTIONS,
+    SIGN_OFF,
+    CONFLICT_ERRORS
+}, {
+    resolveConflict: {
+        action: 'conflict.resolve', resource_type: 'document',
+        describe: describeConflict,
+        describeResult: (result, [, key, input]) => ({
+            detail: result ? `${key}: ${result.resolution.resolution} - ${input.rationale}` : 'document not found'
+        })
+    },
+    confirmResolution: {
+        action: 'conflict.confirm', resource_type: 'document',
+        describe: describeConflict,
+        describeResult: (result, [, key]) => ({
+            detail: result ? `${key}: ${result.resolution.resolution} confirmed by ${result.resolution.confirmed_by}` : 'document not found'
+        })
+    }
+});
@@ -0,0 +1,85 @@
+/**
+ * Document Chunker
+ *
+ * Splits long document text into extraction-sized chunks along header sections
+ * (headerSliceExtractor.findSections), so nothing in the middle of a long packet
+ * is dropped. Page numbers come from the form feeds (\f) pdftotext writes between pages
+ * (see evidenceService.pageStarts).
+ */
+
+const headerSlice = require('./headerSliceExtractor');
+const { pageStarts, pageAtOffset } = require('./evidenceService');
+
+// Max characters per chunk (override with EXTRACTION_CHUNK_CHARS)
+const CHUNK_MAX_CHARS = parseInt(process.env.EXTRACTION_CHUNK_CHARS) || 12000;
+
+// Split one oversized span at page breaks, else line breaks, else hard at maxChars
+const splitSpan = (text, start, end, maxChars) => {
+    const pieces = [];
+    let pieceStart = start;
+    while (end - pieceStart > maxChars) {
+        const limit = pieceStart + maxChars;
+        let cut = text.lastIndexOf('\f', limit - 1);
+        if (cut <= pieceStart) cut = text.lastIndexOf('\n', limit - 1);
+        cut = cut > pieceStart ? cut + 1 : limit;
+        pieces.push({ start: pieceStart, end: cut });
+        pieceStart = cut;
+    }
+    pieces.push({ start: pieceStart, end });
+    return pieces;
+};
+
+/**
+ * Split text into chunks of whole sections (sections longer than maxChars are split).
+ * Text before the first header is its own 'preamble' span.
+ * @returns {Array} [{ index, start, end, text, sections, first_page, last_page }]
+ */
+const chunkDocument = (text, { maxChars = CHUNK_MAX_CHARS } = {}) => {
+    const sections = headerSlice.findSections(text);
+    const spans = [];
+    const firstStart = sections.length > 0 ? sections[0].start : text.length;
+    if (firstStart > 0) {
+        spans.push({ key: 'preamble', start: 0, end: firstStart });
+    }
+    for (const section of sections) {
+        spans.push({ key: section.key, start: section.start, end: section.end });
+    }
+
+    // Pack consecutive spans into chunks
+    const groups = [];
+    let current = null;
+    for (const span of spans) {
+        for (const piece of splitSpan(text, span.start, span.end, maxChars)) {
+            if (current && piece.end - current.start <= maxChars) {
+                current.end = piece.end;
+                if (!current.sections.includes(span.key)) current.sections.push(span.key);
+            } else {
+                current = { start: piece.start, end: piece.end, sections: [span.key] };
+                groups.push(current);
+            }
+        }
+    }
+
+    const starts = pageStarts(text);
+    return groups
+        .filter(group => text.slice(group.start, group.end).trim().length > 0)
+        .map((group, index) => {
+            // Trailing whitespace (e.g. the \f before the next section) doesn't put a chunk on the next page
+            let last = group.end - 1;
+            while (last > group.start && /\s/.test(text[last])) last--;
+            return {
+                index,
+                start: group.start,
+                end: group.end,
+                text: text.slice(group.start, group.end),
+                sections: group.sections,
+                first_page: pageAtOffset(starts, group.start),
+                last_page: pageAtOffset(starts, last)
+            };
+        });
+};
+
+module.exports = {
+    chunkDocument,
+    CHUNK_MAX_CHARS
+};
@@ -0,0 +1,242 @@
+/**
+ * Document Processing Service
+ *
+ * Runs the safe extraction pipeline for one document, stores the extraction,
+ * merges into the chart when it is safe to and generates patient reports.
+ * Runs as a background job (JOB_TYPES.PROCESS_DOCUMENT) - see jobQueueService.
+ */
+
+const db = require('../config/database');
+const documentService = require('./documentService');
+const safeExtraction = require('./safeExtractionPipeline');
+const patientService = require('./patientService');
+const ReportGeneratorService = require('./reportGeneratorService');
+const searchService = require('./searchService');
+const extractionCorrections = require('./extractionCorrectionService');
+const conflictResolutions = require('./conflictResolutionService');
+
+// Recorded on each extraction version this service saves
+const EXTRACTION_PIPELINE = 'safe_extraction';
+
+// Save generated reports to patient_reports
+const saveReports = (reports) => {
+    return new Promise((resolve, reject) => {
+        const stmt = db.prepare(`
+            INSERT INTO patient_reports
+            (patient_id, document_id, report_type, title, subtitle, report_json, confidence, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const report of reports) {
+            stmt.run(
+                report.patient_id,
+                report.document_id,
+                report.report_type,
+                report.title,
+                report.subtitle,
+                report.report_json,
+                report.confidence,
+                report.status
+            );
+        }
+        stmt.finalize((err) => {
+            if (err) return reject(err);
+            resolve(reports.length);
+        });
+    });
+};
+
+// Build the extraction reports (incl. the document_render report) for a processed document
+const generateReports = async (document, result) => {
+    const documentId = document.id;
+    const reports = ReportGeneratorService.generateReports(
+        result.pass2,
+        documentId,
+        document.patient_id
+    );
+
+    // Build document object with required fields for the report generator
+    const docForReport = {
+        id: documentId,
+        patient_id: document.patient_id,
+        original_filename: document.original_filename,
+        stored_path: document.stored_path,
+        text_path: result.textPath,
+        status: result.status,
+        created_at: document.created_at
+    };
+    const docRenderReport = ReportGeneratorService.generateDocumentRenderReport(
+        docForReport,
+        result.pass2,
+        result.validation
+    );
+    if (docRenderReport) {
+        reports.push(docRenderReport);
+    }
+
+    if (reports.length > 0) {
+        await saveReports(reports);
+        console.log(`[ProcessDocument] Generated ${reports.length} patient reports (incl. document_render)`);
+    }
+    return reports;
+};
+
+/**
+ * Process one document end to end.
+ * onStage(stage) is called as each step starts - the pipeline stages followed by
+ * saving, merging and generating_reports.
+ * Throws if the pipeline itself errored, so the job can be retried.
+ * @returns {Object} processing summary (status, confidence, review reasons, merge result)
+ */
+const processDocument = async (documentId, { onStage } = {}) => {
+    const reportStage = async (stage) => {
+        if (onStage) await onStage(stage);
+    };
+
+    const document = await documentService.getDocumentById(documentId);
+    if (!document) {
+        throw new Error('Document not found');
+    }
+
+    await documentService.updateDocumentStatus(documentId, 'processing');
+
+    // Run the SAFE processing pipeline (two-pass with invariants)
+    console.log('[ProcessDocument] Starting safe extraction pipeline...');
+    const result = await safeExtraction.processDocumentSafe(document, { onStage: reportStage });
+    if (result.status === 'error') {
+        throw new Error(result.error || 'Extraction pipeline failed');
+    }
+
+    await reportStage('saving');
+
+    // Prepare extraction data for storage
+    const extractionData = {
+        schemaVersion: result.schemaVersion,
+        pass1: result.pass1,
+        pass2: result.pass2,
+        model: result.model,
+        confidence: result.confidence,
+        validation: result.validation,
+        reviewReasons: result.reviewReasons
+    };
+
+    // Prepare validation data
+    const validationData = {
+        invariants: result.validation,
+        confidence: result.confidence,
+        reviewReasons: result.reviewReasons,
+        canMerge: result.canMerge,
+        needsReview: result.needsReview,
+        identity: result.identity
+    };
+
+    // Save extraction with validation data
+    await documentService.saveExtractionWithValidation(
+        documentId,
+        result.model || 'unknown',
+        JSON.stringify(extractionData),
+        result.pass2?.summary || null,
+        result.confidence.score,
+        JSON.stringify(validationData),
+        { pipeline: EXTRACTION_PIPELINE, schema_version: result.schemaVersion }
+    );
+
+    // Update document status
+    const docType = result.pass2?.doc?.doc_type || null;
+    const docDate = result.pass2?.doc?.doc_date || result.pass2?.surgery?.date || null;
+    await documentService.updateDocumentStatus(
+        documentId,
+        result.status,
+        result.error || null,
+        result.textPath,
+        docType,
+        docDate
+    );
+
+    // Make the document text searchable - a failure here shouldn't fail processing
+    try {
+        await searchService.indexDocumentText(documentId);
+    } catch (err) {
+        console.error('[ProcessDocument] Search indexing failed:', err.message);
+    }
+
+    // CRITICAL: Only merge if canMerge is true AND not needs_review
+    let mergeResult = null;
+    if (result.canMerge && !result.needsReview && result.pass2) {
+        await reportStage('merging');
+        console.log('[ProcessDocument] Merging into patient chart...');
+        // Corrections reviewers made to an earlier run of this document still apply
+        const { chart: chartData } = await extractionCorrections.reviewedChartData(result.pass2, documentId);
+        try {
+            mergeResult = await patientService.mergeExtractionIntoChart(
+                document.patient_id,
+                chartData,
+                { doc_type: docType, doc_date: docDate, source_document_id: documentId }
+            );
+        } catch (err) {
+            // Chart conflicts wait for reviewers (two for critical ones) instead of merging automatically
+            if (!Object.values(conflictResolutions.CONFLICT_ERRORS).includes(err.code)) throw err;
+            console.log(`[ProcessDocument] Document ${documentId} has unresolved chart conflicts, NOT merging`);
+            result.needsReview = true;
+            result.status = 'needs_review';
+            result.reviewReasons = [...(result.reviewReasons || []), err.message];
+            await documentService.updateDocumentStatus(documentId, 'needs_review');
+        }
+        // Counts only - the merge result holds chart items
+        if (mergeResult) {
+            const sections = ['procedures', 'problems', 'meds', 'allergies'].map(key => `${(mergeResult[key] || []).length} ${key}`);
+            console.log(`[ProcessDocument] Chart merge ${mergeResult.merge_id || '(no changes)'}: chart now has ${sections.join(', ')}`);
+        }
+
+        // Update status to 'merged' after successful merge
+        if (mergeResult) await documentService.updateDocumentStatus(documentId, 'merged');
+    } else if (result.needsReview) {
+        console.log('[ProcessDocument] Document needs review, NOT merging into chart');
+        console.log('[ProcessDocument] Review reasons:', result.reviewReasons);
+    }
+
+    // AUTO-GENERATE PATIENT REPORTS (if extraction successful)
+    let generatedReports = [];
+    if (result.pass2 && result.confidence.score >= 0.6) {
+        await reportStage('generating_reports');
+        try {
+            console.log('[ProcessDocument] Auto-generating patient reports...');
+            generatedReports = await generateReports(document, result);
+        } catch (err) {
+            console.error('[ProcessDocument] Error generating reports:', err.message);
+            // Don't fail the whole job if report generation fails
+        }
+    }
+
+    return {
+        message: result.needsReview
+            ? 'Document processed but needs review before chart update'
+            : 'Document processed successfully',
+        document_id: parseInt(documentId),
+        patient_id: document.patient_id,
+        status: mergeResult ? 'merged' : result.status,
+        confidence: result.confidence,
+        canMerge: result.canMerge,
+        needsReview: result.needsReview,
+        reviewReasons: result.reviewReasons,
+        identity: result.identity ? { status: result.identity.status, suggestions: result.identity.suggestions } : null,
+        merged: mergeResult ? true : false,
+        merge_id: mergeResult?.merge_id || null,
+        reportsGenerated: generatedReports.length,
+        model: result.model
+    };
+};
+
+// Job handler for JOB_TYPES.PROCESS_DOCUMENT
+const processDocumentJob = {
+    run: (job, { setStage }) => processDocument(job.document_id, { onStage: setStage }),
+
+    // Out of retries - leave the document showing why
+    onFailed: async (job, error) => {
+        await documentService.updateDocumentStatus(job.document_id, 'error', error.message);
+    }
+};
+
+module.exports = {
+    processDocument,
+    processDocumentJob
+};
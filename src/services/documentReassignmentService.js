@@ -0,0 +1,181 @@
+/**
+ * Document Reassignment Service
+ *
+ * Moves a misfiled document to the patient it belongs to, in one transaction:
+ * chart merges the document made into the old patient's chart are reverted, then
+ * the document, its reports and its jobs are re-linked to the new patient (its
+ * extractions are keyed by document and follow it). Each step is written to the
+ * audit log under the patient it affected.
+ */
+
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const audit = require('./auditService');
+const chartMerges = require('./chartMergeService');
+const chartItems = require('./chartItemService');
+const patientIdentity = require('./patientIdentityService');
+
+// Statuses of a document whose extraction has to be reviewed again for its new patient
+const REVIEWABLE_STATUSES = ['extracted', 'needs_review', 'merged'];
+
+/**
+ * Re-run the identity cross-check of the current extraction against the new patient,
+ * replacing the old PATIENT_IDENTITY_MISMATCH result
+ */
+const refreshIdentityCheck = async (documentId, patientId) => {
+    const extraction = await get(`SELECT de.id, de.extracted_json, de.validation_json FROM document_extractions de
+                                  JOIN patient_documents pd ON pd.current_extraction_id = de.id
+                                  WHERE pd.id = ?`, [documentId]);
+    if (!extraction || !extraction.validation_json) return null;
+
+    let extracted;
+    let validation;
+    try {
+        extracted = JSON.parse(extraction.extracted_json) || {};
+        validation = JSON.parse(extraction.validation_json) || {};
+    } catch (e) {
+        return null;
+    }
+    const doc = (extracted.pass2 || extracted).doc || {};
+    const identity = await patientIdentity.verifyDocumentIdentity(patientId, {
+        name: doc.patient_name || null,
+        date_of_birth: doc.date_of_birth || null,
+        mrn: doc.mrn || null
+    });
+
+    const invariants = validation.invariants || {};
+    const issues = invariants.issues || [];
+    const stale = issues.filter(issue => issue.code === 'PATIENT_IDENTITY_MISMATCH');
+    invariants.issues = issues.filter(issue => issue.code !== 'PATIENT_IDENTITY_MISMATCH');
+    validation.reviewReasons = (validation.reviewReasons || []).filter(reason => !stale.some(issue => issue.message === reason));
+    if (identity.status === 'mismatch') {
+        invariants.issues.push({
+            code: 'PATIENT_IDENTITY_MISMATCH',
+            message: patientIdentity.describeMismatch(identity),
+            severity: 'critical',
+            mismatches: identity.mismatches,
+            suggestions: identity.suggestions
+        });
+        validation.reviewReasons.push(invariants.issues[invariants.issues.length - 1].message);
+    }
+    invariants.hasCritical = invariants.issues.some(issue => issue.severity === 'critical');
+    validation.invariants = invariants;
+    validation.identity = identity;
+
+    await run('UPDATE document_extractions SET validation_json = ? WHERE id = ?', [JSON.stringify(validation), extraction.id]);
+    return identity;
+};
+
+// Chart items sourced from the document that no merge record covers (charts migrated from JSON)
+const removeUntrackedItems = async (patientId, documentId) => {
+    const removed = {};
+    for (const [section, config] of Object.entries(chartItems.SECTION_TABLES)) {
+        const rows = await all(`SELECT id FROM ${config.table}
+                                WHERE patient_id = ? AND source_document_id = ? AND chart_merge_id IS NULL`, [patientId, documentId]);
+        await chartItems.deleteItems(section, rows.map(row => row.id));
+        removed[section] = rows.length;
+    }
+    return removed;
+};
+
+/**
+ * Move a document (and everything hanging off it) to another patient.
+ * Throws if the target patient doesn't exist or already has the document.
+ * @param {number} documentId
+ * @param {number} targetPatientId
+ * @param {Object} options - { reason } recorded in the audit log
+ * @returns {Object|null} { document_id, from_patient_id, to_patient_id, status, reverted_merges,
+ *   untracked_items_removed, reports_moved, jobs_moved, identity } or null if the document doesn't exist
+ */
+const reassignDocument = async (documentId, targetPatientId, { reason = null } = {}) => {
+    const result = await withTransaction(async () => {
+        const document = await get('SELECT * FROM patient_documents WHERE id = ?', [documentId]);
+        if (!document) return null;
+        const target = await get('SELECT id FROM patients WHERE id = ?', [targetPatientId]);
+        if (!target) {
+            throw new Error(`Patient ${targetPatientId} not found`);
+        }
+        if (String(document.patient_id) === String(target.id)) {
+            throw new Error(`Document ${documentId} already belongs to patient ${target.id}`);
+        }
+
+        // Back the document's contributions out of the old chart, newest merge first
+        const merges = await all(`SELECT id FROM chart_merges WHERE document_id = ? AND patient_id = ? AND reverted_at IS NULL
+                                  ORDER BY id DESC`, [documentId, document.patient_id]);
+        const reverted = [];
+        for (const merge of merges) {
+            reverted.push(await chartMerges.undoMerge(merge.id));
+        }
+        const untracked = await removeUntrackedItems(document.patient_id, documentId);
+
+        const status = REVIEWABLE_STATUSES.includes(document.status) ? 'needs_review' : document.status;
+        await run(`UPDATE patient_documents SET patient_id = ?, status = ?,
+                   status_changed_at = CASE WHEN status IS ? THEN status_changed_at ELSE ? END WHERE id = ?`,
+            [target.id, status, status, new Date().toISOString(), documentId]);
+        const reports = await run('UPDATE patient_reports SET patient_id = ? WHERE document_id = ?', [target.id, documentId]);
+        const jobs = await run('UPDATE jobs SET patient_id = ? WHERE document_id = ?', [target.id, documentId]);
+        const identity = await refreshIdentityCheck(documentId, target.id);
+
+        return {
+            document_id: document.id,
+            from_patient_id: document.patient_id,
+            to_patient_id: target.id,
+            previous_status: document.status,
+            status,
+            reverted_merges: reverted,
+            untracked_items_removed: untracked,
+            reports_moved: reports.changes,
+            jobs_moved: jobs.changes,
+            identity
+        };
+    });
+    if (!result) return null;
+
+    // Audit each step under the patient it touched
+    const because = reason ? ` - ${reason}` : '';
+    for (const merge of result.reverted_merges) {
+        const count = Object.values(merge.removed).reduce((sum, items) => sum + items.length, 0);
+        await audit.record({
+            action: 'chart.revert', resource_type: 'chart_merge', resource_id: merge.merge_id,
+            patient_id: result.from_patient_id,
+            detail: `reverted merge of document ${documentId} (${count} items) for reassignment to patient ${result.to_patient_id}`
+        });
+    }
+    const untrackedCount = Object.values(result.untracked_items_removed).reduce((sum, n) => sum + n, 0);
+    if (untrackedCount > 0) {
+        await audit.record({
+            action: 'chart.remove_items', resource_type: 'chart', resource_id: result.from_patient_id,
+            patient_id: result.from_patient_id,
+            detail: `removed ${untrackedCount} items sourced from document ${documentId} for reassignment`
+        });
+    }
+    if (result.reports_moved > 0) {
+        await audit.record({
+            action: 'report.reassign', resource_type: 'patient_report', resource_id: documentId,
+            patient_id: result.to_patient_id,
+            detail: `${result.reports_moved} reports moved from patient ${result.from_patient_id}`
+        });
+    }
+    await audit.record({
+        action: 'document.reassign_out', resource_type: 'document', resource_id: documentId,
+        patient_id: result.from_patient_id,
+        detail: `moved to patient ${result.to_patient_id}${because}`
+    });
+    return result;
+};
+
+module.exports = audit.instrument({
+    reassignDocument
+}, {
+    reassignDocument: {
+        action: 'document.reassign', resource_type: 'document',
+        describe: ([documentId, targetPatientId, options]) => ({
+            resource_id: documentId,
+            patient_id: targetPatientId,
+            detail: options?.reason || null
+        }),
+        describeResult: (result, [, , options]) => result ? {
+            detail: `from patient ${result.from_patient_id} (status ${result.previous_status} → ${result.status})` +
+                (options?.reason ? ` - ${options.reason}` : '')
+        } : { detail: 'document not found' }
+    }
+});
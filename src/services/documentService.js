@@ -2,6 +2,8 @@ const db = require('../config/database');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { run, get, withTransaction } = require('../config/dbHelpers');
+const audit = require('./auditService');
 
 // Compute SHA-256 hash of a file (for integrity verification)
 const computeFileHash = (filePath) => {
@@ -17,9 +19,9 @@ const computeFileHash = (filePath) => {
 // Get all documents for a patient
 const getPatientDocuments = (patientId) => {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT pd.*, de.extracted_json, de.summary, de.confidence, de.model
+        const sql = `SELECT pd.*, de.extracted_json, de.summary, de.confidence, de.model, de.version as extraction_version
                      FROM patient_documents pd
-                     LEFT JOIN document_extractions de ON pd.id = de.document_id
+                     LEFT JOIN document_extractions de ON de.id = pd.current_extraction_id
                      WHERE pd.patient_id = ?
                      ORDER BY pd.created_at DESC`;
         db.all(sql, [patientId], (err, rows) => {
@@ -51,9 +53,10 @@ const createDocument = (patientId, originalFilename, storedPath, fileHash = null
 // Get document by ID
 const getDocumentById = (documentId) => {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT pd.*, de.id as extraction_id, de.extracted_json, de.summary, de.confidence, de.model
+        const sql = `SELECT pd.*, de.id as extraction_id, de.extracted_json, de.summary, de.confidence, de.model, de.validation_json,
+                            de.version as extraction_version
                      FROM patient_documents pd
-                     LEFT JOIN document_extractions de ON pd.id = de.document_id
+                     LEFT JOIN document_extractions de ON de.id = pd.current_extraction_id
                      WHERE pd.id = ?`;
         db.get(sql, [documentId], (err, row) => {
             if (err) return reject(err);
@@ -63,10 +66,11 @@ const getDocumentById = (documentId) => {
 };
 
 // Update document status
-const updateDocumentStatus = (documentId, status, errorMessage = null, textPath = null) => {
+const updateDocumentStatus = (documentId, status, errorMessage = null, textPath = null, docType = null, docDate = null) => {
     return new Promise((resolve, reject) => {
-        let sql = `UPDATE patient_documents SET status = ?`;
-        const params = [status];
+        // status_changed_at only moves when the status does - it's how long a document has waited for review
+        let sql = `UPDATE patient_documents SET status_changed_at = CASE WHEN status IS ? THEN status_changed_at ELSE ? END, status = ?`;
+        const params = [status, new Date().toISOString(), status];
         
         if (errorMessage !== null) {
             sql += `, error_message = ?`;
@@ -76,6 +80,14 @@ const updateDocumentStatus = (documentId, status, errorMessage = null, textPath
             sql += `, text_path = ?`;
             params.push(textPath);
         }
+        if (docType !== null) {
+            sql += `, doc_type = ?`;
+            params.push(docType);
+        }
+        if (docDate !== null) {
+            sql += `, doc_date = ?`;
+            params.push(docDate);
+        }
         sql += ` WHERE id = ?`;
         params.push(documentId);
         
@@ -86,55 +98,61 @@ const updateDocumentStatus = (documentId, status, errorMessage = null, textPath
     });
 };
 
-// Save extraction result
-const saveExtraction = (documentId, model, extractedJson, summary, confidence) => {
-    return new Promise((resolve, reject) => {
-        // First delete any existing extraction for this document
-        db.run(`DELETE FROM document_extractions WHERE document_id = ?`, [documentId], (err) => {
-            if (err) return reject(err);
-            
-            const sql = `INSERT INTO document_extractions (document_id, model, extracted_json, summary, confidence)
-                         VALUES (?, ?, ?, ?, ?)`;
-            db.run(sql, [documentId, model, extractedJson, summary, confidence], function(err) {
-                if (err) return reject(err);
-                resolve({ id: this.lastID, documentId, model, confidence });
-            });
-        });
+/**
+ * Store an extraction as the document's next version and make it current.
+ * Earlier versions are kept (see extractionVersionService).
+ * @param {Object} fields - { model, extracted_json, summary, confidence, validation_json, pipeline, schema_version }
+ */
+const insertExtractionVersion = (documentId, fields) => withTransaction(async () => {
+    const { next } = await get('SELECT COALESCE(MAX(version), 0) + 1 as next FROM document_extractions WHERE document_id = ?', [documentId]);
+    let schemaVersion = fields.schema_version || null;
+    if (!schemaVersion) {
+        try { schemaVersion = JSON.parse(fields.extracted_json).schemaVersion || null; } catch (e) {}
+    }
+    const inserted = await run(`INSERT INTO document_extractions
+                                (document_id, version, pipeline, model, schema_version, extracted_json, summary, confidence, validation_json)
+                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+        documentId, next, fields.pipeline || null, fields.model, schemaVersion, fields.extracted_json,
+        fields.summary, fields.confidence, fields.validation_json || null
+    ]);
+    await run('UPDATE patient_documents SET current_extraction_id = ? WHERE id = ?', [inserted.lastID, documentId]);
+    return { id: inserted.lastID, documentId, version: next, model: fields.model, confidence: fields.confidence };
+});
+
+// Save extraction result (as a new version)
+const saveExtraction = (documentId, model, extractedJson, summary, confidence, meta = {}) => {
+    return insertExtractionVersion(documentId, {
+        model, extracted_json: extractedJson, summary, confidence, ...meta
     });
 };
 
-// Save extraction with validation data (for safe pipeline)
-const saveExtractionWithValidation = (documentId, model, extractedJson, summary, confidence, validationJson) => {
-    return new Promise((resolve, reject) => {
-        // First delete any existing extraction for this document
-        db.run(`DELETE FROM document_extractions WHERE document_id = ?`, [documentId], (err) => {
-            if (err) return reject(err);
-            
-            const sql = `INSERT INTO document_extractions (document_id, model, extracted_json, summary, confidence, validation_json)
-                         VALUES (?, ?, ?, ?, ?, ?)`;
-            db.run(sql, [documentId, model, extractedJson, summary, confidence, validationJson], function(err) {
-                if (err) return reject(err);
-                resolve({ id: this.lastID, documentId, model, confidence });
-            });
-        });
+// Save extraction with validation data (for safe pipeline) - meta is { pipeline, schema_version }
+const saveExtractionWithValidation = (documentId, model, extractedJson, summary, confidence, validationJson, meta = {}) => {
+    return insertExtractionVersion(documentId, {
+        model, extracted_json: extractedJson, summary, confidence, validation_json: validationJson, ...meta
     });
 };
 
-// Get extraction for a document
+// Get the document's current extraction (the newest if no version is marked current)
 const getExtraction = (documentId) => {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT * FROM document_extractions WHERE document_id = ? ORDER BY created_at DESC LIMIT 1`;
+        const sql = `SELECT de.*, (de.id = pd.current_extraction_id) as is_current
+                     FROM document_extractions de
+                     LEFT JOIN patient_documents pd ON pd.id = de.document_id
+                     WHERE de.document_id = ?
+                     ORDER BY is_current DESC, de.id DESC LIMIT 1`;
         db.get(sql, [documentId], (err, row) => {
             if (err) return reject(err);
-            resolve(row);
+            resolve(row ? { ...row, is_current: !!row.is_current } : row);
         });
     });
 };
 
-// Delete document and its extraction
+// Delete document with all its extraction versions and reviewer corrections
 const deleteDocument = (documentId) => {
     return new Promise((resolve, reject) => {
         db.serialize(() => {
+            db.run(`DELETE FROM extraction_corrections WHERE document_id = ?`, [documentId]);
             db.run(`DELETE FROM document_extractions WHERE document_id = ?`, [documentId]);
             db.run(`DELETE FROM patient_documents WHERE id = ?`, [documentId], function(err) {
                 if (err) return reject(err);
@@ -161,7 +179,14 @@ const verifyDocumentIntegrity = async (documentId) => {
     };
 };
 
-module.exports = {
+// Audit entries for calls keyed by document ID
+const describeDocument = async ([documentId]) => ({
+    patient_id: await audit.getPatientIdForDocument(documentId),
+    resource_id: documentId
+});
+
+// computeFileHash only touches the uploaded file, not patient records - not audited
+module.exports = audit.instrument({
     getPatientDocuments,
     createDocument,
     getDocumentById,
@@ -172,4 +197,24 @@ module.exports = {
     deleteDocument,
     computeFileHash,
     verifyDocumentIntegrity
-};
+}, {
+    getPatientDocuments: {
+        action: 'document.list', resource_type: 'document',
+        describe: ([patientId]) => ({ patient_id: patientId })
+    },
+    createDocument: {
+        action: 'document.upload', resource_type: 'document',
+        describe: ([patientId, originalFilename]) => ({ patient_id: patientId, detail: originalFilename }),
+        describeResult: (doc) => ({ resource_id: doc.id })
+    },
+    getDocumentById: { action: 'document.read', resource_type: 'document', describe: describeDocument },
+    updateDocumentStatus: {
+        action: 'document.update_status', resource_type: 'document',
+        describe: async (args) => ({ ...(await describeDocument(args)), detail: `status → ${args[1]}` })
+    },
+    saveExtraction: { action: 'extraction.save', resource_type: 'extraction', describe: describeDocument },
+    saveExtractionWithValidation: { action: 'extraction.save', resource_type: 'extraction', describe: describeDocument },
+    getExtraction: { action: 'extraction.read', resource_type: 'extraction', describe: describeDocument },
+    deleteDocument: { action: 'document.delete', resource_type: 'document', describe: describeDocument },
+    verifyDocumentIntegrity: { action: 'document.verify_integrity', resource_type: 'document', describe: describeDocument }
+});
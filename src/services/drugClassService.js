@@ -0,0 +1,269 @@
+/**
+ * Drug Class Service
+ *
+ * Bundled, offline drug-class table used to check medications against allergies at
+ * merge time: a medication in the same class as a charted allergy (amoxicillin with a
+ * penicillin allergy), or in a class known to cross-react with it (cefazolin with a
+ * penicillin allergy). Names are matched as whole words on generic names, so
+ * "Amoxicillin-clavulanate 875 mg" and "PCN" both resolve to penicillins.
+ *
+ * The same table flags therapeutic duplication - two different drugs from a class
+ * where taking both at once is rarely intended (two opioids, two anticoagulants).
+ * Brand names and misspellings are resolved to generics (medicationAliasService) first,
+ * so "Lovenox" is enoxaparin and "Tylenol" with an acetaminophen allergy is a match.
+ */
+
+const medicationAliases = require('./medicationAliasService');
+
+// Per class: the generic drugs in it, extra words an allergy to the whole class is
+// charted as, how serious a same-class match is, and why. Classes with `duplication`
+// are checked for two of their drugs being given at the same time.
+const DRUG_CLASSES = {
+    penicillins: {
+        label: 'Penicillins',
+        members: ['penicillin', 'amoxicillin', 'ampicillin', 'piperacillin', 'nafcillin', 'oxacillin',
+            'dicloxacillin', 'cloxacillin', 'ticarcillin'],
+        allergyTerms: ['penicillins', 'pcn'],
+        severity: 'critical',
+        rationale: 'shares the beta-lactam ring and side chains responsible for penicillin hypersensitivity'
+    },
+    cephalosporins: {
+        label: 'Cephalosporins',
+        members: ['cefazolin', 'cephalexin', 'cefadroxil', 'cefuroxime', 'cefoxitin', 'cefotetan', 'cefprozil',
+            'cefaclor', 'ceftriaxone', 'cefotaxime', 'ceftazidime', 'cefdinir', 'cefpodoxime', 'cefixime',
+            'cefepime', 'ceftaroline'],
+        allergyTerms: ['cephalosporin', 'cephalosporins'],
+        severity: 'critical',
+        rationale: 'same cephalosporin core; reactions often recur across the class'
+    },
+    sulfonamide_antibiotics: {
+        label: 'Sulfonamide antibiotics',
+        members: ['sulfamethoxazole', 'sulfadiazine', 'sulfisoxazole', 'sulfacetamide', 'sulfasalazine',
+            'trimethoprim-sulfamethoxazole'],
+        allergyTerms: ['sulfa', 'sulfas', 'sulfonamide', 'sulfonamides', 'sulpha'],
+        severity: 'critical',
+        rationale: 'contains the arylamine sulfonamide group that causes sulfa antibiotic reactions'
+    },
+    sulfonamide_nonantibiotics: {
+        label: 'Non-antibiotic sulfonamides',
+        members: ['furosemide', 'bumetanide', 'torsemide', 'hydrochlorothiazide', 'chlorthalidone',
+            'acetazolamide', 'celecoxib', 'glipizide', 'glyburide', 'glimepiride'],
+        allergyTerms: [],
+        severity: 'warning',
+        rationale: 'sulfonamide without the arylamine group; reactions within this group are uncommon'
+    },
+    nsaids: {
+        label: 'NSAIDs',
+        members: ['aspirin', 'ibuprofen', 'naproxen', 'ketorolac', 'diclofenac', 'meloxicam', 'indomethacin',
+            'ketoprofen', 'etodolac', 'nabumetone', 'piroxicam', 'sulindac', 'celecoxib'],
+        allergyTerms: ['nsaid', 'nsaids', 'asa'],
+        severity: 'critical',
+        rationale: 'COX-1 inhibition triggers the same reaction (including aspirin-exacerbated respiratory disease) across NSAIDs',
+        duplication: {
+            severity: 'warning',
+            rationale: 'two NSAIDs add GI bleeding and renal risk without added benefit'
+        }
+    },
+    opioids: {
+        label: 'Opioids',
+        members: ['morphine', 'codeine', 'hydromorphone', 'hydrocodone', 'oxycodone', 'oxymorphone', 'fentanyl',
+            'sufentanil', 'remifentanil', 'meperidine', 'methadone', 'tramadol', 'tapentadol', 'buprenorphine'],
+        allergyTerms: ['opioid', 'opioids', 'opiate', 'opiates', 'narcotic', 'narcotics'],
+        severity: 'warning',
+        rationale: 'charted opioid reactions are often intolerance or histamine release; true cross-reactivity is uncommon but should be reviewed',
+        duplication: {
+            severity: 'warning',
+            rationale: 'concurrent opioids add respiratory depression and sedation risk; check one is not replacing the other'
+        }
+    },
+    anticoagulants: {
+        label: 'Anticoagulants',
+        members: ['warfarin', 'heparin', 'enoxaparin', 'dalteparin', 'fondaparinux', 'apixaban', 'rivaroxaban',
+            'dabigatran', 'edoxaban', 'argatroban', 'bivalirudin'],
+        allergyTerms: ['anticoagulant', 'anticoagulants'],
+        severity: 'critical',
+        rationale: 'same anticoagulant class; heparin-induced thrombocytopenia and similar reactions extend across it',
+        duplication: {
+            severity: 'critical',
+            rationale: 'two anticoagulants at once sharply raise bleeding risk unless this is a planned bridge (e.g. enoxaparin to warfarin)'
+        }
+    },
+    benzodiazepines: {
+        label: 'Benzodiazepines',
+        members: ['lorazepam', 'midazolam', 'diazepam', 'alprazolam', 'clonazepam', 'temazepam', 'chlordiazepoxide'],
+        allergyTerms: ['benzodiazepine', 'benzodiazepines', 'benzos'],
+        severity: 'warning',
+        rationale: 'benzodiazepines share a core structure; true allergy is rare but reactions may recur',
+        duplication: {
+            severity: 'warning',
+            rationale: 'two benzodiazepines add sedation and respiratory depression risk'
+        }
+    },
+    iodinated_contrast: {
+        label: 'Iodinated contrast',
+        members: ['iohexol', 'iopamidol', 'iodixanol', 'ioversol', 'iopromide', 'iomeprol', 'diatrizoate'],
+        allergyTerms: ['contrast', 'contrast dye', 'contrast media', 'iodinated contrast', 'iv contrast', 'iodine'],
+        severity: 'critical',
+        rationale: 'prior iodinated contrast reaction; re-exposure needs premedication or an alternative study'
+    },
+    latex: {
+        label: 'Latex',
+        members: ['latex', 'natural rubber latex'],
+        allergyTerms: ['rubber'],
+        severity: 'critical',
+        rationale: 'latex exposure in a latex-allergic patient; use latex-free supplies'
+    }
+};
+
+// Class pairs that cross-react: allergy class -> drug class -> { severity, rationale }
+const CROSS_REACTIVITY = {
+    penicillins: {
+        cephalosporins: {
+            severity: 'warning',
+            rationale: 'about 1-2% of penicillin-allergic patients react to cephalosporins, mostly early generations sharing R1 side chains (cefazolin, cephalexin)'
+        }
+    },
+    cephalosporins: {
+        penicillins: {
+            severity: 'warning',
+            rationale: 'cephalosporin-allergic patients can cross-react with penicillins through shared beta-lactam side chains'
+        }
+    },
+    sulfonamide_antibiotics: {
+        sulfonamide_nonantibiotics: {
+            severity: 'warning',
+            rationale: 'non-antibiotic sulfonamides rarely cross-react with sulfa antibiotics, but sulfa-allergic patients react more often in general'
+        }
+    }
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word (hyphen-separated parts count as words) match of a term in a name
+const containsTerm = (name, term) => new RegExp(`(^|[^a-z])${escapeRegExp(term)}($|[^a-z])`).test(name);
+
+/**
+ * Drug classes a medication name belongs to
+ * @param {string} name - medication name as charted ("Cefazolin 2 g IV")
+ * @returns {string[]} class ids
+ */
+const classifyDrug = (name) => {
+    const text = normalize(name);
+    if (!text) return [];
+    const aliasClass = medicationAliases.canonicalize(text).drug_class;
+    return Object.entries(DRUG_CLASSES)
+        .filter(([id, drugClass]) => id === aliasClass || drugClass.members.some(member => containsTerm(text, member)))
+        .map(([id]) => id);
+};
+
+/**
+ * Drug classes an allergy entry covers - a class term ("sulfa") or any member drug
+ * @param {string} substance - allergy substance as charted
+ * @returns {string[]} class ids
+ */
+const classifyAllergy = (substance) => {
+    const text = normalize(substance);
+    if (!text) return [];
+    const generic = medicationAliases.canonicalize(text).generic;
+    return Object.entries(DRUG_CLASSES)
+        .filter(([id, drugClass]) => [id, ...drugClass.allergyTerms, ...drugClass.members]
+            .some(term => containsTerm(text, term.replace(/_/g, ' ')) || (generic && containsTerm(generic, term))))
+        .map(([id]) => id);
+};
+
+// Generic name of a medication, before any dose ("Ancef 2 g IV" -> "cefazolin")
+const drugName = (name) => medicationAliases.canonicalName(normalize(name).split(/\s+(?=\d)/)[0]);
+
+/**
+ * Check one medication against one allergy.
+ * @returns {Object|null} { relation: same_drug|same_class|cross_reactive, severity,
+ *   drug_class, allergy_class, rationale } - the most serious match, or null
+ */
+const checkMedicationAgainstAllergy = (medication, allergy) => {
+    const med = drugName(medication);
+    const substance = normalize(allergy);
+    if (!med || !substance) return null;
+
+    const drugClasses = classifyDrug(med);
+    const allergyClasses = classifyAllergy(substance);
+
+    const substanceGeneric = medicationAliases.canonicalName(substance);
+    if (med === substanceGeneric || containsTerm(substance, med) || containsTerm(med, substanceGeneric)) {
+        return {
+            relation: 'same_drug',
+            severity: 'critical',
+            drug_class: drugClasses[0] || null,
+            allergy_class: allergyClasses[0] || null,
+            rationale: `patient has a charted allergy to ${allergy}`
+        };
+    }
+
+    for (const allergyClass of allergyClasses) {
+        if (drugClasses.includes(allergyClass)) {
+            const drugClass = DRUG_CLASSES[allergyClass];
+            return {
+                relation: 'same_class',
+                severity: drugClass.severity,
+                drug_class: allergyClass,
+                allergy_class: allergyClass,
+                rationale: `${drugClass.label}: ${drugClass.rationale}`
+            };
+        }
+    }
+
+    for (const allergyClass of allergyClasses) {
+        for (const drugClass of drugClasses) {
+            const cross = CROSS_REACTIVITY[allergyClass]?.[drugClass];
+            if (cross) {
+                return {
+                    relation: 'cross_reactive',
+                    severity: cross.severity,
+                    drug_class: drugClass,
+                    allergy_class: allergyClass,
+                    rationale: `Cross-reactivity (${DRUG_CLASSES[allergyClass].label} -> ${DRUG_CLASSES[drugClass].label}): ${cross.rationale}`
+                };
+            }
+        }
+    }
+    return null;
+};
+
+// Whether two medication names are the same drug (doses and the like aside)
+const isSameDrug = (a, b) => {
+    const nameA = drugName(a);
+    return nameA !== '' && nameA === drugName(b);
+};
+
+/**
+ * Check two different medications for therapeutic duplication.
+ * @returns {Object|null} { drug_class, severity, rationale }, or null when they are the
+ *   same drug or share no class that is checked for duplication
+ */
+const checkTherapeuticDuplication = (medicationA, medicationB) => {
+    if (isSameDrug(medicationA, medicationB)) return null;
+    const classesB = classifyDrug(drugName(medicationB));
+    for (const drugClass of classifyDrug(drugName(medicationA))) {
+        const duplication = DRUG_CLASSES[drugClass].duplication;
+        if (duplication && classesB.includes(drugClass)) {
+            return {
+                drug_class: drugClass,
+                severity: duplication.severity,
+                rationale: `${DRUG_CLASSES[drugClass].label}: ${duplication.rationale}`
+            };
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    DRUG_CLASSES,
+    CROSS_REACTIVITY,
+    classifyDrug,
+    classifyAllergy,
+    drugName,
+    isSameDrug,
+    checkMedicationAgainstAllergy,
+    checkTherapeuticDuplication
+};
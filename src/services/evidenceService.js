@@ -0,0 +1,120 @@
+/**
+ * Evidence Service
+ *
+ * Evidence spans tie an extracted fact to where it was read: { page, start, end, snippet },
+ * with start/end character offsets into the document's stored text file and page numbers
+ * counted from the form feeds (\f) between pages. Also serves the highlighted source
+ * context for a span.
+ */
+
+const fs = require('fs');
+
+// Characters of context shown either side of a span
+const CONTEXT_CHARS = 300;
+
+// Offsets at which each page starts - page 1 starts at 0, page n+1 after the nth \f
+const pageStarts = (text) => {
+    const starts = [0];
+    for (let i = text.indexOf('\f'); i !== -1; i = text.indexOf('\f', i + 1)) {
+        starts.push(i + 1);
+    }
+    return starts;
+};
+
+// 1-based page number of a character offset
+const pageAtOffset = (starts, offset) => {
+    let page = 1;
+    while (page < starts.length && starts[page] <= offset) page++;
+    return page;
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a value in text and return its span, or null if it isn't there.
+ * Tries an exact (case-insensitive) match first, then one that allows any
+ * whitespace between words - list items are re-joined across wrapped lines.
+ * @param {string} text - full document text
+ * @param {string} value - the extracted value
+ * @param {Object} options - { from, to } search range, { starts } from pageStarts(text)
+ */
+const locate = (text, value, { from = 0, to = text.length, starts = null } = {}) => {
+    if (!text || value == null) return null;
+    const needle = String(value).trim();
+    if (!needle) return null;
+
+    const haystack = text.slice(from, to);
+    let at = haystack.toLowerCase().indexOf(needle.toLowerCase());
+    let length = needle.length;
+
+    if (at === -1) {
+        const words = needle.split(/\s+/).map(escapeRegex);
+        const match = new RegExp(words.join('\\s+'), 'i').exec(haystack);
+        if (!match) return null;
+        at = match.index;
+        length = match[0].length;
+    }
+
+    const start = from + at;
+    const end = start + length;
+    return {
+        page: pageAtOffset(starts || pageStarts(text), start),
+        start,
+        end,
+        snippet: text.slice(start, end)
+    };
+};
+
+/**
+ * Locate each value of a list (index-aligned result, null where not found).
+ * Repeated values resolve to successive occurrences.
+ */
+const locateAll = (text, values, options = {}) => {
+    const starts = options.starts || pageStarts(text);
+    const used = [];
+    return (values || []).map(value => {
+        const name = typeof value === 'string' ? value : value?.name || value?.procedure || value?.substance;
+        let from = options.from || 0;
+        let span = locate(text, name, { ...options, from, starts });
+        // Don't point two items at the same place
+        while (span && used.includes(span.start)) {
+            from = span.end;
+            span = locate(text, name, { ...options, from, starts });
+        }
+        if (span) used.push(span.start);
+        return span;
+    });
+};
+
+/**
+ * Source context around a span of a stored text file
+ * @returns {Object|null} { page, start, end, snippet, before, match, after, matches_snippet } or null if the file is gone
+ */
+const getSourceContext = (textPath, span, { contextChars = CONTEXT_CHARS } = {}) => {
+    if (!textPath || !fs.existsSync(textPath)) return null;
+    const text = fs.readFileSync(textPath, 'utf-8');
+
+    const start = Math.max(0, Math.min(span.start, text.length));
+    const end = Math.max(start, Math.min(span.end, text.length));
+    const match = text.slice(start, end);
+    return {
+        page: pageAtOffset(pageStarts(text), start),
+        start,
+        end,
+        snippet: span.snippet || match,
+        before: text.slice(Math.max(0, start - contextChars), start),
+        match,
+        after: text.slice(end, end + contextChars),
+        // False when the text file was regenerated since the span was recorded
+        matches_snippet: !span.snippet || span.snippet === match
+    };
+};
+
+module.exports = {
+    pageStarts,
+    pageAtOffset,
+    locate,
+    locateAll,
+    getSourceContext,
+    CONTEXT_CHARS
+};
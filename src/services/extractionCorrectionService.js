@@ -0,0 +1,384 @@
+/**
+ * Extraction Correction Service
+ *
+ * Reviewers accept, reject or edit individual extracted items (a procedure, diagnosis,
+ * medication or allergy) before a document is merged. Corrections are keyed by the
+ * item's normalized text rather than its position, so when the document is processed
+ * again they are re-applied to the new extraction wherever the same item comes back.
+ * Every chart merge of a document goes through reviewedChartData(). The corrections
+ * double as a labelled dataset for measuring extractor accuracy (exportCorrections).
+ */
+
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const { getRequestContext } = require('../middleware/requestContext');
+const audit = require('./auditService');
+const documentService = require('./documentService');
+const safeExtraction = require('./safeExtractionPipeline');
+const medicationAliases = require('./medicationAliasService');
+
+const ACTIONS = ['accept', 'reject', 'edit'];
+
+// Extraction sections (as in selectiveMerge) and the field holding each item's text
+const SECTION_FIELDS = {
+    procedures: 'name',
+    diagnoses: 'name',
+    medications: 'name',
+    allergies: 'substance'
+};
+const SECTIONS = Object.keys(SECTION_FIELDS);
+
+const EXPORT_COLUMNS = ['correction_id', 'document_id', 'extraction_version', 'model', 'pipeline', 'schema_version',
+    'section', 'extracted', 'label', 'corrected', 'reason', 'reviewer', 'corrected_at'];
+
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const parseJson = (value, fallback = null) => {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const itemText = (section, item) => {
+    if (typeof item === 'string') return item;
+    if (!item) return '';
+    return section === 'procedures' ? item.procedure || item.name : item[SECTION_FIELDS[section]];
+};
+
+const toCorrection = (row) => ({
+    id: row.id,
+    document_id: row.document_id,
+    extraction_id: row.extraction_id,
+    section: row.section,
+    item_key: row.item_key,
+    extracted: parseJson(row.extracted_value),
+    action: row.action,
+    corrected: parseJson(row.corrected_value),
+    reason: row.reason,
+    reviewer: row.reviewer,
+    reviewer_user_id: row.reviewer_user_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+});
+
+// The reviewable items of chart-format extraction data, in display order
+const extractedItems = (chart) => {
+    const items = [];
+    for (const surgery of chart.surgeries || []) {
+        for (const procedure of surgery.procedures || []) {
+            items.push({ section: 'procedures', item: itemText('procedures', procedure), extracted: procedure });
+        }
+    }
+    for (const section of ['diagnoses', 'medications', 'allergies']) {
+        for (const item of chart[section] || []) {
+            items.push({ section, item: itemText(section, item), extracted: item });
+        }
+    }
+    return items
+        .filter(entry => normalizeKey(entry.item))
+        .map(entry => ({ ...entry, item_key: normalizeKey(entry.item) }));
+};
+
+/**
+ * Apply corrections to chart-format extraction data (convertToChartFormat output):
+ * rejected items are dropped, edited items take the corrected fields.
+ * @returns {Object} { chart, applied: [correction ids that matched an item] }
+ */
+const applyCorrections = (chart, corrections) => {
+    const index = new Map(corrections.map(c => [`${c.section}:${c.item_key}`, c]));
+    const applied = new Set();
+    const find = (section, item) => {
+        const correction = index.get(`${section}:${normalizeKey(itemText(section, item))}`);
+        if (correction) applied.add(correction.id);
+        return correction;
+    };
+    const edit = (section, item, correction) => {
+        if (correction?.action !== 'edit') return item;
+        if (typeof item === 'string') return correction.corrected[SECTION_FIELDS[section]];
+        const edited = { ...item, ...correction.corrected };
+        if (section === 'procedures' && item.procedure) edited.procedure = correction.corrected.name;
+        return edited;
+    };
+
+    const surgeries = (chart.surgeries || []).map(surgery => {
+        const procedures = [];
+        const spans = [];
+        (surgery.procedures || []).forEach((procedure, i) => {
+            const correction = find('procedures', procedure);
+            if (correction?.action === 'reject') return;
+            procedures.push(edit('procedures', procedure, correction));
+            spans.push((surgery.procedure_evidence_spans || [])[i] || null);
+        });
+        return { ...surgery, procedures, procedure_evidence_spans: spans };
+    }).filter(surgery => surgery.procedures.length > 0);
+
+    const corrected = { ...chart, surgeries };
+    for (const section of ['diagnoses', 'medications', 'allergies']) {
+        corrected[section] = (chart[section] || [])
+            .map(item => ({ item, correction: find(section, item) }))
+            .filter(({ correction }) => correction?.action !== 'reject')
+            .map(({ item, correction }) => edit(section, item, correction));
+    }
+    return { chart: corrected, applied: [...applied] };
+};
+
+const loadCorrections = async (documentId) => {
+    const rows = await all('SELECT * FROM extraction_corrections WHERE document_id = ? ORDER BY id', [documentId]);
+    return rows.map(toCorrection);
+};
+
+/**
+ * Chart-format data for a document's extraction with its reviewer corrections applied
+ * and medications renamed to their generics (medicationAliasService) - use in place of safeExtraction.convertToChartFormat wherever extraction data is merged
+ * @returns {Object} { chart, applied: [correction ids] }
+ */
+const reviewedChartData = async (pass2, documentId) => {
+    const chart = safeExtraction.convertToChartFormat(pass2, documentId);
+    const reviewed = applyCorrections(chart, await loadCorrections(documentId));
+    // Brand names and misspellings become generics after corrections, which are keyed by the text as extracted
+    reviewed.chart.medications = await medicationAliases.normalizeMedications(reviewed.chart.medications);
+    return reviewed;
+};
+
+// The current extraction's chart-format data, or null if the document has none
+const loadCurrentChart = async (documentId) => {
+    const extraction = await documentService.getExtraction(documentId);
+    const data = extraction ? parseJson(extraction.extracted_json) : null;
+    if (!data) return null;
+    return {
+        extraction,
+        chart: safeExtraction.convertToChartFormat(data.pass2 || data, documentId)
+    };
+};
+
+/**
+ * The current extraction's items with the correction that applies to each, plus
+ * corrections whose item the current extraction no longer contains
+ * @returns {Object|null} { document_id, status, extraction_id, extraction_version, items, unmatched } or null
+ */
+const listCorrections = async (documentId) => {
+    const document = await get('SELECT id, status FROM patient_documents WHERE id = ?', [documentId]);
+    if (!document) return null;
+    const corrections = await loadCorrections(documentId);
+    const current = await loadCurrentChart(documentId);
+    const items = current ? extractedItems(current.chart) : [];
+
+    const byKey = new Map(corrections.map(c => [`${c.section}:${c.item_key}`, c]));
+    const matched = new Set();
+    return {
+        document_id: document.id,
+        status: document.status,
+        extraction_id: current?.extraction.id || null,
+        extraction_version: current?.extraction.version || null,
+        items: items.map(entry => {
+            const correction = byKey.get(`${entry.section}:${entry.item_key}`) || null;
+            if (correction) matched.add(correction.id);
+            return { ...entry, correction };
+        }),
+        unmatched: corrections.filter(c => !matched.has(c.id))
+    };
+};
+
+// Check one submitted correction against the extracted items; returns the row to store
+const validateCorrection = (entry, items) => {
+    const { section, item, action, value = null, reason = null } = entry || {};
+    if (!SECTIONS.includes(section)) {
+        throw new Error(`Invalid correction: section must be one of ${SECTIONS.join(', ')}`);
+    }
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Invalid correction: action must be one of ${ACTIONS.join(', ')}`);
+    }
+    const itemKey = normalizeKey(item);
+    const extracted = items.find(candidate => candidate.section === section && candidate.item_key === itemKey);
+    if (!extracted) {
+        throw new Error(`Invalid correction: "${item}" is not an extracted ${section} item`);
+    }
+
+    let corrected = null;
+    if (action === 'edit') {
+        const field = SECTION_FIELDS[section];
+        corrected = typeof value === 'string' ? { [field]: value } : value;
+        if (!corrected || typeof corrected !== 'object' || Array.isArray(corrected) || !normalizeKey(corrected[field])) {
+            throw new Error(`Invalid correction: edit needs a value with the corrected ${field}`);
+        }
+        corrected = { ...corrected, [field]: String(corrected[field]).trim() };
+    }
+    return {
+        section,
+        item_key: itemKey,
+        extracted_value: JSON.stringify(extracted.extracted),
+        action,
+        corrected_value: corrected ? JSON.stringify(corrected) : null,
+        reason: reason ? String(reason).trim() || null : null
+    };
+};
+
+/**
+ * Record reviewer decisions on extracted items of a document's current extraction.
+ * A decision on an item replaces any earlier one. Throws if the document is already
+ * merged, has no extraction, or a correction doesn't match an extracted item.
+ * @param {Array} entries - [{ section, item, action: accept|reject|edit, value, reason }]
+ * @returns {Object|null} listCorrections() after saving, or null if the document doesn't exist
+ */
+const saveCorrections = async (documentId, entries) => {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Invalid correction: no corrections given');
+    }
+    const saved = await withTransaction(async () => {
+        const document = await get('SELECT id, status FROM patient_documents WHERE id = ?', [documentId]);
+        if (!document) return null;
+        if (document.status === 'merged') {
+            throw new Error(`Document ${documentId} is already merged into the chart - revert the merge before correcting its items`);
+        }
+        const current = await loadCurrentChart(documentId);
+        if (!current) {
+            throw new Error('Invalid correction: the document has no extraction to correct');
+        }
+        const items = extractedItems(current.chart);
+        const rows = entries.map(entry => validateCorrection(entry, items));
+
+        const user = getRequestContext()?.user;
+        const now = new Date().toISOString();
+        for (const row of rows) {
+            await run(`INSERT INTO extraction_corrections
+                       (document_id, extraction_id, section, item_key, extracted_value, action, corrected_value, reason,
+                        reviewer, reviewer_user_id, created_at, updated_at)
+                       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                       ON CONFLICT (document_id, section, item_key) DO UPDATE SET
+                           extraction_id = excluded.extraction_id,
+                           extracted_value = excluded.extracted_value,
+                           action = excluded.action,
+                           corrected_value = excluded.corrected_value,
+                           reason = excluded.reason,
+                           reviewer = excluded.reviewer,
+                           reviewer_user_id = excluded.reviewer_user_id,
+                           updated_at = excluded.updated_at`, [
+                document.id, current.extraction.id, row.section, row.item_key, row.extracted_value, row.action,
+                row.corrected_value, row.reason, user?.username || 'system', user?.id || null, now, now
+            ]);
+        }
+        return rows;
+    });
+    if (!saved) return null;
+    return { saved: saved.length, ...(await listCorrections(documentId)) };
+};
+
+/**
+ * Withdraw a correction (the item goes back to what the extractor produced)
+ * @returns {Object|null} the deleted correction, or null if not found
+ */
+const deleteCorrection = async (documentId, correctionId) => {
+    const row = await get('SELECT * FROM extraction_corrections WHERE id = ? AND document_id = ?', [correctionId, documentId]);
+    if (!row) return null;
+    await run('DELETE FROM extraction_corrections WHERE id = ?', [row.id]);
+    return toCorrection(row);
+};
+
+/**
+ * Corrections as a labelled dataset: what the extractor produced, the reviewer's label
+ * and the corrected value, with the extraction version (model, pipeline, schema) that
+ * was reviewed. Patient identifiers are left out.
+ * @param {Object} filters - { from, to, section, action, model }
+ * @returns {Array} rows with EXPORT_COLUMNS
+ */
+const exportCorrections = async (filters = {}) => {
+    const conditions = [];
+    const params = [];
+    if (filters.section) {
+        conditions.push('c.section = ?');
+        params.push(filters.section);
+    }
+    if (filters.action) {
+        conditions.push('c.action = ?');
+        params.push(filters.action);
+    }
+    if (filters.model) {
+        conditions.push('e.model = ?');
+        params.push(filters.model);
+    }
+    if (filters.from) {
+        conditions.push('c.updated_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        // A bare date means "through the end of that day"
+        conditions.push('c.updated_at <= ?');
+        params.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to) ? filters.to + 'T23:59:59.999Z' : filters.to);
+    }
+
+    const rows = await all(`SELECT c.*, e.version as extraction_version, e.model, e.pipeline, e.schema_version
+                            FROM extraction_corrections c
+                            LEFT JOIN document_extractions e ON e.id = c.extraction_id
+                            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                            ORDER BY c.updated_at, c.id`, params);
+    return rows.map(row => ({
+        correction_id: row.id,
+        document_id: row.document_id,
+        extraction_version: row.extraction_version,
+        model: row.model,
+        pipeline: row.pipeline,
+        schema_version: row.schema_version,
+        section: row.section,
+        extracted: parseJson(row.extracted_value),
+        label: row.action,
+        corrected: parseJson(row.corrected_value),
+        reason: row.reason,
+        reviewer: row.reviewer,
+        corrected_at: row.updated_at
+    }));
+};
+
+/**
+ * Render exported corrections as CSV (item values as JSON)
+ */
+const toCSV = (rows) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [EXPORT_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(EXPORT_COLUMNS.map(col => escape(row[col])).join(','));
+    }
+    return lines.join('\n') + '\n';
+};
+
+const describeDocument = async ([documentId]) => ({
+    patient_id: await audit.getPatientIdForDocument(documentId),
+    resource_id: documentId
+});
+
+module.exports = audit.instrument({
+    reviewedChartData,
+    applyCorrections,
+    listCorrections,
+    saveCorrections,
+    deleteCorrection,
+    exportCorrections,
+    toCSV,
+    SECTIONS,
+    ACTIONS
+}, {
+    listCorrections: { action: 'extraction.corrections_list', resource_type: 'extraction_correction', describe: describeDocument },
+    saveCorrections: {
+        action: 'extraction.correct', resource_type: 'extraction_correction',
+        describe: describeDocument,
+        describeResult: (result, [, entries]) => result ? {
+            detail: entries.map(e => `${e.action} ${e.section} "${e.item}"${e.reason ? ` (${e.reason})` : ''}`).join('; ')
+        } : { detail: 'document not found' }
+    },
+    deleteCorrection: {
+        action: 'extraction.correction_delete', resource_type: 'extraction_correction',
+        describe: async ([documentId, correctionId]) => ({
+            patient_id: await audit.getPatientIdForDocument(documentId),
+            resource_id: correctionId
+        }),
+        describeResult: (result) => result ? { detail: `${result.action} ${result.section} "${result.item_key}"` } : { detail: 'not found' }
+    },
+    exportCorrections: {
+        action: 'extraction.corrections_export', resource_type: 'extraction_correction',
+        describeResult: (result) => ({ detail: `${result.length} corrections` })
+    }
+});
@@ -0,0 +1,204 @@
+/**
+ * Extraction Providers
+ *
+ * The LLM backends the extraction pipelines can call. Each provider implements:
+ *   isConfigured()              - whether it can be used (no network call)
+ *   complete({ system, user, temperature, maxTokens, model })
+ *                               - resolves { content, model, usage }
+ *   healthCheck()               - live check for the /llm/health endpoint
+ *
+ * Select one with environment variables:
+ *   EXTRACTION_PROVIDER    openai (default) | openai-compatible | stub | none
+ *   EXTRACTION_MODEL       model name (default depends on provider)
+ *   EXTRACTION_TIMEOUT_MS  per-request timeout (default 60000)
+ *   EXTRACTION_BASE_URL    openai-compatible only - e.g. http://localhost:11434/v1 for Ollama
+ *   EXTRACTION_API_KEY     openai-compatible only, if the server wants one
+ *   OPENAI_API_KEY         openai only
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const config = () => ({
+    provider: (process.env.EXTRACTION_PROVIDER || 'openai').toLowerCase(),
+    model: process.env.EXTRACTION_MODEL || null,
+    timeoutMs: parseInt(process.env.EXTRACTION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+});
+
+/**
+ * Provider for any server speaking the OpenAI chat completions API
+ */
+const createChatCompletionsProvider = ({ name, baseUrl, apiKey, defaultModel, fallbackModel = null, requiresKey }) => {
+    const headers = () => ({
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    });
+
+    const request = async (model, { system, user, temperature, maxTokens }, timeoutMs) => {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: headers(),
+            signal: AbortSignal.timeout(timeoutMs),
+            body: JSON.stringify({
+                model,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: user }
+                ],
+                temperature,
+                max_tokens: maxTokens
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(`${name} returned ${response.status}: ${error.error?.message || response.statusText}`);
+        }
+
+        const data = await response.json();
+        return {
+            content: data.choices[0].message.content,
+            // Servers report the resolved model (e.g. a dated snapshot) - that's the version we record
+            model: data.model || model,
+            usage: data.usage || null
+        };
+    };
+
+    return {
+        name,
+        defaultModel,
+
+        isConfigured: () => !requiresKey || !!apiKey,
+
+        complete: async ({ system, user, temperature = 0.1, maxTokens = 4096, model } = {}) => {
+            const { model: configuredModel, timeoutMs } = config();
+            const useModel = model || configuredModel || defaultModel;
+            try {
+                return await request(useModel, { system, user, temperature, maxTokens }, timeoutMs);
+            } catch (error) {
+                if (!fallbackModel || useModel === fallbackModel) throw error;
+                console.log(`[${name}] ${useModel} failed (${error.message}), trying ${fallbackModel}...`);
+                return request(fallbackModel, { system, user, temperature, maxTokens }, timeoutMs);
+            }
+        },
+
+        healthCheck: async () => {
+            const response = await fetch(`${baseUrl}/models`, {
+                headers: headers(),
+                signal: AbortSignal.timeout(Math.min(config().timeoutMs, 10000))
+            });
+            if (!response.ok) {
+                return { ok: false, models: [], message: `${name} returned ${response.status}` };
+            }
+            const data = await response.json();
+            return { ok: true, models: (data.data || []).map(m => m.id) };
+        }
+    };
+};
+
+/**
+ * Deterministic offline provider for tests - no network.
+ * respond({ system, user }) returns the completion text; by default an empty extraction.
+ */
+const createStubProvider = (respond = () => JSON.stringify({ medications: [], surgeries: [], diagnoses: [], allergies: [] })) => ({
+    name: 'stub',
+    defaultModel: 'stub-1',
+    isConfigured: () => true,
+    complete: async ({ system, user } = {}) => ({
+        content: respond({ system, user }),
+        model: 'stub-1',
+        usage: null
+    }),
+    healthCheck: async () => ({ ok: true, models: ['stub-1'] })
+});
+
+// Used when EXTRACTION_PROVIDER=none (or an unknown name) - extraction stays regex-only
+const disabledProvider = {
+    name: 'none',
+    defaultModel: null,
+    isConfigured: () => false,
+    complete: async () => {
+        throw new Error('No extraction provider configured (set EXTRACTION_PROVIDER)');
+    },
+    healthCheck: async () => ({ ok: false, models: [], message: 'No extraction provider configured' })
+};
+
+// Registered provider factories, by name
+const providers = {
+    'openai': () => createChatCompletionsProvider({
+        name: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        defaultModel: 'gpt-4o-mini',
+        fallbackModel: 'gpt-3.5-turbo',
+        requiresKey: true
+    }),
+    'openai-compatible': () => createChatCompletionsProvider({
+        name: 'openai-compatible',
+        baseUrl: (process.env.EXTRACTION_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+        apiKey: process.env.EXTRACTION_API_KEY,
+        defaultModel: 'qwen2.5:7b-instruct',
+        requiresKey: false
+    }),
+    'stub': () => createStubProvider(),
+    'none': () => disabledProvider
+};
+
+let activeProvider = null;
+
+// Add (or replace) a provider backend
+const registerProvider = (name, factory) => {
+    providers[name] = factory;
+    activeProvider = null;
+};
+
+// The configured provider (built once, from the environment)
+const getProvider = () => {
+    if (!activeProvider) {
+        const { provider } = config();
+        if (!providers[provider]) {
+            console.error(`[Extraction] Unknown EXTRACTION_PROVIDER "${provider}" - LLM extraction disabled`);
+        }
+        activeProvider = (providers[provider] || providers.none)();
+    }
+    return activeProvider;
+};
+
+// Swap the active provider directly (tests)
+const setProvider = (provider) => {
+    activeProvider = provider;
+};
+
+// Whether LLM extraction can run - configuration only, never a network call
+const isLLMAvailable = () => getProvider().isConfigured();
+
+/**
+ * Run a completion on the configured provider.
+ * @returns {Object} { content, model, usage, label } - label is "provider/model" as stored
+ *   in document_extractions.model
+ */
+const complete = async (options) => {
+    const provider = getProvider();
+    const result = await provider.complete(options);
+    return { ...result, label: `${provider.name}/${result.model}` };
+};
+
+// Provider name and the model it will use, for status displays
+const describeProvider = () => {
+    const provider = getProvider();
+    return {
+        provider: provider.name,
+        model: config().model || provider.defaultModel,
+        configured: provider.isConfigured()
+    };
+};
+
+module.exports = {
+    getProvider,
+    setProvider,
+    registerProvider,
+    isLLMAvailable,
+    complete,
+    describeProvider,
+    createChatCompletionsProvider,
+    createStubProvider
+};
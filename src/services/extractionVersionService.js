@@ -0,0 +1,206 @@
+/**
+ * Extraction Version Service
+ *
+ * Every processing run of a document is kept in document_extractions as a numbered
+ * version; patient_documents.current_extraction_id marks the one in use (the newest
+ * run, see documentService.saveExtractionWithValidation). Lists versions and diffs
+ * any two of them field by field.
+ */
+
+const { get, all } = require('../config/dbHelpers');
+const audit = require('./auditService');
+
+// Version metadata compared alongside the extracted fields
+const META_FIELDS = ['pipeline', 'model', 'schema_version', 'confidence', 'summary'];
+
+// Fields that identify a list item, so list entries are matched by name rather than position
+const ITEM_KEYS = ['name', 'substance', 'procedure', 'diagnosis', 'drug'];
+
+const parseJson = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+};
+
+const toVersion = (row, currentId) => ({
+    id: row.id,
+    document_id: row.document_id,
+    version: row.version,
+    pipeline: row.pipeline,
+    model: row.model,
+    schema_version: row.schema_version,
+    confidence: row.confidence,
+    summary: row.summary,
+    created_at: row.created_at,
+    is_current: row.id === currentId
+});
+
+const getCurrentId = async (documentId) => {
+    const document = await get('SELECT current_extraction_id FROM patient_documents WHERE id = ?', [documentId]);
+    return document ? document.current_extraction_id : null;
+};
+
+/**
+ * All extraction versions of a document, newest first (without the extracted JSON)
+ * @returns {Array|null} versions, or null if the document doesn't exist
+ */
+const listVersions = async (documentId) => {
+    const document = await get('SELECT id, current_extraction_id FROM patient_documents WHERE id = ?', [documentId]);
+    if (!document) return null;
+    const rows = await all(`SELECT id, document_id, version, pipeline, model, schema_version, confidence, summary, created_at
+                            FROM document_extractions WHERE document_id = ? ORDER BY version DESC, id DESC`, [documentId]);
+    return rows.map(row => toVersion(row, document.current_extraction_id));
+};
+
+/**
+ * One extraction version with its extracted and validation JSON parsed
+ * @returns {Object|null}
+ */
+const getVersion = async (documentId, version) => {
+    const row = await get('SELECT * FROM document_extractions WHERE document_id = ? AND version = ?', [documentId, version]);
+    if (!row) return null;
+    return {
+        ...toVersion(row, await getCurrentId(documentId)),
+        extracted: parseJson(row.extracted_json),
+        validation: parseJson(row.validation_json)
+    };
+};
+
+// Label for a list item: its identifying field, else its position
+const itemLabel = (item, index) => {
+    if (item && typeof item === 'object') {
+        const key = ITEM_KEYS.find(field => typeof item[field] === 'string' && item[field].trim());
+        if (key) return `${key}=${item[key].trim().toLowerCase()}`;
+    }
+    return String(index);
+};
+
+/**
+ * Flatten a JSON value to { path: leaf value }. List items are addressed by their
+ * identifying field (medications[name=metformin].dose); lists of plain values are
+ * compared as sets (allergies[penicillin]).
+ */
+const flatten = (value, path = '', out = {}) => {
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            out[path] = [];
+            return out;
+        }
+        const seen = {};
+        value.forEach((item, index) => {
+            let label = item !== null && typeof item !== 'object' ? String(item) : itemLabel(item, index);
+            // Repeated labels get a counter so neither occurrence is lost
+            seen[label] = (seen[label] || 0) + 1;
+            if (seen[label] > 1) label += `#${seen[label]}`;
+            if (item !== null && typeof item === 'object') {
+                flatten(item, `${path}[${label}]`, out);
+            } else {
+                out[`${path}[${label}]`] = item;
+            }
+        });
+        return out;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) {
+            out[path] = {};
+            return out;
+        }
+        for (const key of keys) {
+            flatten(value[key], path ? `${path}.${key}` : key, out);
+        }
+        return out;
+    }
+    out[path] = value;
+    return out;
+};
+
+// Field-by-field changes between two flattened objects
+const diffFlat = (before, after) => {
+    const changes = [];
+    const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const path of paths) {
+        const inBefore = Object.prototype.hasOwnProperty.call(before, path);
+        const inAfter = Object.prototype.hasOwnProperty.call(after, path);
+        if (inBefore && !inAfter) {
+            changes.push({ path, change: 'removed', from: before[path], to: null });
+        } else if (!inBefore && inAfter) {
+            changes.push({ path, change: 'added', from: null, to: after[path] });
+        } else if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+            changes.push({ path, change: 'changed', from: before[path], to: after[path] });
+        }
+    }
+    return changes;
+};
+
+// Compared content of a version: its metadata plus the extracted JSON
+const comparable = (version) => {
+    const meta = {};
+    for (const field of META_FIELDS) meta[field] = version[field];
+    return { ...flatten(meta), ...flatten(version.extracted || {}, 'extracted') };
+};
+
+/**
+ * Field-by-field diff of two extraction versions of a document.
+ * to defaults to the current version, from to the version before it.
+ * @returns {Object|null} { document_id, from, to, changes: [{ path, change, from, to }], counts } or null
+ *   if the document or either version doesn't exist
+ */
+const diffVersions = async (documentId, { from = null, to = null } = {}) => {
+    const versions = await listVersions(documentId);
+    if (!versions || versions.length === 0) return null;
+
+    const current = versions.find(v => v.is_current) || versions[0];
+    const toVersionNumber = to != null ? parseInt(to) : current.version;
+    const fromVersionNumber = from != null
+        ? parseInt(from)
+        : (versions.find(v => v.version < toVersionNumber) || {}).version;
+    if (fromVersionNumber == null) {
+        throw new Error(`Invalid diff: version ${toVersionNumber} has no earlier version to compare with`);
+    }
+
+    const [before, after] = await Promise.all([getVersion(documentId, fromVersionNumber), getVersion(documentId, toVersionNumber)]);
+    if (!before || !after) return null;
+
+    const changes = diffFlat(comparable(before), comparable(after));
+    const { extracted: _a, validation: _b, ...fromMeta } = before;
+    const { extracted: _c, validation: _d, ...toMeta } = after;
+    return {
+        document_id: parseInt(documentId),
+        from: fromMeta,
+        to: toMeta,
+        changes,
+        counts: {
+            added: changes.filter(c => c.change === 'added').length,
+            removed: changes.filter(c => c.change === 'removed').length,
+            changed: changes.filter(c => c.change === 'changed').length
+        }
+    };
+};
+
+const describeDocument = async ([documentId]) => ({
+    patient_id: await audit.getPatientIdForDocument(documentId),
+    resource_id: documentId
+});
+
+module.exports = audit.instrument({
+    listVersions,
+    getVersion,
+    diffVersions,
+    flatten
+}, {
+    listVersions: { action: 'extraction.list_versions', resource_type: 'extraction', describe: describeDocument },
+    getVersion: {
+        action: 'extraction.read', resource_type: 'extraction',
+        describe: async (args) => ({ ...(await describeDocument(args)), detail: `version ${args[1]}` })
+    },
+    diffVersions: {
+        action: 'extraction.diff', resource_type: 'extraction',
+        describe: describeDocument,
+        describeResult: (result) => result ? {
+            detail: `v${result.from.version} → v${result.to.version}: ${result.changes.length} changes`
+        } : { detail: 'not found' }
+    }
+});
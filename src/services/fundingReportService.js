@@ -7,6 +7,7 @@
  */
 
 const db = require('../config/database');
+const medicationAliases = require('./medicationAliasService');
 
 // Configuration for funding reports
 const FUNDING_REPORT_CONFIG = {
@@ -18,18 +19,6 @@ const FUNDING_REPORT_CONFIG = {
     programName: 'Medical Document Processing & Care Coordination'
 };
 
-/**
- * Parse JSON safely with fallback
- */
-function safeParseJSON(str, defaultVal = []) {
-    if (!str) return defaultVal;
-    try {
-        return JSON.parse(str);
-    } catch (e) {
-        return defaultVal;
-    }
-}
-
 /**
  * Calculate quarter date range
  */
@@ -57,22 +46,6 @@ function applyCellSuppression(count, min = FUNDING_REPORT_CONFIG.cellSuppression
     return count;
 }
 
-/**
- * Check if a date string falls within a range
- */
-function isDateInRange(dateStr, startDate, endDate) {
-    if (!dateStr) return false;
-    
-    // Parse various date formats
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) return false;
-    
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    return date >= start && date <= end;
-}
-
 /**
  * Generate quarterly funding report
  */
@@ -114,13 +87,13 @@ async function generateQuarterlyReport(year, quarter, startDate = null, endDate
         // 1. VOLUME METRICS
         // ============================================================
         
-        // Total patients in system
-        const totalPatientsResult = await queryDB('SELECT COUNT(*) as count FROM patients');
+        // Total patients in system (merged duplicates count once)
+        const totalPatientsResult = await queryDB('SELECT COUNT(*) as count FROM patients WHERE merged_into_id IS NULL');
         report.volumeMetrics.totalPatientsInSystem = totalPatientsResult.count;
         
         // New patients in quarter
         const newPatientsResult = await queryDB(
-            'SELECT COUNT(*) as count FROM patients WHERE created_at >= ? AND created_at <= ?',
+            'SELECT COUNT(*) as count FROM patients WHERE created_at >= ? AND created_at <= ? AND merged_into_id IS NULL',
             [dateRange.start, dateRange.end + ' 23:59:59']
         );
         report.volumeMetrics.newPatientsThisQuarter = applyCellSuppression(newPatientsResult.count);
@@ -153,11 +126,11 @@ async function generateQuarterlyReport(year, quarter, startDate = null, endDate
             ? ((docsProcessed / (docsProcessed + docsNeedsReview)) * 100).toFixed(1) + '%'
             : 'N/A';
         
-        // Average confidence score
+        // Average confidence score (of each document's current extraction)
         const confidenceResult = await queryDB(`
             SELECT AVG(de.confidence) as avg_confidence
             FROM document_extractions de
-            JOIN patient_documents pd ON de.document_id = pd.id
+            JOIN patient_documents pd ON de.id = pd.current_extraction_id
             WHERE pd.created_at >= ? AND pd.created_at <= ?
         `, [dateRange.start, dateRange.end + ' 23:59:59']);
         
@@ -169,67 +142,49 @@ async function generateQuarterlyReport(year, quarter, startDate = null, endDate
         // 3. CLINICAL SERVICE MIX (De-identified aggregates)
         // ============================================================
         
-        // Get all patients for aggregation
-        const allPatients = await queryDB('SELECT surgery_history_json, problem_list_json FROM patients');
-        
-        // Aggregate surgeries in quarter
-        let totalSurgeriesInQuarter = 0;
-        const procedureCounts = {};
-        
-        for (const patient of allPatients) {
-            const surgeries = safeParseJSON(patient.surgery_history_json, []);
-            
-            for (const surgery of surgeries) {
-                // Check if surgery date falls in quarter
-                if (isDateInRange(surgery.date, dateRange.start, dateRange.end)) {
-                    totalSurgeriesInQuarter++;
-                    
-                    // Count procedures
-                    const procedures = surgery.procedures || (surgery.procedure ? [surgery.procedure] : []);
-                    for (const proc of procedures) {
-                        const normalized = proc.toLowerCase().trim();
-                        procedureCounts[normalized] = (procedureCounts[normalized] || 0) + 1;
-                    }
-                }
-            }
-        }
+        // Surgeries in quarter - one surgery per patient/date/source document
+        const surgeriesResult = await queryDBAll(`
+            SELECT COUNT(*) as count FROM (
+                SELECT DISTINCT patient_id, performed_date, COALESCE(source_document_id, 0)
+                FROM chart_procedures
+                WHERE performed_date >= ? AND performed_date <= ?
+            )
+        `, [dateRange.start, dateRange.end]);
+        const totalSurgeriesInQuarter = surgeriesResult[0]?.count || 0;
         
         report.clinicalServiceMix.totalSurgeriesInQuarter = applyCellSuppression(totalSurgeriesInQuarter);
         
         // Top 10 procedures (with suppression)
-        const topProcedures = Object.entries(procedureCounts)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10)
-            .map(([proc, count]) => ({
-                procedure: proc,
-                count: applyCellSuppression(count)
-            }));
+        const procedureCounts = await queryDBAll(`
+            SELECT LOWER(TRIM(name)) as procedure, COUNT(*) as count
+            FROM chart_procedures
+            WHERE performed_date >= ? AND performed_date <= ?
+            GROUP BY LOWER(TRIM(name))
+            ORDER BY count DESC
+            LIMIT 10
+        `, [dateRange.start, dateRange.end]);
+        
+        const topProcedures = procedureCounts.map(row => ({
+            procedure: row.procedure,
+            count: applyCellSuppression(row.count)
+        }));
         
         report.clinicalServiceMix.topProcedures = topProcedures;
         
-        // Aggregate diagnoses
-        const diagnosisCounts = {};
-        
-        for (const patient of allPatients) {
-            const diagnoses = safeParseJSON(patient.problem_list_json, []);
-            
-            for (const dx of diagnoses) {
-                const dxText = typeof dx === 'string' ? dx : (dx.name || '');
-                const normalized = dxText.toLowerCase().trim();
-                if (normalized.length > 0) {
-                    diagnosisCounts[normalized] = (diagnosisCounts[normalized] || 0) + 1;
-                }
-            }
-        }
-        
         // Top 20 diagnoses (with suppression)
-        const topDiagnoses = Object.entries(diagnosisCounts)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 20)
-            .map(([dx, count]) => ({
-                diagnosis: dx,
-                count: applyCellSuppression(count)
-            }));
+        const diagnosisCounts = await queryDBAll(`
+            SELECT LOWER(TRIM(name)) as diagnosis, COUNT(*) as count
+            FROM chart_problems
+            WHERE TRIM(name) != ''
+            GROUP BY LOWER(TRIM(name))
+            ORDER BY count DESC
+            LIMIT 20
+        `);
+        
+        const topDiagnoses = diagnosisCounts.map(row => ({
+            diagnosis: row.diagnosis,
+            count: applyCellSuppression(row.count)
+        }));
         
         report.clinicalServiceMix.topDiagnoses = topDiagnoses;
         
@@ -237,37 +192,34 @@ async function generateQuarterlyReport(year, quarter, startDate = null, endDate
         // 4. MEDICATION UTILIZATION (De-identified)
         // ============================================================
         
-        const allPatientsWithMeds = await queryDB('SELECT medications_json FROM patients WHERE medications_json IS NOT NULL');
-        
-        const medicationCounts = {};
-        let patientsWithOpioids = 0;
-        let patientsWithAnyMeds = 0;
-        
-        for (const patient of allPatientsWithMeds) {
-            const medications = safeParseJSON(patient.medications_json, []);
+        const medicationRows = await queryDBAll(`
+            SELECT DISTINCT patient_id, LOWER(TRIM(name)) as name
+            FROM chart_medications
+            WHERE TRIM(name) != ''
+        `);
+        
+        // Counted by generic name, so "Tylenol" and "Acetaminophen" are one medication
+        await medicationAliases.load();
+        const medicationPatients = {};
+        const patientsWithMeds = new Set();
+        const patientsWithOpioidSet = new Set();
+        
+        for (const row of medicationRows) {
+            const name = medicationAliases.canonicalName(row.name);
+            patientsWithMeds.add(row.patient_id);
+            (medicationPatients[name] = medicationPatients[name] || new Set()).add(row.patient_id);
             
-            if (medications.length > 0) {
-                patientsWithAnyMeds++;
-                
-                let hasOpioid = false;
-                
-                for (const med of medications) {
-                    const medName = typeof med === 'string' ? med : (med.name || med.med_name || '');
-                    const normalized = medName.toLowerCase().trim();
-                    
-                    if (normalized.length > 0) {
-                        medicationCounts[normalized] = (medicationCounts[normalized] || 0) + 1;
-                        
-                        // Check if opioid
-                        if (FUNDING_REPORT_CONFIG.opioidList.some(opioid => normalized.includes(opioid))) {
-                            hasOpioid = true;
-                        }
-                    }
-                }
-                
-                if (hasOpioid) patientsWithOpioids++;
+            // Check if opioid
+            if (FUNDING_REPORT_CONFIG.opioidList.some(opioid => name.includes(opioid))) {
+                patientsWithOpioidSet.add(row.patient_id);
             }
         }
+        const medicationCounts = Object.fromEntries(
+            Object.entries(medicationPatients).map(([name, patients]) => [name, patients.size])
+        );
+        
+        const patientsWithAnyMeds = patientsWithMeds.size;
+        const patientsWithOpioids = patientsWithOpioidSet.size;
         
         // Top 15 medications (with suppression)
         const topMedications = Object.entries(medicationCounts)
@@ -331,7 +283,7 @@ async function generateQuarterlyReport(year, quarter, startDate = null, endDate
         report.methodology.dataSources = [
             'Patient documents uploaded during quarter',
             'Structured data extracted from clinical documents',
-            'Patient chart summaries (de-identified aggregates only)'
+            'Patient chart items - procedures, problems, medications (de-identified aggregates only)'
         ];
         report.methodology.deidentification = [
             'No patient names, MRNs, addresses, phone numbers, or emails in report',
@@ -349,6 +301,7 @@ async function generateQuarterlyReport(year, quarter, startDate = null, endDate
             'Quarter-to-quarter comparisons may be affected by intake volume variations',
             'Medication counts reflect mentions in documents, not prescriptions or dispensing',
             'Surgery dates may not align with document upload dates',
+            'Procedures whose date could not be read from the source document are not counted in quarterly totals',
             'Cost savings are estimates based on conservative assumptions'
         ];
         
@@ -11,6 +11,9 @@
  * 4. Enforcing hard invariants (header exists → list must not be empty)
  */
 
+const evidence = require('./evidenceService');
+const sigParser = require('./medicationSigParser');
+
 // Known medical document headers (order matters for slicing)
 const HEADERS = [
     'Preoperative Diagnoses',
@@ -55,48 +58,59 @@ const ANY_HEADER_REGEX = new RegExp(
     'i'
 );
 
+// Return the header a line consists of, if any
+function matchHeaderLine(line) {
+    for (const header of HEADERS) {
+        // Match header at start of line (with possible whitespace/punctuation)
+        const headerRegex = new RegExp(`^\\s*${header.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[:\\s]*$`, 'i');
+        if (headerRegex.test(line) || line.trim().toLowerCase() === header.toLowerCase()) {
+            return header;
+        }
+    }
+    return null;
+}
+
 /**
- * Slice text into sections by header
+ * Locate every header section in order, with character offsets into the text
  * @param {string} text - Full document text
- * @returns {Object} Map of header name → section content
+ * @returns {Array} [{ key, header, start, contentStart, end }] - start is the header line,
+ *   contentStart the line after it, end the start of the next header (or end of text)
  */
-function sliceByHeaders(text) {
-    const sections = {};
+function findSections(text) {
+    const sections = [];
     const lines = text.split('\n');
     
-    let currentHeader = null;
-    let currentContent = [];
-    
+    let offset = 0;
     for (const line of lines) {
-        // Check if this line is a header
-        let matchedHeader = null;
-        for (const header of HEADERS) {
-            // Match header at start of line (with possible whitespace/punctuation)
-            const headerRegex = new RegExp(`^\\s*${header.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[:\\s]*$`, 'i');
-            if (headerRegex.test(line) || line.trim().toLowerCase() === header.toLowerCase()) {
-                matchedHeader = header;
-                break;
-            }
-        }
-        
+        const matchedHeader = matchHeaderLine(line);
         if (matchedHeader) {
-            // Save previous section
-            if (currentHeader) {
-                sections[normalizeHeaderKey(currentHeader)] = currentContent.join('\n').trim();
+            if (sections.length > 0) {
+                sections[sections.length - 1].end = offset;
             }
-            // Start new section
-            currentHeader = matchedHeader;
-            currentContent = [];
-        } else if (currentHeader) {
-            currentContent.push(line);
+            sections.push({
+                key: normalizeHeaderKey(matchedHeader),
+                header: matchedHeader,
+                start: offset,
+                contentStart: Math.min(offset + line.length + 1, text.length),
+                end: text.length
+            });
         }
+        offset += line.length + 1;
     }
     
-    // Save last section
-    if (currentHeader) {
-        sections[normalizeHeaderKey(currentHeader)] = currentContent.join('\n').trim();
+    return sections;
+}
+
+/**
+ * Slice text into sections by header
+ * @param {string} text - Full document text
+ * @returns {Object} Map of header name → section content
+ */
+function sliceByHeaders(text) {
+    const sections = {};
+    for (const section of findSections(text)) {
+        sections[section.key] = text.slice(section.contentStart, section.end).trim();
     }
-    
     return sections;
 }
 
@@ -326,6 +340,7 @@ function extractSurgeryMetadata(text) {
         surgeon: null,
         facility: null,
         patient_name: null,
+        date_of_birth: null,
         mrn: null
     };
     
@@ -355,6 +370,12 @@ function extractSurgeryMetadata(text) {
         metadata.patient_name = nameMatch[1].trim();
     }
     
+    // Date of birth
+    const dobMatch = text.match(/(?:date\s+of\s+birth|d\.?o\.?b\.?)[:\s]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}-\d{2}-\d{2}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})/i);
+    if (dobMatch) {
+        metadata.date_of_birth = dobMatch[1].trim();
+    }
+    
     // MRN
     const mrnMatch = text.match(/(?:medical\s+record\s+number|mrn)[:\s()]*([A-Z0-9\-]+)/i);
     if (mrnMatch) {
@@ -392,6 +413,7 @@ function extractWithHeaderSlice(text) {
     // Step 3: Extract medications from postop course (primary) or full text (fallback)
     const postopCourse = sections.postop_course || '';
     let medications = extractMedications(postopCourse);
+    const medicationsFromPostopCourse = medications.length > 0;
     if (medications.length === 0) {
         // Fallback to full text scan
         medications = extractMedications(text);
@@ -430,6 +452,30 @@ function extractWithHeaderSlice(text) {
         violations.push('Procedures section found but extraction returned empty');
     }
     
+    // Step 8: Evidence spans - page, offsets and matched text for each value,
+    // searched within the section it was read from (index-aligned with the lists)
+    const starts = evidence.pageStarts(text);
+    const sectionRanges = {};
+    for (const section of findSections(text)) {
+        // Last occurrence wins, as in sliceByHeaders
+        sectionRanges[section.key] = { from: section.contentStart, to: section.end };
+    }
+    const inSection = (key) => ({ ...(sectionRanges[key] || {}), starts });
+    const evidenceSpans = {
+        procedures: evidence.locateAll(text, procedures, inSection('procedures')),
+        preop_diagnoses: evidence.locateAll(text, preopDx, inSection('preop_diagnoses')),
+        postop_diagnoses: evidence.locateAll(text, postopDx, inSection('postop_diagnoses')),
+        medications: evidence.locateAll(text, medications, medicationsFromPostopCourse ? inSection('postop_course') : { starts }),
+        allergies: evidence.locateAll(text, allergies, { starts }),
+        functional_limitations: evidence.locateAll(text, functionalLimitations, inSection('functional_limitations')),
+        surgery_date: evidence.locate(text, metadata.date, { starts }),
+        surgeon: evidence.locate(text, metadata.surgeon && metadata.surgeon.replace(/^Dr\.\s*/, ''), { starts }),
+        facility: evidence.locate(text, metadata.facility, { starts }),
+        patient_name: evidence.locate(text, metadata.patient_name, { starts }),
+        date_of_birth: evidence.locate(text, metadata.date_of_birth, { starts }),
+        mrn: evidence.locate(text, metadata.mrn, { starts })
+    };
+    
     // Build extraction result
     const extraction = {
         doc: {
@@ -438,6 +484,7 @@ function extractWithHeaderSlice(text) {
             facility: metadata.facility,
             provider: metadata.surgeon,
             patient_name: metadata.patient_name,
+            date_of_birth: metadata.date_of_birth,
             mrn: metadata.mrn
         },
         surgery: {
@@ -450,7 +497,8 @@ function extractWithHeaderSlice(text) {
             preop: preopDx,
             postop: postopDx
         },
-        medications: medications,
+        // Dose, route, frequency etc. read from the line each medication was found on
+        medications: medications.map((name, i) => sigParser.structureMedication(name, sigParser.sigTextAt(text, evidenceSpans.medications[i]))),
         allergies: allergies,
         functional_limitations: functionalLimitations,
         summary: buildSummary(text),
@@ -459,7 +507,8 @@ function extractWithHeaderSlice(text) {
             procedures_section: sections.procedures ? sections.procedures.substring(0, 200) : null,
             preop_dx_section: sections.preop_diagnoses ? sections.preop_diagnoses.substring(0, 200) : null,
             postop_dx_section: sections.postop_diagnoses ? sections.postop_diagnoses.substring(0, 200) : null
-        }
+        },
+        evidence_spans: evidenceSpans
     };
     
     // Compute confidence
@@ -572,7 +621,7 @@ function convertToChartFormat(extraction, documentId) {
     }
     
     // Medications as objects
-    const medications = extraction.medications.map(name => ({ name }));
+    const medications = extraction.medications.map(med => typeof med === 'string' ? { name: med } : med);
     
     return {
         surgeries,
@@ -585,6 +634,7 @@ function convertToChartFormat(extraction, documentId) {
 
 module.exports = {
     sliceByHeaders,
+    findSections,
     extractNumberedList,
     extractMedications,
     extractAllergies,
@@ -0,0 +1,271 @@
+/**
+ * Job Queue Service
+ *
+ * Persistent background jobs backed by the `jobs` table. The worker claims due
+ * jobs (at most JOB_CONCURRENCY at once) and runs the handler registered for the
+ * job type, as the user who queued it. A failed job is retried with exponential
+ * backoff until max_attempts, then marked failed. Every status/stage change is
+ * emitted on `events` ('job') so progress can be streamed to the browser.
+ */
+
+const EventEmitter = require('events');
+const { run, get, all } = require('../config/dbHelpers');
+const { getRequestContext, runWithContext } = require('../middleware/requestContext');
+const authService = require('./authService');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+const JOB_TYPES = {
+    PROCESS_DOCUMENT: 'process_document'
+};
+
+// Worker settings (override with environment variables)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 5000;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+const events = new EventEmitter();
+// One listener per open progress stream
+events.setMaxListeners(0);
+
+const handlers = {};
+let started = false;
+let pollTimer = null;
+let polling = false;
+let pollAgain = false;
+let runningCount = 0;
+
+// Parse the JSON columns of a jobs row
+const toJob = (row) => {
+    if (!row) return null;
+    const { payload_json, result_json, ...job } = row;
+    return {
+        ...job,
+        payload: payload_json ? JSON.parse(payload_json) : null,
+        result: result_json ? JSON.parse(result_json) : null
+    };
+};
+
+const publish = (job) => {
+    if (job) events.emit('job', job);
+};
+
+const getJob = async (jobId) => {
+    return toJob(await get('SELECT * FROM jobs WHERE id = ?', [jobId]));
+};
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { document_id, patient_id, status, limit }
+ */
+const listJobs = async ({ document_id, patient_id, status, limit = 50 } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (document_id) {
+        conditions.push('document_id = ?');
+        params.push(document_id);
+    }
+    if (patient_id) {
+        conditions.push('patient_id = ?');
+        params.push(patient_id);
+    }
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(parseInt(limit) || 50);
+    const rows = await all(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`, params);
+    return rows.map(toJob);
+};
+
+// The queued or running job of a type for a document, if there is one
+const getActiveJob = async (type, documentId) => {
+    return toJob(await get(`SELECT * FROM jobs WHERE type = ? AND document_id = ? AND status IN (?, ?)
+                            ORDER BY id DESC LIMIT 1`, [type, documentId, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]));
+};
+
+// Update columns on a job and publish the new state
+const updateJob = async (jobId, fields) => {
+    const columns = Object.keys(fields);
+    const now = new Date().toISOString();
+    await run(`UPDATE jobs SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+        [...columns.map(col => fields[col]), now, jobId]);
+    const job = await getJob(jobId);
+    publish(job);
+    return job;
+};
+
+/**
+ * Queue a job. The current request's user is recorded so the job runs (and is audited) as them.
+ * @param {string} type - one of JOB_TYPES
+ * @param {Object} options - { document_id, patient_id, payload, max_attempts }
+ */
+const enqueue = async (type, { document_id = null, patient_id = null, payload = null, max_attempts = JOB_MAX_ATTEMPTS } = {}) => {
+    const user = getRequestContext()?.user || null;
+    const now = new Date().toISOString();
+    const result = await run(`INSERT INTO jobs (type, document_id, patient_id, payload_json, status, stage, max_attempts,
+                              run_after, created_by, created_by_user_id, created_at, updated_at)
+                              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+        type, document_id, patient_id, payload ? JSON.stringify(payload) : null, JOB_STATUS.QUEUED, 'queued',
+        max_attempts, now, user?.username || 'system', user?.id || null, now, now
+    ]);
+    const job = await getJob(result.lastID);
+    publish(job);
+    kick();
+    return job;
+};
+
+/**
+ * Register the handler for a job type.
+ * handler.run(job, { setStage }) does the work and resolves the job result;
+ * handler.onFailed(job, error) is optional and runs once the last attempt has failed.
+ */
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+// Delay before the next attempt: base, 2x base, 4x base, ...
+const retryDelay = (attempts) => JOB_RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+
+// Atomically move the next due job to running
+const claimNextJob = async () => {
+    const now = new Date().toISOString();
+    const row = await get(`UPDATE jobs SET status = ?, stage = 'starting', attempts = attempts + 1, started_at = ?, updated_at = ?
+                           WHERE id = (SELECT id FROM jobs WHERE status = ? AND run_after <= ? ORDER BY run_after, id LIMIT 1)
+                           RETURNING *`, [JOB_STATUS.RUNNING, now, now, JOB_STATUS.QUEUED, now]);
+    return toJob(row);
+};
+
+const runJob = async (job) => {
+    publish(job);
+    const handler = handlers[job.type];
+    const user = job.created_by_user_id ? await authService.getUserById(job.created_by_user_id).catch(() => null) : null;
+    const context = { user, ip: null, job_id: job.id };
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type: ${job.type}`);
+        }
+        const setStage = (stage) => updateJob(job.id, { stage });
+        const result = await runWithContext(context, () => handler.run(job, { setStage }));
+        await updateJob(job.id, {
+            status: JOB_STATUS.SUCCEEDED,
+            stage: 'done',
+            result_json: JSON.stringify(result === undefined ? null : result),
+            last_error: null,
+            finished_at: new Date().toISOString()
+        });
+    } catch (err) {
+        console.error(`[JobQueue] Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, err.message);
+
+        if (handler && job.attempts < job.max_attempts) {
+            const delay = retryDelay(job.attempts);
+            await updateJob(job.id, {
+                status: JOB_STATUS.QUEUED,
+                stage: 'retry_wait',
+                last_error: err.message,
+                run_after: new Date(Date.now() + delay).toISOString()
+            });
+            setTimeout(kick, delay).unref();
+            return;
+        }
+
+        const failed = await updateJob(job.id, {
+            status: JOB_STATUS.FAILED,
+            stage: 'failed',
+            last_error: err.message,
+            finished_at: new Date().toISOString()
+        });
+        if (handler?.onFailed) {
+            await runWithContext(context, () => handler.onFailed(failed, err)).catch((e) => {
+                console.error(`[JobQueue] onFailed for job ${job.id} failed:`, e.message);
+            });
+        }
+    }
+};
+
+// Claim and start due jobs until the concurrency limit is reached
+const poll = async () => {
+    if (!started) return;
+    if (polling) {
+        pollAgain = true;
+        return;
+    }
+    polling = true;
+    try {
+        while (started && runningCount < JOB_CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            runningCount++;
+            runJob(job)
+                .catch(err => console.error(`[JobQueue] Job ${job.id} crashed:`, err.message))
+                .finally(() => {
+                    runningCount--;
+                    kick();
+                });
+        }
+    } catch (err) {
+        console.error('[JobQueue] Poll failed:', err.message);
+    } finally {
+        polling = false;
+        if (pollAgain) {
+            pollAgain = false;
+            kick();
+        }
+    }
+};
+
+const kick = () => {
+    if (started) setImmediate(poll);
+};
+
+/**
+ * Start the worker. Jobs a previous process left running are re-queued
+ * (or failed, if that was their last attempt).
+ */
+const start = async () => {
+    if (started) return;
+    const now = new Date().toISOString();
+    await run(`UPDATE jobs SET status = ?, stage = 'failed', last_error = 'Interrupted by server restart', finished_at = ?, updated_at = ?
+               WHERE status = ? AND attempts >= max_attempts`, [JOB_STATUS.FAILED, now, now, JOB_STATUS.RUNNING]);
+    const recovered = await run(`UPDATE jobs SET status = ?, stage = 'queued', run_after = ?, updated_at = ? WHERE status = ?`,
+        [JOB_STATUS.QUEUED, now, now, JOB_STATUS.RUNNING]);
+    if (recovered.changes > 0) {
+        console.log(`[JobQueue] Re-queued ${recovered.changes} interrupted job(s)`);
+    }
+
+    started = true;
+    pollTimer = setInterval(poll, JOB_POLL_INTERVAL_MS);
+    pollTimer.unref();
+    console.log(`[JobQueue] Worker started (concurrency ${JOB_CONCURRENCY})`);
+    kick();
+};
+
+// Stop claiming new jobs (jobs already running finish)
+const stop = () => {
+    started = false;
+    clearInterval(pollTimer);
+    pollTimer = null;
+};
+
+module.exports = {
+    enqueue,
+    registerHandler,
+    getJob,
+    listJobs,
+    getActiveJob,
+    start,
+    stop,
+    events,
+    JOB_STATUS,
+    JOB_TYPES,
+    JOB_CONCURRENCY
+};
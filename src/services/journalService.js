@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const audit = require('./auditService');
 
 const journalService = {
     // Get all journal entries for a patient
@@ -57,4 +58,26 @@ const journalService = {
     }
 };
 
-module.exports = journalService;
+// Patient for a journal entry (looked up before deletes)
+const describeEntry = ([entryId]) => new Promise((resolve) => {
+    db.get('SELECT patient_id FROM journal_entries WHERE id = ?', [entryId], (err, row) => {
+        resolve({ patient_id: err || !row ? null : row.patient_id, resource_id: entryId });
+    });
+});
+
+module.exports = audit.instrument(journalService, {
+    getEntriesByPatientId: {
+        action: 'journal.list', resource_type: 'journal_entry',
+        describe: ([patientId]) => ({ patient_id: patientId })
+    },
+    addEntry: {
+        action: 'journal.create', resource_type: 'journal_entry',
+        describe: ([patientId]) => ({ patient_id: patientId }),
+        describeResult: (entry) => ({ resource_id: entry.id })
+    },
+    deleteEntry: { action: 'journal.delete', resource_type: 'journal_entry', describe: describeEntry },
+    getPatientTimeline: {
+        action: 'timeline.read', resource_type: 'timeline',
+        describe: ([patientId]) => ({ patient_id: patientId })
+    }
+});
@@ -0,0 +1,339 @@
+/**
+ * Medication Alias Service
+ *
+ * Maps the names a medication turns up under in scanned paper - brand names (Tylenol,
+ * Lovenox), common misspellings (acetominophen) and OCR misreads (Lisin0pril, Dilaudld) -
+ * to one generic name and drug class. The bundled dictionary is offline and maintained
+ * here; admins add local aliases on top of it (medication_aliases table), which win over
+ * the bundled ones. Extracted medications are normalized before they are merged,
+ * checked for conflicts or counted in the funding report, so "Tylenol" and
+ * "Acetaminophen" are one chart item.
+ */
+
+const { run, get, all } = require('../config/dbHelpers');
+const { getRequestContext } = require('../middleware/requestContext');
+const audit = require('./auditService');
+const { levenshtein } = require('./patientIdentityService');
+
+// Generic name -> drug class (drugClassService ids where the drug is in one) and the
+// other names it is written as
+const DICTIONARY = {
+    acetaminophen: { drug_class: 'analgesics', aliases: ['tylenol', 'paracetamol', 'apap', 'ofirmev', 'acetominophen', 'acetaminophin', 'acetaminiphen'] },
+    ibuprofen: { drug_class: 'nsaids', aliases: ['advil', 'motrin', 'ibuprophen'] },
+    naproxen: { drug_class: 'nsaids', aliases: ['aleve', 'naprosyn', 'anaprox'] },
+    ketorolac: { drug_class: 'nsaids', aliases: ['toradol'] },
+    celecoxib: { drug_class: 'nsaids', aliases: ['celebrex'] },
+    meloxicam: { drug_class: 'nsaids', aliases: ['mobic'] },
+    diclofenac: { drug_class: 'nsaids', aliases: ['voltaren'] },
+    aspirin: { drug_class: 'nsaids', aliases: ['asa', 'ecotrin', 'bayer aspirin', 'asprin'] },
+    morphine: { drug_class: 'opioids', aliases: ['ms contin', 'morphine sulfate', 'duramorph', 'morphene'] },
+    hydromorphone: { drug_class: 'opioids', aliases: ['dilaudid', 'hydromorphon'] },
+    oxycodone: { drug_class: 'opioids', aliases: ['oxycontin', 'roxicodone', 'oxycodon'] },
+    'oxycodone-acetaminophen': { drug_class: 'opioids', aliases: ['percocet', 'endocet', 'oxycodone/acetaminophen', 'oxycodone/apap'] },
+    'hydrocodone-acetaminophen': { drug_class: 'opioids', aliases: ['norco', 'vicodin', 'lortab', 'hydrocodone/acetaminophen', 'hydrocodone/apap'] },
+    'codeine-acetaminophen': { drug_class: 'opioids', aliases: ['tylenol #3', 'tylenol 3', 'tylenol with codeine', 'tylenol w/ codeine'] },
+    codeine: { drug_class: 'opioids', aliases: [] },
+    tramadol: { drug_class: 'opioids', aliases: ['ultram'] },
+    fentanyl: { drug_class: 'opioids', aliases: ['sublimaze', 'duragesic', 'fentanil'] },
+    meperidine: { drug_class: 'opioids', aliases: ['demerol'] },
+    methadone: { drug_class: 'opioids', aliases: ['dolophine'] },
+    buprenorphine: { drug_class: 'opioids', aliases: ['subutex', 'buprenex'] },
+    ondansetron: { drug_class: 'antiemetics', aliases: ['zofran', 'ondansatron'] },
+    metoclopramide: { drug_class: 'antiemetics', aliases: ['reglan'] },
+    promethazine: { drug_class: 'antiemetics', aliases: ['phenergan'] },
+    diphenhydramine: { drug_class: 'antihistamines', aliases: ['benadryl'] },
+    lorazepam: { drug_class: 'benzodiazepines', aliases: ['ativan'] },
+    midazolam: { drug_class: 'benzodiazepines', aliases: ['versed'] },
+    diazepam: { drug_class: 'benzodiazepines', aliases: ['valium'] },
+    alprazolam: { drug_class: 'benzodiazepines', aliases: ['xanax'] },
+    propofol: { drug_class: 'anesthetics', aliases: ['diprivan'] },
+    penicillin: { drug_class: 'penicillins', aliases: ['pcn', 'penicillin vk', 'pen vk'] },
+    amoxicillin: { drug_class: 'penicillins', aliases: ['amoxil', 'amoxicilin', 'amoxycillin'] },
+    'amoxicillin-clavulanate': { drug_class: 'penicillins', aliases: ['augmentin', 'amoxicillin/clavulanate', 'amox-clav'] },
+    'ampicillin-sulbactam': { drug_class: 'penicillins', aliases: ['unasyn', 'ampicillin/sulbactam'] },
+    'piperacillin-tazobactam': { drug_class: 'penicillins', aliases: ['zosyn', 'pip-tazo', 'piperacillin/tazobactam'] },
+    cefazolin: { drug_class: 'cephalosporins', aliases: ['ancef', 'kefzol', 'cephazolin'] },
+    cephalexin: { drug_class: 'cephalosporins', aliases: ['keflex', 'cefalexin'] },
+    ceftriaxone: { drug_class: 'cephalosporins', aliases: ['rocephin'] },
+    cefuroxime: { drug_class: 'cephalosporins', aliases: ['ceftin', 'zinacef'] },
+    'sulfamethoxazole-trimethoprim': { drug_class: 'sulfonamide_antibiotics', aliases: ['bactrim', 'septra', 'tmp-smx', 'smx-tmp', 'trimethoprim-sulfamethoxazole', 'sulfamethoxazole/trimethoprim'] },
+    vancomycin: { drug_class: 'glycopeptide_antibiotics', aliases: ['vancocin', 'vanco'] },
+    metronidazole: { drug_class: 'nitroimidazole_antibiotics', aliases: ['flagyl'] },
+    clindamycin: { drug_class: 'lincosamide_antibiotics', aliases: ['cleocin'] },
+    ciprofloxacin: { drug_class: 'fluoroquinolones', aliases: ['cipro'] },
+    levofloxacin: { drug_class: 'fluoroquinolones', aliases: ['levaquin'] },
+    azithromycin: { drug_class: 'macrolides', aliases: ['zithromax', 'z-pak', 'zpak'] },
+    doxycycline: { drug_class: 'tetracyclines', aliases: ['vibramycin'] },
+    heparin: { drug_class: 'anticoagulants', aliases: ['heparin sodium', 'ufh'] },
+    enoxaparin: { drug_class: 'anticoagulants', aliases: ['lovenox', 'enoxoparin'] },
+    warfarin: { drug_class: 'anticoagulants', aliases: ['coumadin', 'jantoven'] },
+    apixaban: { drug_class: 'anticoagulants', aliases: ['eliquis'] },
+    rivaroxaban: { drug_class: 'anticoagulants', aliases: ['xarelto'] },
+    dabigatran: { drug_class: 'anticoagulants', aliases: ['pradaxa'] },
+    clopidogrel: { drug_class: 'antiplatelets', aliases: ['plavix'] },
+    atorvastatin: { drug_class: 'statins', aliases: ['lipitor'] },
+    simvastatin: { drug_class: 'statins', aliases: ['zocor'] },
+    rosuvastatin: { drug_class: 'statins', aliases: ['crestor'] },
+    metformin: { drug_class: 'biguanides', aliases: ['glucophage'] },
+    insulin: { drug_class: 'insulins', aliases: ['lantus', 'humalog', 'novolog', 'insulin glargine', 'insulin lispro'] },
+    glipizide: { drug_class: 'sulfonamide_nonantibiotics', aliases: ['glucotrol'] },
+    lisinopril: { drug_class: 'ace_inhibitors', aliases: ['zestril', 'prinivil'] },
+    losartan: { drug_class: 'angiotensin_receptor_blockers', aliases: ['cozaar'] },
+    amlodipine: { drug_class: 'calcium_channel_blockers', aliases: ['norvasc'] },
+    metoprolol: { drug_class: 'beta_blockers', aliases: ['lopressor', 'toprol', 'toprol xl', 'metoprolol tartrate', 'metoprolol succinate'] },
+    carvedilol: { drug_class: 'beta_blockers', aliases: ['coreg'] },
+    hydrochlorothiazide: { drug_class: 'sulfonamide_nonantibiotics', aliases: ['hctz', 'microzide'] },
+    furosemide: { drug_class: 'sulfonamide_nonantibiotics', aliases: ['lasix', 'furosemid'] },
+    omeprazole: { drug_class: 'proton_pump_inhibitors', aliases: ['prilosec'] },
+    pantoprazole: { drug_class: 'proton_pump_inhibitors', aliases: ['protonix'] },
+    famotidine: { drug_class: 'h2_blockers', aliases: ['pepcid'] },
+    docusate: { drug_class: 'laxatives', aliases: ['colace'] },
+    senna: { drug_class: 'laxatives', aliases: ['senokot', 'sennosides'] },
+    gabapentin: { drug_class: 'anticonvulsants', aliases: ['neurontin'] },
+    pregabalin: { drug_class: 'anticonvulsants', aliases: ['lyrica'] },
+    cyclobenzaprine: { drug_class: 'muscle_relaxants', aliases: ['flexeril'] },
+    prednisone: { drug_class: 'corticosteroids', aliases: ['deltasone'] },
+    dexamethasone: { drug_class: 'corticosteroids', aliases: ['decadron'] },
+    albuterol: { drug_class: 'bronchodilators', aliases: ['proventil', 'ventolin', 'salbutamol'] },
+    levothyroxine: { drug_class: 'thyroid_hormones', aliases: ['synthroid', 'levoxyl'] },
+    sertraline: { drug_class: 'ssris', aliases: ['zoloft'] },
+    iohexol: { drug_class: 'iodinated_contrast', aliases: ['omnipaque'] },
+    iopamidol: { drug_class: 'iodinated_contrast', aliases: ['isovue'] }
+};
+
+// Characters and pairs OCR commonly swaps, folded the same way on both sides of a match
+const OCR_FOLDS = [[/0/g, 'o'], [/[1|!]/g, 'l'], [/rn/g, 'm'], [/vv/g, 'w'], [/5(?=[a-z])/g, 's']];
+
+// Misspelling tolerance grows with the name: none under 5 characters, where one edit
+// can turn one real drug into another, one edit up to 8, two beyond that
+const fuzzyTolerance = (term) => (term.length < 5 ? 0 : term.length <= 8 ? 1 : 2);
+
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9 .,'#/()-]*$/;
+const DRUG_CLASS_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const fold = (value) => OCR_FOLDS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+
+// "oxycodone-acetaminophen" -> "Oxycodone-acetaminophen"
+const displayName = (generic) => generic.charAt(0).toUpperCase() + generic.slice(1);
+
+// Bundled term -> { generic, source }, and folded term -> generics it could be
+const BUNDLED = new Map();
+const FOLDED = new Map();
+for (const [generic, entry] of Object.entries(DICTIONARY)) {
+    for (const [term, source] of [[generic, 'generic'], ...entry.aliases.map(alias => [alias, 'dictionary'])]) {
+        BUNDLED.set(term, { generic, source });
+        const folded = fold(term);
+        FOLDED.set(folded, [...new Set([...(FOLDED.get(folded) || []), generic])]);
+    }
+}
+
+// Local aliases, loaded from the table by load() and refreshed when they change
+let localAliases = new Map();
+let loaded = false;
+
+/**
+ * Read local aliases into memory. canonicalize() is synchronous, so anything that
+ * normalizes medications awaits this first; it only hits the database once.
+ */
+const load = async ({ refresh = false } = {}) => {
+    if (loaded && !refresh) return;
+    const rows = await all('SELECT alias, generic_name, drug_class FROM medication_aliases');
+    localAliases = new Map(rows.map(row => [normalize(row.alias), row]));
+    loaded = true;
+};
+
+// The drug class a generic name belongs to - a local alias's class wins
+const drugClassOf = (generic, local) => local?.drug_class || DICTIONARY[generic]?.drug_class || null;
+
+const matchTerm = (term) => {
+    const local = localAliases.get(term);
+    if (local) {
+        const generic = normalize(local.generic_name);
+        return { generic, source: 'local', drug_class: drugClassOf(generic, local) };
+    }
+    const bundled = BUNDLED.get(term);
+    if (bundled) return { ...bundled, drug_class: drugClassOf(bundled.generic) };
+
+    const folded = FOLDED.get(fold(term));
+    if (folded?.length === 1) return { generic: folded[0], source: 'ocr', drug_class: drugClassOf(folded[0]) };
+
+    const tolerance = fuzzyTolerance(term);
+    if (tolerance > 0) {
+        const near = new Set();
+        for (const [candidate, { generic }] of BUNDLED) {
+            if (Math.abs(candidate.length - term.length) <= tolerance && levenshtein(fold(term), fold(candidate)) <= tolerance) near.add(generic);
+        }
+        if (near.size === 1) {
+            const [generic] = near;
+            return { generic, source: 'fuzzy', drug_class: drugClassOf(generic) };
+        }
+    }
+    return null;
+};
+
+/**
+ * Resolve a medication name to its generic. Tries the whole name, then the name before
+ * any dose ("Lovenox 40 mg"), then its first word ("Bactrim DS").
+ * @param {string} name
+ * @returns {Object} { name: display generic or null, generic, drug_class,
+ *   source: generic|dictionary|local|ocr|fuzzy|null, original }
+ */
+const canonicalize = (name) => {
+    const text = normalize(name);
+    const beforeDose = text.split(/\s+(?=\d)/)[0];
+    const candidates = [...new Set([text, beforeDose, beforeDose.split(' ')[0]])].filter(Boolean);
+    for (const term of candidates) {
+        const match = matchTerm(term);
+        if (match) return { name: displayName(match.generic), ...match, original: name };
+    }
+    return { name: null, generic: null, drug_class: null, source: null, original: name };
+};
+
+// Lowercased generic name of a medication, or the lowercased name itself when it isn't known
+const canonicalName = (name) => canonicalize(name).generic || normalize(name);
+
+const isKnown = (value) => value != null && value !== '' && !/^unknown$/i.test(String(value));
+
+/**
+ * Rename extracted medications (chart-format items or name strings) to their generic
+ * names, keeping the name as written in original_name, and fold duplicates - "Tylenol"
+ * and "Acetaminophen" - into one item, filling fields the first one is missing.
+ * @param {Array} medications
+ * @returns {Promise<Array>} normalized medications, in their original order
+ */
+const normalizeMedications = async (medications = []) => {
+    await load();
+    const byName = new Map();
+    for (const medication of medications) {
+        const written = typeof medication === 'string' ? medication : medication?.name;
+        const match = canonicalize(written);
+        if (!match.generic) {
+            const key = normalize(written);
+            if (!byName.has(key)) byName.set(key, medication);
+            continue;
+        }
+        const item = typeof medication === 'string'
+            ? match.name
+            : {
+                ...medication,
+                name: match.name,
+                ...(normalize(written) !== match.generic ? { original_name: written } : {}),
+                drug_class: medication.drug_class || match.drug_class
+            };
+        const existing = byName.get(match.generic);
+        if (!existing) {
+            byName.set(match.generic, item);
+        } else if (typeof existing === 'object' && typeof item === 'object') {
+            for (const [field, value] of Object.entries(item)) {
+                if (!isKnown(existing[field]) && isKnown(value)) existing[field] = value;
+            }
+        }
+    }
+    return [...byName.values()];
+};
+
+const toAlias = (row) => ({
+    id: row.id,
+    alias: row.alias,
+    generic_name: row.generic_name,
+    drug_class: drugClassOf(normalize(row.generic_name), row),
+    note: row.note,
+    source: 'local',
+    created_by: row.created_by,
+    created_at: row.created_at
+});
+
+/**
+ * Local aliases, and with builtin=true the bundled dictionary as well
+ * @param {Object} filters - { builtin }
+ */
+const listAliases = async ({ builtin } = {}) => {
+    const rows = await all('SELECT * FROM medication_aliases ORDER BY alias COLLATE NOCASE');
+    const result = { local: rows.map(toAlias) };
+    if (builtin === true || builtin === 'true') {
+        result.builtin = Object.entries(DICTIONARY).map(([generic, entry]) => ({
+            generic_name: generic,
+            drug_class: entry.drug_class,
+            aliases: entry.aliases
+        }));
+    }
+    return result;
+};
+
+// How a name resolves, for checking an alias before adding it
+const lookup = async (name) => {
+    if (!normalize(name)) {
+        throw new Error('Invalid lookup: name is required');
+    }
+    await load();
+    return canonicalize(name);
+};
+
+/**
+ * Add a local alias
+ * @param {Object} input - { alias, generic_name, drug_class, note }
+ */
+const addAlias = async ({ alias, generic_name, drug_class = null, note = null } = {}) => {
+    const name = normalize(alias);
+    const generic = normalize(generic_name);
+    if (!name || !ALIAS_PATTERN.test(name)) {
+        throw new Error('Invalid alias: alias is required and may only contain letters, digits, spaces and . , \' # / ( ) -');
+    }
+    if (!generic || !ALIAS_PATTERN.test(generic)) {
+        throw new Error('Invalid alias: generic_name is required and may only contain letters, digits, spaces and . , \' # / ( ) -');
+    }
+    if (name === generic) {
+        throw new Error('Invalid alias: alias and generic_name are the same');
+    }
+    const drugClass = drug_class ? normalize(drug_class).replace(/[\s-]+/g, '_') : null;
+    if (drugClass && !DRUG_CLASS_PATTERN.test(drugClass)) {
+        throw new Error('Invalid alias: drug_class must be a snake_case class id (e.g. opioids)');
+    }
+    if (await get('SELECT id FROM medication_aliases WHERE alias = ?', [name])) {
+        throw new Error(`Alias "${name}" already exists`);
+    }
+
+    const user = getRequestContext()?.user;
+    const { lastID } = await run(`INSERT INTO medication_aliases
+                                  (alias, generic_name, drug_class, note, created_by, created_by_user_id, created_at)
+                                  VALUES (?, ?, ?, ?, ?, ?, ?)`, [
+        name, generic, drugClass, note ? String(note).trim() || null : null,
+        user?.username || 'system', user?.id || null, new Date().toISOString()
+    ]);
+    await load({ refresh: true });
+    return toAlias(await get('SELECT * FROM medication_aliases WHERE id = ?', [lastID]));
+};
+
+// Remove a local alias; null if it doesn't exist
+const deleteAlias = async (id) => {
+    const row = await get('SELECT * FROM medication_aliases WHERE id = ?', [id]);
+    if (!row) return null;
+    await run('DELETE FROM medication_aliases WHERE id = ?', [id]);
+    await load({ refresh: true });
+    return toAlias(row);
+};
+
+module.exports = audit.instrument({
+    DICTIONARY,
+    load,
+    canonicalize,
+    canonicalName,
+    normalizeMedications,
+    listAliases,
+    lookup,
+    addAlias,
+    deleteAlias
+}, {
+    addAlias: {
+        action: 'medication_alias.create', resource_type: 'medication_alias',
+        describe: ([input]) => ({ detail: `${input?.alias} -> ${input?.generic_name}` }),
+        describeResult: (result) => ({ resource_id: result.id, detail: `${result.alias} -> ${result.generic_name}` })
+    },
+    deleteAlias: {
+        action: 'medication_alias.delete', resource_type: 'medication_alias',
+        describe: ([id]) => ({ resource_id: id }),
+        describeResult: (result, [id]) => ({ detail: result ? `${result.alias} -> ${result.generic_name}` : `alias ${id} not found` })
+    }
+});
@@ -0,0 +1,233 @@
+/**
+ * Medication Sig Parser
+ *
+ * Reads a medication line ("Oxycodone 5-10 mg PO q4-6h PRN severe pain x 7 days") into
+ * normalized fields - dose range and unit, route, frequency, PRN and its indication,
+ * duration - keeping the original text. Only what the text states is filled in;
+ * anything it doesn't mention stays null, so nothing is guessed.
+ */
+
+// Route spellings -> normalized route
+const ROUTES = [
+    [/\b(?:po|p\.o\.|oral(?:ly)?|by mouth)(?![a-z])/, 'PO'],
+    [/\b(?:iv|i\.v\.|intravenous(?:ly)?|ivpb)(?![a-z])/, 'IV'],
+    [/\b(?:im|i\.m\.|intramuscular(?:ly)?)(?![a-z])/, 'IM'],
+    [/\b(?:sc|sq|subq|sub-q|s\.c\.|subcut|subcutaneous(?:ly)?)(?![a-z])/, 'SC'],
+    [/\b(?:sl|sublingual(?:ly)?)(?![a-z])/, 'SL'],
+    [/\b(?:pr|per rectum|rectal(?:ly)?)(?![a-z])/, 'PR'],
+    [/\b(?:inhaled|inh|nebulized|neb|via inhaler)(?![a-z])/, 'inhaled'],
+    [/\b(?:transdermal(?:ly)?|td)(?![a-z])/, 'transdermal'],
+    [/\b(?:topical(?:ly)?)(?![a-z])/, 'topical'],
+    [/\b(?:intranasal(?:ly)?|nasal(?:ly)?)(?![a-z])/, 'intranasal']
+];
+
+// Fixed frequencies -> normalized frequency and doses per day
+const FREQUENCIES = [
+    [/\b(?:b\.?i\.?d\.?|twice (?:a |per )?day|twice daily)(?![a-z])/, 'BID', 2],
+    [/\b(?:t\.?i\.?d\.?|three times (?:a |per )?day|three times daily)(?![a-z])/, 'TID', 3],
+    [/\b(?:q\.?i\.?d\.?|four times (?:a |per )?day|four times daily)(?![a-z])/, 'QID', 4],
+    [/\b(?:q\.?h\.?s\.?|at bedtime|nightly|every night)(?![a-z])/, 'QHS', 1],
+    [/\b(?:q\.?a\.?m\.?|every morning|in the morning)(?![a-z])/, 'QAM', 1],
+    [/\b(?:q\.?p\.?m\.?|every evening|in the evening)(?![a-z])/, 'QPM', 1],
+    [/\b(?:q\.?o\.?d\.?|every other day)(?![a-z])/, 'QOD', 0.5],
+    [/\b(?:weekly|once (?:a|per) week|every week)(?![a-z])/, 'weekly', 1 / 7],
+    [/\b(?:q\.?d\.?|daily|once (?:a |per )?day|once daily|every day)(?![a-z])/, 'daily', 1],
+    [/\b(?:continuous(?:ly)?|infusion|drip)(?![a-z])/, 'continuous', null],
+    [/\b(?:once|one time|x\s*1 dose|stat)(?![a-z])/, 'once', null]
+];
+
+// Dose unit spellings -> normalized unit
+const UNITS = {
+    mg: 'mg', milligram: 'mg', milligrams: 'mg',
+    mcg: 'mcg', 'µg': 'mcg', ug: 'mcg', microgram: 'mcg', micrograms: 'mcg',
+    g: 'g', gm: 'g', gram: 'g', grams: 'g',
+    ml: 'mL', cc: 'mL',
+    unit: 'units', units: 'units', u: 'units',
+    iu: 'IU',
+    meq: 'mEq',
+    tab: 'tablet', tabs: 'tablet', tablet: 'tablet', tablets: 'tablet',
+    cap: 'capsule', caps: 'capsule', capsule: 'capsule', capsules: 'capsule',
+    puff: 'puff', puffs: 'puff',
+    drop: 'drop', drops: 'drop', gtt: 'drop', gtts: 'drop',
+    patch: 'patch', patches: 'patch',
+    spray: 'spray', sprays: 'spray'
+};
+
+// Units counted in whole items, written in the plural for more than one
+const COUNT_UNITS = { tablet: 'tablets', capsule: 'capsules', puff: 'puffs', drop: 'drops', patch: 'patches', spray: 'sprays' };
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const DOSE_PATTERN = new RegExp(
+    `(${NUMBER}(?:\\s*\\/\\s*${NUMBER})?)(?:\\s*(?:-|to)\\s*(${NUMBER}))?\\s*(${Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|')})(?![a-z])`
+);
+const INTERVAL_PATTERN = new RegExp(`\\b(?:q\\.?\\s*|every\\s+)(${NUMBER})(?:\\s*(?:-|to)\\s*(${NUMBER}))?\\s*(?:h|hrs?|hours?)(?![a-z])`);
+const DURATION_PATTERN = /(?:\bx|\bfor|\btimes)\s*(\d+)\s*(days?|d|weeks?|wks?|w|months?|mos?|doses?)(?![a-z])/;
+const PRN_PATTERN = /\b(?:prn|p\.r\.n\.?|as needed)(?![a-z])/;
+const DAYS_PER = { d: 1, day: 1, w: 7, wk: 7, week: 7, mo: 30, month: 30 };
+
+// Words that end the drug name when there is no dose ("Lisinopril PO daily")
+const NAME_STOP = /\s+(?:\d|(?:po|iv|im|sc|sq|subq|sl|pr|prn|q\d|qd|qhs|bid|tid|qid|daily|every|as needed|x\s*\d|for\s+\d)(?![a-z]))/i;
+
+const toNumber = (value) => (value == null ? null : parseFloat(value));
+
+const parseDose = (lower) => {
+    const match = lower.match(DOSE_PATTERN);
+    if (!match) return { dose: null, dose_min: null, dose_max: null, unit: null };
+    const unit = UNITS[match[3]];
+    const combination = match[1].includes('/');
+    const amount = match[1].replace(/\s+/g, '');
+    const doseMin = combination ? null : toNumber(amount);
+    const doseMax = combination ? null : toNumber(match[2] ?? amount);
+    const plural = COUNT_UNITS[unit] && (match[2] || doseMax !== 1);
+    return {
+        dose: `${amount}${match[2] ? `-${match[2]}` : ''} ${plural ? COUNT_UNITS[unit] : unit}`,
+        dose_min: doseMin,
+        dose_max: doseMax,
+        unit
+    };
+};
+
+// For an interval range (q4-6h) frequency_per_day is the most doses a day it allows
+const parseFrequency = (lower) => {
+    const interval = lower.match(INTERVAL_PATTERN);
+    if (interval) {
+        const [, from, to] = interval;
+        return {
+            frequency: `q${from}${to ? `-${to}` : ''}h`,
+            frequency_per_day: Math.round((24 / parseFloat(from)) * 100) / 100
+        };
+    }
+    for (const [pattern, frequency, perDay] of FREQUENCIES) {
+        if (pattern.test(lower)) return { frequency, frequency_per_day: perDay };
+    }
+    return { frequency: null, frequency_per_day: null };
+};
+
+const parseDuration = (lower) => {
+    const match = lower.match(DURATION_PATTERN);
+    if (!match) return { duration: null, duration_days: null };
+    const count = parseInt(match[1]);
+    const unit = match[2].replace(/s$/, '');
+    if (unit === 'dose') {
+        return { duration: `${count} dose${count === 1 ? '' : 's'}`, duration_days: null };
+    }
+    const days = count * (DAYS_PER[unit] || 1);
+    return { duration: `${days} day${days === 1 ? '' : 's'}`, duration_days: days };
+};
+
+// What the PRN is for: "prn pain", "as needed for nausea", "PRN severe pain x 5 days"
+const parsePrn = (text, lower) => {
+    const match = PRN_PATTERN.exec(lower);
+    if (!match) return { prn: false, prn_indication: null };
+    const rest = text.slice(match.index + match[0].length)
+        .replace(/^[\s:-]*(?:for\s+)?/i, '')
+        .split(/[,;.()]|\s+(?:x\s*\d|for\s+\d|q\.?\s*\d|every|max|may repeat)\b|\s+and\s+(?=[a-z]+\s+\d)/i)[0]
+        .trim();
+    return { prn: true, prn_indication: rest && rest.length <= 60 ? rest : null };
+};
+
+/**
+ * Parse one medication line.
+ * @param {string} text - e.g. "2. Oxycodone 5-10 mg PO q4-6h PRN pain x 7 days"
+ * @returns {Object} { text, name, dose, dose_min, dose_max, unit, route, frequency,
+ *   frequency_per_day, prn, prn_indication, duration, duration_days }
+ */
+const parseSig = (text) => {
+    const original = String(text || '').replace(/\s+/g, ' ').trim();
+    const line = original.replace(/^(?:\d+[.)]|[-•*])\s+/, '');
+    const lower = line.toLowerCase();
+
+    const route = ROUTES.find(([pattern]) => pattern.test(lower));
+    const name = line.split(NAME_STOP)[0].replace(/[\s,;:-]+$/, '').trim();
+
+    return {
+        text: original,
+        name: name || null,
+        ...parseDose(lower),
+        route: route ? route[1] : null,
+        ...parseFrequency(lower),
+        ...parsePrn(line, lower),
+        ...parseDuration(lower)
+    };
+};
+
+const isKnown = (value) => value != null && value !== '' && !/^unknown$/i.test(String(value));
+
+/**
+ * Add parsed sig fields to an extracted medication (a name string or an object).
+ * Fields the item already has win over parsed ones.
+ * @param {string|Object} medication
+ * @param {string} [sigText] - the document text the medication was read from; defaults
+ *   to the item's own text or name
+ * @returns {Object} the medication with name, sig fields and text
+ */
+const structureMedication = (medication, sigText) => {
+    const item = typeof medication === 'string' ? { name: medication } : { ...medication };
+    const sig = parseSig(sigText || item.text || item.name || item.medication || '');
+    const result = { ...item };
+    for (const [field, value] of Object.entries(sig)) {
+        if (field === 'name') continue;
+        if (!isKnown(result[field])) result[field] = value;
+    }
+    // A name string carrying its dose ("Oxycodone 5mg") keeps just the drug name
+    const name = item.name || item.medication;
+    result.name = name && !sigText ? parseSig(name).name || name : name || sig.name;
+    return result;
+};
+
+/**
+ * The stretch of document text a medication's sig is written in: from where it was
+ * found to the end of its line or sentence.
+ * @param {string} text - full document text
+ * @param {Object} span - evidence span ({ start })
+ */
+const sigTextAt = (text, span) => {
+    if (!text || !span || span.start == null) return null;
+    const rest = text.slice(span.start);
+    return rest.split(/\n|;|\.\s+(?=[A-Z])|,?\s+and\s+(?=[a-z]+\s+\d)/i)[0].trim() || null;
+};
+
+/**
+ * One sig field (dose, route or frequency) as written by anyone in normalized form -
+ * "10mg" -> "10 mg", "QD" -> "daily", "subq" -> "SC". Null when unknown.
+ */
+const normalizeSigField = (field, value) => {
+    if (!isKnown(value)) return null;
+    return parseSig(`x ${value}`)[field] || String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Normalized dose, route and frequency of a medication - its own fields, else parsed
+ * from its text or name ("Lisinopril 10 mg PO daily") - so "QD" and "daily" compare
+ * equal. Unknown fields are null.
+ */
+const normalizedSig = (medication) => {
+    const sig = structureMedication(typeof medication === 'string'
+        ? medication
+        : { ...medication, name: medication.name || medication.drug });
+    return {
+        dose: normalizeSigField('dose', sig.dose),
+        route: normalizeSigField('route', sig.route),
+        frequency: normalizeSigField('frequency', sig.frequency)
+    };
+};
+
+/**
+ * Sig fields as one readable string: "5-10 mg PO q4-6h PRN pain x 7 days"
+ */
+const formatSig = (medication) => {
+    if (!medication || typeof medication !== 'object') return '';
+    const parts = [medication.dose, medication.route, medication.frequency].filter(isKnown);
+    if (medication.prn) parts.push(`PRN${medication.prn_indication ? ` ${medication.prn_indication}` : ''}`);
+    if (isKnown(medication.duration)) parts.push(`x ${medication.duration}`);
+    return parts.join(' ');
+};
+
+module.exports = {
+    parseSig,
+    structureMedication,
+    sigTextAt,
+    normalizeSigField,
+    normalizedSig,
+    formatSig
+};
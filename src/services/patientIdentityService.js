@@ -0,0 +1,445 @@
+/**
+ * Patient Identity Service
+ *
+ * Cross-checks the identity printed on a document (name, date of birth, MRN) against
+ * the patient it was filed under, and suggests which patient a misfiled document
+ * probably belongs to. Names are compared fuzzily (order, case, punctuation, titles,
+ * initials and small typos); DOB and MRN are compared after normalising.
+ *
+ * Also scores intake duplicates (findDuplicatePatients): hand-copied paper forms give
+ * misspelt names, day/month swaps and differently formatted phone numbers, so names
+ * are compared by sound and edit distance and DOBs allow transpositions.
+ */
+
+const { get, all } = require('../config/dbHelpers');
+const { normalizeDate } = require('./chartItemService');
+
+// Name similarity at or above this counts as the same person
+const NAME_MATCH_THRESHOLD = 0.85;
+// Minimum score for a patient to be suggested as the document's owner
+const SUGGESTION_THRESHOLD = 0.7;
+// How much each field counts towards a suggestion score
+const FIELD_WEIGHTS = { mrn: 0.45, date_of_birth: 0.25, name: 0.30 };
+
+const TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'jr', 'sr', 'ii', 'iii', 'iv']);
+
+// Name tokens in first ... last order ("SMITH, JOHN A." -> ['john', 'a', 'smith'])
+const nameTokens = (name) => {
+    if (!name) return [];
+    let str = String(name).toLowerCase();
+    const comma = str.indexOf(',');
+    if (comma !== -1) {
+        str = `${str.slice(comma + 1)} ${str.slice(0, comma)}`;
+    }
+    return str
+        .replace(/[^a-z\s'-]/g, ' ')
+        .split(/[\s-]+/)
+        .map(token => token.replace(/'/g, ''))
+        .filter(token => token && !TITLES.has(token));
+};
+
+// Jaro-Winkler similarity (0..1)
+const jaroWinkler = (a, b) => {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const range = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+            if (bMatched[j] || a[i] !== b[j]) continue;
+            aMatched[i] = bMatched[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// First-name similarity - an initial matches any name starting with it
+const firstNameScore = (a, b) => {
+    if ((a.length === 1 || b.length === 1) && a[0] === b[0]) return 0.9;
+    return jaroWinkler(a, b);
+};
+
+/**
+ * Similarity of two person names (0..1), weighted towards the last name.
+ * Also tries the tokens swapped, for "Last First" written without a comma.
+ */
+const nameSimilarity = (a, b) => {
+    const x = nameTokens(a);
+    const y = nameTokens(b);
+    if (x.length === 0 || y.length === 0) return 0;
+    if (x.join(' ') === y.join(' ')) return 1;
+
+    const score = (first1, last1, first2, last2) => 0.6 * jaroWinkler(last1, last2) + 0.4 * firstNameScore(first1, first2);
+    const direct = score(x[0], x[x.length - 1], y[0], y[y.length - 1]);
+    const swapped = score(x[x.length - 1], x[0], y[0], y[y.length - 1]) * 0.95;
+    return Math.round(Math.max(direct, swapped) * 100) / 100;
+};
+
+// MRNs compare without punctuation, case or leading zeros
+const normalizeMrn = (mrn) => {
+    if (!mrn) return null;
+    const value = String(mrn).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+(?=.)/, '');
+    return value || null;
+};
+
+// Dates of birth as YYYY-MM-DD; two-digit years are in the past (3/4/59 -> 1959-03-04)
+const normalizeDob = (value) => {
+    const short = String(value || '').trim().match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2})$/);
+    if (short) {
+        const year = parseInt(short[3]);
+        const century = year > new Date().getFullYear() % 100 ? 1900 : 2000;
+        return normalizeDate(`${short[1]}/${short[2]}/${century + year}`);
+    }
+    return normalizeDate(String(value || '').trim().replace(/^(\d{1,2})-(\d{1,2})-(\d{4})$/, '$1/$2/$3'));
+};
+
+// Levenshtein edit distance
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a) return b.length;
+    if (!b) return a.length;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Edit-distance similarity (0..1)
+const editSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+const SOUNDEX_CODES = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+
+// American Soundex key of one name token ("smyth" and "smith" -> S530)
+const soundex = (token) => {
+    const letters = String(token || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (!letters) return null;
+    let key = letters[0].toUpperCase();
+    let last = SOUNDEX_CODES[letters[0]] || 0;
+    for (const letter of letters.slice(1)) {
+        const code = SOUNDEX_CODES[letter] || 0;
+        if (code && code !== last) key += code;
+        // h and w don't separate letters with the same code; vowels do
+        if (letter !== 'h' && letter !== 'w') last = code;
+        if (key.length === 4) break;
+    }
+    return key.padEnd(4, '0');
+};
+
+// Phone numbers as digits, without a leading US country code
+const normalizePhone = (phone) => {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits[0] === '1') digits = digits.slice(1);
+    return digits.length >= 7 ? digits : null;
+};
+
+// Emails compare case-insensitively and without +tags (and without dots for Gmail)
+const normalizeEmail = (email) => {
+    const value = String(email || '').trim().toLowerCase();
+    const at = value.lastIndexOf('@');
+    if (at <= 0) return null;
+    let local = value.slice(0, at).replace(/\+.*$/, '');
+    const domain = value.slice(at + 1);
+    if (domain === 'gmail.com' || domain === 'googlemail.com') local = local.replace(/\./g, '');
+    return `${local}@${domain}`;
+};
+
+/**
+ * How two dates of birth relate: 'match', 'day_month_swapped' (03/04 vs 04/03),
+ * 'digits_transposed' (two neighbouring digits swapped, 1969 vs 1996), 'mismatch',
+ * or null when either is missing or unreadable
+ */
+const compareDob = (a, b) => {
+    const x = normalizeDob(a);
+    const y = normalizeDob(b);
+    if (!x || !y) return null;
+    if (x === y) return 'match';
+
+    const [xYear, xMonth, xDay] = x.split('-');
+    const [yYear, yMonth, yDay] = y.split('-');
+    if (xYear === yYear && xMonth === yDay && xDay === yMonth) return 'day_month_swapped';
+
+    const xDigits = x.replace(/-/g, '');
+    const yDigits = y.replace(/-/g, '');
+    const differ = [...xDigits].map((digit, i) => digit !== yDigits[i] ? i : -1).filter(i => i !== -1);
+    if (differ.length === 2 && differ[1] === differ[0] + 1 &&
+        xDigits[differ[0]] === yDigits[differ[1]] && xDigits[differ[1]] === yDigits[differ[0]]) {
+        return 'digits_transposed';
+    }
+    return 'mismatch';
+};
+
+// Compare one field: 'match', 'mismatch' or 'unavailable' (missing on either side)
+const compareField = (field, documentValue, patientValue) => {
+    if (!documentValue || !patientValue) {
+        return { status: 'unavailable', document: documentValue || null, patient: patientValue || null };
+    }
+    if (field === 'name') {
+        const score = nameSimilarity(documentValue, patientValue);
+        return { status: score >= NAME_MATCH_THRESHOLD ? 'match' : 'mismatch', document: documentValue, patient: patientValue, score };
+    }
+    const normalize = field === 'mrn' ? normalizeMrn : normalizeDob;
+    const same = normalize(documentValue) === normalize(patientValue);
+    return { status: same ? 'match' : 'mismatch', document: documentValue, patient: patientValue, score: same ? 1 : 0 };
+};
+
+/**
+ * Compare a document's identity with a patient row
+ * @param {Object} documentIdentity - { name, date_of_birth, mrn } as printed on the document
+ * @param {Object} patient - patients row
+ * @returns {Object} { status: 'verified' | 'mismatch' | 'unverified', checks, mismatches }
+ */
+const compareIdentity = (documentIdentity, patient) => {
+    const checks = {
+        name: compareField('name', documentIdentity.name, patient.name),
+        date_of_birth: compareField('date_of_birth', documentIdentity.date_of_birth, patient.date_of_birth),
+        mrn: compareField('mrn', documentIdentity.mrn, patient.mrn)
+    };
+    const mismatches = Object.keys(checks).filter(field => checks[field].status === 'mismatch');
+    const compared = Object.keys(checks).filter(field => checks[field].status !== 'unavailable');
+    const status = mismatches.length > 0 ? 'mismatch' : compared.length > 0 ? 'verified' : 'unverified';
+    return { status, checks, mismatches };
+};
+
+/**
+ * Score how likely a patient is the person a document identifies (0..1) over the
+ * fields both sides have, with the reasons
+ */
+const scoreCandidate = (documentIdentity, patient) => {
+    const { checks } = compareIdentity(documentIdentity, patient);
+    let total = 0;
+    let weight = 0;
+    const reasons = [];
+    for (const [field, check] of Object.entries(checks)) {
+        if (check.status === 'unavailable') continue;
+        total += FIELD_WEIGHTS[field] * check.score;
+        weight += FIELD_WEIGHTS[field];
+        if (field === 'mrn' && check.status === 'match') reasons.push('MRN matches');
+        if (field === 'date_of_birth' && check.status === 'match') reasons.push('Date of birth matches');
+        if (field === 'name' && check.score >= 0.7) {
+            reasons.push(check.score === 1 ? 'Name matches' : `Name similar (${Math.round(check.score * 100)}%)`);
+        }
+    }
+    const nameOk = checks.name.status === 'unavailable' || checks.name.score >= 0.7;
+    const mrnOk = checks.mrn.status === 'match';
+    return {
+        score: weight > 0 && (nameOk || mrnOk) ? Math.round((total / weight) * 100) / 100 : 0,
+        reasons
+    };
+};
+
+/**
+ * Patients (other than excludePatientId) the document probably belongs to, best first
+ * @returns {Array} [{ patient_id, name, date_of_birth, mrn, score, reasons }]
+ */
+const suggestPatients = async (documentIdentity, { excludePatientId = null, limit = 3 } = {}) => {
+    // Narrow in SQL by any exact MRN / DOB or a shared name token, then score in code
+    const conditions = [];
+    const params = [];
+    const mrn = normalizeMrn(documentIdentity.mrn);
+    if (mrn) {
+        conditions.push('UPPER(mrn) LIKE ?');
+        params.push(`%${mrn}%`);
+    }
+    const dob = normalizeDob(documentIdentity.date_of_birth);
+    if (dob) {
+        conditions.push('date_of_birth = ?');
+        params.push(dob);
+    }
+    for (const token of nameTokens(documentIdentity.name).filter(t => t.length > 1)) {
+        conditions.push('LOWER(name) LIKE ?');
+        params.push(`%${token}%`);
+    }
+    if (conditions.length === 0) return [];
+
+    const rows = await all(`SELECT id, name, date_of_birth, mrn FROM patients
+                            WHERE (${conditions.join(' OR ')}) AND id != ? AND merged_into_id IS NULL`, [...params, excludePatientId || 0]);
+    return rows
+        .map(row => ({ patient_id: row.id, name: row.name, date_of_birth: row.date_of_birth, mrn: row.mrn, ...scoreCandidate(documentIdentity, row) }))
+        .filter(candidate => candidate.score >= SUGGESTION_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+// Points each kind of evidence adds to (or takes from) an intake duplicate score
+const DUPLICATE_POINTS = {
+    name: 0.45,
+    phonetic_name: 0.4,
+    dob: 0.3,
+    dob_swapped: 0.2,
+    dob_transposed: 0.15,
+    dob_mismatch: -0.2,
+    phone: 0.4,
+    email: 0.4,
+    mrn: 0.45,
+    mrn_mismatch: -0.3
+};
+// Minimum score for an existing patient to be shown as a possible duplicate
+const DUPLICATE_THRESHOLD = 0.4;
+
+// Name evidence: exact, phonetic (first and last tokens sound alike) or spelling similarity
+const compareNames = (a, b) => {
+    const x = nameTokens(a);
+    const y = nameTokens(b);
+    if (x.length === 0 || y.length === 0) return null;
+    if (x.join(' ') === y.join(' ')) return { points: DUPLICATE_POINTS.name, reason: 'Name matches' };
+
+    const sameSound = (p, q) => soundex(p) === soundex(q) || (p.length === 1 || q.length === 1) && p[0] === q[0];
+    const firstLast = (t) => [t[0], t[t.length - 1]];
+    const [xFirst, xLast] = firstLast(x);
+    const [yFirst, yLast] = firstLast(y);
+    if (sameSound(xLast, yLast) && sameSound(xFirst, yFirst) || sameSound(xLast, yFirst) && sameSound(xFirst, yLast)) {
+        return { points: DUPLICATE_POINTS.phonetic_name, reason: `Name sounds alike ("${a}" / "${b}")` };
+    }
+
+    const similarity = Math.max(nameSimilarity(a, b), editSimilarity(x.join(' '), y.join(' ')));
+    if (similarity >= NAME_MATCH_THRESHOLD) {
+        return { points: DUPLICATE_POINTS.name * similarity, reason: `Name similar (${Math.round(similarity * 100)}%)` };
+    }
+    return null;
+};
+
+/**
+ * Score how likely an existing patient is the same person as new intake data (0..1)
+ * @returns {Object} { score, reasons }
+ */
+const scoreDuplicate = (input, patient) => {
+    let points = 0;
+    const reasons = [];
+    const add = (value, reason) => {
+        points += value;
+        reasons.push(reason);
+    };
+
+    const name = compareNames(input.name, patient.name);
+    if (name) add(name.points, name.reason);
+
+    const dob = compareDob(input.date_of_birth, patient.date_of_birth);
+    if (dob === 'match') add(DUPLICATE_POINTS.dob, 'Date of birth matches');
+    else if (dob === 'day_month_swapped') add(DUPLICATE_POINTS.dob_swapped, 'Date of birth has day and month swapped');
+    else if (dob === 'digits_transposed') add(DUPLICATE_POINTS.dob_transposed, 'Date of birth has two digits transposed');
+    else if (dob === 'mismatch') points += DUPLICATE_POINTS.dob_mismatch;
+
+    const phoneA = normalizePhone(input.contact);
+    const phoneB = normalizePhone(patient.contact);
+    if (phoneA && phoneB && (phoneA === phoneB || phoneA.slice(-7) === phoneB.slice(-7) && Math.min(phoneA.length, phoneB.length) === 7)) {
+        add(DUPLICATE_POINTS.phone, 'Phone number matches');
+    }
+
+    const emailA = normalizeEmail(input.email);
+    if (emailA && emailA === normalizeEmail(patient.email)) add(DUPLICATE_POINTS.email, 'Email matches');
+
+    const mrnA = normalizeMrn(input.mrn);
+    const mrnB = normalizeMrn(patient.mrn);
+    if (mrnA && mrnB) {
+        if (mrnA === mrnB) add(DUPLICATE_POINTS.mrn, 'MRN matches');
+        else points += DUPLICATE_POINTS.mrn_mismatch;
+    }
+
+    return { score: Math.round(Math.max(0, Math.min(1, points)) * 100) / 100, reasons };
+};
+
+/**
+ * Existing patients that may be the same person as new intake data, best first.
+ * Merged (tombstoned) records are skipped.
+ * @param {Object} input - { name, date_of_birth, contact, email, mrn }
+ * @returns {Array} [{ id, name, date_of_birth, contact, email, mrn, score, reasons }]
+ */
+const findDuplicatePatients = async (input, { excludePatientId = null, limit = 10 } = {}) => {
+    if (!input.name && !input.contact && !input.email && !input.mrn) return [];
+
+    // Misspellings defeat any SQL prefilter short of a stored phonetic key, so score every active patient
+    const rows = await all(`SELECT id, name, date_of_birth, contact, email, mrn FROM patients
+                            WHERE merged_into_id IS NULL AND id != ?`, [excludePatientId || 0]);
+    return rows
+        .map(row => ({ ...row, ...scoreDuplicate(input, row) }))
+        .filter(candidate => candidate.score >= DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+/**
+ * Check a document's identity against the patient it was filed under; on a mismatch
+ * also suggest the patients it probably belongs to.
+ * @returns {Object} { status, document, patient, checks, mismatches, suggestions }
+ */
+const verifyDocumentIdentity = async (patientId, documentIdentity) => {
+    const patient = await get('SELECT id, name, date_of_birth, mrn FROM patients WHERE id = ?', [patientId]);
+    if (!patient) {
+        throw new Error(`Patient ${patientId} not found`);
+    }
+    const comparison = compareIdentity(documentIdentity, patient);
+    const suggestions = comparison.status === 'mismatch'
+        ? await suggestPatients(documentIdentity, { excludePatientId: patient.id })
+        : [];
+    return {
+        ...comparison,
+        document: documentIdentity,
+        patient: { id: patient.id, name: patient.name, date_of_birth: patient.date_of_birth, mrn: patient.mrn },
+        suggestions
+    };
+};
+
+// Review message for a mismatch, naming the likely patient if there is one
+const describeMismatch = (identity) => {
+    const labels = { name: 'name', date_of_birth: 'date of birth', mrn: 'MRN' };
+    const details = identity.mismatches.map(field => {
+        const check = identity.checks[field];
+        return `${labels[field]} "${check.document}" vs chart "${check.patient}"`;
+    });
+    let message = `Document may belong to another patient: ${details.join('; ')}`;
+    const likely = identity.suggestions[0];
+    if (likely) {
+        message += ` - probably ${likely.name} (patient #${likely.patient_id}: ${likely.reasons.join(', ')})`;
+    }
+    return message;
+};
+
+module.exports = {
+    nameTokens,
+    nameSimilarity,
+    levenshtein,
+    soundex,
+    normalizeMrn,
+    normalizeDob,
+    normalizePhone,
+    normalizeEmail,
+    compareDob,
+    compareIdentity,
+    scoreCandidate,
+    suggestPatients,
+    verifyDocumentIdentity,
+    describeMismatch,
+    scoreDuplicate,
+    findDuplicatePatients,
+    NAME_MATCH_THRESHOLD,
+    DUPLICATE_THRESHOLD
+};
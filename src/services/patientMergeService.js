@@ -0,0 +1,250 @@
+/**
+ * Patient Merge Service
+ *
+ * Combines two records of the same person. Visits, journal entries, documents (their
+ * extractions are keyed by document and follow them), reports and jobs move to the
+ * surviving patient; the duplicate's chart items are added to the survivor's chart as
+ * one chart merge, skipping items it already has (matched by chart item key). Moved
+ * items keep the document merge that charted them, whose record moves too, so
+ * reassigning one of the documents later still backs its items out. Blank
+ * demographics on the survivor are filled in from the duplicate. The duplicate row is
+ * kept as a tombstone (patients.merged_into_id) so its old ID redirects.
+ */
+
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const { getRequestContext } = require('../middleware/requestContext');
+const audit = require('./auditService');
+const chartMerges = require('./chartMergeService');
+const chartItems = require('./chartItemService');
+const { JOB_STATUS } = require('./jobQueueService');
+
+// Records that move with the patient, by the name they are reported under
+const MOVED_TABLES = {
+    visits: 'visits',
+    journal_entries: 'journal_entries',
+    documents: 'patient_documents',
+    reports: 'patient_reports',
+    jobs: 'jobs',
+    // The documents' merges go with them, so reverting one still finds its chart items
+    chart_merges: 'chart_merges'
+};
+
+// Demographics copied from the duplicate where the survivor has none
+const DEMOGRAPHIC_FIELDS = ['date_of_birth', 'age', 'gender', 'contact', 'email', 'address', 'mrn'];
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+// Follow merged_into_id to the patient a (possibly merged) ID now lives at; null if missing
+const resolvePatientId = async (patientId) => {
+    let patient = await get('SELECT id, merged_into_id FROM patients WHERE id = ?', [patientId]);
+    const seen = new Set();
+    while (patient && patient.merged_into_id && !seen.has(patient.id)) {
+        seen.add(patient.id);
+        patient = await get('SELECT id, merged_into_id FROM patients WHERE id = ?', [patient.merged_into_id]);
+    }
+    return patient ? patient.id : null;
+};
+
+// Load both patients and refuse merges that can't happen
+const loadPair = async (sourceId, targetId) => {
+    if (String(sourceId) === String(targetId)) {
+        throw new Error('A patient cannot be merged into itself');
+    }
+    const source = await get('SELECT * FROM patients WHERE id = ?', [sourceId]);
+    if (!source) throw new Error(`Patient ${sourceId} not found`);
+    const target = await get('SELECT * FROM patients WHERE id = ?', [targetId]);
+    if (!target) throw new Error(`Patient ${targetId} not found`);
+    for (const patient of [source, target]) {
+        if (patient.merged_into_id) {
+            throw new Error(`Patient ${patient.id} was already merged into patient ${patient.merged_into_id}`);
+        }
+    }
+    return { source, target };
+};
+
+/**
+ * Work out everything a merge would do, without writing
+ * @returns {Object} { source, target, moves, extractions, chart, demographics, conflicts, active_jobs }
+ */
+const planMerge = async (source, target) => {
+    const moves = {};
+    for (const [label, table] of Object.entries(MOVED_TABLES)) {
+        const rows = await all(`SELECT id FROM ${table} WHERE patient_id = ? ORDER BY id`, [source.id]);
+        moves[label] = rows.map(row => row.id);
+    }
+    const extractions = await get(`SELECT COUNT(*) as count FROM document_extractions
+                                   WHERE document_id IN (SELECT id FROM patient_documents WHERE patient_id = ?)`, [source.id]);
+    const activeJobs = await all(`SELECT id, type, document_id, status FROM jobs WHERE patient_id = ? AND status IN (?, ?)`,
+        [source.id, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]);
+
+    // Chart union: the duplicate's items the survivor doesn't already have
+    const sourceChart = await chartItems.loadChartItems(source.id);
+    const targetChart = await chartItems.loadChartItems(target.id);
+    const chart = {};
+    for (const section of Object.keys(chartMerges.CHART_SECTIONS)) {
+        chart[section] = { add: [], duplicates: [] };
+        for (const item of sourceChart[section]) {
+            const kept = [...targetChart[section], ...chart[section].add];
+            if (!chartMerges.itemKey(section, item) || chartMerges.isDuplicate(section, kept, item)) {
+                chart[section].duplicates.push(item);
+                continue;
+            }
+            chart[section].add.push(item);
+        }
+    }
+
+    // Survivor's values win; differing values are reported so they can be checked
+    const demographics = {};
+    const conflicts = {};
+    for (const field of DEMOGRAPHIC_FIELDS) {
+        if (isBlank(source[field])) continue;
+        if (isBlank(target[field])) {
+            demographics[field] = source[field];
+        } else if (String(source[field]).trim().toLowerCase() !== String(target[field]).trim().toLowerCase()) {
+            conflicts[field] = { source: source[field], target: target[field] };
+        }
+    }
+    if (source.name && target.name && source.name.trim().toLowerCase() !== target.name.trim().toLowerCase()) {
+        conflicts.name = { source: source.name, target: target.name };
+    }
+
+    return {
+        source: { id: source.id, name: source.name, date_of_birth: source.date_of_birth, mrn: source.mrn },
+        target: { id: target.id, name: target.name, date_of_birth: target.date_of_birth, mrn: target.mrn },
+        moves,
+        extractions: extractions.count,
+        chart,
+        source_chart: sourceChart,
+        chart_summary: source.chart_summary || null,
+        demographics,
+        conflicts,
+        active_jobs: activeJobs
+    };
+};
+
+// Counts for responses and the audit log
+const summarize = (plan) => {
+    const count = (sections, key) => Object.fromEntries(Object.entries(sections).map(([section, s]) => [section, s[key].length]));
+    return {
+        source: plan.source,
+        target: plan.target,
+        moved: {
+            ...Object.fromEntries(Object.entries(plan.moves).map(([label, ids]) => [label, ids.length])),
+            extractions: plan.extractions
+        },
+        chart_items_added: count(plan.chart, 'add'),
+        chart_items_duplicate: count(plan.chart, 'duplicates'),
+        demographics_filled: plan.demographics,
+        conflicts: plan.conflicts
+    };
+};
+
+/**
+ * What merging sourceId into targetId would move, without changing anything
+ * @returns {Object} summary counts plus the ids to move and the chart items to add / skip
+ */
+const previewPatientMerge = async (sourceId, targetId) => {
+    const { source, target } = await loadPair(sourceId, targetId);
+    const plan = await planMerge(source, target);
+    return {
+        preview: true,
+        ...summarize(plan),
+        records: plan.moves,
+        chart: plan.chart,
+        active_jobs: plan.active_jobs
+    };
+};
+
+/**
+ * Merge patient sourceId into targetId in one transaction. Throws if either patient
+ * is missing or already merged, or the source has queued/running jobs.
+ * @returns {Object} { patient_merge_id, chart_merge_id, merged_at, ...summary }
+ */
+const mergePatientInto = async (sourceId, targetId) => {
+    const result = await withTransaction(async () => {
+        const { source, target } = await loadPair(sourceId, targetId);
+        const plan = await planMerge(source, target);
+        if (plan.active_jobs.length > 0) {
+            throw new Error(`Patient ${source.id} has ${plan.active_jobs.length} documents being processed - merge once the jobs have finished`);
+        }
+
+        const now = new Date().toISOString();
+        const actor = getRequestContext()?.user?.username || 'system';
+        // Recorded first so the chart items moved over can point at it
+        const inserted = await run(`INSERT INTO patient_merges (source_patient_id, target_patient_id, merged_by, merged_at, moved_json)
+                                    VALUES (?, ?, ?, ?, ?)`, [
+            source.id, target.id, actor, now,
+            JSON.stringify({ records: plan.moves, chart: plan.source_chart, demographics: plan.demographics, conflicts: plan.conflicts })
+        ]);
+        const patientMergeId = inserted.lastID;
+
+        const chartMerge = await chartMerges.writeMerge(target.id, {
+            merge_type: chartMerges.MERGE_TYPES.PATIENT_MERGE,
+            patient_merge_id: patientMergeId
+        }, (current) => {
+            const chart = {};
+            for (const section of Object.keys(chartMerges.CHART_SECTIONS)) {
+                chart[section] = [...current[section], ...plan.chart[section].add];
+            }
+            return {
+                chart,
+                summary_addition: plan.chart_summary ? `\n${plan.chart_summary}` : ''
+            };
+        });
+        for (const [section, items] of Object.entries(plan.source_chart)) {
+            await chartItems.deleteItems(section, items.map(item => item.id));
+        }
+
+        for (const table of Object.values(MOVED_TABLES)) {
+            await run(`UPDATE ${table} SET patient_id = ? WHERE patient_id = ?`, [target.id, source.id]);
+        }
+
+        await run('UPDATE patient_merges SET chart_merge_id = ? WHERE id = ?', [chartMerge.merge_id, patientMergeId]);
+
+        const filled = Object.keys(plan.demographics);
+        if (filled.length > 0) {
+            await run(`UPDATE patients SET ${filled.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+                [...filled.map(field => plan.demographics[field]), now, target.id]);
+        }
+        await run(`UPDATE patients SET merged_into_id = ?, merged_at = ?, chart_summary = NULL, chart_updated_at = ?, updated_at = ?
+                   WHERE id = ?`, [target.id, now, now, now, source.id]);
+
+        const summary = summarize(plan);
+        return {
+            patient_merge_id: patientMergeId,
+            chart_merge_id: chartMerge.merge_id,
+            merged_at: now,
+            ...summary
+        };
+    });
+
+    // The duplicate's own trail records where it went
+    await audit.record({
+        action: 'patient.merge_out', resource_type: 'patient', resource_id: result.source.id,
+        patient_id: result.source.id,
+        detail: `merged into patient ${result.target.id} (patient merge ${result.patient_merge_id})`
+    });
+    return result;
+};
+
+const countOf = (counts) => Object.values(counts || {}).reduce((sum, n) => sum + n, 0);
+
+module.exports = audit.instrument({
+    resolvePatientId,
+    previewPatientMerge,
+    mergePatientInto
+}, {
+    previewPatientMerge: {
+        action: 'patient.merge_preview', resource_type: 'patient',
+        describe: ([sourceId, targetId]) => ({ patient_id: sourceId, resource_id: sourceId, detail: `into patient ${targetId}` })
+    },
+    mergePatientInto: {
+        action: 'patient.merge', resource_type: 'patient',
+        describe: ([sourceId, targetId]) => ({ patient_id: targetId, resource_id: sourceId, detail: `patient ${sourceId} into ${targetId}` }),
+        describeResult: (result) => ({
+            detail: `patient ${result.source.id} into ${result.target.id}: ` +
+                `${Object.entries(result.moved).map(([label, n]) => `${n} ${label}`).join(', ')}, ` +
+                `${countOf(result.chart_items_added)} chart items added, ${countOf(result.chart_items_duplicate)} duplicates skipped`
+        })
+    }
+});
@@ -1,4 +1,28 @@
 const db = require('../config/database');
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const audit = require('./auditService');
+const chartMerges = require('./chartMergeService');
+const chartItems = require('./chartItemService');
+const evidence = require('./evidenceService');
+const patientIdentity = require('./patientIdentityService');
+const { detectConflicts } = require('./safeExtractionPipeline');
+const conflictResolutions = require('./conflictResolutionService');
+
+// Chart categories as named in mergeConfig / safeToMerge, mapped to the chart section each one fills
+const CHART_CATEGORIES = {
+    procedures: 'procedures',
+    diagnoses: 'problems',
+    medications: 'medications',
+    allergies: 'allergies'
+};
+
+// Display label for a chart item in each section
+const chartItemLabel = {
+    procedures: (p) => `${p.name}${p.performed_date ? ` (${p.performed_date})` : ''}`,
+    problems: (dx) => dx.name,
+    medications: (med) => med.name,
+    allergies: (allergy) => allergy.substance
+};
 
 // Add a new patient
 const addPatient = (patientData) => {
@@ -6,20 +30,20 @@ const addPatient = (patientData) => {
         const { 
             name, date_of_birth, age, gender, contact, email, address,
             source_file_id, intake_batch_id, scanned_by, intake_notes, 
-            has_unknown_fields, intake_checklist 
+            has_unknown_fields, intake_checklist, mrn 
         } = patientData;
         
         const now = new Date().toISOString();
         const sql = `INSERT INTO patients (
             name, date_of_birth, age, gender, contact, email, address,
             source_file_id, intake_batch_id, scanned_by, intake_notes,
-            has_unknown_fields, intake_checklist, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+            has_unknown_fields, intake_checklist, mrn, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
         
         db.run(sql, [
             name, date_of_birth, age, gender, contact, email, address,
             source_file_id, intake_batch_id, scanned_by, intake_notes,
-            has_unknown_fields || 0, intake_checklist, now, now
+            has_unknown_fields || 0, intake_checklist, mrn || null, now, now
         ], function (err) {
             if (err) return reject(err);
             resolve({ id: this.lastID, ...patientData, created_at: now });
@@ -27,25 +51,174 @@ const addPatient = (patientData) => {
     });
 };
 
-// Get all patients (with optional batch filter)
-const getAllPatients = (batchId = null) => {
-    return new Promise((resolve, reject) => {
-        let sql = `SELECT p.*, b.batch_name 
-                   FROM patients p 
-                   LEFT JOIN intake_batches b ON p.intake_batch_id = b.id`;
-        const params = [];
-        
-        if (batchId) {
-            sql += ' WHERE p.intake_batch_id = ?';
-            params.push(batchId);
+// Sortable columns for patient search - NULLs sort as '' so the cursor comparison holds
+const PATIENT_SORTS = {
+    name: 'LOWER(p.name)',
+    date_of_birth: "COALESCE(p.date_of_birth, '')",
+    created_at: "COALESCE(p.created_at, '')",
+    updated_at: "COALESCE(p.updated_at, '')",
+    id: 'p.id'
+};
+
+// Chart-content filters: query parameter -> chart table and the column matched
+const CHART_FILTERS = {
+    has_allergy: { table: 'chart_allergies', column: 'substance' },
+    has_medication: { table: 'chart_medications', column: 'name' },
+    has_problem: { table: 'chart_problems', column: 'name' },
+    has_procedure: { table: 'chart_procedures', column: 'name' }
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Phone digits only, for matching numbers however they were typed
+const DIGITS_ONLY = (column) => `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(COALESCE(${column}, ''), ' ', ''), '-', ''), '(', ''), ')', ''), '.', ''), '+', '')`;
+
+// A complete date of birth as YYYY-MM-DD, or null (years and partial dates aren't padded out)
+const fullDob = (value) => {
+    const str = String(value || '').trim();
+    if (!/^\d{1,4}[\/\-]\d{1,2}[\/\-]\d{2,4}$/.test(str)) return null;
+    const dob = patientIdentity.normalizeDob(str);
+    return /^\d{4}-\d{2}-\d{2}$/.test(dob || '') ? dob : null;
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1' || value === 1;
+const isFalse = (value) => value === false || value === 'false' || value === '0' || value === 0;
+
+// Opaque page cursor: the sort value and id of the last row returned
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (id == null) throw new Error();
+        return { value, id };
+    } catch (e) {
+        throw new Error('Invalid cursor');
+    }
+};
+
+/**
+ * Search patients (merged duplicates are left out), one page at a time
+ * @param {Object} query - q (name, MRN, DOB or phone), name, dob, contact, batch_id,
+ *   has_unknown_fields, created_from, created_to, needs_review, has_allergy,
+ *   has_medication, has_problem, has_procedure, sort, order, limit, cursor
+ * @returns {Object} { patients, total, limit, sort, order, next_cursor } - next_cursor is null on the last page
+ */
+const searchPatients = async (query = {}) => {
+    const sort = query.sort || 'created_at';
+    if (!PATIENT_SORTS[sort]) {
+        throw new Error(`Invalid sort: ${sort} (use ${Object.keys(PATIENT_SORTS).join(', ')})`);
+    }
+    const order = String(query.order || (sort === 'created_at' || sort === 'updated_at' ? 'desc' : 'asc')).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        throw new Error('Invalid order: use asc or desc');
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const conditions = ['p.merged_into_id IS NULL'];
+    const params = [];
+    const like = (value) => `%${String(value).trim().toLowerCase()}%`;
+
+    if (query.q) {
+        const digits = String(query.q).replace(/\D/g, '');
+        const dob = fullDob(query.q);
+        const either = ['LOWER(p.name) LIKE ?', 'LOWER(p.mrn) LIKE ?'];
+        params.push(like(query.q), like(query.q));
+        if (digits.length >= 4) {
+            either.push(`${DIGITS_ONLY('p.contact')} LIKE ?`);
+            params.push(`%${digits}%`);
         }
-        sql += ' ORDER BY p.created_at DESC';
-        
-        db.all(sql, params, (err, rows) => {
-            if (err) return reject(err);
-            resolve(rows);
-        });
-    });
+        if (dob) {
+            either.push('p.date_of_birth = ?');
+            params.push(dob);
+        }
+        conditions.push(`(${either.join(' OR ')})`);
+    }
+    if (query.name) {
+        conditions.push('LOWER(p.name) LIKE ?');
+        params.push(like(query.name));
+    }
+    if (query.dob) {
+        // A full date matches exactly; a year or year-month matches as a prefix
+        const dob = fullDob(query.dob);
+        if (dob) {
+            conditions.push('p.date_of_birth = ?');
+            params.push(dob);
+        } else if (/^\d{4}(-\d{2})?$/.test(String(query.dob).trim())) {
+            conditions.push('p.date_of_birth LIKE ?');
+            params.push(`${String(query.dob).trim()}%`);
+        } else {
+            throw new Error(`Invalid dob: ${query.dob}`);
+        }
+    }
+    if (query.contact) {
+        conditions.push(`${DIGITS_ONLY('p.contact')} LIKE ?`);
+        params.push(`%${String(query.contact).replace(/\D/g, '')}%`);
+    }
+    if (query.batch_id) {
+        conditions.push('p.intake_batch_id = ?');
+        params.push(query.batch_id);
+    }
+    if (isTrue(query.has_unknown_fields)) {
+        conditions.push('p.has_unknown_fields = 1');
+    } else if (isFalse(query.has_unknown_fields)) {
+        conditions.push('COALESCE(p.has_unknown_fields, 0) = 0');
+    }
+    if (query.created_from) {
+        conditions.push('p.created_at >= ?');
+        params.push(query.created_from);
+    }
+    if (query.created_to) {
+        // A bare date means "through the end of that day"
+        conditions.push('p.created_at <= ?');
+        params.push(/^\d{4}-\d{2}-\d{2}$/.test(query.created_to) ? query.created_to + 'T23:59:59.999Z' : query.created_to);
+    }
+    if (isTrue(query.needs_review)) {
+        conditions.push(`EXISTS (SELECT 1 FROM patient_documents d WHERE d.patient_id = p.id AND d.status = 'needs_review')`);
+    }
+    for (const [param, { table, column }] of Object.entries(CHART_FILTERS)) {
+        if (!query[param]) continue;
+        conditions.push(`EXISTS (SELECT 1 FROM ${table} c WHERE c.patient_id = p.id AND LOWER(c.${column}) LIKE ?)`);
+        params.push(like(query[param]));
+    }
+
+    const where = conditions.join(' AND ');
+    const { total } = await get(`SELECT COUNT(*) as total FROM patients p WHERE ${where}`, params);
+
+    // Keyset pagination: rows strictly after the cursor in (sort value, id) order
+    const sortExpr = PATIENT_SORTS[sort];
+    const direction = order === 'asc' ? '>' : '<';
+    const pageConditions = [where];
+    const pageParams = [...params];
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        pageConditions.push(`(${sortExpr} ${direction} ? OR (${sortExpr} = ? AND p.id ${direction} ?))`);
+        pageParams.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const rows = await all(`SELECT p.*, b.batch_name, ${sortExpr} as sort_value,
+                                   (SELECT COUNT(*) FROM chart_procedures WHERE patient_id = p.id)
+                                   + (SELECT COUNT(*) FROM chart_problems WHERE patient_id = p.id)
+                                   + (SELECT COUNT(*) FROM chart_medications WHERE patient_id = p.id)
+                                   + (SELECT COUNT(*) FROM chart_allergies WHERE patient_id = p.id) as chart_item_count,
+                                   (SELECT COUNT(*) FROM patient_documents WHERE patient_id = p.id AND status = 'needs_review') as documents_needing_review
+                            FROM patients p
+                            LEFT JOIN intake_batches b ON p.intake_batch_id = b.id
+                            WHERE ${pageConditions.join(' AND ')}
+                            ORDER BY ${sortExpr} ${order.toUpperCase()}, p.id ${order.toUpperCase()}
+                            LIMIT ?`, [...pageParams, limit + 1]);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+        patients: page.map(({ sort_value, ...patient }) => patient),
+        total,
+        limit,
+        sort,
+        order,
+        next_cursor: hasMore ? encodeCursor(last.sort_value, last.id) : null
+    };
 };
 
 // Get patient by ID
@@ -62,49 +235,49 @@ const getPatientById = (id) => {
     });
 };
 
-// Check for duplicates
-const checkDuplicates = (patientData) => {
-    return new Promise((resolve, reject) => {
-        const { name, date_of_birth, contact, email } = patientData;
-        
-        let conditions = [];
-        let params = [];
-        
-        if (name && date_of_birth) {
-            conditions.push('(name = ? AND date_of_birth = ?)');
-            params.push(name, date_of_birth);
-        }
-        if (contact) {
-            conditions.push('(contact = ? AND contact IS NOT NULL AND contact != "")');
-            params.push(contact);
-        }
-        if (email) {
-            conditions.push('(email = ? AND email IS NOT NULL AND email != "")');
-            params.push(email);
-        }
-        
-        if (conditions.length === 0) {
-            return resolve([]);
-        }
-        
-        const sql = `SELECT id, name, date_of_birth, contact, email 
-                     FROM patients 
-                     WHERE ${conditions.join(' OR ')}`;
-        
-        db.all(sql, params, (err, rows) => {
-            if (err) return reject(err);
-            resolve(rows);
-        });
-    });
+// Get patient with chart items (procedures, problems, medications, allergies, plus grouped surgeries)
+const getPatientWithChart = (id) => chartMerges.loadChart(id);
+
+// Update status / dates of one chart item - resolves null if it isn't on this patient's chart
+const updateChartItem = async (patientId, section, itemId, changes) => {
+    const item = await chartItems.getItem(section, itemId);
+    if (!item || String(item.patient_id) !== String(patientId)) return null;
+    return chartItems.updateItem(section, itemId, changes);
 };
 
+/**
+ * Where a chart item was read from: its source document and the highlighted text around
+ * its evidence span. Resolves null if the item isn't on this patient's chart; source is
+ * null when no span was recorded or the document's text file is gone.
+ */
+const getChartItemSource = async (patientId, section, itemId) => {
+    const item = await chartItems.getItem(section, itemId);
+    if (!item || String(item.patient_id) !== String(patientId)) return null;
+
+    const document = item.source_document_id
+        ? await get('SELECT id, original_filename, text_path FROM patient_documents WHERE id = ?', [item.source_document_id])
+        : null;
+    const span = item.evidence_span;
+    return {
+        section,
+        item,
+        document_id: document ? document.id : null,
+        original_filename: document ? document.original_filename : null,
+        source: span && document ? evidence.getSourceContext(document.text_path, span) : null
+    };
+};
+
+// Check for duplicates - existing patients scored against the intake data, best first,
+// each with { score, reasons } (see patientIdentityService.findDuplicatePatients)
+const checkDuplicates = (patientData) => patientIdentity.findDuplicatePatients(patientData || {});
+
 // Update patient
 const updatePatient = (id, patientData) => {
     return new Promise((resolve, reject) => {
         const { 
             name, date_of_birth, age, gender, contact, email, address,
             source_file_id, intake_batch_id, scanned_by, intake_notes,
-            has_unknown_fields, intake_checklist 
+            has_unknown_fields, intake_checklist, mrn 
         } = patientData;
         
         const now = new Date().toISOString();
@@ -112,13 +285,13 @@ const updatePatient = (id, patientData) => {
             name = ?, date_of_birth = ?, age = ?, gender = ?, contact = ?, 
             email = ?, address = ?, source_file_id = ?, intake_batch_id = ?,
             scanned_by = ?, intake_notes = ?, has_unknown_fields = ?,
-            intake_checklist = ?, updated_at = ?
+            intake_checklist = ?, mrn = ?, updated_at = ?
             WHERE id = ?`;
         
         db.run(sql, [
             name, date_of_birth, age, gender, contact, email, address,
             source_file_id, intake_batch_id, scanned_by, intake_notes,
-            has_unknown_fields || 0, intake_checklist, now, id
+            has_unknown_fields || 0, intake_checklist, mrn || null, now, id
         ], function (err) {
             if (err) return reject(err);
             resolve({ id, ...patientData, updated_at: now });
@@ -126,148 +299,263 @@ const updatePatient = (id, patientData) => {
     });
 };
 
-// Delete patient
-const deletePatient = (id) => {
-    return new Promise((resolve, reject) => {
-        const sql = 'DELETE FROM patients WHERE id = ?';
-        db.run(sql, [id], function (err) {
-            if (err) return reject(err);
-            resolve({ deletedId: id });
-        });
-    });
+// Rows keyed by one of the patient's documents, and rows keyed by the patient, deleted with it.
+// Chart items go before the merges they point at; the audit log and patient_merges history stay.
+const DOCUMENT_TABLES = ['conflict_resolutions', 'extraction_corrections', 'document_extractions'];
+const PATIENT_TABLES = [
+    ...Object.values(chartItems.SECTION_TABLES).map(({ table }) => table),
+    'chart_merges', 'patient_reports', 'jobs', 'journal_entries', 'visits', 'patient_documents'
+];
+
+// Delete patient and everything filed under them, in one transaction
+const deletePatient = (id) => withTransaction(async () => {
+    for (const table of DOCUMENT_TABLES) {
+        await run(`DELETE FROM ${table} WHERE document_id IN (SELECT id FROM patient_documents WHERE patient_id = ?)`, [id]);
+    }
+    for (const table of PATIENT_TABLES) {
+        await run(`DELETE FROM ${table} WHERE patient_id = ?`, [id]);
+    }
+    await run('DELETE FROM patients WHERE id = ?', [id]);
+    return { deletedId: id };
+});
+
+// Add incoming items to a chart section, skipping ones already on it (see chartMerges.isDuplicate)
+const addNewItems = (section, existing, incoming) => {
+    const merged = [...existing];
+    const added = [];
+    const duplicates = [];
+    for (const item of incoming) {
+        if (!chartMerges.itemKey(section, item) || chartMerges.isDuplicate(section, merged, item)) {
+            duplicates.push(item);
+            continue;
+        }
+        merged.push(item);
+        added.push(item);
+    }
+    return { merged, added, duplicates };
 };
 
-// Merge extraction data into patient chart
-const mergeExtractionIntoChart = (patientId, extractionData) => {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Get current patient data
-            const patient = await getPatientById(patientId);
-            if (!patient) {
-                return reject(new Error('Patient not found'));
-            }
+/**
+ * Apply the reviewers' conflict resolutions for a document to the chart a merge starts
+ * from (inside the merge transaction). Throws while a critical conflict lacks its two
+ * sign-offs. Returns the chart sections to merge into and the resolution plan.
+ * selected(category) - whether the merge would write a category no conflict holds back;
+ * chart items are only replaced in categories it writes.
+ */
+const resolveMergeConflicts = async (patient, chartData, documentId, selected = () => true) => {
+    const { conflicts } = detectConflicts(chartData, patient);
+    const plan = conflictResolutions.planResolutions(conflicts, await conflictResolutions.loadResolutions(documentId));
+    conflictResolutions.assertSignedOff(plan);
 
-            // Parse existing chart data
-            let surgeries = [];
-            let problems = [];
-            let meds = [];
-            let allergies = [];
-            
-            try { surgeries = JSON.parse(patient.surgery_history_json) || []; } catch(e) {}
-            try { problems = JSON.parse(patient.problem_list_json) || []; } catch(e) {}
-            try { meds = JSON.parse(patient.medications_json) || []; } catch(e) {}
-            try { allergies = JSON.parse(patient.allergies_json) || []; } catch(e) {}
-
-            // Merge new data (avoid duplicates)
-            // Handle surgeries - supports both formats:
-            // 1. chartFormat: { surgeries: [{ date, procedures: [...], surgeon }] }
-            // 2. legacyFormat: { surgery: { procedures: [{ procedure, date }] } }
-            if (extractionData.surgeries) {
-                extractionData.surgeries.forEach(surgery => {
-                    const surgeryKey = `${surgery.date || 'unknown'}-${(surgery.procedures || []).join(',')}`;
-                    if (!surgeries.some(s => `${s.date || 'unknown'}-${(s.procedures || []).join(',')}` === surgeryKey)) {
-                        surgeries.push(surgery);
-                    }
-                });
-            } else if (extractionData.surgery?.procedures) {
-                extractionData.surgery.procedures.forEach(proc => {
-                    const procName = typeof proc === 'string' ? proc : proc.procedure;
-                    if (!surgeries.some(s => (s.procedures || []).includes(procName))) {
-                        surgeries.push({
-                            procedure: procName,
-                            date: extractionData.surgery.date || null,
-                            surgeon: extractionData.surgery.surgeon || null,
-                            source_document_id: extractionData.source_document_id
-                        });
-                    }
-                });
-            }
-            
-            // Handle diagnoses - supports both formats:
-            // 1. chartFormat: { diagnoses: ['dx1', 'dx2'] }
-            // 2. legacyFormat: { diagnoses: { preop: [...], postop: [...] } }
-            if (extractionData.diagnoses) {
-                let allDiagnoses = [];
-                if (Array.isArray(extractionData.diagnoses)) {
-                    allDiagnoses = extractionData.diagnoses;
-                } else {
-                    allDiagnoses = [
-                        ...(extractionData.diagnoses.preop || []),
-                        ...(extractionData.diagnoses.postop || [])
-                    ];
-                }
-                allDiagnoses.forEach(dx => {
-                    const dxName = typeof dx === 'string' ? dx : dx.name || JSON.stringify(dx);
-                    if (!problems.some(p => (typeof p === 'string' ? p : p.name) === dxName)) {
-                        problems.push(dxName);
-                    }
-                });
+    const merging = (category) => !plan.blocked[category] && selected(category);
+    const { sections, mrn } = conflictResolutions.withoutSuperseded(patient, plan.accepted, merging);
+    if (mrn) {
+        await run('UPDATE patients SET mrn = ?, updated_at = ? WHERE id = ?', [mrn, new Date().toISOString(), patient.id]);
+    }
+    return { base: { ...patient, ...sections }, conflicts, plan };
+};
+
+// Merge extraction data into patient chart (one transaction, recorded in chart_merges).
+// Sections with an unresolved conflict, or that a conflict resolution holds back, are
+// left alone and listed in held_back ({ category: reason }). An automatic merge (not
+// manually_approved) with any unresolved conflict throws instead, so it goes to review.
+const mergeExtractionIntoChart = async (patientId, extractionData, meta = {}) => {
+    const incoming = chartMerges.toSectionItems(extractionData);
+    const documentId = meta.source_document_id || extractionData.source_document_id || null;
+
+    const result = await chartMerges.applyMerge(patientId, {
+        document_id: documentId,
+        merge_type: meta.manually_approved ? chartMerges.MERGE_TYPES.APPROVED : chartMerges.MERGE_TYPES.AUTO
+    }, async (patient) => {
+        const { base, conflicts, plan } = await resolveMergeConflicts(patient, extractionData, documentId);
+        if (!meta.manually_approved) conflictResolutions.assertReviewed(plan);
+        const chart = {};
+        const heldBack = {};
+        for (const [category, section] of Object.entries(CHART_CATEGORIES)) {
+            if (plan.blocked[category]) {
+                if (incoming[section].length > 0) heldBack[category] = plan.blocked[category];
+                chart[section] = base[section];
+                continue;
             }
-            
-            if (extractionData.medications) {
-                extractionData.medications.forEach(med => {
-                    const medName = typeof med === 'string' ? med : med.name;
-                    if (!meds.some(m => (typeof m === 'string' ? m : m.name) === medName)) {
-                        meds.push(med);
-                    }
-                });
+            const { merged } = addNewItems(section, base[section], incoming[section]);
+            chart[section] = section === 'medications' ? conflictResolutions.replaceChangedDoses(merged, plan.accepted) : merged;
+        }
+        return {
+            chart,
+            summary_addition: extractionData.summary ? `\n${extractionData.summary}` : '',
+            conflicts,
+            held_back: heldBack
+        };
+    });
+
+    return {
+        id: patientId,
+        merge_id: result.merge_id,
+        procedures: result.chart.procedures,
+        problems: result.chart.problems,
+        meds: result.chart.medications,
+        allergies: result.chart.allergies,
+        merged_at: result.merged_at,
+        conflicts: result.conflicts,
+        held_back: result.held_back
+    };
+};
+
+/**
+ * Merge only the chosen chart categories from an extraction.
+ * Categories switched off in mergeConfig, flagged unsafe by detectConflicts (until the
+ * conflict is resolved) or held back by a conflict resolution are skipped; items already
+ * on the chart are reported as duplicates.
+ * @param {number} patientId
+ * @param {Object} chartData - output of safeExtraction.convertToChartFormat
+ * @param {Object} mergeConfig - { procedures, diagnoses, medications, allergies } booleans
+ * @param {Object} meta - { doc_type, doc_date, source_document_id }
+ * @returns {Object} { id, merge_id, merged_at, conflicts, merge_summary }
+ */
+const selectiveMergeIntoChart = async (patientId, chartData, mergeConfig = {}, meta = {}) => {
+    const incoming = chartMerges.toSectionItems(chartData);
+
+    const result = await chartMerges.applyMerge(patientId, {
+        document_id: meta.source_document_id || null,
+        merge_type: chartMerges.MERGE_TYPES.SELECTIVE
+    }, async (patient) => {
+        const { base, conflicts, plan } = await resolveMergeConflicts(patient, chartData, meta.source_document_id,
+            (category) => mergeConfig[category] !== false && incoming[CHART_CATEGORIES[category]].length > 0);
+
+        const mergeSummary = { sections_applied: [], sections_blocked: [] };
+        const chart = {};
+
+        for (const [category, section] of Object.entries(CHART_CATEGORIES)) {
+            const summary = { added: [], skipped: [], duplicates: [] };
+            mergeSummary[category] = summary;
+
+            if (incoming[section].length === 0) continue;
+
+            const label = chartItemLabel[section];
+            if (mergeConfig[category] === false) {
+                summary.skipped = incoming[section].map(item => ({ item: label(item), reason: 'not_selected' }));
+                continue;
             }
-            
-            if (extractionData.allergies) {
-                extractionData.allergies.forEach(allergy => {
-                    const allergyName = typeof allergy === 'string' ? allergy : allergy.substance;
-                    if (!allergies.some(a => (typeof a === 'string' ? a : a.substance) === allergyName)) {
-                        allergies.push(allergy);
-                    }
-                });
+            if (plan.blocked[category]) {
+                summary.skipped = incoming[section].map(item => ({ item: label(item), reason: plan.blocked[category] }));
+                if (plan.blocked[category] === 'conflict') mergeSummary.sections_blocked.push(category);
+                if (base[section] !== patient[section]) chart[section] = base[section];
+                continue;
             }
 
-            // Update patient record
-            const now = new Date().toISOString();
-            const sql = `UPDATE patients SET 
-                surgery_history_json = ?,
-                problem_list_json = ?,
-                medications_json = ?,
-                allergies_json = ?,
-                chart_summary = COALESCE(chart_summary, '') || ?,
-                chart_updated_at = ?,
-                updated_at = ?
-                WHERE id = ?`;
-
-            const summaryAddition = extractionData.summary ? `\n${extractionData.summary}` : '';
-
-            db.run(sql, [
-                JSON.stringify(surgeries),
-                JSON.stringify(problems),
-                JSON.stringify(meds),
-                JSON.stringify(allergies),
-                summaryAddition,
-                now,
-                now,
-                patientId
-            ], function(err) {
-                if (err) return reject(err);
-                resolve({
-                    id: patientId,
-                    surgeries,
-                    problems,
-                    meds,
-                    allergies,
-                    merged_at: now
-                });
-            });
-        } catch (err) {
-            reject(err);
+            const { merged, added, duplicates } = addNewItems(section, base[section], incoming[section]);
+            const items = section === 'medications' ? conflictResolutions.replaceChangedDoses(merged, plan.accepted) : merged;
+            summary.added = added.map(label);
+            summary.duplicates = duplicates.map(label);
+
+            if (added.length > 0 || items !== merged || base[section] !== patient[section]) {
+                chart[section] = items;
+                mergeSummary.sections_applied.push(category);
+            }
         }
+
+        const applied = mergeSummary.sections_applied.length > 0;
+        return {
+            chart,
+            summary_addition: applied && chartData.summary ? `\n${chartData.summary}` : '',
+            conflicts,
+            merge_summary: mergeSummary
+        };
     });
+
+    return {
+        id: patientId,
+        merge_id: result.merge_id,
+        source_document_id: meta.source_document_id || null,
+        merged_at: result.merged_at,
+        conflicts: result.conflicts,
+        merge_summary: result.merge_summary
+    };
 };
 
-module.exports = {
+module.exports = audit.instrument({
     addPatient,
-    getAllPatients,
+    searchPatients,
     getPatientById,
+    getPatientWithChart,
+    updateChartItem,
+    getChartItemSource,
     checkDuplicates,
     updatePatient,
     deletePatient,
     mergeExtractionIntoChart,
-};
+    selectiveMergeIntoChart,
+}, {
+    addPatient: {
+        action: 'patient.create', resource_type: 'patient',
+        describeResult: (patient) => ({ patient_id: patient.id, resource_id: patient.id })
+    },
+    searchPatients: {
+        action: 'patient.list', resource_type: 'patient',
+        describeResult: (result, [query]) => {
+            const filters = Object.keys(query || {}).filter(key => !['sort', 'order', 'limit', 'cursor'].includes(key));
+            return { detail: `${result.patients.length} of ${result.total} patients${filters.length ? ` (filters: ${filters.join(', ')})` : ''}` };
+        }
+    },
+    getPatientById: {
+        action: 'patient.read', resource_type: 'patient',
+        describe: ([id]) => ({ patient_id: id, resource_id: id })
+    },
+    getPatientWithChart: {
+        action: 'chart.read', resource_type: 'chart',
+        describe: ([id]) => ({ patient_id: id, resource_id: id })
+    },
+    updateChartItem: {
+        action: 'chart.update_item', resource_type: 'chart_item',
+        describe: ([patientId, section, itemId, changes]) => ({
+            patient_id: patientId,
+            resource_id: `${section}/${itemId}`,
+            detail: Object.keys(changes || {}).join(', ')
+        })
+    },
+    getChartItemSource: {
+        action: 'chart.read_source', resource_type: 'chart_item',
+        describe: ([patientId, section, itemId]) => ({ patient_id: patientId, resource_id: `${section}/${itemId}` }),
+        describeResult: (result) => ({ detail: result?.document_id ? `document ${result.document_id}` : 'item not found' })
+    },
+    checkDuplicates: {
+        action: 'patient.check_duplicates', resource_type: 'patient',
+        describeResult: (rows) => ({ detail: `${rows.length} candidates: ${rows.map(r => `${r.id} (${r.score})`).join(', ')}` })
+    },
+    updatePatient: {
+        action: 'patient.update', resource_type: 'patient',
+        describe: ([id]) => ({ patient_id: id, resource_id: id })
+    },
+    deletePatient: {
+        action: 'patient.delete', resource_type: 'patient',
+        describe: ([id]) => ({ patient_id: id, resource_id: id })
+    },
+    mergeExtractionIntoChart: {
+        action: 'chart.merge', resource_type: 'chart',
+        describe: ([patientId, extraction, meta]) => {
+            const documentId = meta?.source_document_id || extraction?.source_document_id;
+            return {
+                patient_id: patientId,
+                resource_id: patientId,
+                detail: documentId ? `source document ${documentId}` : null
+            };
+        },
+        describeResult: (result) => {
+            const heldBack = Object.keys(result.held_back || {});
+            const detail = [
+                result.merge_id ? `chart merge ${result.merge_id}` : null,
+                heldBack.length ? `held back: ${heldBack.join(', ')}` : null
+            ].filter(Boolean).join('; ');
+            return detail ? { detail } : {};
+        }
+    },
+    selectiveMergeIntoChart: {
+        action: 'chart.merge', resource_type: 'chart',
+        describe: ([patientId]) => ({ patient_id: patientId, resource_id: patientId }),
+        describeResult: (result) => ({
+            detail: `selective merge${result.source_document_id ? ` of document ${result.source_document_id}` : ''}: ` +
+                `applied [${result.merge_summary.sections_applied.join(', ')}]` +
+                (result.merge_summary.sections_blocked.length ? `, blocked [${result.merge_summary.sections_blocked.join(', ')}]` : '')
+        })
+    }
+});
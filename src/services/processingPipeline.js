@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
+const extractionProviders = require('./extractionProviders');
+const documentChunker = require('./documentChunker');
+const evidence = require('./evidenceService');
+const sigParser = require('./medicationSigParser');
 const execPromise = util.promisify(exec);
 
 // Extraction schema for the LLM - focused on surgeries and progressive chart building
@@ -134,63 +138,33 @@ async function runOCR(filePath, textPath) {
     };
 }
 
-// OpenAI API key (set via environment variable)
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
 /**
- * Check if OpenAI API is available
+ * Check if an extraction provider is configured (no network call)
  */
 async function isLLMAvailable() {
-    try {
-        const response = await fetch('https://api.openai.com/v1/models', {
-            headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}` }
-        });
-        return response.ok;
-    } catch {
-        return false;
-    }
+    return extractionProviders.isLLMAvailable();
 }
 
 /**
- * Call OpenAI API for LLM extraction
+ * Call the configured extraction provider
+ * @returns {Object} { response, model, usage } - model is "provider/model" as stored on the extraction
  */
-async function callLLM(documentText, model = 'gpt-4o-mini') {
+async function callLLM(documentText, model = null) {
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
-                    { role: 'system', content: SYSTEM_PROMPT },
-                    { role: 'user', content: getUserPrompt(documentText) }
-                ],
-                temperature: 0.1,
-                max_tokens: 4096
-            })
+        const result = await extractionProviders.complete({
+            system: SYSTEM_PROMPT,
+            user: getUserPrompt(documentText),
+            temperature: 0.1,
+            maxTokens: 4096,
+            model
         });
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(`OpenAI API error: ${error.error?.message || response.status}`);
-        }
-        
-        const data = await response.json();
-        return { 
-            response: data.choices[0].message.content, 
-            model,
-            usage: data.usage 
+        return {
+            response: result.content,
+            model: result.label,
+            usage: result.usage
         };
     } catch (error) {
-        console.error('OpenAI error:', error.message);
-        // Try fallback to cheaper model
-        if (model !== 'gpt-3.5-turbo') {
-            console.log('Trying fallback model gpt-3.5-turbo...');
-            return callLLM(documentText, 'gpt-3.5-turbo');
-        }
+        console.error('Extraction provider error:', error.message);
         throw error;
     }
 }
@@ -265,42 +239,138 @@ async function processDocument(document) {
         throw new Error('Could not extract sufficient text from document. Is it a valid PDF?');
     }
     
-    // Step 2: Check if OpenAI is available
+    // Step 2: Check if an extraction provider is configured
     const llmAvailable = await isLLMAvailable();
     
     if (!llmAvailable) {
-        console.log('OpenAI not available, using smart regex fallback...');
+        console.log('No extraction provider configured, using smart regex fallback...');
         return processDocumentWithRegex(text, textPath, method);
     }
     
-    // Step 3: Chunk if needed (for very long documents)
-    let processedText = text;
-    if (text.length > 15000) {
-        // Take first and last portions for context
-        processedText = text.substring(0, 10000) + '\n\n[...middle content omitted...]\n\n' + text.substring(text.length - 5000);
+    // Step 3: Split along header sections so long documents are read in full
+    const chunks = documentChunker.chunkDocument(text);
+    const provider = extractionProviders.getProvider().name;
+    console.log(`Calling ${provider} for extraction (${chunks.length} chunk${chunks.length === 1 ? '' : 's'})...`);
+    
+    // Step 4: Call LLM per chunk
+    const chunkResults = [];
+    const failedChunks = [];
+    let model = null;
+    for (const chunk of chunks) {
+        const chunkText = chunks.length === 1
+            ? chunk.text
+            : `[Part ${chunk.index + 1} of ${chunks.length}, pages ${chunk.first_page}-${chunk.last_page}]\n${chunk.text}`;
+        try {
+            const llmResult = await callLLM(chunkText);
+            model = llmResult.model;
+            // Step 5: Parse and validate
+            chunkResults.push({ chunk, extracted: parseAndValidateLLMOutput(llmResult.response) });
+        } catch (llmError) {
+            console.log(`LLM extraction failed for chunk ${chunk.index}:`, llmError.message);
+            failedChunks.push(chunk.index);
+        }
     }
     
-    // Step 4: Call LLM
-    console.log('Calling OpenAI for extraction...');
-    try {
-        const { response: llmResponse, model } = await callLLM(processedText);
-        console.log('LLM response received');
+    if (chunkResults.length === 0) {
+        console.log('LLM extraction failed, using smart regex fallback');
+        return processDocumentWithRegex(text, textPath, method);
+    }
+    
+    console.log('LLM response received');
+    const extracted = mergeChunkExtractions(text, chunkResults);
+    extracted.notes.push(`Extracted using ${method} + ${model}`);
+    if (chunks.length > 1) {
+        extracted.notes.push(`Document read in ${chunks.length} section-aligned chunks`);
+    }
+    if (failedChunks.length > 0) {
+        extracted.notes.push(`Extraction failed for chunk(s) ${failedChunks.join(', ')} - their content is missing`);
+    }
+    
+    return {
+        extracted,
+        textPath,
+        model,
+        chunks: chunks.map(({ text: chunkText, ...chunk }) => chunk),
+        rawText: text
+    };
+}
+
+// List fields of an extraction, and the field a plain-string item's value goes in
+const CHUNK_LIST_FIELDS = {
+    surgeries: 'procedure',
+    diagnoses: 'name',
+    problem_list: 'name',
+    medications: 'name',
+    allergies: 'substance',
+    labs: 'name',
+    imaging: 'name',
+    key_findings: 'text'
+};
+
+const normalizeValue = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Two items describe the same fact (surgeries also match on date unless one has none)
+const sameItem = (field, a, b) => {
+    const valueKey = CHUNK_LIST_FIELDS[field];
+    if (a[valueKey] == null && b[valueKey] == null) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    if (normalizeValue(a[valueKey]) !== normalizeValue(b[valueKey])) return false;
+    if (field === 'surgeries' && a.date && b.date) {
+        return normalizeValue(a.date) === normalizeValue(b.date);
+    }
+    return true;
+};
+
+/**
+ * Combine per-chunk extractions into one, de-duplicating list items across chunks.
+ * Every list item becomes an object tagged with source_chunk / source_page (where
+ * it was first found) and its evidence_span, when the value appears verbatim in the text;
+ * a duplicate found later only fills in fields still missing.
+ */
+function mergeChunkExtractions(fullText, chunkResults) {
+    const merged = JSON.parse(JSON.stringify(EXTRACTION_SCHEMA));
+    const starts = evidence.pageStarts(fullText);
+    const summaries = [];
+    let confidenceTotal = 0;
+    
+    for (const { chunk, extracted } of chunkResults) {
+        for (const [section, values] of [['doc', extracted.doc], ['vitals', extracted.vitals]]) {
+            for (const [key, value] of Object.entries(values || {})) {
+                if (merged[section][key] == null && value != null) merged[section][key] = value;
+            }
+        }
         
-        // Step 5: Parse and validate
-        const extracted = parseAndValidateLLMOutput(llmResponse);
-        extracted.notes = extracted.notes || [];
-        extracted.notes.push(`Extracted using ${method} + ${model}`);
+        for (const [field, valueKey] of Object.entries(CHUNK_LIST_FIELDS)) {
+            for (const raw of extracted[field] || []) {
+                const item = typeof raw === 'string' ? { [valueKey]: raw } : { ...raw };
+                const existing = merged[field].find(other => sameItem(field, other, item));
+                if (existing) {
+                    for (const [key, value] of Object.entries(item)) {
+                        if (existing[key] == null && value != null) existing[key] = value;
+                    }
+                    continue;
+                }
+                item.evidence_span = evidence.locate(fullText, item[valueKey], { from: chunk.start, to: chunk.end, starts });
+                item.source_chunk = chunk.index;
+                item.source_page = item.evidence_span ? item.evidence_span.page : chunk.first_page;
+                merged[field].push(item);
+            }
+        }
         
-        return {
-            extracted,
-            textPath,
-            model,
-            rawText: text
-        };
-    } catch (llmError) {
-        console.log('LLM extraction failed, using smart regex fallback:', llmError.message);
-        return processDocumentWithRegex(text, textPath, method);
+        if (extracted.summary) summaries.push(extracted.summary);
+        for (const note of extracted.notes || []) {
+            if (!merged.notes.includes(note)) merged.notes.push(note);
+        }
+        confidenceTotal += extracted.confidence || 0;
     }
+    
+    // Sig fields for each medication, from the text it was found in
+    merged.medications = merged.medications.map(med => sigParser.structureMedication(med, sigParser.sigTextAt(fullText, med.evidence_span)));
+    
+    merged.summary = summaries.length > 0 ? summaries.join(' ') : null;
+    merged.confidence = confidenceTotal / chunkResults.length;
+    return merged;
 }
 
 /**
@@ -429,21 +499,26 @@ function processDocumentWithRegex(text, textPath, method) {
         /\b(\w+)\s+(\d+)\s*(?:mg|mcg|ml|units?)\s*(?:daily|bid|tid|qid|prn|qd|qhs)?/gi
     ];
     
-    const foundMeds = new Set();
+    // Keyed by drug name, each parsed into its sig (dose, route, frequency, PRN, duration)
+    const foundMeds = new Map();
+    const addMed = (sigText) => {
+        const med = sigParser.parseSig(sigText);
+        const key = (med.name || '').toLowerCase();
+        if (key.length > 2 && !foundMeds.has(key)) foundMeds.set(key, med);
+    };
     for (const pattern of medPatterns) {
         let match;
         while ((match = pattern.exec(text)) !== null) {
-            // For the detailed pattern, build med string
             if (match[2]) {
-                foundMeds.add(`${match[1]} ${match[2]}mg`);
+                // For the detailed pattern, the sig runs from the drug name to the end of the line
+                addMed(sigParser.sigTextAt(text, { start: match.index }));
             } else {
                 // Split comma-separated list
-                const meds = match[1].split(/[,;]/).map(m => m.trim()).filter(m => m.length > 2);
-                meds.forEach(m => foundMeds.add(m));
+                match[1].split(/[,;]/).map(m => m.trim()).filter(m => m.length > 2).forEach(addMed);
             }
         }
     }
-    result.medications = Array.from(foundMeds).slice(0, 20); // Limit
+    result.medications = Array.from(foundMeds.values()).slice(0, 20); // Limit
     
     // === ALLERGY DETECTION ===
     const allergyMatch = text.match(/(?:allergies?|allergic to)[:\s]*([^\n]{3,100})/i);
@@ -487,10 +562,22 @@ function processDocumentWithRegex(text, textPath, method) {
     if (result.allergies.length > 0) confidence += 0.05;
     result.confidence = Math.min(0.8, confidence);
     
+    // === EVIDENCE ===
+    // Surgeries carry an evidence_span; string lists get index-aligned spans in evidence_spans
+    const starts = evidence.pageStarts(text);
+    for (const surgery of result.surgeries) {
+        surgery.evidence_span = evidence.locate(text, surgery.procedure, { starts });
+    }
+    result.evidence_spans = {
+        diagnoses: evidence.locateAll(text, result.diagnoses, { starts }),
+        medications: evidence.locateAll(text, result.medications, { starts }),
+        allergies: evidence.locateAll(text, result.allergies, { starts })
+    };
+    
     result.notes = [
-        'Extracted via smart pattern matching (Ollama unavailable)',
+        'Extracted via smart pattern matching (no LLM extraction provider available)',
         `Text extracted using ${method}`,
-        'For best results, install Ollama: brew install ollama && ollama pull qwen2.5:7b-instruct'
+        'For best results, configure an extraction provider: EXTRACTION_PROVIDER=openai with OPENAI_API_KEY, or EXTRACTION_PROVIDER=openai-compatible with EXTRACTION_BASE_URL for a local server (e.g. Ollama)'
     ];
     
     return {
@@ -515,7 +602,9 @@ module.exports = {
     processDocument,
     processDocumentManual,
     processDocumentWithRegex,
+    mergeChunkExtractions,
     extractTextFromPDF,
+    runOCR,
     callLLM,
     isLLMAvailable,
     EXTRACTION_SCHEMA
@@ -4,6 +4,8 @@
  * Signal-based, deterministic - no LLM needed
  */
 
+const sigParser = require('./medicationSigParser');
+
 class ReportGeneratorService {
     /**
      * Generate reports from a document extraction
@@ -363,10 +365,13 @@ class ReportGeneratorService {
             values: values,
             total: medications.length,
             note: `${medications.length} medications documented`,
-            items: medications.map(med => ({
-                label: typeof med === 'string' ? med : (med.name || med.medication || 'Unknown'),
-                detail: typeof med === 'object' ? (med.dose || med.dosage || '') : ''
-            }))
+            items: medications.map(med => {
+                const structured = sigParser.structureMedication(med);
+                return {
+                    label: structured.name || 'Unknown',
+                    detail: sigParser.formatSig(structured) || structured.dosage || ''
+                };
+            })
         };
     }
     
@@ -800,9 +805,10 @@ class ReportGeneratorService {
                 type: 'list',
                 title: 'Medications',
                 items: medications.map(med => {
-                    const label = typeof med === 'string' ? med : (med.name || med.medication || 'Unknown medication');
-                    const detail = typeof med === 'object' ? (med.dose || med.dosage || '') : '';
-                    return { label, detail, evidence: med.evidence || '' };
+                    const structured = sigParser.structureMedication(med);
+                    const label = structured.name || 'Unknown medication';
+                    const detail = sigParser.formatSig(structured) || structured.dosage || '';
+                    return { label, detail, evidence: structured.evidence || '' };
                 })
             }]
         };
@@ -1131,28 +1137,21 @@ class ReportGeneratorService {
     
     /**
      * SAFE medication extraction - never guess dose/route/frequency
-     * Only populate fields if explicitly present in source
+     * Only populate fields if explicitly present in source (the sig parser reads
+     * them from the medication's text; anything it doesn't state stays unknown)
      */
     static _safeMedicationExtraction(medications) {
         return medications.map(med => {
-            if (typeof med === 'string') {
-                // Extract only the medication name, mark everything else unknown
-                const name = med.split(/\s+\d/)[0].trim(); // Stop at first number (likely dose)
-                return {
-                    name: name || med,
-                    dose: 'unknown',
-                    route: 'unknown',
-                    frequency: 'unknown',
-                    safe_extraction: true
-                };
-            }
-            
-            // Object format - only keep explicitly present fields
+            const sig = sigParser.structureMedication(med);
             return {
-                name: med.name || med.medication || 'Unknown',
-                dose: (med.dose && med.dose !== '' && !/unknown/i.test(med.dose)) ? med.dose : 'unknown',
-                route: (med.route && med.route !== '' && !/unknown/i.test(med.route)) ? med.route : 'unknown',
-                frequency: (med.frequency && med.frequency !== '' && !/unknown/i.test(med.frequency)) ? med.frequency : 'unknown',
+                name: sig.name || 'Unknown',
+                dose: sig.dose || 'unknown',
+                route: sig.route || 'unknown',
+                frequency: sig.frequency || 'unknown',
+                prn: sig.prn,
+                prn_indication: sig.prn_indication,
+                duration: sig.duration,
+                text: sig.text,
                 safe_extraction: true
             };
         });
@@ -0,0 +1,371 @@
+/**
+ * Review Queue Service
+ *
+ * One queue of documents waiting on a person across all patients: extractions to
+ * review (needs_review, extracted) and failed runs (error). Each item carries its
+ * confidence band, the worst conflict or validation issue, how long it has been
+ * waiting against the review SLA and who has claimed it. Reviewers claim an item so
+ * two people don't work the same document, and release it when they're done.
+ */
+
+const { run, get, all, withTransaction } = require('../config/dbHelpers');
+const { getRequestContext } = require('../middleware/requestContext');
+const { ROLES } = require('../config/roles');
+const audit = require('./auditService');
+const safeExtraction = require('./safeExtractionPipeline');
+const chartMerges = require('./chartMergeService');
+const extractionCorrections = require('./extractionCorrectionService');
+
+const QUEUE_STATUSES = ['needs_review', 'extracted', 'error'];
+
+// Hours an item may wait before it is overdue; due_soon once this fraction of it has passed
+const REVIEW_SLA_HOURS = parseFloat(process.env.REVIEW_SLA_HOURS) || 48;
+const DUE_SOON_FRACTION = 0.75;
+
+const CONFIDENCE_BANDS = ['high', 'medium', 'low', 'none'];
+const SEVERITIES = ['critical', 'warning', 'info', 'none'];
+const SLA_STATUSES = ['on_time', 'due_soon', 'overdue'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// SQLite CURRENT_TIMESTAMP values ('YYYY-MM-DD HH:MM:SS') are UTC without a zone
+const toTime = (value) => {
+    if (!value) return null;
+    const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? value.replace(' ', 'T') + 'Z' : value;
+    const time = Date.parse(iso);
+    return isNaN(time) ? null : time;
+};
+
+const confidenceBand = (confidence) => {
+    if (confidence === null || confidence === undefined) return 'none';
+    if (confidence >= safeExtraction.CONFIDENCE_AUTO_MERGE) return 'high';
+    if (confidence >= safeExtraction.CONFIDENCE_REVIEW_RECOMMENDED) return 'medium';
+    return 'low';
+};
+
+const worstSeverity = (severities) => SEVERITIES.find(level => severities.includes(level)) || 'none';
+
+const parseJson = (value) => {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Waiting time against the SLA
+const slaFor = (since, now) => {
+    const sinceTime = toTime(since);
+    if (sinceTime === null) {
+        return { waiting_since: since || null, waiting_hours: null, due_at: null, sla_status: 'on_time', overdue_hours: 0 };
+    }
+    const waitingHours = (now - sinceTime) / HOUR_MS;
+    const status = waitingHours >= REVIEW_SLA_HOURS
+        ? 'overdue'
+        : (waitingHours >= REVIEW_SLA_HOURS * DUE_SOON_FRACTION ? 'due_soon' : 'on_time');
+    return {
+        waiting_since: new Date(sinceTime).toISOString(),
+        waiting_hours: Math.round(waitingHours * 10) / 10,
+        due_at: new Date(sinceTime + REVIEW_SLA_HOURS * HOUR_MS).toISOString(),
+        sla_status: status,
+        overdue_hours: status === 'overdue' ? Math.round((waitingHours - REVIEW_SLA_HOURS) * 10) / 10 : 0
+    };
+};
+
+/**
+ * Chart conflicts the merge would hit plus the extraction's own validation issues.
+ * Charts are cached per patient for the length of one queue listing (and read
+ * directly, so a listing isn't logged as a chart view of every patient in it).
+ */
+const assessIssues = async (row, chartCache) => {
+    const validation = parseJson(row.validation_json) || {};
+    const issues = (validation.invariants?.issues || []).map(issue => ({
+        source: 'validation', code: issue.code, severity: issue.severity, message: issue.message
+    }));
+
+    const extracted = parseJson(row.extracted_json);
+    if (extracted && row.status !== 'error') {
+        if (!chartCache.has(row.patient_id)) {
+            chartCache.set(row.patient_id, await chartMerges.loadChart(row.patient_id));
+        }
+        const patient = chartCache.get(row.patient_id);
+        if (patient) {
+            const { chart } = await extractionCorrections.reviewedChartData(extracted.pass2 || extracted, row.document_id);
+            for (const conflict of safeExtraction.detectConflicts(chart, patient).conflicts) {
+                issues.push({ source: 'chart', code: conflict.type, severity: conflict.severity, message: conflict.message });
+            }
+        }
+    }
+    return {
+        issues,
+        conflict_severity: worstSeverity(issues.map(issue => issue.severity)),
+        review_reasons: validation.reviewReasons || []
+    };
+};
+
+const validateFilters = (filters) => {
+    const check = (name, allowed) => {
+        if (filters[name] && !allowed.includes(filters[name])) {
+            throw new Error(`Invalid ${name}: must be one of ${allowed.join(', ')}`);
+        }
+    };
+    check('status', QUEUE_STATUSES);
+    check('confidence', CONFIDENCE_BANDS);
+    check('severity', SEVERITIES);
+    check('sla', SLA_STATUSES);
+    for (const name of ['min_age_hours', 'max_age_hours']) {
+        if (filters[name] != null && filters[name] !== '' && isNaN(parseFloat(filters[name]))) {
+            throw new Error(`Invalid ${name}: must be a number of hours`);
+        }
+    }
+};
+
+// Queued documents with how long each has been waiting, in hours (NULL when the
+// timestamp doesn't parse); the one parameter is the current time
+const QUEUE_SQL = `SELECT d.id as document_id, d.patient_id, d.original_filename, d.status, d.error_message,
+                          d.doc_type, d.created_at, COALESCE(d.status_changed_at, d.created_at) as waiting_since,
+                          d.assigned_to, d.assigned_at,
+                          p.name as patient_name, p.intake_batch_id as batch_id, b.batch_name,
+                          de.version as extraction_version, de.confidence,
+                          (julianday(?) - julianday(COALESCE(d.status_changed_at, d.created_at))) * 24 as waiting_hours
+                   FROM patient_documents d
+                   JOIN patients p ON p.id = d.patient_id
+                   LEFT JOIN intake_batches b ON b.id = p.intake_batch_id
+                   LEFT JOIN document_extractions de ON de.id = d.current_extraction_id`;
+
+const SLA_STATUS_SQL = `CASE WHEN waiting_hours >= ${REVIEW_SLA_HOURS} THEN 'overdue'
+                             WHEN waiting_hours >= ${REVIEW_SLA_HOURS * DUE_SOON_FRACTION} THEN 'due_soon'
+                             ELSE 'on_time' END`;
+
+const CONFIDENCE_SQL = {
+    high: `confidence >= ${safeExtraction.CONFIDENCE_AUTO_MERGE}`,
+    medium: `confidence >= ${safeExtraction.CONFIDENCE_REVIEW_RECOMMENDED} AND confidence < ${safeExtraction.CONFIDENCE_AUTO_MERGE}`,
+    low: `confidence < ${safeExtraction.CONFIDENCE_REVIEW_RECOMMENDED}`,
+    none: 'confidence IS NULL'
+};
+
+// Filters on the document and patient rows
+const documentConditions = (filters) => {
+    const conditions = [`d.status IN (${QUEUE_STATUSES.map(() => '?').join(', ')})`, 'p.merged_into_id IS NULL'];
+    const params = [...QUEUE_STATUSES];
+    if (filters.status) {
+        conditions.push('d.status = ?');
+        params.push(filters.status);
+    }
+    if (filters.batch_id) {
+        conditions.push('p.intake_batch_id = ?');
+        params.push(filters.batch_id);
+    }
+    if (filters.patient_id) {
+        conditions.push('d.patient_id = ?');
+        params.push(filters.patient_id);
+    }
+    if (filters.assignee === 'unassigned') {
+        conditions.push('d.assigned_to IS NULL');
+    } else if (filters.assignee) {
+        conditions.push('d.assigned_to = ?');
+        params.push(filters.assignee === 'me' ? getRequestContext()?.user?.username || '' : filters.assignee);
+    }
+    return { conditions, params };
+};
+
+// Filters on the waiting time and confidence worked out in QUEUE_SQL
+const queueConditions = (filters) => {
+    const conditions = [];
+    const params = [];
+    const minAge = parseFloat(filters.min_age_hours);
+    const maxAge = parseFloat(filters.max_age_hours);
+    if (!isNaN(minAge)) {
+        conditions.push('waiting_hours >= ?');
+        params.push(minAge);
+    }
+    if (!isNaN(maxAge)) {
+        conditions.push('waiting_hours <= ?');
+        params.push(maxAge);
+    }
+    if (filters.sla) {
+        conditions.push(`${SLA_STATUS_SQL} = ?`);
+        params.push(filters.sla);
+    }
+    if (filters.confidence) {
+        conditions.push(CONFIDENCE_SQL[filters.confidence]);
+    }
+    return { conditions, params };
+};
+
+const toQueueItem = (row, assessment, now) => ({
+    document_id: row.document_id,
+    patient_id: row.patient_id,
+    patient_name: row.patient_name,
+    batch_id: row.batch_id,
+    batch_name: row.batch_name,
+    original_filename: row.original_filename,
+    doc_type: row.doc_type,
+    status: row.status,
+    error_message: row.error_message,
+    extraction_version: row.extraction_version,
+    confidence: row.confidence,
+    confidence_band: confidenceBand(row.confidence),
+    ...assessment,
+    ...slaFor(row.waiting_since, now),
+    assigned_to: row.assigned_to,
+    assigned_at: row.assigned_at
+});
+
+/**
+ * Documents waiting on a reviewer across all patients, longest-waiting first.
+ * Filtering, ordering and paging happen in SQL, and conflicts are worked out for the
+ * returned page only - so counts.severity covers the page. Filtering by severity needs
+ * the conflicts of every candidate, so only then is the whole filtered queue assessed.
+ * @param {Object} filters - { status, batch_id, confidence: high|medium|low|none,
+ *   severity: critical|warning|info|none, min_age_hours, max_age_hours, sla: on_time|due_soon|overdue,
+ *   assignee: username|me|unassigned, patient_id, limit, offset }
+ * @returns {Object} { total, limit, offset, sla_hours, counts, items }
+ */
+const getReviewQueue = async (filters = {}) => {
+    validateFilters(filters);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    const now = Date.now();
+    const documents = documentConditions(filters);
+    const queue = queueConditions(filters);
+    const from = `FROM (${QUEUE_SQL} WHERE ${documents.conditions.join(' AND ')})
+                  ${queue.conditions.length ? `WHERE ${queue.conditions.join(' AND ')}` : ''}`;
+    const params = [new Date(now).toISOString(), ...documents.params, ...queue.params];
+    // Longest waiting first; unknown waiting time last
+    const order = 'ORDER BY waiting_hours IS NULL, waiting_hours DESC, document_id';
+
+    const chartCache = new Map();
+    const assess = async (rows) => {
+        if (rows.length === 0) return [];
+        const extractions = await all(`SELECT d.id, de.extracted_json, de.validation_json
+                                       FROM patient_documents d
+                                       LEFT JOIN document_extractions de ON de.id = d.current_extraction_id
+                                       WHERE d.id IN (${rows.map(() => '?').join(', ')})`, rows.map(row => row.document_id));
+        const byDocument = new Map(extractions.map(row => [row.id, row]));
+        const items = [];
+        for (const row of rows) {
+            const assessment = await assessIssues({ ...row, ...byDocument.get(row.document_id) }, chartCache);
+            items.push(toQueueItem(row, assessment, now));
+        }
+        return items;
+    };
+    const countBy = (items, key) => items.reduce((counts, item) => ({ ...counts, [item[key]]: (counts[item[key]] || 0) + 1 }), {});
+
+    if (filters.severity) {
+        const candidates = await assess(await all(`SELECT * ${from} ${order}`, params));
+        const items = candidates.filter(item => item.conflict_severity === filters.severity);
+        return {
+            total: items.length,
+            limit,
+            offset,
+            sla_hours: REVIEW_SLA_HOURS,
+            counts: {
+                status: countBy(items, 'status'),
+                sla: countBy(items, 'sla_status'),
+                severity: countBy(items, 'conflict_severity'),
+                unassigned: items.filter(item => !item.assigned_to).length
+            },
+            items: items.slice(offset, offset + limit)
+        };
+    }
+
+    const groups = await all(`SELECT status, ${SLA_STATUS_SQL} as sla_status, assigned_to IS NULL as unassigned, COUNT(*) as count
+                              ${from} GROUP BY 1, 2, 3`, params);
+    const sumBy = (key) => groups.reduce((counts, group) => ({ ...counts, [group[key]]: (counts[group[key]] || 0) + group.count }), {});
+    const items = await assess(await all(`SELECT * ${from} ${order} LIMIT ? OFFSET ?`, [...params, limit, offset]));
+    return {
+        total: groups.reduce((sum, group) => sum + group.count, 0),
+        limit,
+        offset,
+        sla_hours: REVIEW_SLA_HOURS,
+        counts: {
+            status: sumBy('status'),
+            sla: sumBy('sla_status'),
+            severity: countBy(items, 'conflict_severity'),
+            unassigned: groups.filter(group => group.unassigned).reduce((sum, group) => sum + group.count, 0)
+        },
+        items
+    };
+};
+
+/**
+ * Claim a queued document for the signed-in reviewer. Claiming your own item again is a no-op.
+ * Throws if the document isn't waiting for review or someone else has it.
+ * @returns {Object|null} { document_id, assigned_to, assigned_at } or null if the document doesn't exist
+ */
+const claimDocument = async (documentId) => {
+    const user = getRequestContext()?.user;
+    return withTransaction(async () => {
+        const document = await get('SELECT id, status, assigned_to, assigned_at FROM patient_documents WHERE id = ?', [documentId]);
+        if (!document) return null;
+        if (!QUEUE_STATUSES.includes(document.status)) {
+            throw new Error(`Document ${documentId} is not waiting for review (status ${document.status})`);
+        }
+        if (document.assigned_to && document.assigned_to !== user?.username) {
+            throw new Error(`Document ${documentId} is already claimed by ${document.assigned_to}`);
+        }
+        if (document.assigned_to) {
+            return { document_id: document.id, assigned_to: document.assigned_to, assigned_at: document.assigned_at };
+        }
+        const now = new Date().toISOString();
+        await run('UPDATE patient_documents SET assigned_to = ?, assigned_user_id = ?, assigned_at = ? WHERE id = ?',
+            [user?.username || 'system', user?.id || null, now, document.id]);
+        return { document_id: document.id, assigned_to: user?.username || 'system', assigned_at: now };
+    });
+};
+
+/**
+ * Release a claimed document back to the queue. Only its assignee or an admin can release it.
+ * @returns {Object|null} { document_id, released_from } or null if the document doesn't exist
+ */
+const releaseDocument = async (documentId) => {
+    const user = getRequestContext()?.user;
+    return withTransaction(async () => {
+        const document = await get('SELECT id, assigned_to FROM patient_documents WHERE id = ?', [documentId]);
+        if (!document) return null;
+        if (!document.assigned_to) {
+            return { document_id: document.id, released_from: null };
+        }
+        if (document.assigned_to !== user?.username && user?.role !== ROLES.ADMIN) {
+            throw new Error(`Only ${document.assigned_to} or an admin can release document ${documentId}`);
+        }
+        await run('UPDATE patient_documents SET assigned_to = NULL, assigned_user_id = NULL, assigned_at = NULL WHERE id = ?',
+            [document.id]);
+        return { document_id: document.id, released_from: document.assigned_to };
+    });
+};
+
+const describeDocument = async ([documentId]) => ({
+    patient_id: await audit.getPatientIdForDocument(documentId),
+    resource_id: documentId
+});
+
+module.exports = audit.instrument({
+    getReviewQueue,
+    claimDocument,
+    releaseDocument,
+    QUEUE_STATUSES,
+    REVIEW_SLA_HOURS
+}, {
+    getReviewQueue: {
+        action: 'review_queue.list', resource_type: 'review_queue',
+        describeResult: (result) => ({ detail: `${result.total} documents (${result.counts.sla.overdue || 0} overdue)` })
+    },
+    claimDocument: {
+        action: 'review_queue.claim', resource_type: 'document',
+        describe: describeDocument,
+        describeResult: (result) => ({ detail: result ? `claimed by ${result.assigned_to}` : 'document not found' })
+    },
+    releaseDocument: {
+        action: 'review_queue.release', resource_type: 'document',
+        describe: describeDocument,
+        describeResult: (result) => ({
+            detail: result ? (result.released_from ? `released from ${result.released_from}` : 'was not claimed') : 'document not found'
+        })
+    }
+});
@@ -18,9 +18,23 @@ const execPromise = util.promisify(exec);
 
 // Import header-slice extractor (deterministic, no LLM)
 const headerSlice = require('./headerSliceExtractor');
+// OCR fallback for scanned documents
+const processingPipeline = require('./processingPipeline');
+// Section-aligned chunks for LLM prompts on long documents
+const documentChunker = require('./documentChunker');
+// Page / character-offset evidence for extracted facts
+const evidence = require('./evidenceService');
+// Document identity vs. the patient it was filed under
+const patientIdentity = require('./patientIdentityService');
+// Drug classes and cross-reactivity for medication / allergy checks
+const drugClasses = require('./drugClassService');
+// Dose / route / frequency / PRN / duration of medication lines
+const sigParser = require('./medicationSigParser');
+// Date normalization shared with stored chart items
+const { normalizeDate } = require('./chartItemService');
 
-// OpenAI API configuration (set via environment variable)
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// LLM backend (OpenAI, a local OpenAI-compatible server or the test stub - see extractionProviders)
+const extractionProviders = require('./extractionProviders');
 const SCHEMA_VERSION = '2.2'; // Updated for OpenAI integration
 
 // Confidence thresholds
@@ -204,42 +218,21 @@ async function extractTextFromPDF(pdfPath) {
 // LLM CALLS
 // ============================================================================
 
+// Configuration check only - no network call per document
 async function isLLMAvailable() {
-    try {
-        const response = await fetch('https://api.openai.com/v1/models', {
-            headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}` }
-        });
-        return response.ok;
-    } catch {
-        return false;
-    }
+    return extractionProviders.isLLMAvailable();
 }
 
-async function callLLMPass(systemPrompt, userPrompt, model = 'gpt-4o-mini') {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-            model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            temperature: 0.05,
-            max_tokens: 4096
-        })
+// One prompt on the configured provider - resolves { content, label }
+async function callLLMPass(systemPrompt, userPrompt, model = null) {
+    const result = await extractionProviders.complete({
+        system: systemPrompt,
+        user: userPrompt,
+        temperature: 0.05,
+        maxTokens: 4096,
+        model
     });
-    
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`OpenAI returned ${response.status}: ${error.error?.message}`);
-    }
-    
-    const data = await response.json();
-    return data.choices[0].message.content;
+    return { content: result.content, label: result.label };
 }
 
 function parseJSONFromLLM(llmResponse) {
@@ -580,8 +573,16 @@ function computeFieldConfidence(pass2Result, rawText = '') {
 // MAIN PIPELINE - HEADER-SLICE FIRST, LLM OPTIONAL
 // ============================================================================
 
-async function processDocumentSafe(document) {
+/**
+ * Run the pipeline on one document.
+ * options.onStage(stage) is called (and awaited) as each step starts:
+ * extracting_text, ocr, header_slice, llm, validating
+ */
+async function processDocumentSafe(document, { onStage } = {}) {
     const { stored_path: filePath, id: documentId, patient_id: patientId } = document;
+    const reportStage = async (stage) => {
+        if (onStage) await onStage(stage);
+    };
     
     const result = {
         success: false,
@@ -598,17 +599,30 @@ async function processDocumentSafe(document) {
         textPath: null,
         rawText: null,
         sectionsFound: [],
+        identity: null,
         error: null
     };
     
     try {
         // Step 1: Extract text
+        await reportStage('extracting_text');
         console.log('[Pipeline] Extracting text from:', filePath);
         if (!fs.existsSync(filePath)) {
             throw new Error('Document file not found');
         }
         
-        const textResult = await extractTextFromPDF(filePath);
+        let textResult = await extractTextFromPDF(filePath);
+        
+        // Scanned documents have no text layer - try OCR before giving up
+        if (textResult.needsOCR || textResult.charCount < 200) {
+            await reportStage('ocr');
+            const ocrTextPath = textResult.textPath || filePath.replace(/\.[^./]+$/, '') + '.txt';
+            const ocrResult = await processingPipeline.runOCR(filePath, ocrTextPath);
+            if (ocrResult.textPath && ocrResult.text.trim().length >= 200) {
+                textResult = { ...ocrResult, charCount: ocrResult.text.length };
+            }
+        }
+        
         result.textPath = textResult.textPath;
         result.rawText = textResult.text;
         
@@ -625,6 +639,7 @@ async function processDocumentSafe(document) {
         // ====================================================================
         // Step 2: HEADER-SLICE EXTRACTION (Primary - deterministic, no LLM)
         // ====================================================================
+        await reportStage('header_slice');
         console.log('[Pipeline] Running header-slice extraction...');
         const sliceResult = headerSlice.extractWithHeaderSlice(textResult.text);
         
@@ -647,26 +662,27 @@ async function processDocumentSafe(document) {
         }
         
         // ====================================================================
-        // Step 3: Optional LLM enhancement (only if OpenAI available AND 
+        // Step 3: Optional LLM enhancement (only if a provider is configured AND 
         //         header-slice missed important fields)
         // ====================================================================
         const llmAvailable = await isLLMAvailable();
         
-        // Only use LLM if we're missing critical data AND OpenAI is available
+        // Only use LLM if we're missing critical data AND a provider is configured
         const needsLLMHelp = (
             sliceResult.extraction.medications.length === 0 ||
             (sliceResult.invariants.procedures_header_exists && sliceResult.extraction.surgery.procedures.length === 0)
         );
         
         if (llmAvailable && needsLLMHelp) {
+            await reportStage('llm');
             console.log('[Pipeline] Running LLM enhancement for missing fields...');
             try {
                 // Only run micro-prompts for what we're missing
                 if (sliceResult.extraction.medications.length === 0) {
                     const medsResult = await extractMedsWithLLM(textResult.text);
-                    if (medsResult && medsResult.length > 0) {
-                        result.pass2.medications = medsResult;
-                        result.model = 'header-slice+llm-meds';
+                    if (medsResult.medications.length > 0) {
+                        result.pass2.medications = medsResult.medications;
+                        result.model = `header-slice+llm-meds(${medsResult.model})`;
                     }
                 }
             } catch (e) {
@@ -678,6 +694,8 @@ async function processDocumentSafe(document) {
         // Step 4: Build validation from header-slice invariants
         // ====================================================================
         
+        await reportStage('validating');
+        
         // Compute field-level confidence (v2 upgrade)
         const fieldConf = computeFieldConfidence(result.pass2, textResult.text);
         
@@ -696,6 +714,28 @@ async function processDocumentSafe(document) {
             missing_fields: fieldConf.missing_fields
         };
         
+        // ====================================================================
+        // Step 4b: Identity cross-check - name / DOB / MRN on the document vs.
+        //          the patient it was filed under (misfiled paper)
+        // ====================================================================
+        const doc = result.pass2.doc || {};
+        result.identity = await patientIdentity.verifyDocumentIdentity(patientId, {
+            name: doc.patient_name || null,
+            date_of_birth: doc.date_of_birth || null,
+            mrn: doc.mrn || null
+        });
+        if (result.identity.status === 'mismatch') {
+            result.validation.issues.push({
+                code: 'PATIENT_IDENTITY_MISMATCH',
+                message: patientIdentity.describeMismatch(result.identity),
+                severity: 'critical',
+                mismatches: result.identity.mismatches,
+                suggestions: result.identity.suggestions
+            });
+            result.validation.passed = false;
+            result.validation.hasCritical = true;
+        }
+        
         // ====================================================================
         // Step 5: Determine merge eligibility
         // ====================================================================
@@ -720,6 +760,16 @@ async function processDocumentSafe(document) {
             result.reviewReasons.push(`Confidence too low (${(result.confidence.score * 100).toFixed(0)}%)`);
         }
         
+        // Critical invariants block the merge whatever the confidence
+        if (result.validation.hasCritical) {
+            result.canMerge = false;
+            result.status = 'needs_review';
+            result.needsReview = true;
+            for (const issue of result.validation.issues.filter(i => i.severity === 'critical')) {
+                result.reviewReasons.push(issue.message);
+            }
+        }
+        
         result.success = true;
         return result;
         
@@ -731,24 +781,46 @@ async function processDocumentSafe(document) {
     }
 }
 
-// Micro-prompt for medications only (when regex misses them)
+// Characters of text per medication micro-prompt
+const MEDS_CHUNK_CHARS = 4000;
+
+// Micro-prompt for medications only (when regex misses them).
+// Runs over the whole document in section-aligned chunks; each medication is
+// tagged with the chunk and page it was first found on.
 async function extractMedsWithLLM(text) {
     const MEDS_SYSTEM = `Return valid JSON only. Extract medication NAMES ONLY. No effects. No dosing.`;
-    const MEDS_USER = `From this text, list explicit medication names.
+    const getMedsPrompt = (chunkText) => `From this text, list explicit medication names.
 Return JSON: {"medications":[]}
 
 TEXT:
 <<<
-${text.substring(0, 4000)}
+${chunkText}
 >>>`;
     
-    try {
-        const response = await callLLMPass(MEDS_SYSTEM, MEDS_USER, 'gpt-4o-mini');
-        const parsed = parseJSONFromLLM(response);
-        return parsed.medications || [];
-    } catch (e) {
-        return [];
+    const starts = evidence.pageStarts(text);
+    const medications = [];
+    let model = null;
+    for (const chunk of documentChunker.chunkDocument(text, { maxChars: MEDS_CHUNK_CHARS })) {
+        try {
+            const response = await callLLMPass(MEDS_SYSTEM, getMedsPrompt(chunk.text));
+            const parsed = parseJSONFromLLM(response.content);
+            model = response.label;
+            for (const med of parsed.medications || []) {
+                const name = typeof med === 'string' ? med : med?.name;
+                if (!name || medications.some(m => m.name.toLowerCase() === name.toLowerCase())) continue;
+                const span = evidence.locate(text, name, { from: chunk.start, to: chunk.end, starts });
+                medications.push(sigParser.structureMedication({
+                    name,
+                    evidence_span: span,
+                    source_chunk: chunk.index,
+                    source_page: span ? span.page : chunk.first_page
+                }, sigParser.sigTextAt(text, span)));
+            }
+        } catch (e) {
+            console.log(`[Pipeline] LLM medication extraction failed for chunk ${chunk.index}:`, e.message);
+        }
     }
+    return { medications, model };
 }
 
 // ============================================================================
@@ -847,37 +919,45 @@ function convertToChartFormat(pass2Result, documentId) {
         summary: pass2Result.summary || null
     };
     
+    // Evidence spans recorded by the header-slice extractor, index-aligned with its lists
+    // (object items carry their own evidence_span)
+    const spans = pass2Result.evidence_spans || {};
+    const withSpan = (item, span) => (span && !item.evidence_span ? { ...item, evidence_span: span } : item);
+    
     // Convert surgery - handles both old and new format
     if (pass2Result.surgery?.has_surgery || pass2Result.surgery?.procedures?.length > 0) {
         chart.surgeries.push({
             date: pass2Result.surgery.date || null,
             procedures: pass2Result.surgery.procedures || [],
+            // Index-aligned with procedures (kept apart - conflict checks expect procedure strings)
+            procedure_evidence_spans: spans.procedures || [],
             surgeon: pass2Result.surgery.surgeon || pass2Result.doc?.provider || null,
             source_document_id: String(documentId)
         });
     }
     
     // Convert diagnoses (combine preop and postop)
-    const allDx = [
-        ...(pass2Result.diagnoses?.preop || []),
-        ...(pass2Result.diagnoses?.postop || [])
-    ];
-    chart.diagnoses = allDx.map(dx => typeof dx === 'string' ? dx : dx.name || JSON.stringify(dx));
-    
-    // Convert medications - handle both string[] and object[]
-    chart.medications = (pass2Result.medications || []).map(med => {
-        if (typeof med === 'string') {
-            return { name: med, source_document_id: String(documentId) };
-        }
-        return { ...med, source_document_id: String(documentId) };
-    });
+    const preop = pass2Result.diagnoses?.preop || [];
+    const postop = pass2Result.diagnoses?.postop || [];
+    const dxSpans = [...(spans.preop_diagnoses || preop.map(() => null)), ...(spans.postop_diagnoses || [])];
+    chart.diagnoses = [...preop, ...postop].map((dx, i) => withSpan(
+        typeof dx === 'string' ? { name: dx } : { ...dx, name: dx.name || JSON.stringify(dx) },
+        dxSpans[i]
+    ));
+    
+    // Convert medications - handle both string[] and object[] (older extractions kept the
+    // dose in the name string, so sig fields are parsed from it)
+    chart.medications = (pass2Result.medications || []).map((med, i) => withSpan(
+        { ...sigParser.structureMedication(med), source_document_id: String(documentId) },
+        spans.medications?.[i]
+    ));
     
     // Convert allergies - handle both string[] and object[]
-    chart.allergies = (pass2Result.allergies || []).map(allergy => {
+    chart.allergies = (pass2Result.allergies || []).map((allergy, i) => {
         if (typeof allergy === 'string') {
-            return { substance: allergy, source_document_id: String(documentId) };
+            return withSpan({ substance: allergy, source_document_id: String(documentId) }, spans.allergies?.[i]);
         }
-        return { ...allergy, source_document_id: String(documentId) };
+        return withSpan({ ...allergy, source_document_id: String(documentId) }, spans.allergies?.[i]);
     });
     
     return chart;
@@ -1003,7 +1083,8 @@ function detectConflicts(extractedData, existingChart) {
                 )
             );
             
-            if (hasOverlap && newDate !== existingDate) {
+            // Chart dates are stored as ISO dates; the document may say "10/01/2025"
+            if (hasOverlap && normalizeDate(newDate) !== normalizeDate(existingDate)) {
                 conflicts.push({
                     field: 'surgery_date',
                     type: 'date_mismatch',
@@ -1020,7 +1101,140 @@ function detectConflicts(extractedData, existingChart) {
     }
     
     // ==========================================
-    // Conflict 3: MRN mismatch (if present)
+    // Conflict 3: Drug-allergy cross-reactivity
+    // ==========================================
+    const substanceOf = (a) => typeof a === 'string' ? a : a.substance || '';
+    const medNameOf = (m) => typeof m === 'string' ? m : m.name || m.drug || '';
+    const isActive = (item) => typeof item === 'string' || !item.status || item.status === 'active';
+    const isRealAllergy = (a) => {
+        const sub = substanceOf(a).toLowerCase();
+        return sub.length > 0 && !sub.includes('nkda') && !sub.includes('no known');
+    };
+    const chartedAllergies = existingAllergies.filter(a => isActive(a) && isRealAllergy(a)).map(substanceOf);
+    const activeMeds = existingMeds.filter(isActive).map(medNameOf).filter(Boolean);
+    
+    // Allergies the document itself records, beyond those already charted
+    const documentAllergies = newAllergies.filter(a => isActive(a) && isRealAllergy(a)).map(substanceOf)
+        .filter(allergy => !chartedAllergies.some(charted => charted.toLowerCase() === allergy.toLowerCase()));
+    const allergySources = [
+        ...chartedAllergies.map(allergy => ({ allergy, described: `charted allergy to ${allergy}` })),
+        ...documentAllergies.map(allergy => ({ allergy, described: `allergy to ${allergy} in the same document` }))
+    ];
+
+    // Incoming medications against allergies on the chart or in the same document
+    for (const med of newMeds.map(medNameOf).filter(Boolean)) {
+        for (const { allergy, described } of allergySources) {
+            const match = drugClasses.checkMedicationAgainstAllergy(med, allergy);
+            if (!match) continue;
+            conflicts.push({
+                field: 'medications',
+                type: 'drug_allergy',
+                existing: allergy,
+                incoming: med,
+                action: 'blocked_merge_needs_review',
+                severity: match.severity,
+                message: `${med} conflicts with ${described} (${match.relation.replace('_', ' ')})`,
+                relation: match.relation,
+                drug_class: match.drug_class,
+                rationale: match.rationale
+            });
+            safeToMerge.medications = false;
+        }
+    }
+    
+    // Incoming allergies against medications the patient is on - the allergy is still charted
+    for (const allergy of newAllergies.filter(isRealAllergy).map(substanceOf)) {
+        for (const med of activeMeds) {
+            const match = drugClasses.checkMedicationAgainstAllergy(med, allergy);
+            if (!match) continue;
+            conflicts.push({
+                field: 'allergies',
+                type: 'allergy_drug',
+                existing: med,
+                incoming: allergy,
+                action: 'review_active_medication',
+                severity: match.severity,
+                message: `New allergy to ${allergy} conflicts with active medication ${med} (${match.relation.replace('_', ' ')})`,
+                relation: match.relation,
+                drug_class: match.drug_class,
+                rationale: match.rationale
+            });
+        }
+    }
+    
+    // ==========================================
+    // Conflict 4: Therapeutic duplication, dose/route/frequency changes and
+    // discontinued medications coming back
+    // ==========================================
+    const chartMeds = existingMeds.filter(m => medNameOf(m));
+    const incomingMeds = [];
+    for (const med of newMeds.filter(m => medNameOf(m))) {
+        if (!incomingMeds.some(other => drugClasses.isSameDrug(medNameOf(other), medNameOf(med)))) incomingMeds.push(med);
+    }
+    const onChart = (med) => chartMeds.some(m => isActive(m) && drugClasses.isSameDrug(medNameOf(m), medNameOf(med)));
+    const medicationConflict = (type, severity, existing, incoming, message, extra = {}) => {
+        conflicts.push({
+            field: 'medications',
+            type,
+            existing: medicationLabel(existing),
+            incoming: medicationLabel(incoming),
+            action: 'blocked_merge_needs_review',
+            severity,
+            message,
+            ...extra,
+            existing_evidence: medicationEvidence(existing, chartMeds.includes(existing) ? 'chart' : 'document'),
+            incoming_evidence: medicationEvidence(incoming, 'document')
+        });
+        safeToMerge.medications = false;
+    };
+    
+    incomingMeds.forEach((med, i) => {
+        const name = medNameOf(med);
+        const displayName = name.split(/\s+(?=\d)/)[0];
+        const sameDrug = chartMeds.filter(m => drugClasses.isSameDrug(medNameOf(m), name));
+        const active = sameDrug.filter(isActive);
+        
+        // Same drug at a different dose, route or frequency than the chart has
+        for (const current of active) {
+            const was = sigParser.normalizedSig(current);
+            const now = sigParser.normalizedSig(med);
+            const changed = ['dose', 'route', 'frequency'].filter(f => was[f] && now[f] && was[f] !== now[f]);
+            if (changed.length === 0) continue;
+            medicationConflict('dose_change', 'warning', current, med,
+                `${displayName} ${changed.join('/')} change: chart has ${changed.map(f => was[f]).join(' ')}, document has ${changed.map(f => now[f]).join(' ')}`,
+                { changed });
+        }
+        
+        // Discontinued on the chart, listed again by the document
+        if (active.length === 0) {
+            for (const stopped of sameDrug.filter(m => m.status === 'discontinued')) {
+                medicationConflict('discontinued_reappeared', 'warning', stopped, med,
+                    `${displayName} was discontinued on the chart${stopped.end_date ? ` (${stopped.end_date})` : ''} but appears in this document`);
+            }
+        }
+        
+        // Two drugs from the same class - against the active chart and within the document
+        if (!onChart(med)) {
+            for (const other of chartMeds.filter(isActive)) {
+                const dup = drugClasses.checkTherapeuticDuplication(medNameOf(other), name);
+                if (!dup) continue;
+                medicationConflict('therapeutic_duplication', dup.severity, other, med,
+                    `Therapeutic duplication: ${displayName} with active ${medNameOf(other)} (${dup.drug_class.replace(/_/g, ' ')})`,
+                    { drug_class: dup.drug_class, rationale: dup.rationale });
+            }
+        }
+        for (const other of incomingMeds.slice(i + 1)) {
+            if (onChart(med) && onChart(other)) continue;
+            const dup = drugClasses.checkTherapeuticDuplication(name, medNameOf(other));
+            if (!dup) continue;
+            medicationConflict('therapeutic_duplication', dup.severity, med, other,
+                `Therapeutic duplication: document lists both ${displayName} and ${medNameOf(other)} (${dup.drug_class.replace(/_/g, ' ')})`,
+                { drug_class: dup.drug_class, rationale: dup.rationale });
+        }
+    });
+    
+    // ==========================================
+    // Conflict 5: MRN mismatch (if present)
     // ==========================================
     if (extractedData.mrn && existingChart.mrn) {
         const existingMRN = String(existingChart.mrn).replace(/\D/g, '');
@@ -1052,6 +1266,29 @@ function detectConflicts(extractedData, existingChart) {
     };
 }
 
+function medicationLabel(med) {
+    if (typeof med === 'string') return med;
+    return [med.name || med.drug, med.dose, med.route, med.frequency].filter(Boolean).join(' ');
+}
+
+// Where a medication in a conflict came from - the chart item or the document
+function medicationEvidence(med, source) {
+    const item = typeof med === 'string' ? { name: med } : med;
+    return {
+        source,
+        chart_item_id: source === 'chart' ? item.id ?? null : null,
+        name: item.name || item.drug || null,
+        dose: item.dose || null,
+        route: item.route || null,
+        frequency: item.frequency || null,
+        status: source === 'chart' ? item.status || null : null,
+        start_date: item.start_date || null,
+        end_date: item.end_date || null,
+        source_document_id: item.source_document_id != null ? String(item.source_document_id) : null,
+        evidence_span: item.evidence_span || item.evidence || null
+    };
+}
+
 // Simple similarity check for procedure names
 function levenshteinSimilar(str1, str2, threshold = 0.7) {
     if (!str1 || !str2) return false;
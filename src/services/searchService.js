@@ -0,0 +1,141 @@
+/**
+ * Search Service
+ *
+ * Full-text search over the search_index FTS5 table (migration 012): document text,
+ * extraction summaries, journal entries and visit notes. Journal, visit and extraction
+ * rows are kept in sync by triggers; document text is indexed here once a document
+ * has been processed. Hits are resolved to their current patient at query time, so
+ * reassigned documents and merged patients need no reindexing.
+ */
+
+const fs = require('fs');
+const { run, get, all } = require('../config/dbHelpers');
+const audit = require('./auditService');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Snippet highlight markers - control characters that can't occur in the indexed text
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+const escapeHtml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Turn free text into an FTS5 query: every word must appear (a trailing * keeps
+ * prefix matching). Words are quoted so punctuation can't break the query syntax.
+ */
+const toMatchQuery = (q) => {
+    const terms = String(q || '')
+        .split(/\s+/)
+        .map(word => {
+            const prefix = word.endsWith('*');
+            const text = word.replace(/["*]/g, '').trim();
+            return text ? `"${text}"${prefix ? '*' : ''}` : null;
+        })
+        .filter(Boolean);
+    return terms.join(' ');
+};
+
+// Index (or re-index) the extracted text of one document
+const indexDocumentText = async (documentId) => {
+    const document = await get('SELECT id, original_filename, text_path FROM patient_documents WHERE id = ?', [documentId]);
+    await run(`DELETE FROM search_index WHERE kind = 'document' AND source_id = ?`, [documentId]);
+    if (!document || !document.text_path || !fs.existsSync(document.text_path)) return false;
+
+    await run(`INSERT INTO search_index (kind, source_id, title, body) VALUES ('document', ?, ?, ?)`,
+        [document.id, document.original_filename, fs.readFileSync(document.text_path, 'utf-8')]);
+    return true;
+};
+
+/**
+ * Ranked full-text search, grouped by patient (merged duplicates are left out)
+ * @param {string} q - search words
+ * @param {Object} options - { patient_id } to search one patient, { limit } max hits
+ * @returns {Object} { query, patient_id, hit_count, patients: [{ patient_id, name, date_of_birth, mrn, hits }] }
+ */
+const search = async (q, { patient_id = null, limit = DEFAULT_LIMIT } = {}) => {
+    const match = toMatchQuery(q);
+    if (!match) {
+        throw new Error('Invalid search: q is required');
+    }
+    const maxHits = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const params = [match];
+    let scope = '';
+    if (patient_id) {
+        // The resolved patient_id has no column affinity, so compare as an integer
+        scope = 'AND h.patient_id = ?';
+        params.push(parseInt(patient_id));
+    }
+    params.push(maxHits);
+
+    // Title matches count more than body matches (bm25 weights per column; lower rank is better)
+    const rows = await all(`SELECT h.*, p.name, p.date_of_birth, p.mrn
+                            FROM (
+                                SELECT s.kind, s.source_id, s.title,
+                                       snippet(search_index, 3, ?, ?, '…', 16) as snippet,
+                                       bm25(search_index, 0, 0, 5.0, 1.0) as rank,
+                                       CASE s.kind
+                                           WHEN 'journal' THEN (SELECT patient_id FROM journal_entries WHERE id = s.source_id)
+                                           WHEN 'visit' THEN (SELECT patient_id FROM visits WHERE id = s.source_id)
+                                           ELSE (SELECT patient_id FROM patient_documents WHERE id = s.source_id)
+                                       END as patient_id
+                                FROM search_index s
+                                WHERE search_index MATCH ?
+                            ) h
+                            JOIN patients p ON p.id = h.patient_id
+                            WHERE p.merged_into_id IS NULL ${scope}
+                            ORDER BY h.rank
+                            LIMIT ?`, [MARK_START, MARK_END, ...params]);
+
+    // Group by patient, patients ordered by their best hit
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row.patient_id)) {
+            groups.set(row.patient_id, {
+                patient_id: row.patient_id,
+                name: row.name,
+                date_of_birth: row.date_of_birth,
+                mrn: row.mrn,
+                best_rank: row.rank,
+                hits: []
+            });
+        }
+        const snippet = row.snippet || '';
+        groups.get(row.patient_id).hits.push({
+            kind: row.kind,
+            source_id: row.source_id,
+            document_id: row.kind === 'document' || row.kind === 'extraction' ? row.source_id : null,
+            title: row.title,
+            rank: row.rank,
+            snippet: snippet.replace(/[\u0001\u0002]/g, ''),
+            snippet_html: escapeHtml(snippet).replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>')
+        });
+    }
+
+    return {
+        query: q,
+        patient_id: patient_id ? parseInt(patient_id) : null,
+        hit_count: rows.length,
+        patients: [...groups.values()]
+    };
+};
+
+module.exports = audit.instrument({
+    search,
+    indexDocumentText,
+    toMatchQuery
+}, {
+    search: {
+        action: 'search.query', resource_type: 'search',
+        describe: ([q, options]) => ({ patient_id: options?.patient_id || null, detail: `"${q}"` }),
+        describeResult: (result, [q]) => ({
+            detail: `"${q}": ${result.hit_count} hits across ${result.patients.length} patients`
+        })
+    }
+});
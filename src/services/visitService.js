@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const audit = require('./auditService');
 
 // Get all visits for a patient
 const getVisitsByPatientId = (patientId) => {
@@ -54,9 +55,28 @@ const getVisitById = (visitId) => {
     });
 };
 
-module.exports = {
+// Patient for a visit (looked up before deletes)
+const describeVisit = ([visitId]) => new Promise((resolve) => {
+    db.get('SELECT patient_id FROM visits WHERE id = ?', [visitId], (err, row) => {
+        resolve({ patient_id: err || !row ? null : row.patient_id, resource_id: visitId });
+    });
+});
+
+module.exports = audit.instrument({
     getVisitsByPatientId,
     addVisit,
     deleteVisit,
     getVisitById
-};
+}, {
+    getVisitsByPatientId: {
+        action: 'visit.list', resource_type: 'visit',
+        describe: ([patientId]) => ({ patient_id: patientId })
+    },
+    addVisit: {
+        action: 'visit.create', resource_type: 'visit',
+        describe: ([patientId]) => ({ patient_id: patientId }),
+        describeResult: (visit) => ({ resource_id: visit.id })
+    },
+    deleteVisit: { action: 'visit.delete', resource_type: 'visit', describe: describeVisit },
+    getVisitById: { action: 'visit.read', resource_type: 'visit', describe: describeVisit }
+});
@@ -0,0 +1,36 @@
+/**
+ * Shared helpers for the test scripts in tests/
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0;
+
+// Assert one value and print the check - the script stops at the first failure
+const check = (label, actual, expected) => {
+    assert.deepStrictEqual(actual, expected, label);
+    console.log(`   ✓ ${label}`);
+    passed++;
+};
+
+const summary = () => console.log(`\n✅ ${passed} checks passed`);
+
+/**
+ * Point the app at a throwaway database in a temp directory. Call it before anything
+ * that opens the database is required.
+ * @returns {Object} { dir, cleanup } - cleanup() removes the directory
+ */
+const useScratchDatabase = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'h3-test-'));
+    process.env.DATABASE_PATH = path.join(dir, 'test.db');
+    return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+};
+
+module.exports = {
+    check,
+    summary,
+    useScratchDatabase
+};
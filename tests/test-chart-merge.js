@@ -0,0 +1,149 @@
+/**
+ * Test script for chart merges with reviewer conflict resolutions: what a merge replaces,
+ * holds back and leaves alone. Runs on a throwaway database.
+ * Run with: node tests/test-chart-merge.js
+ */
+
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+
+const db = require('../src/config/database');
+const migrator = require('../database/migrator');
+const { get } = require('../src/config/dbHelpers');
+const { runWithContext } = require('../src/middleware/requestContext');
+const patientService = require('../src/services/patientService');
+const documentService = require('../src/services/documentService');
+const conflictResolutions = require('../src/services/conflictResolutionService');
+const extractionCorrections = require('../src/services/extractionCorrectionService');
+const safeExtraction = require('../src/services/safeExtractionPipeline');
+const chartMerges = require('../src/services/chartMergeService');
+
+const alice = { id: 1, username: 'alice' };
+const bob = { id: 2, username: 'bob' };
+
+// A document with this extraction on file for the patient
+const addDocument = async (patientId, pass2) => {
+    const document = await documentService.createDocument(patientId, 'note.pdf', '/dev/null');
+    await documentService.saveExtraction(document.id, 'test', JSON.stringify({ pass2 }), null, 0.9);
+    return document;
+};
+
+// What approving the document does: merge its reviewed extraction, holding back conflicted sections
+const approve = async (patientId, documentId) => {
+    const { pass2 } = JSON.parse((await documentService.getExtraction(documentId)).extracted_json);
+    const { chart } = await extractionCorrections.reviewedChartData(pass2, documentId);
+    return patientService.mergeExtractionIntoChart(patientId, chart, { source_document_id: documentId, manually_approved: true });
+};
+
+const conflictsOf = async (patientId, documentId) => {
+    const { pass2 } = JSON.parse((await documentService.getExtraction(documentId)).extracted_json);
+    const { chart } = await extractionCorrections.reviewedChartData(pass2, documentId);
+    const patient = await patientService.getPatientWithChart(patientId);
+    return safeExtraction.detectConflicts(chart, patient).conflicts;
+};
+
+const resolve = (user, documentId, conflict, resolution) => runWithContext({ user }, () =>
+    conflictResolutions.resolveConflict(documentId, conflictResolutions.conflictKey(conflict), { resolution, rationale: 'test' }));
+
+const confirm = (user, documentId, conflict) => runWithContext({ user }, () =>
+    conflictResolutions.confirmResolution(documentId, conflictResolutions.conflictKey(conflict)));
+
+const medications = async (patientId) => {
+    const chart = await patientService.getPatientWithChart(patientId);
+    return chart.medications.map(med => `${med.name} ${med.dose}`).sort();
+};
+
+const runTests = async () => {
+    console.log('🧪 Testing chart merges with conflict resolutions\n');
+    await migrator.migrateUp();
+
+    const patient = await patientService.addPatient({ name: 'John Smith', date_of_birth: '1960-01-02' });
+    const seed = await addDocument(patient.id, {
+        medications: ['Cefazolin 1 g IV q8h', 'Lisinopril 10 mg PO daily', 'Warfarin 5 mg PO daily']
+    });
+    const seeded = await approve(patient.id, seed.id);
+    const charted = ['Cefazolin 1 g', 'Lisinopril 10 mg', 'Warfarin 5 mg'];
+    check('chart is seeded', await medications(patient.id), charted);
+
+    console.log('\n1. Accepted replacements in a held-back category');
+    const held = await addDocument(patient.id, {
+        medications: ['Cefazolin 2 g IV q8h', 'Lisinopril 20 mg PO daily', 'Enoxaparin 40 mg SC daily']
+    });
+    const conflicts = await conflictsOf(patient.id, held.id);
+    check('two dose changes and a duplication', conflicts.map(c => c.type).sort(),
+        ['dose_change', 'dose_change', 'therapeutic_duplication']);
+    for (const conflict of conflicts.filter(c => c.type === 'dose_change')) {
+        await resolve(alice, held.id, conflict, 'accept_incoming');
+    }
+    const duplication = conflicts.find(c => c.type === 'therapeutic_duplication');
+    await resolve(alice, held.id, duplication, 'discard');
+    await confirm(bob, held.id, duplication);
+
+    const heldBack = await approve(patient.id, held.id);
+    check('medications are held back by the discard', heldBack.held_back, { medications: 'discard' });
+    check('the chart keeps the doses it had', await medications(patient.id), charted);
+
+    console.log('\n2. Accepted replacement in a category that merges');
+    const changed = await addDocument(patient.id, { medications: ['Lisinopril 20 mg PO daily'] });
+    const [doseChange] = await conflictsOf(patient.id, changed.id);
+    check('one dose change', doseChange.type, 'dose_change');
+    await resolve(alice, changed.id, doseChange, 'accept_incoming');
+    const replaced = await approve(patient.id, changed.id);
+    check('nothing held back', replaced.held_back, {});
+    check('the new dose replaces the old one', await medications(patient.id), ['Cefazolin 1 g', 'Lisinopril 20 mg', 'Warfarin 5 mg']);
+
+    console.log('\n3. Accepted dose change in a selective merge');
+    const warfarin = await addDocument(patient.id, { medications: ['Warfarin 7.5 mg PO daily'] });
+    const [warfarinChange] = await conflictsOf(patient.id, warfarin.id);
+    await resolve(alice, warfarin.id, warfarinChange, 'accept_incoming');
+    const { pass2 } = JSON.parse((await documentService.getExtraction(warfarin.id)).extracted_json);
+    const { chart } = await extractionCorrections.reviewedChartData(pass2, warfarin.id);
+    const meta = { source_document_id: warfarin.id, manually_approved: true };
+    await patientService.selectiveMergeIntoChart(patient.id, chart, { medications: false }, meta);
+    check('medications left out keep the charted dose', await medications(patient.id), ['Cefazolin 1 g', 'Lisinopril 20 mg', 'Warfarin 5 mg']);
+    await patientService.selectiveMergeIntoChart(patient.id, chart, { medications: true }, meta);
+    check('merging them swaps old dose for new', await medications(patient.id), ['Cefazolin 1 g', 'Lisinopril 20 mg', 'Warfarin 7.5 mg']);
+
+    console.log('\n4. Reverting a merge that replaced a dose');
+    const reverted = await chartMerges.revertMerge(replaced.merge_id);
+    check('the new dose is taken out', reverted.removed.medications.map(med => med.dose), ['20 mg']);
+    check('the dose it replaced is put back', reverted.restored.medications.map(med => med.dose), ['10 mg']);
+    check('chart is as before the merge', await medications(patient.id), ['Cefazolin 1 g', 'Lisinopril 10 mg', 'Warfarin 7.5 mg']);
+    const lisinopril = (await patientService.getPatientWithChart(patient.id)).medications.find(med => med.name === 'Lisinopril');
+    check('restored item keeps the merge that added it', lisinopril.chart_merge_id, seeded.merge_id);
+
+    console.log('\n5. Document merged in parts appends its summary once');
+    const note = await addDocument(patient.id, {
+        diagnoses: { preop: ['Atrial fibrillation'] },
+        medications: ['Metoprolol 25 mg PO BID'],
+        summary: 'Rate control for atrial fibrillation.'
+    });
+    const noteData = JSON.parse((await documentService.getExtraction(note.id)).extracted_json).pass2;
+    const noteChart = (await extractionCorrections.reviewedChartData(noteData, note.id)).chart;
+    await patientService.selectiveMergeIntoChart(patient.id, noteChart, { medications: false }, { source_document_id: note.id });
+    await approve(patient.id, note.id);
+    const { chart_summary } = await patientService.getPatientWithChart(patient.id);
+    check('summary appears once', chart_summary.split('Rate control for atrial fibrillation.').length - 1, 1);
+    check('the rest of the document merged', (await medications(patient.id)).includes('Metoprolol 25 mg'), true);
+
+    console.log('\n6. Deleting the patient');
+    const other = await patientService.addPatient({ name: 'Mary Jones', date_of_birth: '1970-05-05' });
+    await approve(other.id, (await addDocument(other.id, { medications: ['Metformin 500 mg PO BID'] })).id);
+    await patientService.deletePatient(patient.id);
+    const count = async (from, ...params) => (await get(`SELECT COUNT(*) as count FROM ${from}`, params)).count;
+    const tables = ['chart_medications', 'chart_merges', 'patient_documents'];
+    check('chart items, merges and documents are gone',
+        await Promise.all(tables.map(table => count(`${table} WHERE patient_id = ?`, patient.id))), [0, 0, 0]);
+    check('resolutions of the documents are gone', await count('conflict_resolutions'), 0);
+    check('other patients keep theirs', await medications(other.id), ['Metformin 500 mg']);
+
+    summary();
+};
+
+runTests()
+    .catch(err => {
+        console.error('\n❌ Test failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close(scratch.cleanup));
@@ -0,0 +1,86 @@
+/**
+ * Test script for drug-class allergy and duplication checks
+ * Run with: node tests/test-drug-classes.js
+ */
+
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+
+const drugClasses = require('../src/services/drugClassService');
+const { detectConflicts } = require('../src/services/safeExtractionPipeline');
+
+// Just the relation and severity of an allergy match, or null
+const allergyMatch = (medication, allergy) => {
+    const match = drugClasses.checkMedicationAgainstAllergy(medication, allergy);
+    return match && { relation: match.relation, severity: match.severity };
+};
+
+console.log('🧪 Testing drug-class checks\n');
+
+console.log('1. Classification');
+check('combination product belongs to its class', drugClasses.classifyDrug('Amoxicillin-clavulanate 875 mg'), ['penicillins']);
+check('celecoxib is an NSAID and a non-antibiotic sulfonamide', drugClasses.classifyDrug('Celecoxib').sort(),
+    ['nsaids', 'sulfonamide_nonantibiotics']);
+check('"PCN" allergy covers penicillins', drugClasses.classifyAllergy('PCN'), ['penicillins']);
+check('"sulfa" allergy covers sulfonamide antibiotics', drugClasses.classifyAllergy('Sulfa drugs'), ['sulfonamide_antibiotics']);
+check('unknown drug has no class', drugClasses.classifyDrug('Lisinopril 10 mg'), []);
+
+console.log('\n2. Same drug');
+check('charted allergy to the drug itself', allergyMatch('Amoxicillin 500 mg PO', 'amoxicillin'), { relation: 'same_drug', severity: 'critical' });
+check('brand name against the generic allergy', allergyMatch('Tylenol 650 mg', 'Acetaminophen'), { relation: 'same_drug', severity: 'critical' });
+
+console.log('\n3. Same class');
+check('amoxicillin with a penicillin allergy', allergyMatch('Amoxicillin 500 mg', 'Penicillin'), { relation: 'same_class', severity: 'critical' });
+check('sulfamethoxazole with a sulfa allergy', allergyMatch('Sulfamethoxazole-trimethoprim 800-160 mg', 'sulfa'), { relation: 'same_class', severity: 'critical' });
+check('Bactrim (brand) with a sulfa allergy', allergyMatch('Bactrim DS', 'sulfa'), { relation: 'same_class', severity: 'critical' });
+check('ketorolac with an aspirin allergy', allergyMatch('Ketorolac 15 mg IV', 'ASA'), { relation: 'same_class', severity: 'critical' });
+check('class severity carries through', allergyMatch('Morphine 2 mg IV', 'codeine'), { relation: 'same_class', severity: 'warning' });
+
+console.log('\n4. Cross-reactivity');
+check('cefazolin with a PCN allergy', allergyMatch('Cefazolin 2 g IV', 'PCN'), { relation: 'cross_reactive', severity: 'warning' });
+check('Ancef (brand) with a penicillin allergy', allergyMatch('Ancef 2 g', 'penicillin'), { relation: 'cross_reactive', severity: 'warning' });
+check('amoxicillin with a cephalosporin allergy', allergyMatch('Amoxicillin', 'cephalexin'), { relation: 'cross_reactive', severity: 'warning' });
+check('furosemide with a sulfa allergy', allergyMatch('Furosemide 40 mg PO', 'Sulfa'), { relation: 'cross_reactive', severity: 'warning' });
+check('sulfa antibiotic with a furosemide allergy is not flagged', allergyMatch('Sulfamethoxazole', 'furosemide'), null);
+check('unrelated drug', allergyMatch('Lisinopril 10 mg', 'Penicillin'), null);
+
+console.log('\n5. Therapeutic duplication');
+const duplication = (a, b) => {
+    const result = drugClasses.checkTherapeuticDuplication(a, b);
+    return result && { drug_class: result.drug_class, severity: result.severity };
+};
+check('two opioids', duplication('Oxycodone 5 mg', 'Hydromorphone 2 mg'), { drug_class: 'opioids', severity: 'warning' });
+check('two anticoagulants', duplication('Enoxaparin 40 mg SC', 'Warfarin 5 mg'), { drug_class: 'anticoagulants', severity: 'critical' });
+check('two anticoagulants (brand name)', duplication('Lovenox 40 mg SC', 'Warfarin 5 mg'), { drug_class: 'anticoagulants', severity: 'critical' });
+check('same drug at another dose is not a duplication', duplication('Warfarin 5 mg', 'Warfarin 7.5 mg'), null);
+check('brand and generic are the same drug', duplication('Warfarin 5 mg', 'Coumadin 7.5 mg'), null);
+check('penicillins are not checked for duplication', duplication('Amoxicillin', 'Ampicillin'), null);
+
+console.log('\n6. Merge-time conflicts');
+const conflictTypes = (extracted, chart) => detectConflicts(extracted, chart).conflicts.map(conflict => [conflict.type, conflict.severity]);
+check('incoming cefazolin against a charted penicillin allergy',
+    conflictTypes({ medications: [{ name: 'Cefazolin 2 g IV' }] }, { allergies: [{ substance: 'Penicillin' }] }),
+    [['drug_allergy', 'warning']]);
+check('incoming sulfa allergy against an active Bactrim',
+    conflictTypes({ allergies: [{ substance: 'Sulfa' }] }, { medications: [{ name: 'Sulfamethoxazole-trimethoprim', status: 'active' }] }),
+    [['allergy_drug', 'critical']]);
+check('allergy to a discontinued medication is not flagged',
+    conflictTypes({ allergies: [{ substance: 'Sulfa' }] }, { medications: [{ name: 'Sulfamethoxazole', status: 'discontinued' }] }),
+    []);
+check('incoming hydromorphone with active oxycodone',
+    conflictTypes({ medications: [{ name: 'Hydromorphone 2 mg IV' }] }, { medications: [{ name: 'Oxycodone 5 mg', status: 'active' }] }),
+    [['therapeutic_duplication', 'warning']]);
+check('charted drug at a new dose',
+    conflictTypes({ medications: [{ name: 'Warfarin', dose: '7.5 mg' }] }, { medications: [{ name: 'Warfarin', dose: '5 mg', status: 'active' }] }),
+    [['dose_change', 'warning']]);
+check('incoming amoxicillin with a penicillin allergy in the same document',
+    conflictTypes({ medications: [{ name: 'Amoxicillin 500 mg PO' }], allergies: [{ substance: 'Penicillin' }] }, {}),
+    [['drug_allergy', 'critical']]);
+check('an allergy both charted and in the document is flagged once',
+    conflictTypes({ medications: [{ name: 'Cefazolin 2 g IV' }], allergies: [{ substance: 'penicillin' }] }, { allergies: [{ substance: 'Penicillin' }] }),
+    [['drug_allergy', 'warning']]);
+
+summary();
+scratch.cleanup();
+process.exit(0);
@@ -0,0 +1,51 @@
+/**
+ * Test script for intake duplicate scoring
+ * Run with: node tests/test-duplicate-scoring.js
+ */
+
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+
+const identity = require('../src/services/patientIdentityService');
+
+const existing = { name: 'Katherine Smith', date_of_birth: '1975-03-08', contact: '(555) 123-4567', email: 'k.smith@gmail.com', mrn: 'MRN-001234' };
+const score = (input) => identity.scoreDuplicate(input, existing);
+
+console.log('🧪 Testing intake duplicate scoring\n');
+
+console.log('1. Names');
+check('soundex', [identity.soundex('Katherine'), identity.soundex('Catherine'), identity.soundex('Smyth')], ['K365', 'C365', 'S530']);
+check('exact name (any order and case)', score({ name: 'SMITH, KATHERINE' }).reasons, ['Name matches']);
+check('phonetic name', score({ name: 'Kathryn Smyth' }).reasons, ['Name sounds alike ("Kathryn Smyth" / "Katherine Smith")']);
+check('misspelt name scores by similarity', /^Name similar \(\d+%\)$/.test(score({ name: 'Catherine Smith' }).reasons[0]), true);
+check('different person has no name reason', score({ name: 'Robert Jones' }).reasons, []);
+
+console.log('\n2. Dates of birth');
+check('compareDob match', identity.compareDob('03/08/1975', '1975-03-08'), 'match');
+check('compareDob day/month swap', identity.compareDob('1975-08-03', '1975-03-08'), 'day_month_swapped');
+check('compareDob transposed digits', identity.compareDob('1957-03-08', '1975-03-08'), 'digits_transposed');
+check('swapped DOB reason', score({ name: 'Katherine Smith', date_of_birth: '1975-08-03' }).reasons,
+    ['Name matches', 'Date of birth has day and month swapped']);
+check('swapped DOB scores below a matching one',
+    score({ name: 'Katherine Smith', date_of_birth: '1975-08-03' }).score < score({ name: 'Katherine Smith', date_of_birth: '1975-03-08' }).score, true);
+check('mismatched DOB takes points away',
+    score({ name: 'Katherine Smith', date_of_birth: '1990-01-01' }).score < score({ name: 'Katherine Smith' }).score, true);
+
+console.log('\n3. Phone, email and MRN');
+check('phone in another format', score({ contact: '+1 555.123.4567' }).reasons, ['Phone number matches']);
+check('seven-digit phone matches the last seven', score({ contact: '123-4567' }).reasons, ['Phone number matches']);
+check('different phone', score({ contact: '555-999-0000' }).reasons, []);
+check('gmail dots and +tags are ignored', score({ email: 'ksmith+intake@gmail.com' }).reasons, ['Email matches']);
+check('MRN formatting is ignored', score({ mrn: 'mrn 001234' }).reasons, ['MRN matches']);
+
+console.log('\n4. Scores');
+const strong = score({ name: 'Kathryn Smyth', date_of_birth: '1975-03-08', contact: '555-123-4567' });
+check('phonetic name, DOB and phone add up to 1', strong.score, 1);
+check('phone alone reaches the threshold', score({ contact: '5551234567' }).score >= identity.DUPLICATE_THRESHOLD, true);
+check('name alone with a different MRN falls below it',
+    score({ name: 'Katherine Smith', mrn: 'MRN-999999' }).score < identity.DUPLICATE_THRESHOLD, true);
+
+summary();
+scratch.cleanup();
+process.exit(0);
@@ -0,0 +1,46 @@
+/**
+ * Test script for medication alias resolution (brand names, misspellings, OCR errors)
+ * Run with: node tests/test-medication-aliases.js
+ */
+
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+
+const medicationAliases = require('../src/services/medicationAliasService');
+
+// Generic and how it was found, or nulls when the name doesn't resolve
+const resolve = (name) => {
+    const { generic, source } = medicationAliases.canonicalize(name);
+    return { generic, source };
+};
+
+console.log('🧪 Testing medication alias resolution\n');
+
+console.log('1. Generic and brand names');
+check('generic name', resolve('Lisinopril'), { generic: 'lisinopril', source: 'generic' });
+check('brand name', resolve('Tylenol'), { generic: 'acetaminophen', source: 'dictionary' });
+check('brand name in capitals', resolve('LOVENOX'), { generic: 'enoxaparin', source: 'dictionary' });
+check('display name', medicationAliases.canonicalize('coumadin').name, 'Warfarin');
+check('drug class comes with the generic', medicationAliases.canonicalize('Percocet').drug_class, 'opioids');
+
+console.log('\n2. Doses and suffixes');
+check('name before the dose', resolve('Lovenox 40 mg SC daily'), { generic: 'enoxaparin', source: 'dictionary' });
+check('first word ("Bactrim DS")', resolve('Bactrim DS'), { generic: 'sulfamethoxazole-trimethoprim', source: 'dictionary' });
+check('canonicalName of an unknown drug is the name itself', medicationAliases.canonicalName('Zzyzxamab 10 mg'), 'zzyzxamab 10 mg');
+
+console.log('\n3. OCR errors');
+check('zero for o', resolve('Lisin0pril'), { generic: 'lisinopril', source: 'ocr' });
+check('one for l', resolve('Metopro1ol'), { generic: 'metoprolol', source: 'ocr' });
+
+console.log('\n4. Misspellings');
+check('one edit on a long name ("Atorvastatn")', resolve('Atorvastatn'), { generic: 'atorvastatin', source: 'fuzzy' });
+check('one edit ("Metforman")', resolve('Metforman'), { generic: 'metformin', source: 'fuzzy' });
+check('two edits on a long name ("Atorvasttn")', resolve('Atorvasttn'), { generic: 'atorvastatin', source: 'fuzzy' });
+check('one edit on a short brand name ("Lovenx")', resolve('Lovenx'), { generic: 'enoxaparin', source: 'fuzzy' });
+check('two edits on a mid-length name are too many ("Lovnx")', resolve('Lovnx'), { generic: null, source: null });
+check('no misspelling tolerance under five letters ("Xanx")', resolve('Xanx'), { generic: null, source: null });
+
+summary();
+scratch.cleanup();
+process.exit(0);
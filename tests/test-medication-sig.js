@@ -0,0 +1,67 @@
+/**
+ * Test script for the medication sig parser
+ * Run with: node tests/test-medication-sig.js
+ */
+
+const { check, summary } = require('./helpers');
+const { parseSig, structureMedication, normalizeSigField, normalizedSig, formatSig } = require('../src/services/medicationSigParser');
+
+// Only the fields a case is about; the rest of the parse is not compared
+const pick = (object, fields) => Object.fromEntries(fields.map(field => [field, object[field]]));
+
+console.log('🧪 Testing medication sig parser\n');
+
+console.log('1. Dose and interval ranges');
+const oxycodone = parseSig('2. Oxycodone 5-10 mg PO q4-6h PRN severe pain x 7 days');
+check('dose range', pick(oxycodone, ['name', 'dose', 'dose_min', 'dose_max', 'unit']),
+    { name: 'Oxycodone', dose: '5-10 mg', dose_min: 5, dose_max: 10, unit: 'mg' });
+check('interval range counts the most doses a day', pick(oxycodone, ['frequency', 'frequency_per_day']),
+    { frequency: 'q4-6h', frequency_per_day: 6 });
+check('"to" ranges', pick(parseSig('Hydromorphone 0.5 to 1 mg IV every 2 to 3 hours'), ['dose', 'frequency']),
+    { dose: '0.5-1 mg', frequency: 'q2-3h' });
+check('combination doses keep no min/max', pick(parseSig('Norco 5/325 mg 1 tab q6h'), ['dose', 'dose_min', 'dose_max']),
+    { dose: '5/325 mg', dose_min: null, dose_max: null });
+
+console.log('\n2. PRN and its indication');
+check('PRN indication stops at the duration', pick(oxycodone, ['prn', 'prn_indication']),
+    { prn: true, prn_indication: 'severe pain' });
+check('"as needed for"', pick(parseSig('Ondansetron 4 mg IV q8h as needed for nausea'), ['prn', 'prn_indication']),
+    { prn: true, prn_indication: 'nausea' });
+check('PRN without an indication', pick(parseSig('Acetaminophen 650 mg PO PRN'), ['prn', 'prn_indication']),
+    { prn: true, prn_indication: null });
+check('scheduled medication is not PRN', parseSig('Lisinopril 10 mg PO daily').prn, false);
+
+console.log('\n3. Duration');
+check('days', pick(oxycodone, ['duration', 'duration_days']), { duration: '7 days', duration_days: 7 });
+check('weeks become days', pick(parseSig('Cephalexin 500 mg PO QID for 2 weeks'), ['duration', 'duration_days']),
+    { duration: '14 days', duration_days: 14 });
+check('dose counts have no days', pick(parseSig('Cefazolin 2 g IV q8h x 3 doses'), ['duration', 'duration_days']),
+    { duration: '3 doses', duration_days: null });
+
+console.log('\n4. Units');
+check('tablets are counted in the plural', pick(parseSig('Metformin 2 tabs PO BID'), ['dose', 'unit']),
+    { dose: '2 tablets', unit: 'tablet' });
+check('one tablet stays singular', parseSig('Aspirin 1 tablet PO daily').dose, '1 tablet');
+check('micrograms', pick(parseSig('Levothyroxine 50 micrograms PO qAM'), ['dose', 'unit', 'frequency']),
+    { dose: '50 mcg', unit: 'mcg', frequency: 'QAM' });
+check('units', parseSig('Insulin glargine 20 units subq qhs').dose, '20 units');
+
+console.log('\n5. Routes');
+check('subq -> SC', parseSig('Enoxaparin 40 mg subq daily').route, 'SC');
+check('by mouth -> PO', parseSig('Metoprolol 25 mg by mouth twice daily').route, 'PO');
+check('intravenously -> IV', parseSig('Vancomycin 1 g intravenously q12h').route, 'IV');
+check('no route stated stays null', parseSig('Atorvastatin 40 mg nightly').route, null);
+
+console.log('\n6. Normalization');
+check('"10mg" -> "10 mg"', normalizeSigField('dose', '10mg'), '10 mg');
+check('"QD" -> daily', normalizeSigField('frequency', 'QD'), 'daily');
+check('"subq" -> SC', normalizeSigField('route', 'subq'), 'SC');
+check('unknown is null', normalizeSigField('dose', 'unknown'), null);
+check('sig parsed from a name string', normalizedSig('Lisinopril 10 mg PO daily'),
+    { dose: '10 mg', route: 'PO', frequency: 'daily' });
+check('own fields win over the text', normalizedSig({ name: 'Warfarin 5 mg', dose: '7.5mg', frequency: 'QD' }),
+    { dose: '7.5 mg', route: null, frequency: 'daily' });
+check('structureMedication keeps just the drug name', structureMedication('Oxycodone 5mg PO q6h PRN pain').name, 'Oxycodone');
+check('formatSig round trip', formatSig(structureMedication(oxycodone.text)), '5-10 mg PO q4-6h PRN severe pain x 7 days');
+
+summary();
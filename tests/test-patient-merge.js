@@ -0,0 +1,64 @@
+/**
+ * Test script for patient merges: what moves to the surviving chart, and that a
+ * document merged in before the patient merge can still be reassigned cleanly.
+ * Runs on a throwaway database.
+ * Run with: node tests/test-patient-merge.js
+ */
+
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+
+const db = require('../src/config/database');
+const migrator = require('../database/migrator');
+const patientService = require('../src/services/patientService');
+const documentService = require('../src/services/documentService');
+const patientMerges = require('../src/services/patientMergeService');
+const documentReassignment = require('../src/services/documentReassignmentService');
+const chartMerges = require('../src/services/chartMergeService');
+
+// A document on file for the patient, merged into the chart
+const chartDocument = async (patientId, medications) => {
+    const document = await documentService.createDocument(patientId, 'note.pdf', '/dev/null');
+    await patientService.mergeExtractionIntoChart(patientId, { medications }, { source_document_id: document.id, manually_approved: true });
+    return document;
+};
+
+const medicationNames = async (patientId) => {
+    const chart = await patientService.getPatientWithChart(patientId);
+    return chart.medications.map(med => med.name).sort();
+};
+
+const runTests = async () => {
+    console.log('🧪 Testing patient merges\n');
+    await migrator.migrateUp();
+
+    const survivor = await patientService.addPatient({ name: 'John Smith', date_of_birth: '1960-01-02' });
+    const duplicate = await patientService.addPatient({ name: 'Jon Smith', date_of_birth: '1960-01-02' });
+    const other = await patientService.addPatient({ name: 'Mary Jones', date_of_birth: '1970-05-05' });
+    await chartDocument(survivor.id, ['Lisinopril']);
+    const misfiled = await chartDocument(duplicate.id, ['Metformin']);
+    const [documentMerge] = await chartMerges.getMergeHistory({ document_id: misfiled.id });
+
+    console.log('1. Merging the duplicate');
+    const merged = await patientMerges.mergePatientInto(duplicate.id, survivor.id);
+    check('duplicate medication moves over', await medicationNames(survivor.id), ['Lisinopril', 'Metformin']);
+    const metformin = (await patientService.getPatientWithChart(survivor.id)).medications.find(med => med.name === 'Metformin');
+    check('moved item keeps the document merge', metformin.chart_merge_id, documentMerge.id);
+    check('and records the patient merge', metformin.patient_merge_id, merged.patient_merge_id);
+    check('the document merge moves with it', (await chartMerges.getMergeById(documentMerge.id)).patient_id, survivor.id);
+
+    console.log('\n2. Reassigning a document merged in before the patient merge');
+    const reassigned = await documentReassignment.reassignDocument(misfiled.id, other.id);
+    check('its merge is reverted', reassigned.reverted_merges.map(merge => merge.merge_id), [documentMerge.id]);
+    check('its medication leaves the surviving chart', await medicationNames(survivor.id), ['Lisinopril']);
+
+    summary();
+};
+
+runTests()
+    .catch(err => {
+        console.error('\n❌ Test failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close(scratch.cleanup));
@@ -0,0 +1,146 @@
+/**
+ * Test script for document processing end to end: text extraction, header-slice
+ * extraction, the identity and chart conflict checks and the automatic chart merge,
+ * on a throwaway database with the offline stub extraction provider.
+ * Run with: node tests/test-pipeline.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+process.env.EXTRACTION_PROVIDER = 'stub';
+
+const db = require('../src/config/database');
+const migrator = require('../database/migrator');
+const patientService = require('../src/services/patientService');
+const documentService = require('../src/services/documentService');
+const documentProcessing = require('../src/services/documentProcessingService');
+const extractionProviders = require('../src/services/extractionProviders');
+
+// One-page PDF with a text layer, one line of text per entry
+const writePdf = (file, lines) => {
+    const escape = (line) => line.replace(/[\\()]/g, '\\$&');
+    const content = `BT /F1 10 Tf 50 780 Td 12 TL\n${lines.map(line => `(${escape(line)}) '\n`).join('')}ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    fs.writeFileSync(file, pdf);
+    return file;
+};
+
+const operativeReport = ({ patient = 'John Smith', dob = '01/02/1960', mrn = '123456', lisinopril = '10 mg' } = {}) => [
+    'OPERATIVE REPORT',
+    `Patient Name: ${patient}`,
+    `Date of Birth: ${dob}`,
+    `MRN: ${mrn}`,
+    'Date of Surgery: 03/15/2024',
+    'Surgeon: Dr. Jane Doe',
+    'PREOPERATIVE DIAGNOSIS:',
+    '1. Acute appendicitis',
+    'POSTOPERATIVE DIAGNOSIS:',
+    '1. Acute appendicitis, perforated',
+    'PROCEDURE PERFORMED:',
+    '1. Laparoscopic appendectomy',
+    'ANESTHESIA: General endotracheal',
+    'MEDICATIONS:',
+    `1. Lisinopril ${lisinopril} PO daily`,
+    '2. Metformin 500 mg PO BID',
+    'FINDINGS: Inflamed appendix with localized perforation. No abscess.',
+    'ESTIMATED BLOOD LOSS: 20 mL',
+    'The patient tolerated the procedure well and was taken to recovery in stable condition.',
+    'DISPOSITION: PACU in stable condition.'
+];
+
+let documentCount = 0;
+const upload = async (patientId, lines) => {
+    const file = writePdf(path.join(scratch.dir, `document-${++documentCount}.pdf`), lines);
+    return documentService.createDocument(patientId, path.basename(file), file);
+};
+
+const medicationNames = async (patientId) => {
+    const chart = await patientService.getPatientWithChart(patientId);
+    return chart.medications.map(med => med.name).sort();
+};
+
+const runTests = async () => {
+    console.log('🧪 Testing document processing end to end\n');
+    await migrator.migrateUp();
+
+    const john = await patientService.addPatient({ name: 'John Smith', date_of_birth: '1960-01-02', mrn: '123456' });
+    const mary = await patientService.addPatient({ name: 'Mary Jones', date_of_birth: '1970-05-05' });
+
+    console.log('1. Clean document merges automatically');
+    const first = await upload(john.id, operativeReport());
+    const merged = await documentProcessing.processDocument(first.id);
+    check('document is merged', [merged.status, merged.merged, merged.needsReview], ['merged', true, false]);
+    check('regex pass found everything, so no provider call', merged.model, 'header-slice-regex');
+    check('identity is verified', merged.identity.status, 'verified');
+    check('medications are charted', await medicationNames(john.id), ['Lisinopril', 'Metformin']);
+    const chart = await patientService.getPatientWithChart(john.id);
+    check('procedure is charted', chart.procedures.length, 1);
+    check('document status is stored', (await documentService.getDocumentById(first.id)).status, 'merged');
+
+    console.log('\n2. Processing the same document again adds nothing');
+    const again = await documentProcessing.processDocument(first.id);
+    check('still merged', again.status, 'merged');
+    check('no duplicate medications', await medicationNames(john.id), ['Lisinopril', 'Metformin']);
+
+    console.log('\n3. Medications the regex pass misses come from the provider');
+    extractionProviders.registerProvider('stub', () => extractionProviders.createStubProvider(
+        () => JSON.stringify({ medications: ['Ondansetron'] })
+    ));
+    const noMedsSection = await upload(john.id, operativeReport().filter(line => !/MEDICATIONS:|Lisinopril|Metformin/.test(line)));
+    const enhanced = await documentProcessing.processDocument(noMedsSection.id);
+    check('model records the stub provider', enhanced.model, 'header-slice+llm-meds(stub/stub-1)');
+    const extraction = JSON.parse((await documentService.getExtraction(noMedsSection.id)).extracted_json);
+    check('provider medications are in the extraction', extraction.pass2.medications.map(med => med.name), ['Ondansetron']);
+    check('and are charted', await medicationNames(john.id), ['Lisinopril', 'Metformin', 'Ondansetron']);
+
+    console.log('\n4. Unreadable document goes to review');
+    const blank = await upload(john.id, ['OPERATIVE REPORT']);
+    const unreadable = await documentProcessing.processDocument(blank.id);
+    check('not merged', [unreadable.status, unreadable.merged, unreadable.needsReview], ['needs_review', false, true]);
+    check('chart is unchanged', await medicationNames(john.id), ['Lisinopril', 'Metformin', 'Ondansetron']);
+
+    console.log('\n5. Document filed under the wrong patient goes to review');
+    const misfiled = await upload(mary.id, operativeReport());
+    const mismatch = await documentProcessing.processDocument(misfiled.id);
+    check('not merged', [mismatch.status, mismatch.merged], ['needs_review', false]);
+    check('identity mismatch suggests the right patient',
+        [mismatch.identity.status, mismatch.identity.suggestions[0]?.patient_id], ['mismatch', john.id]);
+    check('nothing charted for the wrong patient', await medicationNames(mary.id), []);
+
+    console.log('\n6. Dose change against the chart goes to review');
+    const changed = await upload(john.id, operativeReport({ lisinopril: '20 mg' }));
+    const conflicted = await documentProcessing.processDocument(changed.id);
+    check('not merged', [conflicted.status, conflicted.merged, conflicted.needsReview], ['needs_review', false, true]);
+    check('review reason names the conflict',
+        conflicted.reviewReasons.some(reason => /Chart conflicts need review before automatic merge/.test(reason)), true);
+    check('document waits in review', (await documentService.getDocumentById(changed.id)).status, 'needs_review');
+    const lisinopril = (await patientService.getPatientWithChart(john.id)).medications.filter(med => med.name === 'Lisinopril');
+    check('chart keeps the charted dose', lisinopril.map(med => med.dose), ['10 mg']);
+
+    summary();
+};
+
+runTests()
+    .catch(err => {
+        console.error('\n❌ Test failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close(scratch.cleanup));
@@ -75,6 +75,6 @@ console.log(JSON.stringify(JSON.parse(reports[0].report_json), null, 2));
 
 console.log('\n✅ Test completed successfully!');
 console.log('\nNext steps:');
-console.log('1. Run migration: node database/migrations/002_patient_reports.js');
+console.log('1. Run migration: npm run migrate');
 console.log('2. Start server: npm start');
 console.log('3. View reports: http://localhost:3000/patient-reports.html?patientId=1');
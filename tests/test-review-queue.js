@@ -0,0 +1,79 @@
+/**
+ * Test script for the review queue: filters, ordering and paging, and the conflicts
+ * each returned item carries. Runs on a throwaway database.
+ * Run with: node tests/test-review-queue.js
+ */
+
+const { check, summary, useScratchDatabase } = require('./helpers');
+
+const scratch = useScratchDatabase();
+
+const db = require('../src/config/database');
+const migrator = require('../database/migrator');
+const { run } = require('../src/config/dbHelpers');
+const { runWithContext } = require('../src/middleware/requestContext');
+const patientService = require('../src/services/patientService');
+const documentService = require('../src/services/documentService');
+const reviewQueue = require('../src/services/reviewQueueService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A document waiting in review for this many hours, with an extraction at this confidence
+const queueDocument = async (patientId, { hours, confidence = 0.9, medications = [], status = 'needs_review' }) => {
+    const document = await documentService.createDocument(patientId, 'note.pdf', '/dev/null');
+    await documentService.saveExtraction(document.id, 'test', JSON.stringify({ pass2: { medications } }), null, confidence);
+    await run('UPDATE patient_documents SET status = ?, status_changed_at = ? WHERE id = ?',
+        [status, new Date(Date.now() - hours * HOUR_MS).toISOString(), document.id]);
+    return document.id;
+};
+
+const ids = (result) => result.items.map(item => item.document_id);
+
+const runTests = async () => {
+    console.log('🧪 Testing the review queue\n');
+    await migrator.migrateUp();
+
+    const john = await patientService.addPatient({ name: 'John Smith', date_of_birth: '1960-01-02' });
+    const mary = await patientService.addPatient({ name: 'Mary Jones', date_of_birth: '1970-05-05' });
+    await patientService.mergeExtractionIntoChart(john.id, { medications: [{ name: 'Warfarin', dose: '5 mg' }] }, { manually_approved: true });
+
+    const overdue = await queueDocument(john.id, { hours: 60, medications: ['Warfarin 7.5 mg PO daily'] });
+    const dueSoon = await queueDocument(mary.id, { hours: 40, confidence: 0.5 });
+    const fresh = await queueDocument(john.id, { hours: 2, status: 'extracted' });
+    const newest = await queueDocument(mary.id, { hours: 1, confidence: null });
+    await runWithContext({ user: { id: 1, username: 'alice' } }, () => reviewQueue.claimDocument(fresh));
+
+    console.log('1. Ordering and paging');
+    const all = await reviewQueue.getReviewQueue();
+    check('longest waiting first', ids(all), [overdue, dueSoon, fresh, newest]);
+    const page = await reviewQueue.getReviewQueue({ limit: 2, offset: 1 });
+    check('a page of it', ids(page), [dueSoon, fresh]);
+    check('total counts the whole queue', page.total, 4);
+    check('status counts cover the whole queue', page.counts.status, { needs_review: 3, extracted: 1 });
+    check('sla counts cover the whole queue', page.counts.sla, { overdue: 1, due_soon: 1, on_time: 2 });
+    check('unassigned count', page.counts.unassigned, 3);
+
+    console.log('\n2. Filters');
+    check('by sla', ids(await reviewQueue.getReviewQueue({ sla: 'overdue' })), [overdue]);
+    check('by age', ids(await reviewQueue.getReviewQueue({ min_age_hours: 10, max_age_hours: 50 })), [dueSoon]);
+    check('by confidence', ids(await reviewQueue.getReviewQueue({ confidence: 'low' })), [dueSoon]);
+    check('by missing confidence', ids(await reviewQueue.getReviewQueue({ confidence: 'none' })), [newest]);
+    check('by assignee', ids(await reviewQueue.getReviewQueue({ assignee: 'alice' })), [fresh]);
+    check('by patient', ids(await reviewQueue.getReviewQueue({ patient_id: mary.id })), [dueSoon, newest]);
+
+    console.log('\n3. Conflicts');
+    const [first] = (await reviewQueue.getReviewQueue({ limit: 1 })).items;
+    check('dose change against the chart', first.issues.map(issue => issue.code), ['dose_change']);
+    check('severity counts cover the page', (await reviewQueue.getReviewQueue({ limit: 1 })).counts.severity, { warning: 1 });
+    const warnings = await reviewQueue.getReviewQueue({ severity: 'warning' });
+    check('by severity', [ids(warnings), warnings.total], [[overdue], 1]);
+
+    summary();
+};
+
+runTests()
+    .catch(err => {
+        console.error('\n❌ Test failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close(scratch.cleanup));